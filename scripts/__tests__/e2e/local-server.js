@@ -22,16 +22,24 @@
  *    curl -X POST http://test-app.local:3000/webhooks/clerk \
  *      -H "Content-Type: application/json" \
  *      -d '{"type": "user.created", "data": {"id": "test_user"}}'
+ *
+ *    Webhooks go through the production receiver (lib/clerk-webhooks.js) with
+ *    an in-memory store. Set CLERK_WEBHOOK_SECRET to require Svix signatures
+ *    as deployed servers do; without it, unsigned events are accepted.
  */
 
 import { createServer } from 'http';
 import { readFileSync, existsSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
+import { createWebhookReceiver, applyWebhookChange } from '../../lib/clerk-webhooks.js';
+import { createMemoryWebhookStore, loadWebhookData } from '../../lib/webhook-store.js';
+import { normalizeClerkEvent, computeOverview } from '../../lib/sell-analytics.js';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const PORT = parseInt(process.env.PORT || '3000', 10);
 const HOST = '0.0.0.0';
+const WEBHOOK_SECRET = process.env.CLERK_WEBHOOK_SECRET;
 
 // ============== In-Memory KV Storage ==============
 
@@ -84,23 +92,25 @@ function prefixKey(key) {
   return `${env.APP_DOMAIN}:${key}`;
 }
 
+// Webhook events and the users/subscriptions they build
+let webhookStore = createMemoryWebhookStore();
+
 // ============== Request Helpers ==============
 
-function parseBody(req) {
+function readBody(req) {
   return new Promise((resolve, reject) => {
     let body = '';
     req.on('data', chunk => body += chunk);
-    req.on('end', () => {
-      try {
-        resolve(body ? JSON.parse(body) : {});
-      } catch (e) {
-        reject(e);
-      }
-    });
+    req.on('end', () => resolve(body));
     req.on('error', reject);
   });
 }
 
+async function parseBody(req) {
+  const body = await readBody(req);
+  return body ? JSON.parse(body) : {};
+}
+
 function sendJson(res, data, status = 200) {
   res.writeHead(status, {
     'Content-Type': 'application/json',
@@ -134,18 +144,14 @@ async function handleApiTenants(req, res) {
 }
 
 async function handleApiStats(req, res) {
-  const [tenantCount, userCount, subscriberCount, mrr] = await Promise.all([
-    TENANTS.get(prefixKey('stats:tenantCount')),
-    TENANTS.get(prefixKey('stats:userCount')),
-    TENANTS.get(prefixKey('stats:subscriberCount')),
-    TENANTS.get(prefixKey('stats:mrr'))
-  ]);
+  const tenantCount = await TENANTS.get(prefixKey('stats:tenantCount'));
+  const overview = computeOverview(await loadWebhookData(webhookStore));
 
   sendJson(res, {
     tenantCount: parseInt(tenantCount || '0'),
-    userCount: parseInt(userCount || '0'),
-    subscriberCount: parseInt(subscriberCount || '0'),
-    mrr: parseFloat(mrr || '0')
+    userCount: overview.userCount,
+    subscriberCount: overview.subscriberCount,
+    mrr: overview.mrrCents / 100
   });
 }
 
@@ -195,40 +201,37 @@ async function handleApiRegister(req, res) {
 }
 
 async function handleWebhook(req, res) {
-  const body = await parseBody(req);
-  const { type, data } = body;
-
-  console.log(`[Webhook] ${type}:`, JSON.stringify(data).slice(0, 100));
-
-  if (type === 'user.created') {
-    await TENANTS.put(prefixKey(`user:${data.id}`), JSON.stringify({
-      id: data.id,
-      email: data.email_addresses?.[0]?.email_address,
-      createdAt: new Date().toISOString()
-    }));
-
-    const count = parseInt(await TENANTS.get(prefixKey('stats:userCount')) || '0');
-    await TENANTS.put(prefixKey('stats:userCount'), String(count + 1));
-  }
-
-  if (type === 'user.deleted') {
-    await TENANTS.delete(prefixKey(`user:${data.id}`));
-    const count = parseInt(await TENANTS.get(prefixKey('stats:userCount')) || '0');
-    await TENANTS.put(prefixKey('stats:userCount'), String(Math.max(0, count - 1)));
+  const payload = await readBody(req);
+
+  if (WEBHOOK_SECRET) {
+    const headers = {
+      'svix-id': req.headers['svix-id'],
+      'svix-timestamp': req.headers['svix-timestamp'],
+      'svix-signature': req.headers['svix-signature']
+    };
+    const { status, body } = await createWebhookReceiver({ secret: WEBHOOK_SECRET, store: webhookStore })(payload, headers);
+    console.log(`[Webhook] ${status}:`, JSON.stringify(body));
+    return sendJson(res, body, status);
   }
 
-  sendJson(res, { received: true });
+  // Unsigned (curl) events skip verification and deduplication
+  const event = JSON.parse(payload);
+  console.log(`[Webhook] ${event.type}:`, JSON.stringify(event.data).slice(0, 100));
+  const change = normalizeClerkEvent(event);
+  const applied = change ? await applyWebhookChange(webhookStore, change, Date.now()) : false;
+  sendJson(res, { received: true, applied });
 }
 
 // ============== Debug Endpoints ==============
 
 async function handleDebugKv(req, res) {
   const data = TENANTS.dump();
-  sendJson(res, data);
+  sendJson(res, { ...data, webhooks: await loadWebhookData(webhookStore) });
 }
 
 async function handleDebugReset(req, res) {
   TENANTS.clear();
+  webhookStore = createMemoryWebhookStore();
   sendJson(res, { reset: true });
 }
 
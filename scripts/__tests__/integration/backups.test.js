@@ -0,0 +1,104 @@
+/**
+ * Integration tests for the shared backup subsystem (backups.js)
+ *
+ * Backs up files in a temp folder; system time is faked so each backup gets
+ * its own timestamp.
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { mkdtempSync, writeFileSync, readFileSync, readdirSync, existsSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createBackup, listBackups, restoreBackup, BACKUP_DIR } from '../../lib/backups.js';
+
+describe('backups', () => {
+  let dir;
+  let filePath;
+
+  const backupAt = (time, content, options) => {
+    vi.setSystemTime(new Date(time));
+    writeFileSync(filePath, content);
+    return createBackup(filePath, options);
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    dir = mkdtempSync(join(tmpdir(), 'vibes-backups-'));
+    filePath = join(dir, 'index.html');
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('does nothing when the file does not exist', () => {
+    expect(createBackup(filePath)).toBeNull();
+  });
+
+  it('writes backups to .vibes/backups instead of next to the file', () => {
+    const backup = backupAt('2026-01-02T03:04:05', 'v1');
+
+    expect(backup.id).toBe('index.20260102-030405');
+    expect(backup.path).toBe(join(dir, BACKUP_DIR, 'index.20260102-030405.html'));
+    expect(readdirSync(dir).sort()).toEqual(['.vibes', 'index.html']);
+  });
+
+  it('numbers backups made within the same second', () => {
+    backupAt('2026-01-02T03:04:05', 'v1');
+    const second = backupAt('2026-01-02T03:04:05', 'v2');
+
+    expect(second.id).toBe('index.20260102-030405-2');
+    expect(listBackups(filePath).map(b => b.id)).toEqual(['index.20260102-030405-2', 'index.20260102-030405']);
+  });
+
+  it('keeps only the newest backups', () => {
+    backupAt('2026-01-01T00:00:00', 'v1', { keep: 2 });
+    backupAt('2026-01-02T00:00:00', 'v2', { keep: 2 });
+    const third = backupAt('2026-01-03T00:00:00', 'v3', { keep: 2 });
+
+    expect(third.pruned).toEqual([join(dir, BACKUP_DIR, 'index.20260101-000000.html')]);
+    expect(listBackups(filePath).map(b => b.id)).toEqual(['index.20260103-000000', 'index.20260102-000000']);
+  });
+
+  it('reads retention from vibes.config.json', () => {
+    writeFileSync(join(dir, 'vibes.config.json'), JSON.stringify({ backups: { keep: 1 } }));
+    backupAt('2026-01-01T00:00:00', 'v1');
+    backupAt('2026-01-02T00:00:00', 'v2');
+
+    expect(listBackups(filePath)).toHaveLength(1);
+  });
+
+  it('restores a backup by id or timestamp and backs up the current file first', () => {
+    backupAt('2026-01-01T00:00:00', 'v1');
+    backupAt('2026-01-02T00:00:00', 'v2');
+    vi.setSystemTime(new Date('2026-01-03T00:00:00'));
+    writeFileSync(filePath, 'v3');
+
+    const result = restoreBackup(filePath, '20260101-000000');
+
+    expect(result).toMatchObject({ success: true, id: 'index.20260101-000000', previous: 'index.20260103-000000' });
+    expect(readFileSync(filePath, 'utf8')).toBe('v1');
+    expect(restoreBackup(filePath, 'latest').id).toBe('index.20260103-000000');
+    expect(readFileSync(filePath, 'utf8')).toBe('v3');
+  });
+
+  it('reports unknown ids with the available ones', () => {
+    backupAt('2026-01-01T00:00:00', 'v1');
+
+    const result = restoreBackup(filePath, 'nope');
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Available: index.20260101-000000');
+  });
+
+  it('lists and restores legacy backups next to the file', () => {
+    writeFileSync(filePath, 'current');
+    writeFileSync(join(dir, 'index.20251231-120000.bak.html'), 'legacy');
+
+    expect(listBackups(filePath)).toMatchObject([{ id: 'index.20251231-120000.bak', legacy: true }]);
+    expect(restoreBackup(filePath).success).toBe(true);
+    expect(readFileSync(filePath, 'utf8')).toBe('legacy');
+    expect(existsSync(join(dir, 'index.20251231-120000.bak.html'))).toBe(true);
+  });
+});
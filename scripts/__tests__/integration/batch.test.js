@@ -0,0 +1,93 @@
+/**
+ * Integration tests for batch inputs and incremental build state (batch.js)
+ *
+ * Writes riff directories to a temp folder.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { expandBatchInputs, computeBuildHash, writeBuildState, isUpToDate, readBuildState } from '../../lib/batch.js';
+
+describe('expandBatchInputs', () => {
+  let root;
+
+  beforeEach(() => {
+    root = mkdtempSync(join(tmpdir(), 'vibes-batch-'));
+    for (const name of ['riff-1', 'riff-2', 'riff-10', 'notes']) {
+      mkdirSync(join(root, 'riffs', name), { recursive: true });
+    }
+    for (const name of ['riff-1', 'riff-2', 'riff-10']) {
+      writeFileSync(join(root, 'riffs', name, 'app.jsx'), 'export default function App() {}');
+    }
+  });
+
+  afterEach(() => {
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  it('keeps app directories as given', () => {
+    expect(expandBatchInputs(['riffs/riff-2', 'riffs/riff-1'], { cwd: root })).toEqual(['riffs/riff-2', 'riffs/riff-1']);
+  });
+
+  it('expands globs in natural order', () => {
+    expect(expandBatchInputs(['riffs/riff-*'], { cwd: root })).toEqual(['riffs/riff-1', 'riffs/riff-2', 'riffs/riff-10']);
+    expect(expandBatchInputs(['riffs/riff-?'], { cwd: root })).toEqual(['riffs/riff-1', 'riffs/riff-2']);
+  });
+
+  it('expands a parent directory to its app directories', () => {
+    expect(expandBatchInputs(['riffs'], { cwd: root })).toEqual(['riffs/riff-1', 'riffs/riff-2', 'riffs/riff-10']);
+  });
+
+  it('passes unknown paths through and drops duplicates', () => {
+    expect(expandBatchInputs(['riffs/riff-1', 'riffs/riff-*', 'missing'], { cwd: root }))
+      .toEqual(['riffs/riff-1', 'riffs/riff-2', 'riffs/riff-10', 'missing']);
+  });
+});
+
+describe('build state', () => {
+  let dir;
+  let appPath;
+  let outputPath;
+  const settings = { template: 'riff', precompile: false };
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'vibes-state-'));
+    appPath = join(dir, 'app.jsx');
+    outputPath = join(dir, 'index.html');
+    writeFileSync(appPath, 'export default function App() {}');
+    writeFileSync(outputPath, '<html></html>');
+    writeBuildState(dir, [appPath], settings, '<html></html>');
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('is up to date when nothing changed', () => {
+    expect(readBuildState(dir).files).toEqual([appPath]);
+    expect(isUpToDate(dir, outputPath, settings)).toBe(true);
+  });
+
+  it('is stale when an input changes', () => {
+    writeFileSync(appPath, 'export default function App() { return null; }');
+    expect(isUpToDate(dir, outputPath, settings)).toBe(false);
+  });
+
+  it('is stale when settings change', () => {
+    expect(isUpToDate(dir, outputPath, { ...settings, precompile: true })).toBe(false);
+  });
+
+  it('is stale when the output was edited or removed', () => {
+    writeFileSync(outputPath, '<html>edited</html>');
+    expect(isUpToDate(dir, outputPath, settings)).toBe(false);
+
+    rmSync(outputPath);
+    expect(isUpToDate(dir, outputPath, settings)).toBe(false);
+  });
+
+  it('cannot hash missing inputs', () => {
+    expect(computeBuildHash([join(dir, 'gone.jsx')], settings)).toBeNull();
+  });
+});
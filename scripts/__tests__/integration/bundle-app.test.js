@@ -0,0 +1,145 @@
+/**
+ * Integration tests for multi-file app bundling (bundle-app.js)
+ *
+ * Writes small app directories to a temp folder and bundles them with esbuild.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { bundleApp } from '../../lib/bundle-app.js';
+
+function writeApp(dir, files) {
+  for (const [name, content] of Object.entries(files)) {
+    const filePath = join(dir, name);
+    mkdirSync(join(filePath, '..'), { recursive: true });
+    writeFileSync(filePath, content);
+  }
+}
+
+describe('bundleApp', () => {
+  let appDir;
+
+  beforeEach(() => {
+    appDir = mkdtempSync(join(tmpdir(), 'vibes-bundle-'));
+  });
+
+  afterEach(() => {
+    rmSync(appDir, { recursive: true, force: true });
+  });
+
+  it('inlines relative imports and keeps bare imports', () => {
+    writeApp(appDir, {
+      'app.jsx': `import React from "react";
+import { useFireproof } from "use-fireproof";
+import Card from "./components/Card";
+import { title } from "./lib/strings.js";
+export default function App() {
+  return <Card>{title}</Card>;
+}`,
+      'components/Card.jsx': 'export default function Card({ children }) { return <div className="card">{children}</div>; }',
+      'lib/strings.js': 'export const title = "Hello";'
+    });
+
+    const result = bundleApp(appDir);
+
+    expect(result.success).toBe(true);
+    expect(result.files).toEqual(expect.arrayContaining(['app.jsx', 'components/Card.jsx', 'lib/strings.js']));
+    expect(result.code).toContain('import { useFireproof } from "use-fireproof"');
+    expect(result.code).toContain('function Card(');
+    expect(result.code).not.toContain('./components/Card');
+    expect(result.code).toContain('<div className="card">');
+    expect(result.code).toMatch(/App as default/);
+  });
+
+  it('leaves URL imports to the browser', () => {
+    writeApp(appDir, {
+      'app.jsx': `import confetti from "https://esm.sh/canvas-confetti";
+export default function App() { return <button onClick={() => confetti()}>Go</button>; }`
+    });
+
+    const result = bundleApp(appDir);
+
+    expect(result.success).toBe(true);
+    expect(result.code).toContain('https://esm.sh/canvas-confetti');
+  });
+
+  it('reports unresolved relative imports with file locations', () => {
+    writeApp(appDir, {
+      'app.jsx': `import Missing from "./components/Missing";
+export default function App() { return <Missing />; }`
+    });
+
+    const result = bundleApp(appDir);
+
+    expect(result.success).toBe(false);
+    expect(result.errors[0]).toMatchObject({ file: 'app.jsx', line: 1 });
+    expect(result.errors[0].message).toContain('./components/Missing');
+  });
+
+  it('validates sibling modules for TypeScript syntax', () => {
+    writeApp(appDir, {
+      'app.jsx': `import { useItems } from "./lib/items.js";
+export default function App() { useItems(); return <div />; }`,
+      'lib/items.js': `import { useState } from "react";
+export function useItems() { return useState<string[]>([]); }`
+    });
+
+    const result = bundleApp(appDir);
+
+    expect(result.success).toBe(false);
+    expect(result.errors[0]).toMatchObject({ file: 'lib/items.js', kind: 'typescript' });
+  });
+
+  it('requires the App default export only in app.jsx', () => {
+    writeApp(appDir, {
+      'app.jsx': `import Widget from "./Widget.jsx";
+export default function Main() { return <Widget />; }`,
+      'Widget.jsx': 'export default function Widget() { return <span />; }'
+    });
+
+    const result = bundleApp(appDir);
+
+    expect(result.success).toBe(false);
+    expect(result.errors).toHaveLength(1);
+    expect(result.errors[0]).toMatchObject({ file: 'app.jsx', kind: 'export' });
+  });
+
+  it('fails when another module also declares App', () => {
+    writeApp(appDir, {
+      'app.jsx': `import Preview from "./components/Preview.jsx";
+export default function App() { return <Preview />; }`,
+      'components/Preview.jsx': `function App() { return <span>preview</span>; }
+export default function Preview() { return <App />; }`
+    });
+
+    const result = bundleApp(appDir);
+
+    expect(result.success).toBe(false);
+    expect(result.errors).toHaveLength(1);
+    expect(result.errors[0]).toMatchObject({ kind: 'bundle', file: 'components/Preview.jsx' });
+    expect(result.errors[0].message).toContain('renames the component in app.jsx to App2');
+  });
+
+  it('keeps App when other modules use other names', () => {
+    writeApp(appDir, {
+      'app.jsx': `import AppShell from "./AppShell.jsx";
+function App() { return <AppShell />; }
+export default App;`,
+      'AppShell.jsx': 'export default function AppShell() { return <main />; }'
+    });
+
+    const result = bundleApp(appDir);
+
+    expect(result.success).toBe(true);
+    expect(result.code).toContain('var app_default = App;');
+  });
+
+  it('fails when app.jsx is missing', () => {
+    const result = bundleApp(appDir);
+
+    expect(result.success).toBe(false);
+    expect(result.errors[0].message).toContain('App entry not found');
+  });
+});
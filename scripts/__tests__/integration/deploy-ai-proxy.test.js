@@ -9,8 +9,9 @@ import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { existsSync, readFileSync } from 'fs';
 import { join } from 'path';
 
-// Path to the AI proxy script
+// Path to the AI proxy script and its provider backends
 const AI_PROXY_PATH = join(__dirname, '../../lib/ai-proxy.js');
+const AI_PROVIDERS_PATH = join(__dirname, '../../lib/ai-providers.js');
 
 describe('AI Proxy Deployment', () => {
   describe('proxy script exists and is valid', () => {
@@ -32,10 +33,40 @@ describe('AI Proxy Deployment', () => {
       const content = readFileSync(AI_PROXY_PATH, 'utf-8');
 
       expect(content).toContain('IS_MULTI_TENANT');
-      expect(content).toContain('extractTenant');
+      expect(content).toContain('createTenantAuthenticator');
+      expect(content).toContain('createClerkVerifier');
+      expect(content).toContain('CLERK_PUBLISHABLE_KEY');
       expect(content).toContain('getOrCreateTenantKey');
     });
 
+    it('ai-proxy.js rate limits and records usage', () => {
+      const content = readFileSync(AI_PROXY_PATH, 'utf-8');
+
+      expect(content).toContain('createRateLimiter');
+      expect(content).toContain('CREATE TABLE IF NOT EXISTS ai_usage');
+      expect(content).toContain('"Retry-After"');
+      expect(content).toContain('RATE_LIMITED');
+      expect(content).toContain('tapEventStream');
+    });
+
+    it('ai-proxy.js enforces the operator policy', () => {
+      const content = readFileSync(AI_PROXY_PATH, 'utf-8');
+
+      expect(content).toContain('applyAIPolicy');
+      expect(content).toContain('policyForTier');
+      expect(content).toContain('status: 400');
+      expect(content).toContain('VIBES_ENTITLEMENTS_URL');
+    });
+
+    it('ai-proxy.js calls the configured provider', () => {
+      const content = readFileSync(AI_PROXY_PATH, 'utf-8');
+
+      expect(content).toContain('VIBES_AI_PROVIDER');
+      expect(content).toContain('createProvider(PROVIDER_SETTINGS)');
+      expect(content).toContain('provider.provisionKey');
+      expect(content).not.toContain('https://openrouter.ai/api/v1/chat/completions');
+    });
+
     it('ai-proxy.js includes CORS headers', () => {
       const content = readFileSync(AI_PROXY_PATH, 'utf-8');
 
@@ -44,11 +75,22 @@ describe('AI Proxy Deployment', () => {
       expect(content).toContain('Access-Control-Allow-Headers');
     });
 
-    it('ai-proxy.js proxies to OpenRouter', () => {
+    it('ai-proxy.js streams server-sent events without buffering', () => {
       const content = readFileSync(AI_PROXY_PATH, 'utf-8');
 
-      expect(content).toContain('openrouter.ai/api/v1/chat/completions');
-      expect(content).toContain('proxyToOpenRouter');
+      expect(content).toContain('body.stream === true');
+      expect(content).toContain('tapEventStream(upstream.body');
+      expect(content).toContain('"Content-Type": "text/event-stream"');
+      expect(content).toContain('"X-Accel-Buffering": "no"');
+      expect(content).toContain('provider.chat(body, { apiKey, signal: req.signal })');
+    });
+
+    it('ai-proxy.js proxies to OpenRouter by default', () => {
+      const content = readFileSync(AI_PROVIDERS_PATH, 'utf-8');
+
+      expect(content).toContain("baseUrl: 'https://openrouter.ai/api/v1'");
+      expect(content).toContain('/chat/completions');
+      expect(content).toContain("type = 'openrouter'");
     });
   });
 
@@ -0,0 +1,131 @@
+/**
+ * Integration tests for vibes.config.json project branding (project-config.js)
+ *
+ * Writes a project folder with a config to a temp dir and assembles into it.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { loadProjectConfig, applyProjectConfig, findProjectConfig } from '../../lib/project-config.js';
+import { assembleApp } from '../../lib/assemble-app.js';
+import { getTemplate } from '../../templates/registry.js';
+
+const APP = 'export default function App() { return <div>Hello</div>; }';
+
+describe('project config', () => {
+  let projectDir;
+
+  const writeConfig = (config) => {
+    writeFileSync(join(projectDir, 'vibes.config.json'), JSON.stringify(config));
+  };
+
+  beforeEach(() => {
+    projectDir = mkdtempSync(join(tmpdir(), 'vibes-config-'));
+    mkdirSync(join(projectDir, 'brand'));
+    mkdirSync(join(projectDir, 'riffs/riff-1'), { recursive: true });
+    writeFileSync(join(projectDir, 'app.jsx'), APP);
+  });
+
+  afterEach(() => {
+    rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  it('finds the config in a parent directory', () => {
+    writeConfig({ title: 'Acme' });
+
+    expect(findProjectConfig(join(projectDir, 'riffs/riff-1'))).toBe(join(projectDir, 'vibes.config.json'));
+  });
+
+  it('returns no config when there is none', () => {
+    const result = loadProjectConfig(projectDir);
+
+    expect(result.success).toBe(true);
+    expect(result.config).toBeNull();
+  });
+
+  it('rejects unknown keys and wrong types', () => {
+    writeConfig({ colour: 'red', fonts: 'Inter', cssVariables: { primary: 'red' } });
+
+    const result = loadProjectConfig(projectDir);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Unknown key "colour"');
+    expect(result.error).toContain('"fonts" must be an array');
+    expect(result.error).toContain('CSS variable "primary" must start with --');
+  });
+
+  it('adds title, fonts, CSS variables and the head fragment to <head>', () => {
+    writeFileSync(join(projectDir, 'brand/head.html'), '<meta name="theme-color" content="#123456" />');
+    writeConfig({
+      title: 'Acme',
+      head: './brand/head.html',
+      fonts: ['https://fonts.example.com/inter.css'],
+      fontFamily: 'Inter, sans-serif',
+      cssVariables: { '--vibes-cream': '#fdf6e3' }
+    });
+    const { config } = loadProjectConfig(projectDir);
+
+    const result = applyProjectConfig('<html>\n  <head>\n    <title>Old</title>\n  </head>\n</html>', config);
+
+    expect(result.success).toBe(true);
+    expect(result.html).toContain('<title>Acme</title>');
+    const head = result.html.slice(0, result.html.indexOf('</head>'));
+    expect(head).toContain('<link rel="stylesheet" href="https://fonts.example.com/inter.css" />');
+    expect(head).toContain('--vibes-cream: #fdf6e3;');
+    expect(head).toContain('font-family: Inter, sans-serif;');
+    expect(head).toContain('<meta name="theme-color" content="#123456" />');
+  });
+
+  it('brands vibes and riff assemblies but not sell', () => {
+    writeConfig({ cssVariables: { '--vibes-cream': '#fdf6e3' } });
+
+    const vibes = assembleApp(join(projectDir, 'app.jsx'), { cwd: projectDir });
+    const riff = assembleApp(join(projectDir, 'app.jsx'), { template: 'riff', cwd: projectDir });
+    const sell = assembleApp(join(projectDir, 'app.jsx'), { template: 'sell', cwd: projectDir });
+
+    expect(vibes.html).toContain('data-vibes-config');
+    expect(riff.html).toContain('data-vibes-config');
+    expect(sell.html).not.toContain('data-vibes-config');
+    expect(vibes.files).toContain(join(projectDir, 'vibes.config.json'));
+  });
+
+  it('uses the config next to the app, not the one in the working directory', () => {
+    writeConfig({ title: 'Acme' });
+    const otherDir = mkdtempSync(join(tmpdir(), 'vibes-cwd-'));
+    writeFileSync(join(otherDir, 'vibes.config.json'), JSON.stringify({ title: 'Elsewhere' }));
+
+    try {
+      const result = assembleApp(join(projectDir, 'app.jsx'), { cwd: otherDir });
+
+      expect(result.html).toContain('<title>Acme</title>');
+      expect(result.files).toContain(join(projectDir, 'vibes.config.json'));
+    } finally {
+      rmSync(otherDir, { recursive: true, force: true });
+    }
+  });
+
+  it('uses a custom template from the config', () => {
+    const vibesTemplate = readFileSync(getTemplate('vibes').template.template, 'utf8');
+    writeFileSync(join(projectDir, 'brand/index.html'), vibesTemplate.replace('<title>Made on Vibes DIY</title>', '<title>Acme House</title>'));
+    writeConfig({ template: './brand/index.html' });
+
+    const result = assembleApp(join(projectDir, 'app.jsx'), { cwd: projectDir });
+
+    expect(result.success).toBe(true);
+    expect(result.html).toContain('<title>Acme House</title>');
+    expect(result.html).toContain('return <div>Hello</div>;');
+  });
+
+  it('requires the app placeholder in a custom template', () => {
+    writeFileSync(join(projectDir, 'brand/index.html'), '<html><head></head><body></body></html>');
+    writeConfig({ template: './brand/index.html' });
+
+    const result = assembleApp(join(projectDir, 'app.jsx'), { cwd: projectDir });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Template missing placeholder: // __VIBES_APP_CODE__');
+    expect(result.error).toContain('vibes.config.json');
+  });
+});
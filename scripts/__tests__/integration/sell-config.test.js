@@ -0,0 +1,194 @@
+/**
+ * Integration tests for sell.config.json / sell.config.yaml (sell-config.js)
+ *
+ * Writes config files to a temp folder.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { findSellConfig, loadSellConfig, validateSellConfig, resolveSellSettings } from '../../lib/sell-config.js';
+
+const YAML_CONFIG = `clerkKey: pk_test_abc123
+appName: wedding-photos
+appTitle: Wedding Photos
+domain: myapp.exe.xyz
+monthlyPrice: 9
+yearlyPrice: "$89.00"
+features:
+  - Photo sharing
+  - Guest uploads
+adminIds: [user_2abc]
+tiers:
+  - { slug: free, price: 0, features: [One album], entitlements: [albums] }
+  - { slug: pro, name: Pro, price: "$12", interval: month, entitlements: ["*"] }
+`;
+
+describe('sell config', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'vibes-sell-config-'));
+    mkdirSync(join(dir, 'app'));
+    writeFileSync(join(dir, 'sell.config.yaml'), YAML_CONFIG);
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('finds the config in the first directory that has one', () => {
+    expect(findSellConfig([join(dir, 'app'), dir])).toBe(join(dir, 'sell.config.yaml'));
+
+    writeFileSync(join(dir, 'app', 'sell.config.json'), '{}');
+    expect(findSellConfig([join(dir, 'app'), dir])).toBe(join(dir, 'app', 'sell.config.json'));
+  });
+
+  it('loads YAML with lists and numeric prices', () => {
+    const result = loadSellConfig(join(dir, 'sell.config.yaml'));
+
+    expect(result.success).toBe(true);
+    expect(result.config.features).toEqual(['Photo sharing', 'Guest uploads']);
+    expect(result.config.monthlyPrice).toBe('$9');
+    expect(result.config.tiers[0].price).toBe('$0');
+    expect(validateSellConfig(result.config)).toEqual([]);
+  });
+
+  it('accepts only known routing modes', () => {
+    expect(validateSellConfig({ routing: 'path' })).toEqual([]);
+    expect(validateSellConfig({ routing: 'paths' })).toEqual(['routing must be one of: subdomain, path']);
+  });
+
+  it('validates reserved subdomains and the registry URL with the shared validator rules', () => {
+    const errors = validateSellConfig({
+      reservedSubdomains: ['shop', 'Bad_Name', '-x'],
+      subdomainRegistry: 'http://example.com/check'
+    });
+
+    expect(errors).toEqual([
+      'reservedSubdomains must be valid DNS labels (got "Bad_Name", "-x")',
+      'subdomainRegistry must be an https:// URL answering GET ?subdomain=<name> with { "available": true|false }'
+    ]);
+    expect(validateSellConfig({ reservedSubdomains: ['shop'], subdomainRegistry: 'https://api.example.com/subdomains' })).toEqual([]);
+  });
+
+  it('validates pricing tiers', () => {
+    const errors = validateSellConfig({
+      tiers: [
+        { slug: 'pro', price: '$9' },
+        { slug: 'pro', price: 'nine', interval: 'week', perks: [] },
+        { name: 'No slug', price: '$1', entitlements: 'export' },
+        { slug: 'team', price: '$29', seats: 0 }
+      ]
+    });
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatch(/^tiers are invalid: /);
+    expect(errors[0]).toContain('tier 2 (pro) has unknown key(s) perks');
+    expect(errors[0]).toContain('tier 2 (pro) repeats slug "pro"');
+    expect(errors[0]).toContain('tier 2 (pro) price must be a price');
+    expect(errors[0]).toContain('tier 2 (pro) interval must be one of: month, year');
+    expect(errors[0]).toContain('tier 3 needs a slug');
+    expect(errors[0]).toContain('tier 3 entitlements must be a list of strings');
+    expect(errors[0]).toContain('tier 4 (team) seats must be a positive whole number');
+  });
+
+  it('rejects unknown keys and unparseable files', () => {
+    writeFileSync(join(dir, 'bad.json'), '{ "clerk_key": "pk_test_x" }');
+    expect(loadSellConfig(join(dir, 'bad.json')).error).toContain('Unknown key "clerk_key"');
+
+    writeFileSync(join(dir, 'broken.json'), '{ "appName": ');
+    expect(loadSellConfig(join(dir, 'broken.json')).error).toMatch(/^Could not parse .*broken\.json/);
+  });
+
+  it('checks app names with the DNS label rules subdomain claims use', () => {
+    expect(validateSellConfig({ appName: 'photo-share' })).toEqual([]);
+    expect(validateSellConfig({ appName: 'xn--photos' })).toEqual([
+      "appName must be subdomain-safe: can't have hyphens in the third and fourth positions"
+    ]);
+  });
+
+  it('validates key prefixes, app names, domains and prices', () => {
+    const errors = validateSellConfig({
+      clerkKey: 'sk_live_secret',
+      appName: 'Wedding_Photos',
+      domain: 'https://myapp.exe.xyz',
+      monthlyPrice: '9 dollars',
+      adminIds: ['admin@example.com']
+    }, { appName: '--app-name' });
+
+    expect(errors).toHaveLength(5);
+    expect(errors[0]).toMatch(/^clerkKey is a Clerk secret key/);
+    expect(errors[1]).toMatch(/^appName must be subdomain-safe.*\(from --app-name\)$/);
+    expect(errors[2]).toMatch(/^domain must be a bare domain name/);
+    expect(errors[3]).toMatch(/^monthlyPrice must be a price/);
+    expect(errors[4]).toContain('"admin@example.com"');
+  });
+
+  it('lets flags override config values', () => {
+    const result = resolveSellSettings({
+      flags: { appName: 'photo-share', features: '["Albums"]', precompile: true },
+      searchDirs: [dir]
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.path).toBe(join(dir, 'sell.config.yaml'));
+    expect(result.values.appName).toBe('photo-share');
+    expect(result.values.features).toEqual(['Albums']);
+    expect(result.values.clerkKey).toBe('pk_test_abc123');
+    expect(result.values).not.toHaveProperty('precompile');
+  });
+
+  it('reports every problem, naming where each value came from', () => {
+    const result = resolveSellSettings({
+      flags: { clerkKey: 'pk_prod_x', adminIds: '[user_1' },
+      configPath: join(dir, 'sell.config.yaml')
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/^Invalid sell configuration:/);
+    expect(result.error).toContain('adminIds must be a JSON array');
+    expect(result.error).toContain('clerkKey must be a Clerk publishable key starting with pk_test_ or pk_live_ (from --clerk-key)');
+  });
+
+  it('loads a landing spec inline, from a file next to the config, or from --landing', () => {
+    writeFileSync(join(dir, 'landing.yaml'), 'sections:\n  - { type: hero, title: Share every moment }\n  - { type: faq, items: [{ question: Why?, answer: Because }] }\n');
+    writeFileSync(join(dir, 'sell.config.yaml'), `${YAML_CONFIG}landing: landing.yaml\n`);
+
+    const fromConfig = resolveSellSettings({ flags: {}, searchDirs: [dir] });
+    expect(fromConfig.success).toBe(true);
+    expect(fromConfig.values.landing.sections[0]).toEqual({ type: 'hero', title: 'Share every moment' });
+
+    writeFileSync(join(dir, 'app', 'landing.json'), JSON.stringify({ theme: { accent: '#7c3aed' } }));
+    const fromFlag = resolveSellSettings({ flags: { landing: join(dir, 'app', 'landing.json') }, searchDirs: [dir] });
+    expect(fromFlag.values.landing).toEqual({ theme: { accent: '#7c3aed' } });
+
+    writeFileSync(join(dir, 'sell.config.yaml'), `${YAML_CONFIG}landing:\n  sections: [{ type: features }]\n`);
+    expect(resolveSellSettings({ flags: {}, searchDirs: [dir] }).error).toContain('landing is invalid: sections need exactly one hero');
+
+    const missing = resolveSellSettings({ flags: { landing: join(dir, 'nope.yaml') }, searchDirs: [dir] });
+    expect(missing.error).toMatch(/Landing spec not found: .*nope\.yaml \(from --landing\)/);
+  });
+
+  it('validates trial, grace period and billing settings', () => {
+    writeFileSync(join(dir, 'sell.config.yaml'), `${YAML_CONFIG}trialDays: 14\ntrialTier: pro\nbilling: { portal: "https://billing.stripe.com/p/login/abc", plans: /#pricing }\n`);
+    const result = resolveSellSettings({ flags: { gracePeriodDays: '3' }, searchDirs: [dir] });
+    expect(result.success).toBe(true);
+    expect(result.values).toMatchObject({ trialDays: 14, trialTier: 'pro', gracePeriodDays: 3, billing: { plans: '/#pricing' } });
+
+    const invalid = resolveSellSettings({
+      flags: { trialDays: 'two weeks', trialTier: 'enterprise', billing: '{"portal":"javascript:alert(1)","help":"/help"}' },
+      searchDirs: [dir]
+    });
+    expect(invalid.error).toContain('trialDays must be a whole number of days from 0 to 365 (from --trial-days)');
+    expect(invalid.error).toContain('trialTier "enterprise" is not one of the tiers (from --trial-tier)');
+    expect(invalid.error).toContain('billing is invalid: portal must be an https:// URL or a path starting with /; has unknown key help (expected one of: portal, plans)');
+  });
+
+  it('works without a config file', () => {
+    const result = resolveSellSettings({ flags: { appName: 'demo' }, searchDirs: [join(dir, 'app')] });
+
+    expect(result).toEqual({ success: true, values: { appName: 'demo' }, path: null });
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * Integration tests for the template registry and template-driven assembly
+ *
+ * Project templates are written to a temp folder as .vibes/templates/<id>.json.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { getTemplate, listTemplates, validateTemplateDefinition } from '../../templates/registry.js';
+import { assembleApp, resolveTemplateOptions } from '../../lib/assemble-app.js';
+import { detectSellRouting } from '../../lib/sell-routing.js';
+import { detectSellAdminSettings } from '../../lib/sell-admin-api.js';
+
+const APP = `import React from "react";
+export default function App() {
+  return <div>Hello</div>;
+}`;
+
+const HOUSE_TEMPLATE = `<html><head><title>__TEAM__</title></head><body>
+<script type="text/babel" data-type="module">
+  /* FOOTER */
+  // __HOUSE_APP__
+</script></body></html>`;
+
+describe('template registry', () => {
+  let projectDir;
+
+  beforeEach(() => {
+    projectDir = mkdtempSync(join(tmpdir(), 'vibes-templates-'));
+    mkdirSync(join(projectDir, '.vibes/templates'), { recursive: true });
+    mkdirSync(join(projectDir, 'house'));
+    writeFileSync(join(projectDir, 'house/house.html'), HOUSE_TEMPLATE);
+    writeFileSync(join(projectDir, 'house/footer.jsx'), 'import React from "react";\nconst Footer = () => <footer />;');
+    writeFileSync(join(projectDir, '.vibes/templates/house.json'), JSON.stringify({
+      id: 'house',
+      template: '../../house/house.html',
+      appPlaceholder: '// __HOUSE_APP__',
+      strip: ['imports'],
+      options: [{ name: 'team', placeholder: '__TEAM__', required: true }],
+      inserts: [{ placeholder: '/* FOOTER */', file: '../../house/footer.jsx', strip: ['imports'] }]
+    }));
+    writeFileSync(join(projectDir, 'app.jsx'), APP);
+  });
+
+  afterEach(() => {
+    rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  it('has the built-in templates', () => {
+    for (const id of ['vibes', 'riff', 'sell']) {
+      const result = getTemplate(id);
+      expect(result.success).toBe(true);
+      expect(validateTemplateDefinition(result.template)).toEqual([]);
+    }
+  });
+
+  it('loads project templates with paths relative to the definition', () => {
+    const result = getTemplate('house', { cwd: projectDir });
+
+    expect(result.success).toBe(true);
+    expect(result.template.template).toBe(join(projectDir, 'house/house.html'));
+    expect(listTemplates({ cwd: projectDir }).map(t => t.id)).toEqual(['vibes', 'riff', 'sell', 'house']);
+  });
+
+  it('reports unknown templates with the available ids', () => {
+    const result = getTemplate('nope', { cwd: projectDir });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('available: vibes, riff, sell, house');
+  });
+
+  it('rejects malformed definitions', () => {
+    const path = join(projectDir, 'bad.json');
+    writeFileSync(path, JSON.stringify({ id: 'bad', template: 'missing.html', strip: ['comments'] }));
+
+    const result = getTemplate(path, { cwd: projectDir });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Template not found');
+    expect(result.error).toContain('Missing "appPlaceholder"');
+    expect(result.error).toContain('Unknown strip rule "comments"');
+  });
+
+  it('assembles into a project template with options, strip rules and inserts', () => {
+    const result = assembleApp(join(projectDir, 'app.jsx'), {
+      template: 'house',
+      values: { team: 'Acme' },
+      cwd: projectDir
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.html).toContain('<title>Acme</title>');
+    expect(result.html).toContain('const Footer = () => <footer />;');
+    expect(result.html).toContain('export default function App()');
+    expect(result.html).not.toContain('import React');
+    expect(result.files).toContain(join(projectDir, 'house/footer.jsx'));
+  });
+
+  it('requires required options', () => {
+    const result = assembleApp(join(projectDir, 'app.jsx'), { template: 'house', cwd: projectDir });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Missing required option --team');
+  });
+
+  it('fills sell options with defaults and JSON values', () => {
+    const { template } = getTemplate('sell');
+    const { replacements, warnings } = resolveTemplateOptions(template, {
+      appName: 'wedding-photos',
+      features: '["Albums"]',
+      adminIds: 'not json'
+    });
+
+    expect(replacements.__APP_TITLE__).toBe('wedding-photos');
+    expect(replacements.__FEATURES__).toBe('["Albums"]');
+    expect(replacements.__ADMIN_USER_IDS__).toBe('[]');
+    expect(replacements.__MONTHLY_PRICE__).toBe('$9');
+    expect(warnings).toEqual(['Could not parse --admin-ids as JSON, using default']);
+  });
+
+  it('fills sell pricing tiers', () => {
+    const tiers = [{ slug: 'pro', price: '$9', interval: 'month', entitlements: ['export'] }];
+    const result = assembleApp(join(projectDir, 'app.jsx'), { template: 'sell', values: { tiers } });
+
+    expect(result.success).toBe(true);
+    expect(result.html).toContain(`tiers: ${JSON.stringify(tiers)},`);
+    expect(result.html).toContain('window.useEntitlement = useEntitlement;');
+  });
+
+  it('fills the sell landing spec, escaping text that could end the script', () => {
+    const landing = { sections: [{ type: 'hero' }, { type: 'faq', items: [{ question: 'Embed?', answer: 'No </script> here' }] }] };
+    const result = assembleApp(join(projectDir, 'app.jsx'), { template: 'sell', values: { landing } });
+
+    expect(result.success).toBe(true);
+    expect(result.html).not.toContain('No </script>');
+    const line = result.html.match(/^\s*landing: (.*?),?$/m)[1];
+    expect(JSON.parse(line)).toEqual(landing);
+    expect(assembleApp(join(projectDir, 'app.jsx'), { template: 'sell' }).html).toMatch(/^\s*landing: \{\},?$/m);
+  });
+
+  it('fills the sell lifecycle settings where the admin API deploy reads them', () => {
+    const values = { trialDays: 14, trialTier: 'pro', gracePeriodDays: 3, billing: { portal: 'https://billing.example.com' } };
+    const result = assembleApp(join(projectDir, 'app.jsx'), { template: 'sell', values: { ...values, adminIds: ['user_1'] } });
+
+    expect(result.success).toBe(true);
+    expect(result.html).toContain('billing: {"portal":"https://billing.example.com"}');
+    expect(result.html).toContain('window.useSubscription = useSubscription;');
+    expect(detectSellAdminSettings(result.html.replace('pk_test_YOUR_KEY_HERE', 'pk_test_abc')).lifecycle)
+      .toEqual({ trialDays: 14, trialTier: 'pro', gracePeriodDays: 3 });
+
+    const defaults = assembleApp(join(projectDir, 'app.jsx'), { template: 'sell' });
+    expect(defaults.html).toMatch(/^\s*trialDays: 0,$/m);
+    expect(defaults.html).toMatch(/^\s*gracePeriodDays: 7,$/m);
+  });
+
+  it('bakes the routing mode into the sell page', () => {
+    const path = assembleApp(join(projectDir, 'app.jsx'), { template: 'sell', values: { routing: 'path' } });
+    const subdomain = assembleApp(join(projectDir, 'app.jsx'), { template: 'sell' });
+
+    expect(detectSellRouting(path.html)).toBe('path');
+    expect(detectSellRouting(subdomain.html)).toBe('subdomain');
+  });
+
+  it('assembles the sell template with the admin component', () => {
+    const result = assembleApp(join(projectDir, 'app.jsx'), { template: 'sell', values: { appName: 'demo' } });
+
+    expect(result.success).toBe(true);
+    expect(result.html).not.toContain('__VIBES_APP_CODE__');
+    expect(result.html).not.toContain('__ADMIN_CODE__');
+    expect(result.html).not.toContain('__APP_NAME__');
+    expect(result.html).toContain('tiers: [],');
+    expect(result.html).toContain("['overview', 'tenants', 'revenue', 'members', 'config']");
+    expect(result.html).toContain('function validateSubdomain(name, options = {})');
+    expect(result.html).not.toContain('export function validateSubdomain');
+    expect(result.html).toContain('reservedSubdomains: [],');
+    expect(result.html).toContain('function App()');
+    expect(result.html).not.toContain('export default function App');
+  });
+
+  it('warns about sell app imports missing from the import map', () => {
+    writeFileSync(join(projectDir, 'charts.jsx'), `import React from "react";
+import { LineChart } from "recharts";
+import { useFireproof } from "use-fireproof";
+${APP.split('\n').slice(1).join('\n')}`);
+
+    const result = assembleApp(join(projectDir, 'charts.jsx'), { template: 'sell', values: { appName: 'demo' } });
+
+    expect(result.success).toBe(true);
+    expect(result.warnings).toEqual([
+      'Import "recharts" (line 2) is not in the template\'s import map and will fail to load; add it with --add-imports (https://esm.sh/recharts?external=react,react-dom)'
+    ]);
+    expect(result.html).not.toContain('from "recharts"');
+  });
+
+  it('adds unmapped imports to the import map on request', () => {
+    writeFileSync(join(projectDir, 'dates.jsx'), `import { format } from "date-fns";\n${APP}`);
+
+    const result = assembleApp(join(projectDir, 'dates.jsx'), { template: 'vibes', addImports: true });
+
+    expect(result.success).toBe(true);
+    expect(result.warnings).toEqual([]);
+    expect(result.addedImports.map(i => i.source)).toEqual(['date-fns']);
+    expect(result.html).toContain('"date-fns": "https://esm.sh/date-fns?external=react,react-dom"');
+    expect(result.html).toContain('"use-vibes": "https://esm.sh/use-vibes@0.18.9?external=react,react-dom"');
+  });
+
+  it('keeps the first line of sell app code out of the placeholder comment', () => {
+    writeFileSync(join(projectDir, 'plain.jsx'), 'export default function App() {\n  return <div>Hello</div>;\n}');
+
+    const result = assembleApp(join(projectDir, 'plain.jsx'), { template: 'sell', precompile: true });
+
+    expect(result.success).toBe(true);
+    expect(result.html).not.toMatch(/\/\/.*function App\(\)/);
+  });
+});
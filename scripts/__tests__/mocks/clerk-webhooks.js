@@ -312,6 +312,46 @@ export function createInvoicePaymentFailedEvent(options = {}) {
   };
 }
 
+// ============== Organization Membership Events ==============
+
+/**
+ * Create organizationMembership.created/updated/deleted webhook event
+ */
+export function createOrganizationMembershipEvent(options = {}) {
+  const {
+    type = 'organizationMembership.created',
+    membershipId = `orgmem_${Date.now()}`,
+    orgId = `org_${Date.now()}`,
+    orgSlug = 'acme',
+    userId = `user_${Date.now()}`,
+    role = 'org:admin',
+    createdAt = Date.now(),
+    secret = DEFAULT_SECRET
+  } = options;
+
+  const payload = {
+    type,
+    data: {
+      id: membershipId,
+      object: 'organization_membership',
+      organization: { id: orgId, slug: orgSlug, name: orgSlug },
+      public_user_data: { user_id: userId, identifier: `${userId}@example.com` },
+      role,
+      created_at: createdAt,
+      updated_at: createdAt
+    },
+    object: 'event'
+  };
+
+  const headers = generateSvixHeaders(payload, secret);
+
+  return {
+    payload,
+    headers,
+    request: createMockRequest(payload, headers)
+  };
+}
+
 // ============== Test Helpers ==============
 
 /**
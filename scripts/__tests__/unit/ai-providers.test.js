@@ -0,0 +1,261 @@
+/**
+ * Unit tests for ai-providers.js
+ *
+ * Tests the AI proxy's provider backends against a stubbed fetch: where each
+ * sends requests, model IDs, OpenRouter key provisioning, and the translation
+ * of Anthropic requests, responses and event streams to the OpenAI shape.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  AI_PROVIDERS,
+  checkProviderSettings,
+  providerModel,
+  providerDefaultModel,
+  unmappedModels,
+  createProvider,
+  toAnthropicRequest,
+  fromAnthropicResponse,
+  fromAnthropicStream
+} from '../../lib/ai-providers.js';
+import { tapEventStream } from '../../lib/ai-proxy-limits.js';
+import { DEFAULT_MODEL, applyAIPolicy, checkPolicyDefaults, policyForTier } from '../../lib/ai-proxy-policy.js';
+
+const MESSAGES = [{ role: 'user', content: 'Hi' }];
+
+function stubFetch(respond = () => Response.json({ choices: [] })) {
+  const calls = [];
+  const fetch = async (url, init) => {
+    calls.push({ url, headers: init.headers, body: init.body && JSON.parse(init.body) });
+    return respond(url, init);
+  };
+  return { fetch, calls };
+}
+
+function eventStream(chunks) {
+  const encoder = new TextEncoder();
+  return new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+      controller.close();
+    }
+  });
+}
+
+function events(list) {
+  return list.map(([type, data]) => `event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`);
+}
+
+describe('checkProviderSettings', () => {
+  it('accepts each provider with what it needs', () => {
+    expect(checkProviderSettings({ type: 'openrouter', apiKey: 'sk-or' })).toBeNull();
+    expect(checkProviderSettings({ type: 'anthropic', apiKey: 'sk-ant' })).toBeNull();
+    expect(checkProviderSettings({ type: 'openai-compatible', baseUrl: 'http://127.0.0.1:11434/v1', model: 'llama3.2' })).toBeNull();
+  });
+
+  it('reports what is missing', () => {
+    expect(checkProviderSettings({ type: 'bedrock', apiKey: 'x' })).toBe('AI provider must be one of: openrouter, openai, openai-compatible, anthropic');
+    expect(checkProviderSettings({ type: 'openai' })).toBe('The openai provider needs an API key');
+    expect(checkProviderSettings({ type: 'openai-compatible', model: 'llama3.2' })).toContain('needs a base URL');
+    expect(checkProviderSettings({ type: 'openai-compatible', baseUrl: 'http://localhost:8080/v1' })).toContain('needs a default model');
+    expect(checkProviderSettings({ type: 'openai', apiKey: 'x', baseUrl: 'ftp://example.com' })).toBe('AI base URL must be an http(s) URL');
+  });
+});
+
+describe('model IDs', () => {
+  const SETTINGS = {
+    openrouter: { apiKey: 'sk-or' },
+    openai: { apiKey: 'sk-openai' },
+    'openai-compatible': { baseUrl: 'http://127.0.0.1:11434/v1', model: 'llama3.2' },
+    anthropic: { apiKey: 'sk-ant' }
+  };
+  const SENT = { openrouter: 'anthropic/claude-sonnet-4', openai: 'gpt-4o-mini', 'openai-compatible': 'llama3.2', anthropic: 'claude-sonnet-4-0' };
+
+  it('sends each provider\'s default model as an ID it knows', async () => {
+    for (const type of AI_PROVIDERS) {
+      const { fetch, calls } = stubFetch(() => Response.json({ content: [], usage: {} }));
+      const provider = createProvider({ type, ...SETTINGS[type], fetch });
+      const { body } = applyAIPolicy({ messages: MESSAGES }, {}, provider.defaultModel);
+
+      await provider.chat(body);
+      expect(calls[0].body.model).toBe(SENT[type]);
+      expect(unmappedModels(type, [provider.defaultModel])).toEqual([]);
+    }
+  });
+
+  it('names default models the OpenRouter way so policy allowlists admit them', () => {
+    for (const [type, allowed] of [['anthropic', 'anthropic/*'], ['openai', 'openai/*']]) {
+      const provider = createProvider({ type, ...SETTINGS[type] });
+      const policy = { allowedModels: [allowed] };
+      expect(checkPolicyDefaults(policy, provider.defaultModel)).toBeNull();
+      expect(applyAIPolicy({ messages: MESSAGES }, policyForTier(policy), provider.defaultModel).body.model).toBe(provider.defaultModel);
+    }
+    expect(providerDefaultModel('anthropic')).toBe('anthropic/claude-sonnet-4');
+    expect(providerDefaultModel('anthropic', 'claude-opus-4-1')).toBe('claude-opus-4-1');
+  });
+
+  it('maps OpenRouter IDs to the provider\'s own', () => {
+    expect(providerModel('anthropic', DEFAULT_MODEL)).toBe('claude-sonnet-4-0');
+    expect(providerModel('anthropic', 'anthropic/claude-3.5-haiku')).toBe('claude-3-5-haiku-latest');
+    expect(providerModel('anthropic', 'claude-opus-4-1-20250805')).toBe('claude-opus-4-1-20250805');
+    expect(providerModel('openai', 'openai/gpt-4o')).toBe('gpt-4o');
+    expect(providerModel('openrouter', DEFAULT_MODEL)).toBe(DEFAULT_MODEL);
+  });
+
+  it('finds models the provider has no ID for', () => {
+    expect(providerModel('anthropic', 'anthropic/claude-2')).toBeNull();
+    expect(providerModel('openai', DEFAULT_MODEL)).toBeNull();
+    expect(unmappedModels('anthropic', [DEFAULT_MODEL, 'anthropic/*', 'openai/*', 'openai/gpt-4o'])).toEqual(['openai/*', 'openai/gpt-4o']);
+    expect(unmappedModels('openai', [DEFAULT_MODEL, 'openai/*', 'gpt-4.1'])).toEqual([DEFAULT_MODEL]);
+    expect(unmappedModels('openrouter', [DEFAULT_MODEL, 'openai/*'])).toEqual([]);
+  });
+
+  it('refuses requests for models the provider has no ID for', async () => {
+    const { fetch, calls } = stubFetch();
+    const response = await createProvider({ type: 'openai', apiKey: 'sk-openai', fetch }).chat({ model: DEFAULT_MODEL, messages: MESSAGES });
+    expect(response.status).toBe(400);
+    expect((await response.json()).error.message).toBe('Model anthropic/claude-sonnet-4 is not available from the openai provider');
+    expect(calls).toHaveLength(0);
+  });
+});
+
+describe('OpenAI-shaped providers', () => {
+  it('sends OpenRouter requests with the given key and can provision sub-keys', async () => {
+    const { fetch, calls } = stubFetch((url) => (url.endsWith('/keys') ? Response.json({ key: 'sk-or-tenant' }) : Response.json({ choices: [] })));
+    const provider = createProvider({ apiKey: 'sk-or-operator', fetch });
+
+    await provider.chat({ model: 'anthropic/claude-sonnet-4', messages: MESSAGES }, { apiKey: 'sk-or-tenant' });
+    expect(calls[0].url).toBe('https://openrouter.ai/api/v1/chat/completions');
+    expect(calls[0].headers.Authorization).toBe('Bearer sk-or-tenant');
+    expect(calls[0].headers['X-Title']).toBe('Vibes App');
+    expect(calls[0].body.model).toBe('anthropic/claude-sonnet-4');
+
+    expect(await provider.provisionKey('vibes-tenant-acme', 5)).toBe('sk-or-tenant');
+    expect(calls[1]).toMatchObject({ url: 'https://openrouter.ai/api/v1/keys', body: { name: 'vibes-tenant-acme', limit: 5, limit_reset: 'monthly' } });
+    expect(calls[1].headers.Authorization).toBe('Bearer sk-or-operator');
+  });
+
+  it('drops the vendor prefix for OpenAI and has no sub-keys', async () => {
+    const { fetch, calls } = stubFetch();
+    const provider = createProvider({ type: 'openai', apiKey: 'sk-openai', fetch });
+
+    await provider.chat({ model: 'openai/gpt-4o', messages: MESSAGES });
+    expect(calls[0].url).toBe('https://api.openai.com/v1/chat/completions');
+    expect(calls[0].headers.Authorization).toBe('Bearer sk-openai');
+    expect(calls[0].body.model).toBe('gpt-4o');
+    expect(provider.provisionKey).toBeUndefined();
+    expect(provider.defaultModel).toBe('openai/gpt-4o-mini');
+  });
+
+  it('sends OpenAI-compatible requests to the base URL, without a key if there is none', async () => {
+    const { fetch, calls } = stubFetch();
+    const provider = createProvider({ type: 'openai-compatible', baseUrl: 'http://127.0.0.1:11434/v1/', model: 'llama3.2', fetch });
+
+    await provider.chat({ model: 'llama3.2', messages: MESSAGES, stream: true });
+    expect(calls[0].url).toBe('http://127.0.0.1:11434/v1/chat/completions');
+    expect(calls[0].headers.Authorization).toBeUndefined();
+    expect(calls[0].body).toEqual({ model: 'llama3.2', messages: MESSAGES, stream: true });
+    expect(provider.defaultModel).toBe('llama3.2');
+  });
+});
+
+describe('Anthropic translation', () => {
+  it('translates requests to the Messages API', () => {
+    const request = toAnthropicRequest({
+      model: 'claude-sonnet-4-0',
+      messages: [
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: [{ type: 'text', text: 'What is this?' }, { type: 'image_url', image_url: { url: 'data:image/png;base64,iVBOR' } }] },
+        { role: 'assistant', content: 'A cat.' },
+        { role: 'user', content: [{ type: 'image_url', image_url: { url: 'https://example.com/dog.jpg' } }] }
+      ],
+      temperature: 0.3,
+      stop: 'END',
+      stream: true,
+      stream_options: { include_usage: true }
+    });
+
+    expect(request).toEqual({
+      model: 'claude-sonnet-4-0',
+      max_tokens: 4096,
+      system: 'Be brief.',
+      messages: [
+        { role: 'user', content: [{ type: 'text', text: 'What is this?' }, { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'iVBOR' } }] },
+        { role: 'assistant', content: 'A cat.' },
+        { role: 'user', content: [{ type: 'image', source: { type: 'url', url: 'https://example.com/dog.jpg' } }] }
+      ],
+      temperature: 0.3,
+      stop_sequences: ['END'],
+      stream: true
+    });
+    expect(toAnthropicRequest({ model: 'claude-3-5-haiku-latest', messages: MESSAGES, max_tokens: 200 }).max_tokens).toBe(200);
+  });
+
+  it('translates responses to chat completions', () => {
+    const completion = fromAnthropicResponse({
+      id: 'msg_1',
+      model: 'claude-sonnet-4-0',
+      content: [{ type: 'text', text: 'Hello' }, { type: 'text', text: ' there' }],
+      stop_reason: 'max_tokens',
+      usage: { input_tokens: 12, output_tokens: 3 }
+    });
+
+    expect(completion).toMatchObject({
+      id: 'msg_1',
+      object: 'chat.completion',
+      model: 'claude-sonnet-4-0',
+      choices: [{ index: 0, message: { role: 'assistant', content: 'Hello there' }, finish_reason: 'length' }],
+      usage: { prompt_tokens: 12, completion_tokens: 3, total_tokens: 15 }
+    });
+  });
+
+  it('translates event streams to chat completion chunks with usage', async () => {
+    const upstream = eventStream(events([
+      ['message_start', { message: { id: 'msg_1', model: 'claude-sonnet-4-0', usage: { input_tokens: 12, output_tokens: 1 } } }],
+      ['content_block_start', { index: 0, content_block: { type: 'text', text: '' } }],
+      ['ping', {}],
+      ['content_block_delta', { index: 0, delta: { type: 'text_delta', text: 'Hel' } }],
+      ['content_block_delta', { index: 0, delta: { type: 'text_delta', text: 'lo' } }],
+      ['content_block_stop', { index: 0 }],
+      ['message_delta', { delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 2 } }],
+      ['message_stop', {}]
+    ]).join('').match(/[\s\S]{1,40}/g));
+
+    const usages = [];
+    const text = await new Response(tapEventStream(fromAnthropicStream(upstream), usage => usages.push(usage))).text();
+    const chunks = text.split('\n\n').filter(Boolean).map(line => line.slice(6));
+
+    expect(chunks.at(-1)).toBe('[DONE]');
+    const parsed = chunks.slice(0, -1).map(chunk => JSON.parse(chunk));
+    expect(parsed.map(chunk => chunk.choices[0]?.delta.content).join('')).toBe('Hello');
+    expect(parsed.every(chunk => chunk.object === 'chat.completion.chunk' && chunk.id === 'msg_1')).toBe(true);
+    expect(parsed.find(chunk => chunk.choices[0]?.finish_reason)?.choices[0].finish_reason).toBe('stop');
+    expect(usages).toEqual([{ promptTokens: 12, completionTokens: 2, totalTokens: 14, cost: null }]);
+  });
+
+  it('passes stream errors on as error events', async () => {
+    const upstream = eventStream(events([['error', { error: { type: 'overloaded_error', message: 'Overloaded' } }]]));
+    const text = await new Response(fromAnthropicStream(upstream)).text();
+    expect(JSON.parse(text.slice(6))).toEqual({ error: { message: 'Overloaded', type: 'overloaded_error' } });
+  });
+
+  it('calls the Messages API and answers in the OpenAI shape', async () => {
+    const { fetch, calls } = stubFetch(() => Response.json({ id: 'msg_1', model: 'claude-sonnet-4-0', content: [{ type: 'text', text: 'Hi' }], stop_reason: 'end_turn', usage: { input_tokens: 1, output_tokens: 1 } }));
+    const provider = createProvider({ type: 'anthropic', apiKey: 'sk-ant', fetch });
+
+    const response = await provider.chat({ model: 'anthropic/claude-sonnet-4', messages: MESSAGES });
+    expect(calls[0].url).toBe('https://api.anthropic.com/v1/messages');
+    expect(calls[0].body.model).toBe('claude-sonnet-4-0');
+    expect(calls[0].headers['x-api-key']).toBe('sk-ant');
+    expect(calls[0].headers['anthropic-version']).toBe('2023-06-01');
+    expect((await response.json()).choices[0].message.content).toBe('Hi');
+    expect(provider.provisionKey).toBeUndefined();
+  });
+
+  it('translates Anthropic errors', async () => {
+    const { fetch } = stubFetch(() => Response.json({ type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }, { status: 529 }));
+    const response = await createProvider({ type: 'anthropic', apiKey: 'sk-ant', fetch }).chat({ model: 'claude-sonnet-4-0', messages: MESSAGES });
+    expect(response.status).toBe(503);
+    expect(await response.json()).toEqual({ error: { message: 'Overloaded', type: 'overloaded_error' } });
+  });
+});
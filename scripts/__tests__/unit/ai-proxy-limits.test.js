@@ -0,0 +1,192 @@
+/**
+ * Unit tests for ai-proxy-limits.js
+ *
+ * Tests the AI proxy's rate limiter (requests per minute, tokens per day,
+ * concurrency, per user and per tenant), reading limits from the environment
+ * and picking token usage out of responses and event streams.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_RATE_LIMITS,
+  rateLimitsFromEnv,
+  dayStart,
+  monthStart,
+  createRateLimiter,
+  usageFromResponse,
+  tapEventStream
+} from '../../lib/ai-proxy-limits.js';
+import { aiProxyLimitsEnv } from '../../lib/ai-proxy-settings.js';
+
+const NOON = Date.UTC(2026, 9, 18, 12, 0, 0);
+const OFF = { requestsPerMinute: 0, tokensPerDay: 0, concurrency: 0 };
+
+function limiterWith({ user = OFF, tenant = OFF, tokens = {} } = {}) {
+  const clock = { now: NOON };
+  const limiter = createRateLimiter({
+    limits: { user: { ...OFF, ...user }, tenant: { ...OFF, ...tenant } },
+    tokensUsed: (scope, id) => tokens[`${scope}:${id}`] || 0,
+    now: () => clock.now
+  });
+  return { limiter, clock };
+}
+
+function eventStream(chunks) {
+  const encoder = new TextEncoder();
+  return new ReadableStream({
+    start(controller) {
+      chunks.forEach(chunk => controller.enqueue(encoder.encode(chunk)));
+      controller.close();
+    }
+  });
+}
+
+describe('rateLimitsFromEnv', () => {
+  it('uses the defaults when nothing is set', () => {
+    expect(rateLimitsFromEnv({})).toEqual(DEFAULT_RATE_LIMITS);
+  });
+
+  it('reads whole numbers, including 0 for no limit', () => {
+    const limits = rateLimitsFromEnv({ VIBES_USER_REQUESTS_PER_MINUTE: '5', VIBES_USER_CONCURRENCY: '0', VIBES_TENANT_TOKENS_PER_DAY: '1000000' });
+    expect(limits.user).toEqual({ requestsPerMinute: 5, tokensPerDay: DEFAULT_RATE_LIMITS.user.tokensPerDay, concurrency: 0 });
+    expect(limits.tenant.tokensPerDay).toBe(1000000);
+  });
+
+  it('ignores invalid values', () => {
+    expect(rateLimitsFromEnv({ VIBES_USER_REQUESTS_PER_MINUTE: 'lots', VIBES_USER_CONCURRENCY: '-1' }).user).toEqual(DEFAULT_RATE_LIMITS.user);
+  });
+
+  it('round-trips through the deploy environment lines', () => {
+    const lines = aiProxyLimitsEnv({ user: { requestsPerMinute: 5 }, tenant: { concurrency: 10 } });
+    const env = Object.fromEntries(lines.map(line => line.split('=')));
+    expect(lines).toHaveLength(6);
+    expect(rateLimitsFromEnv(env)).toEqual({
+      user: { ...DEFAULT_RATE_LIMITS.user, requestsPerMinute: 5 },
+      tenant: { ...DEFAULT_RATE_LIMITS.tenant, concurrency: 10 }
+    });
+  });
+});
+
+describe('createRateLimiter', () => {
+  it('admits requests when every limit is off', () => {
+    const { limiter } = limiterWith();
+    for (let i = 0; i < 100; i++) {
+      expect(limiter.acquire({ user: '1.2.3.4' }).ok).toBe(true);
+    }
+  });
+
+  it('limits requests per minute with a sliding window', () => {
+    const { limiter, clock } = limiterWith({ user: { requestsPerMinute: 2 } });
+    expect(limiter.acquire({ user: 'user_1' }).ok).toBe(true);
+    clock.now += 20000;
+    limiter.acquire({ user: 'user_1' }).release();
+
+    const refused = limiter.acquire({ user: 'user_1' });
+    expect(refused).toEqual({ ok: false, scope: 'user', limit: 'requestsPerMinute', retryAfter: 40 });
+    expect(limiter.acquire({ user: 'user_2' }).ok).toBe(true);
+
+    clock.now += 40000;
+    expect(limiter.acquire({ user: 'user_1' }).ok).toBe(true);
+  });
+
+  it('limits concurrent requests until they are released', () => {
+    const { limiter } = limiterWith({ user: { concurrency: 1 } });
+    const first = limiter.acquire({ user: 'user_1' });
+    expect(limiter.acquire({ user: 'user_1' })).toEqual({ ok: false, scope: 'user', limit: 'concurrency', retryAfter: 1 });
+
+    first.release();
+    first.release();
+    const second = limiter.acquire({ user: 'user_1' });
+    expect(second.ok).toBe(true);
+    expect(limiter.acquire({ user: 'user_1' }).ok).toBe(false);
+  });
+
+  it('limits tokens per day until UTC midnight', () => {
+    const { limiter } = limiterWith({ user: { tokensPerDay: 1000 }, tokens: { 'user:user_1': 1000, 'user:user_2': 999 } });
+    expect(limiter.acquire({ user: 'user_1' })).toEqual({ ok: false, scope: 'user', limit: 'tokensPerDay', retryAfter: 12 * 3600 });
+    expect(limiter.acquire({ user: 'user_2' }).ok).toBe(true);
+  });
+
+  it('applies tenant limits across the tenant\'s users', () => {
+    const { limiter } = limiterWith({ user: { concurrency: 5 }, tenant: { concurrency: 2 } });
+    expect(limiter.acquire({ user: 'user_1', tenant: 'acme' }).ok).toBe(true);
+    const second = limiter.acquire({ user: 'user_2', tenant: 'acme' });
+    expect(second.ok).toBe(true);
+    expect(limiter.acquire({ user: 'user_3', tenant: 'acme' })).toMatchObject({ ok: false, scope: 'tenant', limit: 'concurrency' });
+    expect(limiter.acquire({ user: 'user_3', tenant: 'globex' }).ok).toBe(true);
+
+    second.release();
+    expect(limiter.acquire({ user: 'user_3', tenant: 'acme' }).ok).toBe(true);
+  });
+
+  it('does not count refused requests', () => {
+    const { limiter, clock } = limiterWith({ user: { requestsPerMinute: 5 }, tenant: { requestsPerMinute: 1 } });
+    expect(limiter.acquire({ user: 'user_1', tenant: 'acme' }).ok).toBe(true);
+    expect(limiter.acquire({ user: 'user_1', tenant: 'acme' }).ok).toBe(false);
+    clock.now += 60001;
+    expect(limiter.acquire({ user: 'user_1', tenant: 'acme' }).ok).toBe(true);
+  });
+
+  it('forgets callers once their window is empty', () => {
+    const { limiter, clock } = limiterWith({ user: { requestsPerMinute: 5 } });
+    for (let i = 0; i < 100; i++) {
+      limiter.acquire({ user: `10.0.0.${i}` }).release();
+    }
+    expect(limiter.tracked()).toBe(100);
+
+    clock.now += 60001;
+    limiter.acquire({ user: '10.0.1.1' }).release();
+    expect(limiter.tracked()).toBe(1);
+  });
+
+  it('keeps no request times when there is no per-minute limit', () => {
+    const { limiter } = limiterWith({ user: { concurrency: 2 } });
+    limiter.acquire({ user: 'user_1' }).release();
+    const held = limiter.acquire({ user: 'user_2' });
+    expect(limiter.tracked()).toBe(1);
+    held.release();
+    expect(limiter.tracked()).toBe(0);
+  });
+
+  it('starts days and months at UTC midnight', () => {
+    expect(dayStart(NOON)).toBe(Date.UTC(2026, 9, 18));
+    expect(monthStart(NOON)).toBe(Date.UTC(2026, 9, 1));
+  });
+});
+
+describe('usageFromResponse', () => {
+  it('reads OpenAI-style usage', () => {
+    expect(usageFromResponse({ usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15, cost: 0.001 } }))
+      .toEqual({ promptTokens: 10, completionTokens: 5, totalTokens: 15, cost: 0.001 });
+    expect(usageFromResponse({ usage: { prompt_tokens: 10, completion_tokens: 5 } }).totalTokens).toBe(15);
+  });
+
+  it('returns null without usage', () => {
+    expect(usageFromResponse({ choices: [] })).toBeNull();
+    expect(usageFromResponse(null)).toBeNull();
+  });
+});
+
+describe('tapEventStream', () => {
+  it('passes events through and reports the usage at the end', async () => {
+    const chunks = [
+      ': OPENROUTER PROCESSING\n\n',
+      'data: {"choices":[{"delta":{"content":"Hi"}}]}\n\ndata: {"choices":[],"us',
+      'age":{"prompt_tokens":3,"completion_tokens":1,"total_tokens":4}}\n\n',
+      'data: [DONE]\n\n'
+    ];
+    const ends = [];
+    const text = await new Response(tapEventStream(eventStream(chunks), usage => ends.push(usage))).text();
+
+    expect(text).toBe(chunks.join(''));
+    expect(ends).toEqual([{ promptTokens: 3, completionTokens: 1, totalTokens: 4, cost: null }]);
+  });
+
+  it('reports null usage once when the client goes away', async () => {
+    const ends = [];
+    const upstream = new ReadableStream({ pull: () => new Promise(() => {}) });
+    const tapped = tapEventStream(upstream, usage => ends.push(usage));
+    await tapped.cancel();
+    expect(ends).toEqual([null]);
+  });
+});
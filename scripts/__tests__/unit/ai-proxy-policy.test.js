@@ -0,0 +1,194 @@
+/**
+ * Unit tests for ai-proxy-policy.js
+ *
+ * Tests checking operator policies, per-tier rules and applying them to
+ * chat completion requests: model allowlists and defaults, max tokens,
+ * max messages and stripped parameters.
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  DEFAULT_MODEL,
+  isModelAllowed,
+  checkAIPolicy,
+  checkPolicyDefaults,
+  policyForTier,
+  policyModels,
+  applyAIPolicy,
+  loadAIPolicy
+} from '../../lib/ai-proxy-policy.js';
+
+const POLICY = {
+  allowedModels: ['anthropic/claude-sonnet-4', 'openai/*'],
+  defaultModel: 'openai/gpt-4o-mini',
+  maxTokens: 1000,
+  maxMessages: 3,
+  stripParams: ['tools', 'tool_choice'],
+  tiers: {
+    pro: { allowedModels: ['anthropic/*', 'openai/*'], maxTokens: 8000 }
+  }
+};
+
+const MESSAGES = [{ role: 'user', content: 'Hi' }];
+
+describe('isModelAllowed', () => {
+  it('matches exact IDs and vendor wildcards', () => {
+    expect(isModelAllowed('openai/gpt-4o', ['openai/*'])).toBe(true);
+    expect(isModelAllowed('anthropic/claude-sonnet-4', ['anthropic/claude-sonnet-4'])).toBe(true);
+    expect(isModelAllowed('anthropic/claude-opus-4', ['anthropic/claude-sonnet-4', 'openai/*'])).toBe(false);
+    expect(isModelAllowed('openai-evil/model', ['openai/*'])).toBe(false);
+  });
+
+  it('allows any model without a list', () => {
+    expect(isModelAllowed('anything/at-all', undefined)).toBe(true);
+  });
+});
+
+describe('checkAIPolicy', () => {
+  it('accepts full and empty policies', () => {
+    expect(checkAIPolicy(POLICY)).toBeNull();
+    expect(checkAIPolicy({})).toBeNull();
+  });
+
+  it('reports unknown keys and bad values', () => {
+    const problem = checkAIPolicy({ models: [], maxTokens: 0, maxMessages: 2.5, stripParams: ['messages'], allowedModels: ['gpt 4'] });
+    expect(problem).toContain('policy has unknown key models');
+    expect(problem).toContain('policy maxTokens must be a positive whole number');
+    expect(problem).toContain('policy maxMessages must be a positive whole number');
+    expect(problem).toContain('policy stripParams cannot include model or messages');
+    expect(problem).toContain('policy allowedModels must be a list of model IDs');
+  });
+
+  it('checks tiers and that defaults are allowed', () => {
+    const problem = checkAIPolicy({
+      allowedModels: ['openai/*'],
+      defaultModel: 'anthropic/claude-sonnet-4',
+      tiers: { pro: { maxTokens: -1 }, team: 'big' }
+    });
+    expect(problem).toContain('policy defaultModel anthropic/claude-sonnet-4 is not in its allowedModels');
+    expect(problem).toContain('tier pro maxTokens must be a positive whole number');
+    expect(problem).toContain('tier team must be an object');
+  });
+
+  it('rejects non-objects', () => {
+    expect(checkAIPolicy([])).toBe('must be an object');
+    expect(checkAIPolicy({ tiers: [] })).toBe('is invalid: tiers must map tier slugs to policies');
+  });
+});
+
+describe('checkPolicyDefaults', () => {
+  it('refuses allowlists that exclude the provider\'s default when no defaultModel is set', () => {
+    expect(checkPolicyDefaults({ allowedModels: ['anthropic/*'] }, 'anthropic/claude-sonnet-4')).toBeNull();
+    expect(checkPolicyDefaults({ allowedModels: ['anthropic/*'] }, 'claude-sonnet-4-0'))
+      .toBe('is invalid: policy has no defaultModel and its allowedModels exclude the provider\'s default claude-sonnet-4-0');
+    expect(checkPolicyDefaults({ allowedModels: ['openai/*'], tiers: { pro: { allowedModels: ['anthropic/*'] } } }, 'openai/gpt-4o-mini'))
+      .toContain('tier pro has no defaultModel');
+  });
+
+  it('accepts policies with their own default, or no allowlist', () => {
+    expect(checkPolicyDefaults(POLICY, 'anthropic/claude-opus-4')).toBeNull();
+    expect(checkPolicyDefaults({ maxTokens: 100 }, 'anything/at-all')).toBeNull();
+    expect(checkPolicyDefaults(null, 'anthropic/claude-sonnet-4')).toBeNull();
+  });
+});
+
+describe('policyForTier', () => {
+  it('puts the tier\'s rules over the base policy', () => {
+    const rules = policyForTier(POLICY, 'pro');
+    expect(rules.allowedModels).toEqual(['anthropic/*', 'openai/*']);
+    expect(rules.maxTokens).toBe(8000);
+    expect(rules.maxMessages).toBe(3);
+    expect(rules.tiers).toBeUndefined();
+  });
+
+  it('uses the base policy for other tiers and no tier', () => {
+    expect(policyForTier(POLICY, 'starter').maxTokens).toBe(1000);
+    expect(policyForTier(POLICY, null).maxTokens).toBe(1000);
+    expect(policyForTier(null, 'pro')).toEqual({});
+  });
+});
+
+describe('policyModels', () => {
+  it('lists default and allowed models of every tier', () => {
+    expect(policyModels(POLICY)).toEqual(['openai/gpt-4o-mini', 'anthropic/claude-sonnet-4', 'openai/*', 'anthropic/*', 'openai/*']);
+    expect(policyModels(null)).toEqual([]);
+  });
+});
+
+describe('applyAIPolicy', () => {
+  it('fills the default model and max_tokens and strips parameters', () => {
+    const { body, error } = applyAIPolicy({ messages: MESSAGES, tools: [{ type: 'function' }], tool_choice: 'auto', temperature: 0.2 }, policyForTier(POLICY));
+    expect(error).toBeUndefined();
+    expect(body).toEqual({ model: 'openai/gpt-4o-mini', messages: MESSAGES, temperature: 0.2, max_tokens: 1000 });
+  });
+
+  it('forwards requests unchanged without a policy, apart from the default model', () => {
+    const request = { model: 'anthropic/claude-opus-4', messages: MESSAGES, max_tokens: 100000, tools: [] };
+    expect(applyAIPolicy(request, {}).body).toEqual(request);
+    expect(applyAIPolicy({ messages: MESSAGES }, {}).body.model).toBe(DEFAULT_MODEL);
+  });
+
+  it('refuses models outside the allowlist', () => {
+    expect(applyAIPolicy({ model: 'anthropic/claude-opus-4', messages: MESSAGES }, policyForTier(POLICY))).toEqual({
+      error: {
+        code: 'POLICY_VIOLATION',
+        violation: 'model',
+        message: 'Model anthropic/claude-opus-4 is not allowed',
+        allowed: ['anthropic/claude-sonnet-4', 'openai/*']
+      }
+    });
+    expect(applyAIPolicy({ model: 'anthropic/claude-opus-4', messages: MESSAGES }, policyForTier(POLICY, 'pro')).body.model).toBe('anthropic/claude-opus-4');
+  });
+
+  it('refuses fallback models outside the allowlist', () => {
+    const request = { model: 'openai/gpt-4o-mini', models: ['openai/gpt-4o', 'anthropic/claude-opus-4'], route: 'fallback', messages: MESSAGES };
+    expect(applyAIPolicy(request, policyForTier(POLICY)).error).toMatchObject({
+      code: 'POLICY_VIOLATION',
+      violation: 'model',
+      message: 'Model anthropic/claude-opus-4 is not allowed'
+    });
+    expect(applyAIPolicy({ ...request, models: 'anthropic/claude-opus-4' }, policyForTier(POLICY)).error.violation).toBe('model');
+    expect(applyAIPolicy({ ...request, models: ['openai/gpt-4o'] }, policyForTier(POLICY)).body.models).toEqual(['openai/gpt-4o']);
+    expect(applyAIPolicy(request, {}).body.models).toEqual(request.models);
+  });
+
+  it('refuses max_tokens over the cap', () => {
+    const { error } = applyAIPolicy({ messages: MESSAGES, max_tokens: 4000 }, policyForTier(POLICY));
+    expect(error).toMatchObject({ code: 'POLICY_VIOLATION', violation: 'max_tokens', allowed: 1000 });
+    expect(applyAIPolicy({ messages: MESSAGES, max_completion_tokens: 'lots' }, policyForTier(POLICY)).error.violation).toBe('max_tokens');
+    expect(applyAIPolicy({ messages: MESSAGES, max_tokens: 4000 }, policyForTier(POLICY, 'pro')).body.max_tokens).toBe(4000);
+  });
+
+  it('refuses too many messages', () => {
+    const { error } = applyAIPolicy({ messages: [...MESSAGES, ...MESSAGES, ...MESSAGES, ...MESSAGES] }, policyForTier(POLICY));
+    expect(error).toEqual({ code: 'POLICY_VIOLATION', violation: 'messages', message: 'Requests are limited to 3 messages', allowed: 3 });
+  });
+});
+
+describe('loadAIPolicy', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'ai-policy-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('loads a valid policy', () => {
+    writeFileSync(join(dir, 'policy.json'), JSON.stringify(POLICY));
+    expect(loadAIPolicy(join(dir, 'policy.json'))).toEqual({ success: true, policy: POLICY });
+  });
+
+  it('reports missing, unparsable and invalid files', () => {
+    expect(loadAIPolicy(join(dir, 'missing.json')).error).toContain('AI policy not found');
+    writeFileSync(join(dir, 'broken.json'), '{ allowedModels: ');
+    expect(loadAIPolicy(join(dir, 'broken.json')).error).toContain('Could not parse');
+    writeFileSync(join(dir, 'invalid.json'), JSON.stringify({ maxTokens: 'many' }));
+    expect(loadAIPolicy(join(dir, 'invalid.json')).error).toContain('maxTokens must be a positive whole number');
+  });
+});
@@ -2,170 +2,209 @@
  * Unit tests for AI Proxy logic
  *
  * Tests the core logic of the AI proxy without requiring Bun runtime.
- * The actual proxy uses Bun-specific APIs, so we test the extractable logic.
+ * The actual proxy uses Bun-specific APIs, so we test the extractable logic:
+ * tenants come from Clerk session tokens verified by ai-proxy-auth.js, signed
+ * here with a key pair generated per run and served from a stubbed JWKS.
  */
 
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, beforeAll } from 'vitest';
+import { generateKeyPairSync, createSign } from 'crypto';
+import { createClerkVerifier } from '../../lib/clerk-jwt.js';
+import { createTenantAuthenticator, tenantFromClaims, parseTenantClaims, DEFAULT_TENANT_CLAIMS } from '../../lib/ai-proxy-auth.js';
+import { authorizedOrigins, aiProxyAuthEnv, aiProviderEnv } from '../../lib/ai-proxy-settings.js';
 
-// ============== JWT Extraction Logic (extracted from ai-proxy.js) ==============
+const ISSUER = 'https://example.clerk.accounts.dev';
+const ORIGINS = authorizedOrigins({ name: 'myapp' });
 
-/**
- * Extract tenant ID from JWT token
- * This mirrors the logic in ai-proxy.js but is testable without Bun
- */
-function extractTenantFromJWT(token) {
-  try {
-    const parts = token.split(".");
-    if (parts.length !== 3) return null;
-
-    const payload = JSON.parse(
-      Buffer.from(parts[1].replace(/-/g, "+").replace(/_/g, "/"), "base64").toString()
-    );
-
-    // Check expiration
-    if (payload.exp && payload.exp < Date.now() / 1000) {
-      return null;
-    }
+let signingKey;
+let otherKey;
+let jwks;
 
-    // Extract tenant from custom claims or subdomain
-    return payload.tenant || payload.subdomain || payload.sub || null;
-  } catch {
-    return null;
-  }
+function base64Url(value) {
+  return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
 }
 
 /**
- * Create a test JWT with given payload
- * Note: This creates unsigned tokens for testing only
+ * Create a signed test JWT; claims override a valid session for myapp
  */
-function createTestJWT(payload) {
-  const header = Buffer.from(JSON.stringify({ alg: "HS256", typ: "JWT" })).toString("base64url");
-  const body = Buffer.from(JSON.stringify(payload)).toString("base64url");
-  const signature = "test-signature";
-  return `${header}.${body}.${signature}`;
+function createTestJWT(claims, { key = signingKey, alg = 'RS256' } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const head = base64Url({ alg, kid: 'key-1', typ: 'JWT' });
+  const body = base64Url({ iss: ISSUER, azp: 'https://myapp.exe.xyz', sub: 'user_123', iat: now, nbf: now, exp: now + 3600, ...claims });
+  const signature = createSign('RSA-SHA256').update(`${head}.${body}`).sign(key, 'base64url');
+  return `${head}.${body}.${signature}`;
 }
 
+function createAuthenticator(tenantClaim) {
+  const verify = createClerkVerifier({ issuer: ISSUER, authorizedParties: ORIGINS, fetch: async () => ({ ok: true, json: async () => jwks }) });
+  return createTenantAuthenticator({ verify, tenantClaims: parseTenantClaims(tenantClaim) });
+}
+
+beforeAll(() => {
+  const pair = generateKeyPairSync('rsa', { modulusLength: 2048 });
+  signingKey = pair.privateKey;
+  otherKey = generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+  jwks = { keys: [{ ...pair.publicKey.export({ format: 'jwk' }), kid: 'key-1', alg: 'RS256', use: 'sig' }] };
+});
+
 // ============== Tests ==============
 
-describe('extractTenantFromJWT', () => {
+describe('tenant authentication', () => {
   describe('valid tokens', () => {
-    it('extracts tenant from tenant claim', () => {
-      const token = createTestJWT({
-        tenant: "acme-corp",
-        sub: "user_123",
-        exp: Math.floor(Date.now() / 1000) + 3600
-      });
-
-      expect(extractTenantFromJWT(token)).toBe("acme-corp");
+    it('extracts tenant from tenant claim', async () => {
+      const { tenant } = await createAuthenticator()(createTestJWT({ tenant: 'acme-corp' }));
+      expect(tenant).toBe('acme-corp');
     });
 
-    it('extracts tenant from subdomain claim', () => {
-      const token = createTestJWT({
-        subdomain: "mycompany",
-        sub: "user_456",
-        exp: Math.floor(Date.now() / 1000) + 3600
-      });
-
-      expect(extractTenantFromJWT(token)).toBe("mycompany");
+    it('extracts tenant from subdomain claim', async () => {
+      const { tenant } = await createAuthenticator()(createTestJWT({ subdomain: 'mycompany' }));
+      expect(tenant).toBe('mycompany');
     });
 
-    it('falls back to sub claim when no tenant/subdomain', () => {
-      const token = createTestJWT({
-        sub: "user_789",
-        exp: Math.floor(Date.now() / 1000) + 3600
-      });
-
-      expect(extractTenantFromJWT(token)).toBe("user_789");
+    it('falls back to sub claim', async () => {
+      const { tenant, claims } = await createAuthenticator()(createTestJWT({ sub: 'user_789' }));
+      expect(tenant).toBe('user_789');
+      expect(claims.iss).toBe(ISSUER);
     });
 
-    it('prefers tenant over subdomain over sub', () => {
-      const token = createTestJWT({
-        tenant: "preferred-tenant",
-        subdomain: "alt-subdomain",
-        sub: "user_fallback",
-        exp: Math.floor(Date.now() / 1000) + 3600
-      });
+    it('prefers tenant over subdomain over sub', async () => {
+      const { tenant } = await createAuthenticator()(createTestJWT({ tenant: 'preferred-tenant', subdomain: 'other' }));
+      expect(tenant).toBe('preferred-tenant');
+    });
 
-      expect(extractTenantFromJWT(token)).toBe("preferred-tenant");
+    it('follows a configured claim mapping', async () => {
+      const authenticate = createAuthenticator('o.slg, sub');
+      expect((await authenticate(createTestJWT({ tenant: 'ignored', o: { id: 'org_1', slg: 'wedding-co' } }))).tenant).toBe('wedding-co');
+      expect((await authenticate(createTestJWT({ tenant: 'ignored' }))).tenant).toBe('user_123');
     });
 
-    it('handles tokens without expiration', () => {
-      const token = createTestJWT({
-        tenant: "no-exp-tenant"
-        // No exp claim
-      });
+    it('accepts tokens from tenant subdomains', async () => {
+      const { tenant } = await createAuthenticator()(createTestJWT({ azp: 'https://acme.myapp.exe.xyz', subdomain: 'acme' }));
+      expect(tenant).toBe('acme');
+    });
 
-      expect(extractTenantFromJWT(token)).toBe("no-exp-tenant");
+    it('handles special characters in tenant', async () => {
+      const authenticate = createAuthenticator();
+      expect((await authenticate(createTestJWT({ tenant: 'test-tenant-with-dashes' }))).tenant).toBe('test-tenant-with-dashes');
+      expect((await authenticate(createTestJWT({ tenant: 'test_tenant_with_underscores' }))).tenant).toBe('test_tenant_with_underscores');
     });
   });
 
-  describe('expired tokens', () => {
-    it('returns null for expired token', () => {
-      const token = createTestJWT({
-        tenant: "expired-tenant",
-        exp: Math.floor(Date.now() / 1000) - 3600 // 1 hour ago
-      });
+  describe('expired and malformed tokens', () => {
+    it('rejects expired tokens', async () => {
+      const result = await createAuthenticator()(createTestJWT({ exp: Math.floor(Date.now() / 1000) - 3600 }));
+      expect(result).toEqual({ error: 'Token expired' });
+    });
 
-      expect(extractTenantFromJWT(token)).toBeNull();
+    it('rejects tokens without exp', async () => {
+      const result = await createAuthenticator()(createTestJWT({ exp: undefined }));
+      expect(result.error).toBe('Token expired');
     });
 
-    it('returns null for just-expired token', () => {
-      const token = createTestJWT({
-        tenant: "just-expired",
-        exp: Math.floor(Date.now() / 1000) - 1 // 1 second ago
-      });
+    it('rejects missing and malformed tokens', async () => {
+      const authenticate = createAuthenticator();
+      expect(await authenticate(null)).toEqual({ error: 'Missing bearer token' });
+      expect(await authenticate('')).toEqual({ error: 'Missing bearer token' });
+      expect((await authenticate('header.payload')).error).toBe('Malformed token');
+      expect((await authenticate('a.b.c.d')).error).toBe('Malformed token');
+      expect((await authenticate('header.!!!invalid!!!.signature')).error).toBe('Malformed token');
+    });
 
-      expect(extractTenantFromJWT(token)).toBeNull();
+    it('rejects tokens without a tenant', async () => {
+      const result = await createAuthenticator('tenant')(createTestJWT({}));
+      expect(result).toEqual({ error: 'No tenant in claims tenant' });
     });
   });
 
-  describe('invalid tokens', () => {
-    it('returns null for malformed token (too few parts)', () => {
-      expect(extractTenantFromJWT("header.payload")).toBeNull();
+  describe('forged tokens', () => {
+    it('rejects unsigned tokens', async () => {
+      const [head, body] = createTestJWT({ tenant: 'acme-corp' }).split('.');
+      expect((await createAuthenticator()(`${head}.${body}.test-signature`)).error).toBe('Invalid signature');
+      expect((await createAuthenticator()(`${head}.${body}.`)).error).toBe('Invalid signature');
     });
 
-    it('returns null for malformed token (too many parts)', () => {
-      expect(extractTenantFromJWT("a.b.c.d")).toBeNull();
+    it('rejects alg none and HMAC tokens', async () => {
+      const body = base64Url({ iss: ISSUER, sub: 'user_1', tenant: 'acme-corp', exp: Math.floor(Date.now() / 1000) + 3600 });
+      const none = `${base64Url({ alg: 'none', typ: 'JWT' })}.${body}.`;
+      const hmac = `${base64Url({ alg: 'HS256', kid: 'key-1', typ: 'JWT' })}.${body}.c2lnbmF0dXJl`;
+      expect((await createAuthenticator()(none)).error).toBe('Unsupported algorithm none');
+      expect((await createAuthenticator()(hmac)).error).toBe('Unsupported algorithm HS256');
     });
 
-    it('returns null for invalid base64 in payload', () => {
-      expect(extractTenantFromJWT("header.!!!invalid!!!.signature")).toBeNull();
+    it('rejects tokens signed with another key', async () => {
+      const result = await createAuthenticator()(createTestJWT({ tenant: 'acme-corp' }, { key: otherKey }));
+      expect(result).toEqual({ error: 'Invalid signature' });
     });
 
-    it('returns null for invalid JSON in payload', () => {
-      const invalidPayload = Buffer.from("not json").toString("base64url");
-      expect(extractTenantFromJWT(`header.${invalidPayload}.signature`)).toBeNull();
+    it('rejects tampered payloads', async () => {
+      const [head, , signature] = createTestJWT({ tenant: 'acme-corp' }).split('.');
+      const body = base64Url({ iss: ISSUER, sub: 'user_123', tenant: 'big-spender', exp: Math.floor(Date.now() / 1000) + 3600 });
+      expect((await createAuthenticator()(`${head}.${body}.${signature}`)).error).toBe('Invalid signature');
     });
 
-    it('returns null for empty token', () => {
-      expect(extractTenantFromJWT("")).toBeNull();
+    it('rejects tokens from another Clerk instance', async () => {
+      const result = await createAuthenticator()(createTestJWT({ iss: 'https://evil.clerk.accounts.dev', tenant: 'acme-corp' }));
+      expect(result).toEqual({ error: 'Wrong issuer' });
     });
 
-    it('returns null for token with empty claims', () => {
-      const token = createTestJWT({});
-      expect(extractTenantFromJWT(token)).toBeNull();
+    it('rejects tokens issued to other origins', async () => {
+      const authenticate = createAuthenticator();
+      expect((await authenticate(createTestJWT({ azp: 'https://evil.example.com' }))).error).toBe('Unauthorized party');
+      expect((await authenticate(createTestJWT({ azp: 'https://a.b.myapp.exe.xyz' }))).error).toBe('Unauthorized party');
     });
-  });
 
-  describe('base64url handling', () => {
-    it('handles base64url with - characters', () => {
-      // Create payload with characters that become - in base64url
-      const token = createTestJWT({
-        tenant: "test-tenant-with-dashes",
-        exp: Math.floor(Date.now() / 1000) + 3600
-      });
+    it('rejects tokens that are not valid yet', async () => {
+      const result = await createAuthenticator()(createTestJWT({ nbf: Math.floor(Date.now() / 1000) + 600 }));
+      expect(result).toEqual({ error: 'Token not yet valid' });
+    });
 
-      expect(extractTenantFromJWT(token)).toBe("test-tenant-with-dashes");
+    it('rejects tenant values that are not identifiers', async () => {
+      const result = await createAuthenticator()(createTestJWT({ tenant: '../../etc/passwd; rm' }));
+      expect(result.error).toBe('No tenant in claims tenant, subdomain, sub');
     });
+  });
+});
 
-    it('handles base64url with _ characters', () => {
-      const token = createTestJWT({
-        tenant: "test_tenant_with_underscores",
-        exp: Math.floor(Date.now() / 1000) + 3600
-      });
+describe('tenant claim mapping', () => {
+  it('defaults to tenant, subdomain, sub', () => {
+    expect(parseTenantClaims(undefined)).toEqual(DEFAULT_TENANT_CLAIMS);
+    expect(parseTenantClaims(' , ')).toEqual(DEFAULT_TENANT_CLAIMS);
+    expect(parseTenantClaims('o.slg, sub')).toEqual(['o.slg', 'sub']);
+  });
 
-      expect(extractTenantFromJWT(token)).toBe("test_tenant_with_underscores");
-    });
+  it('reads nested claims and skips empty ones', () => {
+    expect(tenantFromClaims({ o: { slg: 'team' } }, ['o.slg'])).toBe('team');
+    expect(tenantFromClaims({ tenant: '', sub: 'user_1' })).toBe('user_1');
+    expect(tenantFromClaims({ tenant: 42, o: 'flat' }, ['tenant', 'o.slg'])).toBeNull();
+  });
+});
+
+describe('AI proxy deploy settings', () => {
+  it('authorizes the app and, with subdomain routing, its tenant subdomains', () => {
+    expect(authorizedOrigins({ name: 'myapp', domain: 'myapp.com' })).toEqual([
+      'https://myapp.exe.xyz', 'https://*.myapp.exe.xyz', 'https://myapp.com', 'https://*.myapp.com'
+    ]);
+    expect(authorizedOrigins({ name: 'myapp', routing: 'path' })).toEqual(['https://myapp.exe.xyz']);
+  });
+
+  it('writes the proxy environment', () => {
+    expect(aiProxyAuthEnv({ clerkPublishableKey: 'pk_test_x', authorizedParties: ['https://a', 'https://*.a'], tenantClaim: 'o.slg' })).toEqual([
+      'CLERK_PUBLISHABLE_KEY=pk_test_x',
+      'VIBES_AUTHORIZED_PARTIES=https://a,https://*.a',
+      'VIBES_TENANT_CLAIM=o.slg',
+      'VIBES_ENTITLEMENTS_URL='
+    ]);
+  });
+
+  it('keeps OpenRouter keys out of VIBES_AI_API_KEY', () => {
+    expect(aiProviderEnv({ provider: 'openrouter', apiKey: 'sk-or' })).toContain('VIBES_AI_API_KEY=');
+    expect(aiProviderEnv({ provider: 'anthropic', apiKey: 'sk-ant', tenantTokensPerMonth: 500000 })).toEqual([
+      'VIBES_AI_PROVIDER=anthropic',
+      'VIBES_AI_API_KEY=sk-ant',
+      'VIBES_AI_BASE_URL=',
+      'VIBES_AI_MODEL=',
+      'VIBES_TENANT_TOKENS_PER_MONTH=500000'
+    ]);
   });
 });
 
@@ -248,6 +287,3 @@ describe('CORS Headers', () => {
     expect(corsHeaders["Access-Control-Allow-Headers"]).toContain("Authorization");
   });
 });
-
-// Export for use in integration tests if needed
-export { extractTenantFromJWT, createTestJWT };
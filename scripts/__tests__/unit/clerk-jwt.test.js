@@ -0,0 +1,154 @@
+/**
+ * Unit tests for clerk-jwt.js
+ *
+ * Tests session token verification against a JWKS: signature, key lookup,
+ * expiry, issuer and authorized parties. Tokens are signed with a key pair
+ * generated per run; the JWKS endpoint is a stubbed fetch.
+ */
+
+import { describe, it, expect, beforeAll } from 'vitest';
+import { generateKeyPairSync, createSign } from 'crypto';
+import { issuerFromPublishableKey, createClerkVerifier, isAuthorizedParty, bearerToken } from '../../lib/clerk-jwt.js';
+
+const ISSUER = 'https://example.clerk.accounts.dev';
+
+let signingKey;
+let otherKey;
+let jwks;
+
+function base64Url(value) {
+  return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+}
+
+function signToken(claims, { key = signingKey, kid = 'key-1', alg = 'RS256' } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const head = base64Url({ alg, kid, typ: 'JWT' });
+  const body = base64Url({ iss: ISSUER, sub: 'user_123', iat: now, nbf: now, exp: now + 60, ...claims });
+  const signature = createSign('RSA-SHA256').update(`${head}.${body}`).sign(key, 'base64url');
+  return `${head}.${body}.${signature}`;
+}
+
+function stubFetch() {
+  const calls = [];
+  const fetch = async (url) => {
+    calls.push(url);
+    return { ok: true, json: async () => jwks };
+  };
+  return { fetch, calls };
+}
+
+beforeAll(() => {
+  const pair = generateKeyPairSync('rsa', { modulusLength: 2048 });
+  signingKey = pair.privateKey;
+  otherKey = generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+  jwks = { keys: [{ ...pair.publicKey.export({ format: 'jwk' }), kid: 'key-1', alg: 'RS256', use: 'sig' }] };
+});
+
+describe('issuerFromPublishableKey', () => {
+  it('decodes the Frontend API host from the key', () => {
+    const key = `pk_test_${Buffer.from('example.clerk.accounts.dev$').toString('base64')}`;
+    expect(issuerFromPublishableKey(key)).toBe(ISSUER);
+    const live = `pk_live_${Buffer.from('clerk.myapp.com$').toString('base64')}`;
+    expect(issuerFromPublishableKey(live)).toBe('https://clerk.myapp.com');
+  });
+
+  it('returns null for anything else', () => {
+    expect(issuerFromPublishableKey('')).toBeNull();
+    expect(issuerFromPublishableKey('__CLERK_PUBLISHABLE_KEY__')).toBeNull();
+    expect(issuerFromPublishableKey(`pk_test_${Buffer.from('evil.com/path$').toString('base64')}`)).toBeNull();
+  });
+});
+
+describe('createClerkVerifier', () => {
+  it('accepts a token signed by a published key', async () => {
+    const { fetch, calls } = stubFetch();
+    const verify = createClerkVerifier({ issuer: ISSUER, fetch });
+    const result = await verify(signToken({ sid: 'sess_1' }));
+
+    expect(result.valid).toBe(true);
+    expect(result.claims.sub).toBe('user_123');
+    expect(calls).toEqual([`${ISSUER}/.well-known/jwks.json`]);
+  });
+
+  it('caches the keys between tokens', async () => {
+    const { fetch, calls } = stubFetch();
+    const verify = createClerkVerifier({ issuer: ISSUER, fetch });
+    await verify(signToken({}));
+    await verify(signToken({}));
+    expect(calls).toHaveLength(1);
+  });
+
+  it('rejects a token signed by another key', async () => {
+    const verify = createClerkVerifier({ issuer: ISSUER, ...stubFetch() });
+    const result = await verify(signToken({}, { key: otherKey }));
+    expect(result).toEqual({ valid: false, error: 'Invalid signature' });
+  });
+
+  it('rejects tampered claims', async () => {
+    const verify = createClerkVerifier({ issuer: ISSUER, ...stubFetch() });
+    const [head, , signature] = signToken({}).split('.');
+    const forged = `${head}.${base64Url({ iss: ISSUER, sub: 'user_admin', exp: Math.floor(Date.now() / 1000) + 60 })}.${signature}`;
+    expect((await verify(forged)).valid).toBe(false);
+  });
+
+  it('rejects unsigned and unknown-key tokens', async () => {
+    const verify = createClerkVerifier({ issuer: ISSUER, ...stubFetch() });
+    expect(await verify(signToken({}, { alg: 'none' }))).toEqual({ valid: false, error: 'Unsupported algorithm none' });
+    expect(await verify(signToken({}, { kid: 'key-2' }))).toEqual({ valid: false, error: 'Unknown signing key' });
+  });
+
+  it('rejects expired and not-yet-valid tokens', async () => {
+    const verify = createClerkVerifier({ issuer: ISSUER, ...stubFetch() });
+    const now = Math.floor(Date.now() / 1000);
+    expect((await verify(signToken({ exp: now - 60 }))).error).toBe('Token expired');
+    expect((await verify(signToken({ nbf: now + 60 }))).error).toBe('Token not yet valid');
+  });
+
+  it('rejects tokens from another issuer', async () => {
+    const verify = createClerkVerifier({ issuer: ISSUER, ...stubFetch() });
+    expect((await verify(signToken({ iss: 'https://other.clerk.accounts.dev' }))).error).toBe('Wrong issuer');
+  });
+
+  it('checks azp against authorized parties when configured', async () => {
+    const verify = createClerkVerifier({ issuer: ISSUER, authorizedParties: ['https://myapp.com'], ...stubFetch() });
+    expect((await verify(signToken({ azp: 'https://myapp.com' }))).valid).toBe(true);
+    expect((await verify(signToken({ azp: 'https://evil.com' }))).error).toBe('Unauthorized party');
+  });
+
+  it('rejects tokens without azp when authorized parties are configured', async () => {
+    const restricted = createClerkVerifier({ issuer: ISSUER, authorizedParties: ['https://myapp.com'], ...stubFetch() });
+    expect((await restricted(signToken({}))).error).toBe('Unauthorized party');
+    const open = createClerkVerifier({ issuer: ISSUER, ...stubFetch() });
+    expect((await open(signToken({}))).valid).toBe(true);
+  });
+
+  it('matches one subdomain level for wildcard parties', () => {
+    const parties = ['https://myapp.com', 'https://*.myapp.com'];
+    expect(isAuthorizedParty('https://alice.myapp.com', parties)).toBe(true);
+    expect(isAuthorizedParty('https://myapp.com', parties)).toBe(true);
+    expect(isAuthorizedParty('https://a.b.myapp.com', parties)).toBe(false);
+    expect(isAuthorizedParty('https://evilmyapp.com', parties)).toBe(false);
+    expect(isAuthorizedParty('http://alice.myapp.com', parties)).toBe(false);
+  });
+
+  it('rejects malformed tokens', async () => {
+    const verify = createClerkVerifier({ issuer: ISSUER, ...stubFetch() });
+    expect((await verify(null)).error).toBe('Malformed token');
+    expect((await verify('a.b')).error).toBe('Malformed token');
+    expect((await verify('not.json.here')).error).toBe('Malformed token');
+  });
+
+  it('reports an unreachable JWKS endpoint', async () => {
+    const verify = createClerkVerifier({ issuer: ISSUER, fetch: async () => ({ ok: false, status: 503 }) });
+    expect((await verify(signToken({}))).error).toContain('JWKS request failed with 503');
+  });
+});
+
+describe('bearerToken', () => {
+  it('reads the Authorization header', () => {
+    const req = (value) => ({ headers: new Map(value ? [['authorization', value]] : []) });
+    expect(bearerToken(req('Bearer abc.def.ghi'))).toBe('abc.def.ghi');
+    expect(bearerToken(req('Basic xyz'))).toBeNull();
+    expect(bearerToken(req(null))).toBeNull();
+  });
+});
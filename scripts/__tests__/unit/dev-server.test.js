@@ -0,0 +1,67 @@
+/**
+ * Unit tests for the --watch dev server and its helpers (dev-server.js)
+ */
+
+import { describe, it, expect, afterEach } from 'vitest';
+import { once } from 'events';
+import { injectDevClient, startDevServer, EVENTS_PATH } from '../../lib/dev-server.js';
+
+describe('injectDevClient', () => {
+  const page = '<html>\n  <body>\n    <div id="container"></div>\n  </body>\n</html>';
+
+  it('adds the live reload client before </body>', () => {
+    const html = injectDevClient(page, null);
+
+    expect(html).toContain(`new EventSource("${EVENTS_PATH}")`);
+    expect(html.indexOf('EventSource')).toBeLessThan(html.indexOf('</body>'));
+    expect(html).toContain('<div id="container"></div>');
+    expect(html).not.toContain('vibes-dev-overlay');
+  });
+
+  it('shows build errors in an overlay', () => {
+    const html = injectDevClient(page, 'app.jsx:3:5: Expected ")" but found "<div>"');
+
+    expect(html).toContain('id="vibes-dev-overlay"');
+    expect(html).toContain('Build failed');
+    expect(html).toContain('app.jsx:3:5: Expected &quot;)&quot; but found &quot;&lt;div&gt;&quot;');
+  });
+
+  it('appends to pages without a closing body tag', () => {
+    const html = injectDevClient('<p>partial</p>', null);
+
+    expect(html.startsWith('<p>partial</p>')).toBe(true);
+    expect(html).toContain('EventSource');
+  });
+});
+
+describe('startDevServer', () => {
+  let dev;
+
+  afterEach(() => {
+    dev?.close();
+  });
+
+  it('overlays build errors that are thrown and keeps serving', async () => {
+    let fail = false;
+    const results = [];
+    dev = startDevServer({
+      port: 0,
+      host: '127.0.0.1',
+      build: () => {
+        if (fail) throw new Error('esbuild service stopped');
+        return { success: true, html: '<html><body><p>good</p></body></html>', files: [] };
+      },
+      onBuild: result => results.push(result)
+    });
+    await once(dev.server, 'listening');
+
+    fail = true;
+    expect(dev.rebuild()).toMatchObject({ success: false, files: [] });
+    expect(results.at(-1).error).toContain('esbuild service stopped');
+
+    const page = await (await fetch(`http://127.0.0.1:${dev.server.address().port}/`)).text();
+    expect(page).toContain('<p>good</p>');
+    expect(page).toContain('id="vibes-dev-overlay"');
+    expect(page).toContain('esbuild service stopped');
+  });
+});
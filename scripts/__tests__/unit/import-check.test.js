@@ -0,0 +1,88 @@
+/**
+ * Unit tests for import-check.js
+ *
+ * Tests cross-checking app imports against a page's import map.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { checkImportMap, isBareSpecifier, isMapped } from '../../lib/import-check.js';
+import { findImports } from '../../lib/strip-code.js';
+
+const PAGE = `<html><head>
+    <script type="importmap">
+      {
+        "imports": {
+          "react": "https://esm.sh/react",
+          "lodash/": "https://esm.sh/lodash/"
+        }
+      }
+    </script>
+</head><body></body></html>`;
+
+const CACHED = { 'use-vibes': 'https://esm.sh/use-vibes@0.18.9?external=react,react-dom' };
+
+const APP = `import React from "react";
+import debounce from "lodash/debounce";
+import { useVibes } from "use-vibes";
+import { create } from "zustand";
+import "./local.css";
+const Chart = () => import("https://esm.sh/recharts");
+
+export default function App() {
+  return <div />;
+}`;
+
+describe('isBareSpecifier', () => {
+  it('tells bare specifiers from paths and URLs', () => {
+    expect(isBareSpecifier('zustand/middleware')).toBe(true);
+    expect(isBareSpecifier('@clerk/clerk-react')).toBe(true);
+    expect(isBareSpecifier('./utils.js')).toBe(false);
+    expect(isBareSpecifier('/lib.js')).toBe(false);
+    expect(isBareSpecifier('https://esm.sh/react')).toBe(false);
+  });
+});
+
+describe('isMapped', () => {
+  it('matches exact keys and trailing-slash prefixes', () => {
+    const imports = { react: 'x', 'lodash/': 'y' };
+    expect(isMapped('react', imports)).toBe(true);
+    expect(isMapped('lodash/debounce', imports)).toBe(true);
+    expect(isMapped('react-dom', imports)).toBe(false);
+  });
+});
+
+describe('checkImportMap', () => {
+  it('reports bare imports the import map does not resolve', () => {
+    const result = checkImportMap(findImports(APP), PAGE, { cachedImports: CACHED });
+
+    expect(result.html).toBe(PAGE);
+    expect(result.missing).toEqual([
+      { source: 'use-vibes', line: 3, url: CACHED['use-vibes'], from: 'cache' },
+      { source: 'zustand', line: 4, url: 'https://esm.sh/zustand?external=react,react-dom', from: 'esm.sh' }
+    ]);
+    expect(result.warnings[1]).toBe(
+      'Import "zustand" (line 4) is not in the template\'s import map and will fail to load; add it with --add-imports (https://esm.sh/zustand?external=react,react-dom)'
+    );
+  });
+
+  it('adds missing entries with the map\'s indentation', () => {
+    const result = checkImportMap(findImports(APP), PAGE, { add: true, cachedImports: CACHED });
+
+    expect(result.warnings).toEqual([]);
+    expect(result.added.map(m => m.source)).toEqual(['use-vibes', 'zustand']);
+    expect(result.html).toContain(`        "imports": {
+          "react": "https://esm.sh/react",
+          "lodash/": "https://esm.sh/lodash/",
+          "use-vibes": "https://esm.sh/use-vibes@0.18.9?external=react,react-dom",
+          "zustand": "https://esm.sh/zustand?external=react,react-dom"
+        }
+      }
+    </script>`);
+  });
+
+  it('checks dynamic imports and skips pages without an import map', () => {
+    const dynamic = findImports('const load = () => import("zustand");');
+    expect(checkImportMap(dynamic, PAGE, { cachedImports: {} }).missing.map(m => m.source)).toEqual(['zustand']);
+    expect(checkImportMap(dynamic, '<html></html>', { cachedImports: {} }).warnings).toEqual([]);
+  });
+});
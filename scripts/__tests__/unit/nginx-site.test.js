@@ -0,0 +1,78 @@
+/**
+ * Unit tests for nginx-site.js
+ *
+ * Tests adding blocks to the default site's server block and directives to
+ * an existing location, as deploy-exe.js does on the VM.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { addServerConf, addLocationLines } from '../../lib/nginx-site.js';
+
+const DEFAULT_SITE = `server {
+	listen 80 default_server;
+	root /var/www/html;
+
+	location / {
+		try_files $uri $uri/ =404;
+	}
+}
+
+# Virtual Host configuration for example.com
+#server {
+#	listen 80;
+#}
+`;
+
+const AI_CONF = `
+# AI Proxy configuration
+location /api/ai/ {
+    proxy_pass http://127.0.0.1:3001/;
+}`;
+
+describe('addServerConf', () => {
+  it('adds the block at the end of the server block', () => {
+    const site = addServerConf(DEFAULT_SITE, 'location /api/ai/', AI_CONF);
+    expect(site).toContain('\t}\n    # AI Proxy configuration\n    location /api/ai/ {\n        proxy_pass http://127.0.0.1:3001/;\n    }\n}\n');
+    expect(site).toContain('#server {\n#\tlisten 80;\n#}');
+  });
+
+  it('leaves the site alone when the marker is present', () => {
+    const site = addServerConf(DEFAULT_SITE, 'location /api/ai/', AI_CONF);
+    expect(addServerConf(site, 'location /api/ai/', AI_CONF)).toBe(site);
+  });
+
+  it('adds to the server block past blocks that close at the start of a line', () => {
+    // Earlier deploys inserted blocks without indenting them
+    const old = DEFAULT_SITE.replace('\n}\n', '\nlocation /api/ai/ {\n    proxy_pass http://127.0.0.1:3001/;\n}\n}\n');
+    const site = addServerConf(old, 'location /api/admin/', 'location /api/admin/ {\n    return 404;\n}');
+    expect(site).toContain('proxy_pass http://127.0.0.1:3001/;\n}\n    location /api/admin/ {\n        return 404;\n    }\n}\n\n# Virtual Host');
+  });
+
+  it('is not misled by braces in strings and comments', () => {
+    const conf = "location @denied {\n    return 403 '{\"error\":\"}\"}';\n}";
+    const once = addServerConf(DEFAULT_SITE.replace('root', '# { root'), '@denied', conf);
+    const twice = addServerConf(once, 'location /api/ai/', AI_CONF);
+    expect(twice.indexOf('location /api/ai/')).toBeGreaterThan(twice.indexOf('@denied'));
+    expect(twice).toMatch(/ {4}}\n}\n\n# Virtual Host/);
+  });
+
+  it('refuses a site without a server block', () => {
+    expect(() => addServerConf('# nothing here\n', 'x', AI_CONF)).toThrow('No server block');
+  });
+});
+
+describe('addLocationLines', () => {
+  const site = addServerConf(DEFAULT_SITE, 'location /api/ai/', AI_CONF);
+  const lines = ['auth_request /_auth;', 'error_page 401 = @denied;'];
+
+  it('adds directives at the top of the location, at its indentation', () => {
+    expect(addLocationLines(site, 'location /api/ai/', 'auth_request', lines))
+      .toContain('    location /api/ai/ {\n        auth_request /_auth;\n        error_page 401 = @denied;\n        proxy_pass');
+  });
+
+  it('does nothing when the marker is present or the location is missing', () => {
+    const once = addLocationLines(site, 'location /api/ai/', 'auth_request', lines);
+    expect(addLocationLines(once, 'location /api/ai/', 'auth_request', lines)).toBe(once);
+    expect(addLocationLines(DEFAULT_SITE, 'location /api/ai/', 'auth_request', lines)).toBe(DEFAULT_SITE);
+  });
+});
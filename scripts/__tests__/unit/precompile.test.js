@@ -0,0 +1,82 @@
+/**
+ * Unit tests for precompile.js
+ *
+ * Tests ahead-of-time JSX compilation of the template's Babel block.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { precompileHtml, isPrecompiled, transpileJsx } from '../../lib/precompile.js';
+
+const VIBES_TEMPLATE = readFileSync(join(__dirname, '../../../skills/vibes/templates/index.html'), 'utf8');
+
+const APP_CODE = `import React, { useState } from "react";
+export default function App() {
+  const [count, setCount] = useState(0);
+  return <button onClick={() => setCount(count + 1)}>{\`Clicked \${count}\`}</button>;
+}`;
+
+describe('precompileHtml', () => {
+  const assembled = VIBES_TEMPLATE.replace('// __VIBES_APP_CODE__', APP_CODE);
+
+  it('replaces the Babel block with a module script', () => {
+    const result = precompileHtml(assembled);
+
+    expect(result.success).toBe(true);
+    expect(result.html).not.toContain('type="text/babel"');
+    expect(result.html).toContain('<script type="module" data-vibes-precompiled>');
+    expect(result.html).toContain('React.createElement(App, null)');
+  });
+
+  it('removes the @babel/standalone loader', () => {
+    const result = precompileHtml(assembled);
+
+    expect(result.html).not.toContain('@babel/standalone');
+  });
+
+  it('leaves the import map unchanged', () => {
+    const importMap = (html) => html.match(/<script type="importmap">[\s\S]*?<\/script>/)[0];
+    const result = precompileHtml(assembled);
+
+    expect(importMap(result.html)).toBe(importMap(assembled));
+  });
+
+  it('keeps $ sequences in app code literal', () => {
+    const result = precompileHtml(assembled);
+
+    expect(result.html).toContain('`Clicked ${count}`');
+  });
+
+  it('fails when there is no Babel block', () => {
+    const result = precompileHtml('<html><body></body></html>');
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('text/babel');
+  });
+
+  it('reports compile errors', () => {
+    const broken = VIBES_TEMPLATE.replace('// __VIBES_APP_CODE__', 'function App() { return <div>; }');
+    const result = precompileHtml(broken);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Precompile failed');
+  });
+});
+
+describe('isPrecompiled', () => {
+  it('detects precompiled output', () => {
+    const assembled = VIBES_TEMPLATE.replace('// __VIBES_APP_CODE__', APP_CODE);
+
+    expect(isPrecompiled(assembled)).toBe(false);
+    expect(isPrecompiled(precompileHtml(assembled).html)).toBe(true);
+  });
+});
+
+describe('transpileJsx', () => {
+  it('emits classic React.createElement calls', () => {
+    const result = transpileJsx('const el = <div className="x" />;');
+
+    expect(result.code).toContain('React.createElement("div", { className: "x" })');
+  });
+});
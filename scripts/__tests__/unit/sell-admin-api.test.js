@@ -0,0 +1,100 @@
+/**
+ * Unit tests for sell-admin-api.js
+ *
+ * Tests reading the admin API settings from assembled pages, its environment
+ * and the nginx blocks deploy-exe.js installs.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { existsSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import {
+  ADMIN_API_FILES,
+  ADMIN_API_NGINX_CONF,
+  ADMIN_API_NGINX_MARKER,
+  ENTITLEMENTS_NGINX_CONF,
+  AUTH_REQUEST_LINES,
+  detectSellAdminSettings,
+  adminApiEnv
+} from '../../lib/sell-admin-api.js';
+
+const LIB_DIR = join(dirname(fileURLToPath(import.meta.url)), '../../lib');
+
+describe('detectSellAdminSettings', () => {
+  it('reads the Clerk key and admin IDs from the CONFIG block', () => {
+    const html = 'const CONFIG = {\n  clerkPublishableKey: "pk_test_abc123",\n  adminUserIds: ["user_1","user_2"],\n};';
+    expect(detectSellAdminSettings(html)).toEqual({
+      clerkPublishableKey: 'pk_test_abc123',
+      adminUserIds: ['user_1', 'user_2'],
+      tiers: [],
+      lifecycle: { trialDays: 0, trialTier: null, gracePeriodDays: 7 }
+    });
+  });
+
+  it('reads the pricing tiers', () => {
+    const tiers = [{ slug: 'pro', name: 'Pro', entitlements: ['ai'] }];
+    const html = `const CONFIG = {\n  clerkPublishableKey: "pk_test_abc123",\n  tiers: ${JSON.stringify(tiers)},\n  adminUserIds: [],\n};`;
+    expect(detectSellAdminSettings(html).tiers).toEqual(tiers);
+  });
+
+  it('reads the trial and grace period settings', () => {
+    const html = 'const CONFIG = {\n  clerkPublishableKey: "pk_test_abc123",\n  adminUserIds: [],\n  trialDays: 14,\n  trialTier: "pro",\n  gracePeriodDays: 3,\n};';
+    expect(detectSellAdminSettings(html).lifecycle).toEqual({ trialDays: 14, trialTier: 'pro', gracePeriodDays: 3 });
+  });
+
+  it('returns null for pages that aren\'t assembled sell apps', () => {
+    expect(detectSellAdminSettings('<html><body>Hello</body></html>')).toBeNull();
+    expect(detectSellAdminSettings('  clerkPublishableKey: "__CLERK_PUBLISHABLE_KEY__",\n  adminUserIds: __ADMIN_USER_IDS__,')).toBeNull();
+  });
+});
+
+describe('adminApiEnv', () => {
+  it('lists the variables admin-api.js reads', () => {
+    const authorizedParties = ['https://app.exe.xyz', 'https://*.app.exe.xyz'];
+    expect(adminApiEnv({ webhookSecret: 'whsec_x', clerkPublishableKey: 'pk_test_y', adminUserIds: ['user_1', 'user_2'], authorizedParties })).toEqual([
+      'CLERK_WEBHOOK_SECRET=whsec_x',
+      'CLERK_PUBLISHABLE_KEY=pk_test_y',
+      'VIBES_AUTHORIZED_PARTIES=https://app.exe.xyz,https://*.app.exe.xyz',
+      'VIBES_ADMIN_USER_IDS=user_1,user_2',
+      'VIBES_ADMIN_API_PORT=3002',
+      'VIBES_AI_ENTITLEMENT='
+    ]);
+  });
+
+  it('passes the AI entitlement', () => {
+    expect(adminApiEnv({ webhookSecret: 'w', clerkPublishableKey: 'k', adminUserIds: [], authorizedParties: [], aiEntitlement: 'ai' })).toContain('VIBES_AI_ENTITLEMENT=ai');
+  });
+});
+
+describe('ADMIN_API_NGINX_CONF', () => {
+  it('forwards /api/admin/ to the admin API port', () => {
+    expect(ADMIN_API_NGINX_CONF).toContain(`${ADMIN_API_NGINX_MARKER} {`);
+    expect(ADMIN_API_NGINX_CONF).toContain('proxy_pass http://127.0.0.1:3002/;');
+  });
+});
+
+describe('ENTITLEMENTS_NGINX_CONF', () => {
+  it('forwards /api/me/ and the internal auth_request target to the admin API', () => {
+    expect(ENTITLEMENTS_NGINX_CONF).toContain('location /api/me/ {\n    proxy_pass http://127.0.0.1:3002/me/;');
+    expect(ENTITLEMENTS_NGINX_CONF).toMatch(/location = \/_vibes_authorize \{\n {4}internal;\n {4}proxy_pass http:\/\/127\.0\.0\.1:3002\/authorize;/);
+  });
+
+  it('answers refused requests with the JSON errors useAI reads', () => {
+    const named = AUTH_REQUEST_LINES.filter(line => line.startsWith('error_page')).map(line => line.match(/@\w+/)[0]);
+    for (const location of named) {
+      expect(ENTITLEMENTS_NGINX_CONF).toContain(`location ${location} {`);
+    }
+    const bodies = [...ENTITLEMENTS_NGINX_CONF.matchAll(/return (\d+) '(.*)';/g)];
+    expect(bodies.map(([, status, body]) => [status, JSON.parse(body).error.code])).toEqual([['401', 'UNAUTHORIZED'], ['403', 'NOT_ENTITLED']]);
+  });
+});
+
+describe('ADMIN_API_FILES', () => {
+  it('names existing lib modules, the server first', () => {
+    expect(ADMIN_API_FILES[0]).toBe('admin-api.js');
+    for (const file of ADMIN_API_FILES) {
+      expect(existsSync(join(LIB_DIR, file))).toBe(true);
+    }
+  });
+});
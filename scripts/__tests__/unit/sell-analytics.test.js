@@ -0,0 +1,182 @@
+/**
+ * Unit tests for sell-analytics.js
+ *
+ * Tests turning Clerk webhook events (from the shared mocks) into rows and
+ * the overview, tenant and revenue numbers computed from those rows.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeClerkEvent,
+  monthlyAmount,
+  computeOverview,
+  listTenants,
+  computeRevenue
+} from '../../lib/sell-analytics.js';
+import {
+  createUserCreatedEvent,
+  createUserDeletedEvent,
+  createSubscriptionCreatedEvent,
+  createSubscriptionCanceledEvent,
+  createInvoicePaidEvent,
+  createInvoicePaymentFailedEvent,
+  createUnknownEvent
+} from '../mocks/clerk-webhooks.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 5, 15, 12);
+
+function user(id, tenants, createdAt = NOW - DAY, extra = {}) {
+  return { id, email: `${id}@example.com`, tenants, createdAt, deletedAt: null, ...extra };
+}
+
+function subscription(id, userId, extra = {}) {
+  return { id, userId, plan: 'pro', status: 'active', billingPeriod: 'monthly', amount: 900, createdAt: NOW - 10 * DAY, canceledAt: null, ...extra };
+}
+
+describe('normalizeClerkEvent', () => {
+  it('maps user.created to a user row', () => {
+    const { payload } = createUserCreatedEvent({ userId: 'user_a', email: 'a@example.com', createdAt: NOW });
+    expect(normalizeClerkEvent(payload)).toEqual({
+      kind: 'user',
+      row: { id: 'user_a', email: 'a@example.com', tenants: [], createdAt: NOW }
+    });
+  });
+
+  it('reads claimed tenants from unsafe_metadata', () => {
+    const { payload } = createUserCreatedEvent({ userId: 'user_a' });
+    payload.type = 'user.updated';
+    payload.data.unsafe_metadata = { tenants: ['alice', 'team'], subdomain: 'alice' };
+    expect(normalizeClerkEvent(payload).row.tenants).toEqual(['alice', 'team']);
+  });
+
+  it('maps user.deleted', () => {
+    const { payload } = createUserDeletedEvent({ userId: 'user_a' });
+    const change = normalizeClerkEvent(payload);
+    expect(change.kind).toBe('userDeleted');
+    expect(change.row.id).toBe('user_a');
+  });
+
+  it('maps subscription events, leaving fields a cancel omits empty', () => {
+    const created = normalizeClerkEvent(createSubscriptionCreatedEvent({
+      subscriptionId: 'sub_1', userId: 'user_a', planId: 'team', billingPeriod: 'annual', amount: 9900
+    }).payload);
+    expect(created.kind).toBe('subscription');
+    expect(created.row).toMatchObject({ id: 'sub_1', userId: 'user_a', plan: 'team', status: 'active', billingPeriod: 'annual', amount: 9900 });
+
+    const canceled = normalizeClerkEvent(createSubscriptionCanceledEvent({ subscriptionId: 'sub_1', userId: 'user_a', canceledAt: NOW }).payload);
+    expect(canceled.row).toMatchObject({ id: 'sub_1', status: 'canceled', canceledAt: NOW, plan: null, amount: null });
+  });
+
+  it('maps paid and failed invoices', () => {
+    const paid = normalizeClerkEvent(createInvoicePaidEvent({ invoiceId: 'inv_1', userId: 'user_a', amount: 900, paidAt: NOW }).payload);
+    expect(paid).toEqual({ kind: 'invoice', row: { id: 'inv_1', userId: 'user_a', amount: 900, currency: 'usd', status: 'paid', at: NOW } });
+
+    const failed = normalizeClerkEvent(createInvoicePaymentFailedEvent({ invoiceId: 'inv_2', userId: 'user_a', amount: 900, failedAt: NOW }).payload);
+    expect(failed.row).toMatchObject({ amount: 900, status: 'failed', at: NOW });
+  });
+
+  it('ignores other events', () => {
+    expect(normalizeClerkEvent(createUnknownEvent().payload)).toBeNull();
+    expect(normalizeClerkEvent({ type: 'user.created' })).toBeNull();
+    expect(normalizeClerkEvent(null)).toBeNull();
+  });
+});
+
+describe('monthlyAmount', () => {
+  it('spreads yearly plans over 12 months', () => {
+    expect(monthlyAmount({ amount: 900, billingPeriod: 'monthly' })).toBe(900);
+    expect(monthlyAmount({ amount: 8900, billingPeriod: 'annual' })).toBe(742);
+    expect(monthlyAmount({ amount: 12000, billingPeriod: 'yearly' })).toBe(1000);
+    expect(monthlyAmount({ amount: null })).toBe(0);
+  });
+});
+
+describe('computeOverview', () => {
+  const data = {
+    users: [
+      user('user_a', ['alice'], NOW - 2 * DAY),
+      user('user_b', ['bob', 'bob-team'], NOW - 20 * DAY),
+      user('user_c', [], NOW - 60 * DAY),
+      user('user_d', ['gone'], NOW - DAY, { deletedAt: NOW })
+    ],
+    subscriptions: [
+      subscription('sub_a', 'user_a'),
+      subscription('sub_b', 'user_b', { billingPeriod: 'annual', amount: 12000, status: 'past_due' }),
+      subscription('sub_c', 'user_c', { status: 'canceled', canceledAt: NOW - 5 * DAY }),
+      subscription('sub_old', 'user_c', { status: 'canceled', canceledAt: NOW - 90 * DAY })
+    ]
+  };
+
+  it('counts live tenants, users and paying subscribers', () => {
+    const overview = computeOverview(data, NOW);
+    expect(overview.tenantCount).toBe(3);
+    expect(overview.userCount).toBe(3);
+    expect(overview.subscriberCount).toBe(2);
+    expect(overview.mrrCents).toBe(900 + 1000);
+  });
+
+  it('computes 30-day churn', () => {
+    const overview = computeOverview(data, NOW);
+    expect(overview.canceledLast30Days).toBe(1);
+    expect(overview.churnRate).toBeCloseTo(1 / 3);
+    expect(computeOverview({ users: [], subscriptions: [] }, NOW).churnRate).toBe(0);
+  });
+
+  it('counts signups per day', () => {
+    const { signups } = computeOverview(data, NOW);
+    expect(signups.last7Days).toBe(1);
+    expect(signups.last30Days).toBe(2);
+    expect(signups.daily).toHaveLength(30);
+    expect(signups.daily[29]).toEqual({ date: '2026-06-15', count: 0 });
+    expect(signups.daily[27]).toEqual({ date: '2026-06-13', count: 1 });
+  });
+});
+
+describe('listTenants', () => {
+  it('lists each claimed subdomain with its owner plan, newest first', () => {
+    const tenants = listTenants({
+      users: [user('user_a', ['alice'], NOW - 2 * DAY), user('user_b', ['bob'], NOW - DAY), user('user_x', ['x'], NOW, { deletedAt: NOW })],
+      subscriptions: [
+        subscription('sub_a_old', 'user_a', { status: 'canceled', createdAt: NOW - 40 * DAY }),
+        subscription('sub_a', 'user_a', { plan: 'team', amount: 2900 })
+      ]
+    });
+
+    expect(tenants.map(t => t.subdomain)).toEqual(['bob', 'alice']);
+    expect(tenants[0]).toMatchObject({ userId: 'user_b', plan: null, status: 'free', mrrCents: 0 });
+    expect(tenants[1]).toMatchObject({ email: 'user_a@example.com', plan: 'team', status: 'active', mrrCents: 2900 });
+  });
+});
+
+describe('computeRevenue', () => {
+  it('sums MRR by plan and invoices by month', () => {
+    const revenue = computeRevenue({
+      subscriptions: [
+        subscription('s1', 'u1'),
+        subscription('s2', 'u2'),
+        subscription('s3', 'u3', { plan: 'team', amount: 2900 }),
+        subscription('s4', 'u4', { status: 'canceled' })
+      ],
+      invoices: [
+        { id: 'i1', userId: 'u1', amount: 900, status: 'paid', at: NOW - 2 * DAY },
+        { id: 'i2', userId: 'u3', amount: 2900, status: 'paid', at: Date.UTC(2026, 4, 20) },
+        { id: 'i3', userId: 'u2', amount: 900, status: 'failed', at: NOW - DAY },
+        { id: 'i4', userId: 'u2', amount: 900, status: 'paid', at: Date.UTC(2025, 0, 1) }
+      ]
+    }, NOW);
+
+    expect(revenue.mrrCents).toBe(4700);
+    expect(revenue.arrCents).toBe(4700 * 12);
+    expect(revenue.byPlan).toEqual([
+      { plan: 'team', subscribers: 1, mrrCents: 2900 },
+      { plan: 'pro', subscribers: 2, mrrCents: 1800 }
+    ]);
+    expect(revenue.revenueLast30DaysCents).toBe(3800);
+    expect(revenue.failedPaymentsLast30Days).toBe(1);
+    expect(revenue.monthly).toHaveLength(12);
+    expect(revenue.monthly[0].month).toBe('2025-07');
+    expect(revenue.monthly[11]).toEqual({ month: '2026-06', paidCents: 900, failedCount: 1 });
+    expect(revenue.monthly[10]).toEqual({ month: '2026-05', paidCents: 2900, failedCount: 0 });
+  });
+});
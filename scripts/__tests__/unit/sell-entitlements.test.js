@@ -0,0 +1,213 @@
+/**
+ * Unit tests for sell-entitlements.js
+ *
+ * Tests resolving plans, tiers and entitlements from verified Clerk session
+ * claims and webhook subscriptions, as the admin API does for
+ * /api/me/entitlements and the /api/ai/ auth_request check.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { resolveEntitlements, hasEntitlement, subscriptionLifecycle } from '../../lib/sell-entitlements.js';
+
+const TIERS = [
+  { slug: 'starter', entitlements: ['basic'] },
+  { slug: 'pro', entitlements: ['basic', 'ai'] },
+  { slug: 'team', entitlements: ['*'] }
+];
+
+const DAY = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 5, 15);
+
+function subscription(userId, plan, status = 'active', fields = {}) {
+  return { id: `sub_${userId}_${plan}`, userId, plan, status, ...fields };
+}
+
+function membership(orgId, userId, role = 'org:admin', fields = {}) {
+  return { id: `orgmem_${orgId}_${userId}`, orgId, userId, role, ...fields };
+}
+
+describe('resolveEntitlements', () => {
+  it('denies a signed-in user without a plan', () => {
+    const resolved = resolveEntitlements({ claims: { sub: 'user_a' }, tiers: TIERS });
+    expect(resolved).toEqual({
+      userId: 'user_a', plan: null, tier: null, role: null,
+      isAdmin: false, isMember: false, hasAccess: false, entitlements: [],
+      status: 'none', readOnly: false, trialEndsAt: null, graceEndsAt: null, endsAt: null
+    });
+  });
+
+  it('takes the plan and features from the session claims', () => {
+    const resolved = resolveEntitlements({ claims: { sub: 'user_a', pla: 'u:pro', fea: 'u:export' }, tiers: TIERS });
+    expect(resolved).toMatchObject({ plan: 'pro', tier: 'pro', hasAccess: true });
+    expect(resolved.entitlements).toEqual(['basic', 'ai', 'export']);
+  });
+
+  it('falls back to paying webhook subscriptions, highest tier first', () => {
+    const data = {
+      subscriptions: [subscription('user_a', 'starter'), subscription('user_a', 'team', 'canceled'), subscription('user_a', 'pro', 'past_due')]
+    };
+    expect(resolveEntitlements({ claims: { sub: 'user_a' }, tiers: TIERS, data }).plan).toBe('pro');
+  });
+
+  it('ignores plans that are not configured tiers', () => {
+    const resolved = resolveEntitlements({ claims: { sub: 'user_a', pla: 'u:enterprise' }, tiers: TIERS });
+    expect(resolved.hasAccess).toBe(false);
+  });
+
+  it('gives any legacy plan full access when no tiers are configured', () => {
+    const resolved = resolveEntitlements({ claims: { sub: 'user_a', pla: 'u:monthly' } });
+    expect(resolved).toMatchObject({ plan: 'monthly', tier: null, hasAccess: true, entitlements: ['*'] });
+  });
+
+  it('gives admins everything', () => {
+    const resolved = resolveEntitlements({ claims: { sub: 'user_admin' }, tiers: TIERS, adminIds: ['user_admin'] });
+    expect(resolved).toMatchObject({ isAdmin: true, hasAccess: true, entitlements: ['*'] });
+  });
+
+  it('gives team members the tenant owner\'s tier while the owner pays', () => {
+    const claims = { sub: 'user_b', o: { id: 'org_acme', slg: 'acme', rol: 'member' } };
+    const data = {
+      users: [{ id: 'user_a', tenants: ['acme'] }],
+      subscriptions: [subscription('user_a', 'pro')],
+      memberships: [membership('org_acme', 'user_a'), membership('org_acme', 'user_b', 'org:member')]
+    };
+
+    const resolved = resolveEntitlements({ claims, tiers: TIERS, data, tenant: 'acme' });
+    expect(resolved).toMatchObject({ role: 'editor', isMember: true, plan: null, tier: 'pro', hasAccess: true });
+    expect(resolved.entitlements).toEqual(['basic', 'ai']);
+    expect(hasEntitlement(resolved, 'ai')).toBe(true);
+
+    const unpaid = resolveEntitlements({ claims, tiers: TIERS, data: { ...data, subscriptions: [] }, tenant: 'acme' });
+    expect(unpaid.hasAccess).toBe(false);
+  });
+
+  it('gives team members the highest tier any owner pays for', () => {
+    const claims = { sub: 'user_b', o: { id: 'org_acme', slg: 'acme', rol: 'viewer' } };
+    const data = {
+      memberships: [membership('org_acme', 'user_a'), membership('org_acme', 'user_c'), membership('org_other', 'user_d')],
+      subscriptions: [
+        subscription('user_a', 'starter'),
+        subscription('user_c', 'team', 'canceled'),
+        subscription('user_c', 'pro', 'past_due'),
+        subscription('user_d', 'team')
+      ]
+    };
+    expect(resolveEntitlements({ claims, tiers: TIERS, data, tenant: 'acme' })).toMatchObject({ tier: 'pro', entitlements: ['basic', 'ai'] });
+  });
+
+  it('takes owners from organization admins, not from user metadata', () => {
+    // An attacker's organization reuses a paying tenant's slug; the victim lists it in unsafe_metadata
+    const claims = { sub: 'user_attacker_2', o: { id: 'org_fake', slg: 'acme', rol: 'member' } };
+    const data = {
+      users: [{ id: 'user_victim', tenants: ['acme'] }, { id: 'user_attacker', tenants: [] }],
+      subscriptions: [subscription('user_victim', 'team')],
+      memberships: [membership('org_real', 'user_victim'), membership('org_fake', 'user_attacker'), membership('org_fake', 'user_attacker_2', 'org:member')]
+    };
+    expect(resolveEntitlements({ claims, tiers: TIERS, data, tenant: 'acme' })).toMatchObject({ isMember: true, hasAccess: false, tier: null });
+
+    // Nor do editors of the real organization, demoted or deleted admins, or tokens without an organization ID
+    const demoted = { ...data, memberships: [membership('org_fake', 'user_victim', 'org:member'), membership('org_fake', 'user_x', 'org:admin', { deletedAt: NOW })] };
+    expect(resolveEntitlements({ claims, tiers: TIERS, data: demoted, tenant: 'acme' }).hasAccess).toBe(false);
+    const noId = { sub: 'user_attacker_2', org_slug: 'acme', org_role: 'org:member' };
+    expect(resolveEntitlements({ claims: noId, tiers: TIERS, data: { ...data, memberships: [membership('org_real', 'user_victim')] }, tenant: 'acme' }).hasAccess).toBe(false);
+  });
+
+  it('uses the organization plan for members (v1 org claims too)', () => {
+    const claims = { sub: 'user_b', pla: 'o:team', org_slug: 'acme', org_role: 'org:viewer' };
+    expect(resolveEntitlements({ claims, tiers: TIERS })).toMatchObject({ role: 'viewer', plan: 'team', tier: 'team' });
+  });
+
+  it('ignores an active organization of another tenant', () => {
+    const claims = { sub: 'user_b', pla: 'o:team', o: { slg: 'other', rol: 'member' } };
+    const resolved = resolveEntitlements({ claims, tiers: TIERS, tenant: 'acme' });
+    expect(resolved).toMatchObject({ role: null, isMember: false, plan: null, hasAccess: false });
+  });
+
+  it('does not treat organization owners as members', () => {
+    const claims = { sub: 'user_c', o: { slg: 'mine', rol: 'admin' } };
+    const data = { users: [{ id: 'user_a', tenants: ['mine'] }], subscriptions: [subscription('user_a', 'pro')] };
+    expect(resolveEntitlements({ claims, tiers: TIERS, data })).toMatchObject({ role: 'owner', isMember: false, hasAccess: false });
+  });
+});
+
+describe('subscription lifecycle', () => {
+  const lifecycle = { trialDays: 14, gracePeriodDays: 3 };
+  const users = [{ id: 'user_a', tenants: ['acme'], createdAt: NOW - 2 * DAY }];
+  const memberships = [membership('org_acme', 'user_a')];
+
+  it('gives new accounts a trial of the highest tier, or the configured one', () => {
+    const resolved = resolveEntitlements({ claims: { sub: 'user_a' }, tiers: TIERS, data: { users }, lifecycle, now: NOW });
+    expect(resolved).toMatchObject({ status: 'trial', hasAccess: true, readOnly: false, tier: 'team', trialEndsAt: NOW + 12 * DAY });
+
+    const pro = resolveEntitlements({ claims: { sub: 'user_a' }, tiers: TIERS, data: { users }, lifecycle: { ...lifecycle, trialTier: 'pro' }, now: NOW });
+    expect(pro).toMatchObject({ tier: 'pro', entitlements: ['basic', 'ai'] });
+  });
+
+  it('leaves accounts read-only once the trial is over', () => {
+    const resolved = resolveEntitlements({ claims: { sub: 'user_a' }, tiers: TIERS, data: { users }, lifecycle, now: NOW + 20 * DAY });
+    expect(resolved).toMatchObject({ status: 'trial_ended', hasAccess: false, readOnly: true, entitlements: [] });
+  });
+
+  it('shares the owner\'s trial with team members', () => {
+    const claims = { sub: 'user_b', o: { id: 'org_acme', slg: 'acme', rol: 'member' } };
+    const resolved = resolveEntitlements({ claims, tiers: TIERS, data: { users, memberships }, tenant: 'acme', lifecycle, now: NOW });
+    expect(resolved).toMatchObject({ status: 'trial', isMember: true, hasAccess: true });
+  });
+
+  it('keeps access through the grace period of a past-due payment', () => {
+    const data = { users, subscriptions: [subscription('user_a', 'pro', 'past_due', { currentPeriodEnd: NOW - DAY })] };
+    const inGrace = resolveEntitlements({ claims: { sub: 'user_a', pla: 'u:pro' }, tiers: TIERS, data, lifecycle, now: NOW });
+    expect(inGrace).toMatchObject({ status: 'past_due', hasAccess: true, readOnly: false, graceEndsAt: NOW + 2 * DAY, tier: 'pro' });
+
+    const after = resolveEntitlements({ claims: { sub: 'user_a', pla: 'u:pro' }, tiers: TIERS, data, lifecycle, now: NOW + 3 * DAY });
+    expect(after).toMatchObject({ status: 'past_due', hasAccess: false, readOnly: true });
+    expect(hasEntitlement(after, 'ai')).toBe(false);
+  });
+
+  it('makes canceled subscriptions read-only for the owner and the team', () => {
+    const data = { users, memberships, subscriptions: [subscription('user_a', 'pro', 'canceled')] };
+    expect(resolveEntitlements({ claims: { sub: 'user_a' }, tiers: TIERS, data, lifecycle, now: NOW }))
+      .toMatchObject({ status: 'canceled', hasAccess: false, readOnly: true });
+
+    const claims = { sub: 'user_b', o: { id: 'org_acme', slg: 'acme', rol: 'viewer' } };
+    expect(resolveEntitlements({ claims, tiers: TIERS, data, tenant: 'acme', now: NOW }))
+      .toMatchObject({ status: 'canceled', readOnly: true });
+  });
+
+  it('reports when a canceled subscription that is still active ends', () => {
+    const state = subscriptionLifecycle({
+      subscriptions: [subscription('user_a', 'pro', 'active', { canceledAt: NOW - DAY, currentPeriodEnd: NOW + 9 * DAY })],
+      planClaimed: true,
+      createdAt: null
+    });
+    expect(state).toEqual({ status: 'active', readOnly: false, trialEndsAt: null, graceEndsAt: null, endsAt: NOW + 9 * DAY });
+  });
+
+  it('trusts a plan in the token before its webhook arrives', () => {
+    expect(subscriptionLifecycle({ subscriptions: [], planClaimed: true, createdAt: NOW, trialDays: 14, now: NOW }).status).toBe('active');
+  });
+
+  it('has no trial without a trial length or a known account', () => {
+    expect(subscriptionLifecycle({ subscriptions: [], planClaimed: false, createdAt: NOW, now: NOW }).status).toBe('none');
+    expect(subscriptionLifecycle({ subscriptions: [], planClaimed: false, createdAt: null, trialDays: 14, now: NOW }).status).toBe('none');
+  });
+});
+
+describe('hasEntitlement', () => {
+  it('requires access, then the entitlement or a wildcard', () => {
+    const pro = resolveEntitlements({ claims: { sub: 'user_a', pla: 'u:pro' }, tiers: TIERS });
+    const team = resolveEntitlements({ claims: { sub: 'user_a', pla: 'u:team' }, tiers: TIERS });
+    const none = resolveEntitlements({ claims: { sub: 'user_a', fea: 'u:ai' }, tiers: TIERS });
+
+    expect(hasEntitlement(pro, 'ai')).toBe(true);
+    expect(hasEntitlement(pro, 'export')).toBe(false);
+    expect(hasEntitlement(team, 'export')).toBe(true);
+    expect(hasEntitlement(none, 'ai')).toBe(false);
+  });
+
+  it('only requires access without a feature', () => {
+    const starter = resolveEntitlements({ claims: { sub: 'user_a', pla: 'u:starter' }, tiers: TIERS });
+    expect(hasEntitlement(starter)).toBe(true);
+    expect(hasEntitlement(resolveEntitlements({ claims: { sub: 'user_b' }, tiers: TIERS }))).toBe(false);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Unit tests for sell-landing.js
+ *
+ * Tests checking landing page specs: sections, items, theme values and links.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { checkLandingSpec } from '../../lib/sell-landing.js';
+
+const SPEC = {
+  theme: { accent: '#7c3aed', accentHover: 'oklch(0.5 0.2 290)', background: 'white', font: '"Inter", sans-serif' },
+  sections: [
+    { type: 'hero', title: 'Share every moment', subtitle: 'Your own photo space', image: '/hero.png', cta: 'Claim yours' },
+    { type: 'features', items: ['Guest uploads', { title: 'Albums', description: 'Sort by event' }] },
+    { type: 'gallery', title: 'Screenshots', images: [{ src: 'shots/albums.webp', alt: 'Albums', caption: 'Albums' }] },
+    { type: 'testimonials', items: [{ quote: 'Loved it', author: 'Sam', role: 'Bride', avatar: 'https://example.com/sam.jpg' }] },
+    { type: 'pricing', title: 'Plans' },
+    { type: 'faq', id: 'questions', items: [{ question: 'Can guests upload?', answer: 'Yes' }] }
+  ],
+  footer: {
+    text: '© 2026 Wedding Photos',
+    links: [{ label: 'Privacy', href: '/privacy.html' }, { label: 'FAQ', href: '#questions' }, { label: 'Mail', href: 'mailto:hi@example.com' }]
+  }
+};
+
+describe('checkLandingSpec', () => {
+  it('accepts a full spec', () => {
+    expect(checkLandingSpec(SPEC)).toBeNull();
+  });
+
+  it('accepts partial specs', () => {
+    expect(checkLandingSpec({})).toBeNull();
+    expect(checkLandingSpec({ theme: { accent: '#000' } })).toBeNull();
+    expect(checkLandingSpec({ footer: { links: [{ label: 'Blog', href: 'https://blog.example.com' }] } })).toBeNull();
+  });
+
+  it('requires exactly one hero', () => {
+    expect(checkLandingSpec({ sections: [{ type: 'features' }] })).toContain('exactly one hero (it holds the signup form), found 0');
+    expect(checkLandingSpec({ sections: [{ type: 'hero' }, { type: 'hero' }] })).toContain('found 2');
+  });
+
+  it('reports unknown section types, keys and missing items', () => {
+    const problem = checkLandingSpec({
+      sections: [
+        { type: 'hero', headline: 'Hi' },
+        { type: 'video' },
+        { type: 'faq' },
+        { type: 'testimonials', items: [{ quote: 'Great' }] },
+        { type: 'gallery', images: [] }
+      ]
+    });
+    expect(problem).toContain('section 1 (hero) has unknown key(s) headline');
+    expect(problem).toContain('section 2 (video) needs a type, one of: hero, features, testimonials, faq, pricing, gallery');
+    expect(problem).toContain('section 3 (faq) needs items');
+    expect(problem).toContain('section 4 (testimonials) item 1 needs author');
+    expect(problem).toContain('section 5 (gallery) needs a list of images');
+  });
+
+  it('rejects theme values that are not colors or fonts', () => {
+    const problem = checkLandingSpec({ theme: { accent: 'red; background: url(x)', font: 'Inter; color: red', glow: '#fff' } });
+    expect(problem).toContain('theme accent must be a CSS color');
+    expect(problem).toContain('theme font must be a font-family list');
+    expect(problem).toContain('theme has unknown key glow');
+  });
+
+  it('rejects script links and images', () => {
+    const problem = checkLandingSpec({
+      sections: [{ type: 'hero', image: 'javascript:alert(1)' }],
+      footer: { links: [{ label: 'x', href: 'javascript:alert(1)' }] }
+    });
+    expect(problem).toContain('section 1 (hero) image must be an http(s) URL or a path');
+    expect(problem).toContain('footer link 1 href must be an http(s), mailto: or relative link');
+  });
+
+  it('rejects non-objects', () => {
+    expect(checkLandingSpec([])).toBe('must be an object with theme, sections and footer');
+    expect(checkLandingSpec({ sections: {} })).toBe('is invalid: sections must be a list');
+  });
+});
@@ -0,0 +1,29 @@
+/**
+ * Unit tests for sell-routing.js
+ *
+ * Tests reading the routing mode from assembled pages and the nginx rules
+ * path routing needs.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { detectSellRouting, PATH_ROUTING_NGINX_CONF, PATH_ROUTING_NGINX_MARKER } from '../../lib/sell-routing.js';
+
+describe('detectSellRouting', () => {
+  it('reads the mode from the CONFIG block', () => {
+    expect(detectSellRouting('const CONFIG = {\n  domain: "a.com",\n  routing: "path",\n};')).toBe('path');
+    expect(detectSellRouting('const CONFIG = {\n  routing: "subdomain",\n};')).toBe('subdomain');
+  });
+
+  it('returns null for pages without a known mode', () => {
+    expect(detectSellRouting('<html><body>Hello</body></html>')).toBeNull();
+    expect(detectSellRouting('  routing: "__ROUTING__",')).toBeNull();
+  });
+});
+
+describe('PATH_ROUTING_NGINX_CONF', () => {
+  it('serves index.html for tenant and admin paths', () => {
+    expect(PATH_ROUTING_NGINX_CONF).toContain(PATH_ROUTING_NGINX_MARKER);
+    expect(PATH_ROUTING_NGINX_CONF).toContain('location ~ ^/(t/[^/]+|admin)(/|$) {');
+    expect(PATH_ROUTING_NGINX_CONF).toContain('try_files $uri /index.html;');
+  });
+});
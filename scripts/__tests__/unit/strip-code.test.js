@@ -0,0 +1,154 @@
+/**
+ * Unit tests for strip-code.js
+ *
+ * Tests parser-based removal of imports, default and named exports, CONFIG
+ * and template constants, and the manifest of removed imports.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { stripCode, stripImports, stripExportDefault, stripConfig, stripForTemplate, applyStripRules } from '../../lib/strip-code.js';
+
+describe('stripCode imports', () => {
+  const code = `import React, { useState as useLocalState } from "react";
+import * as Icons from 'lucide-react';
+import "./styles.css";
+import {
+  useFireproof,
+} from "use-fireproof";
+
+function App() {
+  const Confetti = import("canvas-confetti");
+  return <Icons.Star />;
+}`;
+
+  it('removes every import form', () => {
+    const result = stripCode(code, { imports: true });
+
+    expect(result.parsed).toBe(true);
+    expect(result.code).not.toMatch(/^import/m);
+    expect(result.code).not.toContain('useFireproof');
+    expect(result.code.trimStart()).toMatch(/^function App\(\) \{/);
+  });
+
+  it('returns a manifest of removed imports', () => {
+    const { imports } = stripCode(code, { imports: true });
+
+    expect(imports.map(i => i.source)).toEqual(['react', 'lucide-react', './styles.css', 'use-fireproof']);
+    expect(imports[0].specifiers).toEqual([
+      { kind: 'default', imported: 'default', local: 'React' },
+      { kind: 'named', imported: 'useState', local: 'useLocalState' }
+    ]);
+    expect(imports[1].specifiers).toEqual([{ kind: 'namespace', imported: '*', local: 'Icons' }]);
+    expect(imports[2].specifiers).toEqual([]);
+    expect(imports[3].line).toBe(4);
+  });
+
+  it('keeps dynamic imports and lists them separately', () => {
+    const result = stripCode(code, { imports: true });
+
+    expect(result.code).toContain('import("canvas-confetti")');
+    expect(result.dynamicImports).toEqual([{ source: 'canvas-confetti', line: 9 }]);
+  });
+
+  it('leaves import-like text in strings alone', () => {
+    const result = stripImports('const help = `\nimport x from "y";\n`;');
+
+    expect(result).toContain('import x from "y";');
+  });
+});
+
+describe('stripCode default exports', () => {
+  it('strips the prefix from named function and class declarations', () => {
+    expect(stripExportDefault('export default function App() {}')).toBe('function App() {}');
+    expect(stripExportDefault('export default class App extends React.Component {}')).toBe('class App extends React.Component {}');
+  });
+
+  it('removes `export default App;`', () => {
+    expect(stripExportDefault('const App = () => null;\nexport default App;\n')).toBe('const App = () => null;\n');
+  });
+
+  it('names anonymous and aliased exports App', () => {
+    expect(stripExportDefault('export default () => <div />;')).toBe('const App = () => <div />;');
+    expect(stripExportDefault('function Main() {}\nexport default Main;')).toBe('function Main() {}\nconst App = Main;');
+    expect(stripExportDefault('function Main() {}\nexport { Main as default };')).toBe('function Main() {}\nconst App = Main;');
+  });
+
+  it('leaves re-exports alone', () => {
+    expect(stripExportDefault('export { default } from "./App.jsx";')).toBe('export { default } from "./App.jsx";');
+  });
+});
+
+describe('stripCode named exports', () => {
+  it('turns exported declarations into plain ones and drops export lists', () => {
+    const code = `export const LIMIT = 3;
+export async function load() {}
+const helper = 1;
+export { helper };
+export * from "./more.js";`;
+
+    expect(stripCode(code, { exports: true }).code).toBe('const LIMIT = 3;\nasync function load() {}\nconst helper = 1;\n');
+  });
+
+  it('removes exported constants with their export keyword', () => {
+    const code = 'export const APP_NAME = "x", count = 2;\nexport const APP_DOMAIN = "y";\n';
+
+    expect(stripCode(code, { exports: true, constants: ['APP_NAME', 'APP_DOMAIN'] }).code).toBe('const count = 2;\n');
+  });
+
+  it('has a line-based fallback', () => {
+    expect(applyStripRules('export function f() {}\nexport { f };\n<div', ['exports']).code).toBe('function f() {}\n\n<div');
+  });
+});
+
+describe('stripCode CONFIG and constants', () => {
+  it('removes an indented CONFIG object', () => {
+    const code = `function App() {}
+  const CONFIG = {
+    title: "Demo",
+    nested: { a: 1 },
+    };
+const other = 1;`;
+
+    expect(stripConfig(code)).toBe('function App() {}\nconst other = 1;');
+  });
+
+  it('keeps other declarators in the same statement', () => {
+    const result = stripCode('const APP_NAME = "x", count = 2;', { constants: ['APP_NAME'] });
+
+    expect(result.code).toBe('const count = 2;');
+  });
+
+  it('only removes top-level declarations', () => {
+    const code = 'function App() {\n  const CONFIG = {};\n  return CONFIG;\n}';
+
+    expect(stripConfig(code)).toBe(code);
+  });
+});
+
+describe('stripForTemplate', () => {
+  it('falls back to line-based stripping when the code does not parse', () => {
+    const result = stripCode('import React from "react";\nexport default function App( {', { imports: true, exportDefault: true });
+
+    expect(result.parsed).toBe(false);
+    expect(result.imports).toEqual([]);
+    expect(result.code.trim()).toBe('function App( {');
+  });
+
+  it('applies every rule', () => {
+    const code = `import React from "react";
+const CONFIG = { a: 1 };
+export default function App() {
+  return <div />;
+}`;
+
+    expect(stripForTemplate(code)).toBe('function App() {\n  return <div />;\n}');
+  });
+
+  it('matches applyStripRules with all rules', () => {
+    const code = 'import x from "x";\nconst TITLE = "t";\nexport default function App() {}';
+    const result = applyStripRules(code, ['imports', 'exportDefault', 'config', 'constants'], ['TITLE']);
+
+    expect(result.code).toBe(stripForTemplate(code, ['TITLE']));
+    expect(result.imports.map(i => i.source)).toEqual(['x']);
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Unit tests for the sell template's subdomain validator
+ *
+ * Tests DNS label rules, reserved and blocked names, and the registry lookup.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { checkDnsLabel, validateSubdomain, checkSubdomainAvailability } from '../../../skills/sell/components/subdomain.js';
+
+describe('checkDnsLabel', () => {
+  it('accepts lowercase letters, digits and inner hyphens', () => {
+    expect(checkDnsLabel('wedding-photos-2')).toBeNull();
+    expect(checkDnsLabel('a'.repeat(63))).toBeNull();
+  });
+
+  it('rejects labels DNS does not allow', () => {
+    expect(checkDnsLabel('')).toBe('Enter a subdomain');
+    expect(checkDnsLabel('a'.repeat(64))).toBe('Use at most 63 characters');
+    expect(checkDnsLabel('My_Site')).toBe('Use only lowercase letters, digits and hyphens');
+    expect(checkDnsLabel('-site')).toBe("Can't start or end with a hyphen");
+    expect(checkDnsLabel('xn--abc')).toBe("Can't have hyphens in the third and fourth positions");
+  });
+});
+
+describe('validateSubdomain', () => {
+  it('rejects built-in and configured reserved names', () => {
+    expect(validateSubdomain('admin')).toEqual({ valid: false, reason: 'reserved', error: '"admin" is reserved' });
+    expect(validateSubdomain('shop', { reserved: ['shop'] }).reason).toBe('reserved');
+    expect(validateSubdomain('shop')).toEqual({ valid: true });
+  });
+
+  it('blocks terms as the whole name or a hyphen-separated part', () => {
+    expect(validateSubdomain('paypal-help').reason).toBe('blocked');
+    expect(validateSubdomain('pay-pal').reason).toBe('blocked');
+    expect(validateSubdomain('acme-rival', { blocked: ['rival'] }).reason).toBe('blocked');
+    expect(validateSubdomain('scunthorpe').valid).toBe(true);
+  });
+});
+
+describe('checkSubdomainAvailability', () => {
+  const registry = { isAvailable: async (name) => name !== 'taken' };
+
+  it('asks the registry once the name is valid', async () => {
+    expect(await checkSubdomainAvailability('fresh', { registry })).toEqual({ available: true, checked: true });
+    expect(await checkSubdomainAvailability('taken', { registry })).toEqual({ available: false, reason: 'taken', error: '"taken" is already taken' });
+    expect((await checkSubdomainAvailability('www', { registry })).reason).toBe('reserved');
+  });
+
+  it('reports unchecked uniqueness without a registry and registry failures as errors', async () => {
+    expect(await checkSubdomainAvailability('fresh')).toEqual({ available: true, checked: false });
+
+    const broken = { isAvailable: async () => { throw new Error('offline'); } };
+    expect(await checkSubdomainAvailability('fresh', { registry: broken })).toEqual({
+      available: false, reason: 'error', error: "Couldn't check availability: offline"
+    });
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * Unit tests for update.js
+ *
+ * Tests the check of updated HTML before it is reported as applied.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { validateOutput } from '../../update.js';
+
+function page(appCode) {
+  return `<html><head><script type="importmap">{"imports":{}}</script></head>
+<body><script type="text/babel" data-type="module">
+${appCode}
+</script></body></html>`;
+}
+
+describe('validateOutput', () => {
+  it('accepts an inline App component', () => {
+    expect(validateOutput(page('export default function App() { return null; }'))).toEqual({ valid: true, errors: [] });
+  });
+
+  it('accepts bundled apps, whose default export esbuild rewrites', () => {
+    expect(validateOutput(page('function App() { return null; }\nexport { App as default };')).valid).toBe(true);
+    expect(validateOutput(page('const App = () => null;\nvar app_default = App;\nexport { app_default as default };')).valid).toBe(true);
+  });
+
+  it('reports a page whose default export is not App', () => {
+    const { valid, errors } = validateOutput(page('function Main() { return null; }\nexport { Main as default };'));
+    expect(valid).toBe(false);
+    expect(errors).toContain('Missing App component (export default function App)');
+  });
+});
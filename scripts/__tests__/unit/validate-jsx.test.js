@@ -0,0 +1,132 @@
+/**
+ * Unit tests for validate-jsx.js
+ *
+ * Tests the parse-time checks assemble.js runs before writing output.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { validateAppCode, formatDiagnostics } from '../../lib/validate-jsx.js';
+
+describe('validateAppCode', () => {
+  describe('valid apps', () => {
+    it('accepts export default function App', () => {
+      const code = `import React, { useState } from "react";
+export default function App() {
+  const [count, setCount] = useState(0);
+  return <button onClick={() => setCount(count + 1)}>{count}</button>;
+}`;
+
+      expect(validateAppCode(code)).toEqual({ valid: true, errors: [] });
+    });
+
+    it('accepts a separate export default App statement', () => {
+      const code = `function App() {
+  return <div />;
+}
+export default App;`;
+
+      expect(validateAppCode(code).valid).toBe(true);
+    });
+
+    it('accepts comparisons that look like generics', () => {
+      const code = `export default function App() {
+  const a = 1, b = 2, c = 3;
+  return <div>{a < b && b > c ? "x" : "y"}</div>;
+}`;
+
+      expect(validateAppCode(code).valid).toBe(true);
+    });
+  });
+
+  describe('syntax errors', () => {
+    it('reports unclosed JSX with location', () => {
+      const code = `export default function App() {
+  return <div>;
+}`;
+
+      const result = validateAppCode(code);
+      expect(result.valid).toBe(false);
+      expect(result.errors[0].kind).toBe('syntax');
+      expect(result.errors[0].line).toBeGreaterThanOrEqual(2);
+    });
+  });
+
+  describe('TypeScript syntax', () => {
+    it('rejects type annotations', () => {
+      const code = `export default function App() {
+  const name: string = "vibes";
+  return <div>{name}</div>;
+}`;
+
+      const result = validateAppCode(code);
+      expect(result.valid).toBe(false);
+      expect(result.errors[0].kind).toBe('typescript');
+      expect(result.errors[0].line).toBe(2);
+    });
+
+    it('rejects interfaces', () => {
+      const code = `interface Todo { text: string }
+export default function App() {
+  return <div />;
+}`;
+
+      const result = validateAppCode(code);
+      expect(result.errors[0].kind).toBe('typescript');
+      expect(result.errors[0].line).toBe(1);
+    });
+
+    it('rejects generic calls that parse as comparisons', () => {
+      const code = `import { useState } from "react";
+export default function App() {
+  const [text, setText] = useState<string>("");
+  return <div>{text}</div>;
+}`;
+
+      const result = validateAppCode(code);
+      expect(result.valid).toBe(false);
+      expect(result.errors[0]).toMatchObject({ kind: 'typescript', line: 3, column: 27 });
+      expect(result.errors[0].message).toContain('useState<string>');
+    });
+  });
+
+  describe('default export', () => {
+    it('reports a missing default export', () => {
+      const result = validateAppCode('function App() { return <div />; }');
+
+      expect(result.valid).toBe(false);
+      expect(result.errors[0].kind).toBe('export');
+      expect(result.errors[0].message).toContain('Missing default export');
+    });
+
+    it('reports a misnamed default export', () => {
+      const code = `const x = 1;
+export default function Main() { return <div />; }`;
+
+      const result = validateAppCode(code);
+      expect(result.errors[0]).toMatchObject({ kind: 'export', line: 2, column: 1 });
+      expect(result.errors[0].message).toContain('"Main"');
+    });
+
+    it('reports an anonymous default export', () => {
+      const result = validateAppCode('export default () => <div />;');
+
+      expect(result.errors[0].message).toContain('anonymous');
+    });
+
+    it('honors a custom component name', () => {
+      const code = 'export default function Widget() { return <div />; }';
+
+      expect(validateAppCode(code, { componentName: 'Widget' }).valid).toBe(true);
+    });
+  });
+});
+
+describe('formatDiagnostics', () => {
+  it('formats file:line:column prefixes', () => {
+    const output = formatDiagnostics([
+      { kind: 'syntax', line: 3, column: 7, message: 'Unexpected ";"' }
+    ], 'app.jsx');
+
+    expect(output).toBe('app.jsx:3:7: Unexpected ";"');
+  });
+});
@@ -0,0 +1,259 @@
+/**
+ * Unit tests for the Clerk webhook receiver (clerk-webhooks.js) and the
+ * in-memory webhook store
+ *
+ * Tests verification, deduplication by svix-id, event persistence and the
+ * idempotent, event-ordered updates of user and subscription rows.
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createHmac } from 'crypto';
+import { createWebhookReceiver } from '../../lib/clerk-webhooks.js';
+import { createMemoryWebhookStore, loadWebhookData, loadEntitlementData } from '../../lib/webhook-store.js';
+import { resolveEntitlements } from '../../lib/sell-entitlements.js';
+import {
+  createUserCreatedEvent,
+  createUserDeletedEvent,
+  createSubscriptionCreatedEvent,
+  createSubscriptionUpdatedEvent,
+  createSubscriptionCanceledEvent,
+  createInvoicePaidEvent,
+  createOrganizationMembershipEvent,
+  createInvalidSignatureEvent,
+  createExpiredTimestampEvent,
+  createUnknownEvent
+} from '../mocks/clerk-webhooks.js';
+
+const SECRET = 'whsec_' + Buffer.from('test-webhook-secret').toString('base64');
+
+let store;
+let receive;
+
+/**
+ * Deliver a mock event as Svix would: raw body plus its headers
+ */
+function deliver({ payload, headers }) {
+  return receive(JSON.stringify(payload), headers);
+}
+
+/**
+ * Sign a payload under a chosen svix-id (the mocks pick random ids)
+ */
+function signed(payload, svixId) {
+  const body = JSON.stringify(payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = createHmac('sha256', Buffer.from(SECRET.slice(6), 'base64'))
+    .update(`${svixId}.${timestamp}.${body}`)
+    .digest('base64');
+  return receive(body, { 'svix-id': svixId, 'svix-timestamp': timestamp, 'svix-signature': `v1,${signature}` });
+}
+
+/**
+ * A mock event's payload stamped with an event time
+ */
+function at(event, timestamp) {
+  return { ...event.payload, timestamp };
+}
+
+beforeEach(() => {
+  store = createMemoryWebhookStore();
+  receive = createWebhookReceiver({ secret: SECRET, store });
+});
+
+describe('createWebhookReceiver', () => {
+  it('stores a verified user.created event', async () => {
+    const result = await deliver(createUserCreatedEvent({ userId: 'user_a', email: 'a@example.com' }));
+
+    expect(result).toEqual({ status: 200, body: { received: true, applied: true } });
+    expect(store.getRow('users', 'user_a')).toMatchObject({ id: 'user_a', email: 'a@example.com', tenants: [] });
+  });
+
+  it('stores organization memberships and their removal', async () => {
+    const membership = { membershipId: 'orgmem_1', orgId: 'org_acme', userId: 'user_a' };
+    await signed(at(createOrganizationMembershipEvent(membership), 1000), 'msg_join');
+    expect(store.getRow('memberships', 'orgmem_1')).toMatchObject({ orgId: 'org_acme', userId: 'user_a', role: 'org:admin' });
+    expect(store.getRow('memberships', 'orgmem_1').deletedAt).toBeUndefined();
+
+    await signed(at(createOrganizationMembershipEvent({ ...membership, type: 'organizationMembership.updated', role: 'org:member' }), 2000), 'msg_demote');
+    await signed(at(createOrganizationMembershipEvent({ ...membership, type: 'organizationMembership.deleted', role: 'org:member' }), 3000), 'msg_leave');
+    expect(store.getRow('memberships', 'orgmem_1')).toMatchObject({ role: 'org:member', deletedAt: 3000 });
+  });
+
+  it('persists each event with its svix-id', async () => {
+    const event = createInvoicePaidEvent({ invoiceId: 'inv_1', userId: 'user_a' });
+    await deliver(event);
+
+    const record = store.getEvent(event.headers['svix-id']);
+    expect(record).toMatchObject({ type: 'invoice.paid', applied: true });
+    expect(record.payload).toEqual(event.payload);
+  });
+
+  it('rejects bad signatures and stale deliveries without storing them', async () => {
+    const invalid = await deliver(createInvalidSignatureEvent('user.created', { data: { id: 'user_x' } }));
+    expect(invalid).toEqual({ status: 401, body: { error: 'Signature mismatch' } });
+
+    const expired = await deliver(createExpiredTimestampEvent('user.created', { data: { id: 'user_x' } }));
+    expect(expired.status).toBe(401);
+    expect(expired.body.error).toContain('tolerance');
+
+    expect(store.getEvent('msg_invalid')).toBeNull();
+    expect(store.getRow('users', 'user_x')).toBeNull();
+  });
+
+  it('rejects a signed body that is not JSON', async () => {
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    const signature = createHmac('sha256', Buffer.from(SECRET.slice(6), 'base64'))
+      .update(`msg_bad.${timestamp}.not json`)
+      .digest('base64');
+    const result = await receive('not json', { 'svix-id': 'msg_bad', 'svix-timestamp': timestamp, 'svix-signature': `v1,${signature}` });
+    expect(result).toEqual({ status: 400, body: { error: 'Invalid JSON' } });
+  });
+
+  it('acknowledges a redelivered svix-id without applying it again', async () => {
+    const event = createUserCreatedEvent({ userId: 'user_a' });
+    await deliver(event);
+    store.putRow('users', { ...store.getRow('users', 'user_a'), email: 'changed@example.com' });
+
+    const again = await deliver(event);
+    expect(again).toEqual({ status: 200, body: { received: true, duplicate: true } });
+    expect(store.getRow('users', 'user_a').email).toBe('changed@example.com');
+  });
+
+  it('acknowledges and keeps unknown event types', async () => {
+    const event = createUnknownEvent();
+    const result = await deliver(event);
+
+    expect(result).toEqual({ status: 200, body: { received: true, applied: false } });
+    expect(store.getEvent(event.headers['svix-id']).type).toBe('unknown.event.type');
+  });
+
+  it('keeps subscription fields a cancel event omits', async () => {
+    await deliver(createSubscriptionCreatedEvent({ subscriptionId: 'sub_1', userId: 'user_a', planId: 'pro', amount: 900 }));
+    await deliver(createSubscriptionCanceledEvent({ subscriptionId: 'sub_1', userId: 'user_a' }));
+
+    expect(store.getRow('subscriptions', 'sub_1')).toMatchObject({ status: 'canceled', plan: 'pro', amount: 900, billingPeriod: 'monthly' });
+  });
+
+  it('does not let an older event override newer state', async () => {
+    const canceled = createSubscriptionCanceledEvent({ subscriptionId: 'sub_1', userId: 'user_a' });
+    const updated = createSubscriptionUpdatedEvent({ subscriptionId: 'sub_1', userId: 'user_a', status: 'active', planId: 'pro' });
+
+    await signed(at(canceled, 2000), 'msg_cancel');
+    await signed(at(updated, 1000), 'msg_update');
+
+    // The late update still fills in the plan the cancel didn't carry
+    expect(store.getRow('subscriptions', 'sub_1')).toMatchObject({ status: 'canceled', plan: 'pro', eventAt: 2000 });
+  });
+
+  it('reports redundant events as not applied', async () => {
+    const payload = at(createSubscriptionCreatedEvent({ subscriptionId: 'sub_1', userId: 'user_a' }), 1000);
+    await signed(payload, 'msg_1');
+    const replayed = await signed(payload, 'msg_2');
+
+    expect(replayed.body).toEqual({ received: true, applied: false });
+    expect(store.getEvent('msg_2').applied).toBe(false);
+  });
+
+  it('gives the same state for the same events in any order', async () => {
+    const events = [
+      [at(createSubscriptionCreatedEvent({ subscriptionId: 'sub_1', userId: 'user_a', amount: 900 }), 1000), 'msg_1'],
+      [at(createSubscriptionUpdatedEvent({ subscriptionId: 'sub_1', userId: 'user_a', planId: 'team', amount: 2900 }), 2000), 'msg_2'],
+      [at(createSubscriptionCanceledEvent({ subscriptionId: 'sub_1', userId: 'user_a' }), 3000), 'msg_3']
+    ];
+
+    for (const [payload, id] of events) await signed(payload, id);
+    const inOrder = store.getRow('subscriptions', 'sub_1');
+
+    store = createMemoryWebhookStore();
+    receive = createWebhookReceiver({ secret: SECRET, store });
+    for (const [payload, id] of [events[2], events[0], events[1]]) await signed(payload, id);
+
+    expect(inOrder).toMatchObject({ status: 'canceled', plan: 'team', amount: 2900, eventAt: 3000 });
+    expect(store.getRow('subscriptions', 'sub_1')).toEqual(inOrder);
+  });
+
+  it('keeps a deleted user deleted when an older user.created arrives late', async () => {
+    await signed(at(createUserDeletedEvent({ userId: 'user_a' }), 2000), 'msg_delete');
+    await signed(at(createUserCreatedEvent({ userId: 'user_a' }), 1000), 'msg_create');
+
+    const { users } = await loadWebhookData(store);
+    expect(users).toHaveLength(1);
+    expect(users[0]).toMatchObject({ id: 'user_a', deletedAt: 2000 });
+  });
+});
+
+describe('createMemoryWebhookStore', () => {
+  it('hands out copies of stored rows', () => {
+    const memory = createMemoryWebhookStore();
+    memory.putRow('users', { id: 'user_a', tenants: ['alice'] });
+    memory.getRow('users', 'user_a').tenants.push('bob');
+    expect(memory.getRow('users', 'user_a').tenants).toEqual(['alice']);
+  });
+
+  it('keeps the first record of an event id', () => {
+    const memory = createMemoryWebhookStore();
+    memory.saveEvent({ id: 'msg_1', type: 'user.created' });
+    memory.saveEvent({ id: 'msg_1', type: 'user.deleted' });
+    expect(memory.getEvent('msg_1').type).toBe('user.created');
+  });
+
+  it('rejects unknown tables', () => {
+    expect(() => createMemoryWebhookStore().rows('sessions')).toThrow('Unknown table: sessions');
+  });
+
+  it('looks rows up by field', () => {
+    const memory = createMemoryWebhookStore();
+    memory.putRow('users', { id: 'user_a', tenants: ['acme'] });
+    memory.putRow('subscriptions', { id: 'sub_1', userId: 'user_a', plan: 'pro', status: 'active' });
+
+    expect(memory.rowsWhere('subscriptions', 'userId', ['user_a', 'user_c']).map(row => row.id)).toEqual(['sub_1']);
+    expect(() => memory.rowsWhere('users', 'tenants', ['acme'])).toThrow('Unknown field: users.tenants');
+  });
+});
+
+describe('loadEntitlementData', () => {
+  function storeWith(users, subscriptions, memberships) {
+    const memory = createMemoryWebhookStore();
+    users.forEach(user => memory.putRow('users', user));
+    subscriptions.forEach(subscription => memory.putRow('subscriptions', subscription));
+    memberships.forEach(membership => memory.putRow('memberships', membership));
+    return memory;
+  }
+
+  const USERS = [
+    { id: 'user_owner', tenants: ['acme'], createdAt: 1 },
+    { id: 'user_member', tenants: [], createdAt: 2 },
+    { id: 'user_other', tenants: ['globex'], createdAt: 3 }
+  ];
+  const MEMBERSHIPS = [
+    { id: 'orgmem_1', orgId: 'org_acme', userId: 'user_owner', role: 'org:admin' },
+    { id: 'orgmem_2', orgId: 'org_acme', userId: 'user_member', role: 'org:member' },
+    { id: 'orgmem_3', orgId: 'org_globex', userId: 'user_other', role: 'org:admin' }
+  ];
+  const SUBSCRIPTIONS = [
+    { id: 'sub_owner', userId: 'user_owner', plan: 'pro', status: 'active' },
+    { id: 'sub_other', userId: 'user_other', plan: 'team', status: 'active' }
+  ];
+
+  it('loads only the user\'s rows and their team owners\'', async () => {
+    const memory = storeWith(USERS, SUBSCRIPTIONS, MEMBERSHIPS);
+
+    const member = await loadEntitlementData(memory, { userId: 'user_member', orgId: 'org_acme' });
+    expect(member.users.map(user => user.id).sort()).toEqual(['user_member', 'user_owner']);
+    expect(member.subscriptions.map(subscription => subscription.id)).toEqual(['sub_owner']);
+    expect(member.memberships.map(membership => membership.id)).toEqual(['orgmem_1', 'orgmem_2']);
+
+    const solo = await loadEntitlementData(memory, { userId: 'user_member' });
+    expect(solo).toEqual({ users: [USERS[1]], subscriptions: [], memberships: [] });
+  });
+
+  it('resolves the same entitlements as the full data', async () => {
+    const memory = storeWith(USERS, SUBSCRIPTIONS, MEMBERSHIPS);
+    const tiers = [{ slug: 'pro', entitlements: ['ai'] }, { slug: 'team', entitlements: ['*'] }];
+    const claims = { sub: 'user_member', o: { id: 'org_acme', slg: 'acme', rol: 'member' } };
+
+    const data = await loadEntitlementData(memory, { userId: claims.sub, orgId: 'org_acme' });
+    expect(resolveEntitlements({ claims, tiers, data, tenant: 'acme' }))
+      .toEqual(resolveEntitlements({ claims, tiers, data: await loadWebhookData(memory), tenant: 'acme' }));
+  });
+});
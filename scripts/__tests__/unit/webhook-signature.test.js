@@ -14,66 +14,9 @@
 
 import { describe, it, expect } from 'vitest';
 import { createHmac } from 'crypto';
+import { verifyClerkSignature } from '../../lib/clerk-webhooks.js';
 
-// ============== Signature Verification (to be extracted to worker) ==============
-
-/**
- * Verify Clerk webhook signature
- *
- * @param {string} payload - Raw request body
- * @param {object} headers - Request headers (svix-id, svix-timestamp, svix-signature)
- * @param {string} secret - Clerk webhook signing secret (starts with whsec_)
- * @param {number} [toleranceSeconds=300] - Max age of timestamp in seconds
- * @returns {{ valid: boolean, error?: string }}
- */
-function verifyClerkSignature(payload, headers, secret, toleranceSeconds = 300) {
-  const svixId = headers['svix-id'];
-  const svixTimestamp = headers['svix-timestamp'];
-  const svixSignature = headers['svix-signature'];
-
-  // Check required headers
-  if (!svixId || !svixTimestamp || !svixSignature) {
-    return { valid: false, error: 'Missing required Svix headers' };
-  }
-
-  // Parse timestamp
-  const timestamp = parseInt(svixTimestamp, 10);
-  if (isNaN(timestamp)) {
-    return { valid: false, error: 'Invalid timestamp' };
-  }
-
-  // Check timestamp tolerance (prevent replay attacks)
-  const now = Math.floor(Date.now() / 1000);
-  if (Math.abs(now - timestamp) > toleranceSeconds) {
-    return { valid: false, error: 'Timestamp outside tolerance window' };
-  }
-
-  // Parse secret (remove whsec_ prefix if present)
-  const secretBytes = secret.startsWith('whsec_')
-    ? Buffer.from(secret.slice(6), 'base64')
-    : Buffer.from(secret, 'base64');
-
-  // Compute expected signature
-  const signedPayload = `${svixId}.${svixTimestamp}.${payload}`;
-  const expectedSignature = createHmac('sha256', secretBytes)
-    .update(signedPayload)
-    .digest('base64');
-
-  // Parse signature header (format: v1,signature or just signature)
-  const signatures = svixSignature.split(' ').map(sig => {
-    const parts = sig.split(',');
-    return parts.length === 2 ? parts[1] : parts[0];
-  });
-
-  // Check if any signature matches
-  const isValid = signatures.some(sig => sig === expectedSignature);
-
-  if (!isValid) {
-    return { valid: false, error: 'Signature mismatch' };
-  }
-
-  return { valid: true };
-}
+// ============== Helpers ==============
 
 /**
  * Generate a valid signature for testing
@@ -5,70 +5,37 @@
  * Assembles multiple riff apps in parallel.
  *
  * Usage:
- *   node scripts/assemble-all.js riff-1 riff-2 riff-3 ...
+ *   node scripts/assemble-all.js riff-1 riff-2 riff-3 ... [options]
+ *   node scripts/assemble-all.js 'riff-*'
+ *   node scripts/assemble-all.js ./riffs
  *
  * Each directory should contain app.jsx, output goes to index.html in same dir.
+ * Inputs can also be globs (riff-*) or a parent directory of riff directories.
+ *
+ * Riffs are skipped when app.jsx, the template and the options are unchanged
+ * since the last run (tracked in <dir>/.vibes-build.json).
+ *
+ * Options:
+ *   --precompile   Transpile JSX at assembly time and drop Babel from the page
+ *   --add-imports  Add import map entries for packages the template doesn't map
+ *   --force        Re-assemble every riff, changed or not
+ *   --json         Print a JSON summary instead of text
  */
 
-import { readFileSync, writeFileSync, existsSync } from 'fs';
-import { dirname, join, resolve } from 'path';
-import { fileURLToPath } from 'url';
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const PLACEHOLDER = '// __VIBES_APP_CODE__';
-const templatePath = join(__dirname, '../skills/vibes/templates/index.html');
-
-// Read template once
-if (!existsSync(templatePath)) {
-  console.error(`Template not found: ${templatePath}`);
-  process.exit(1);
-}
-const template = readFileSync(templatePath, 'utf8');
-
-if (!template.includes(PLACEHOLDER)) {
-  console.error(`Template missing placeholder: ${PLACEHOLDER}`);
-  process.exit(1);
-}
+import { runAssemble } from './lib/assemble-command.js';
 
-// Get riff directories from args
-const riffDirs = process.argv.slice(2);
+// Get riff directories and flags from args
+const args = process.argv.slice(2);
+const precompile = args.includes('--precompile');
+const addImports = args.includes('--add-imports');
+const force = args.includes('--force');
+const json = args.includes('--json');
+const riffDirs = args.filter(arg => !arg.startsWith('--'));
 
 if (riffDirs.length === 0) {
-  console.error('Usage: node scripts/assemble-all.js riff-1 riff-2 ...');
+  console.error('Usage: node scripts/assemble-all.js riff-1 riff-2 ... [--precompile] [--add-imports] [--force] [--json]');
   process.exit(1);
 }
 
 // Assemble all in parallel
-const results = await Promise.all(
-  riffDirs.map(async (dir) => {
-    const appPath = resolve(dir, 'app.jsx');
-    const outputPath = resolve(dir, 'index.html');
-
-    if (!existsSync(appPath)) {
-      return { dir, success: false, error: `App not found: ${appPath}` };
-    }
-
-    try {
-      const appCode = readFileSync(appPath, 'utf8').trim();
-      const output = template.replace(PLACEHOLDER, appCode);
-      writeFileSync(outputPath, output);
-      return { dir, success: true };
-    } catch (e) {
-      return { dir, success: false, error: e.message };
-    }
-  })
-);
-
-// Report results
-let hasErrors = false;
-for (const r of results) {
-  if (r.success) {
-    console.log(`Assembled: ${r.dir}/index.html`);
-  } else {
-    console.error(`Failed: ${r.dir} - ${r.error}`);
-    hasErrors = true;
-  }
-}
-
-console.log(`\nAssembled ${results.filter(r => r.success).length}/${results.length} riffs.`);
-process.exit(hasErrors ? 1 : 0);
+process.exit(await runAssemble({ inputs: riffDirs, template: 'riff', precompile, addImports, force, json, label: 'riffs' }));
@@ -11,18 +11,37 @@
  * Usage:
  *   node scripts/assemble-sell.js <app.jsx> [output.html] [options]
  *
+ * Settings are read from sell.config.json / sell.config.yaml next to app.jsx
+ * (or in the working directory) when present; flags override them. Invalid
+ * settings are reported before anything is written.
+ *
  * Options:
+ *   --config <file>       Sell config file (default: sell.config.json/.yaml next to app.jsx)
  *   --clerk-key <key>     Clerk publishable key (required)
  *   --app-name <name>     App name for database naming (e.g., "wedding-photos")
  *   --app-title <title>   Display title (e.g., "Wedding Photos")
  *   --domain <domain>     Root domain (e.g., "myapp.exe.xyz")
+ *   --routing <mode>      Tenant URLs: "subdomain" (alice.domain, default) or "path" (domain/t/alice/)
  *   --monthly-price <$>   Monthly price (e.g., "$9")
  *   --yearly-price <$>    Yearly price (e.g., "$89")
  *   --features <json>     JSON array of feature strings
  *   --tagline <text>      App tagline for landing page
  *   --admin-ids <json>    JSON array of Clerk user IDs with admin access
+ *   --tiers <json>        JSON array of pricing tiers (slug, name, price, interval, features, entitlements, seats)
+ *   --reserved-subdomains <json>  JSON array of subdomains tenants may not claim (added to admin, api, www, ...)
+ *   --subdomain-registry <url>    Endpoint answering GET ?subdomain=<name> with { available } (uniqueness check)
+ *   --landing <file>      Landing page spec (JSON or YAML: theme, sections, footer links)
+ *   --trial-days <n>      Free trial length in days from sign-up (default: no trial)
+ *   --trial-tier <slug>   Tier during the trial (default: the highest tier)
+ *   --grace-period-days <n>  Days of full access after a failed payment (default: 7)
+ *   --billing <json>      Billing links, e.g. '{"portal":"https://billing.stripe.com/p/login/xxx"}'
+ *   --precompile          Transpile JSX at assembly time and drop Babel from the page
+ *   --add-imports         Add import map entries for packages the template doesn't map
+ *   --list-backups        List backups of the output file
+ *   --restore <id>        Restore the output file from a backup ('latest' for the newest)
  *
- * Example:
+ * Examples:
+ *   node scripts/assemble-sell.js app.jsx index.html --config sell.config.yaml
  *   node scripts/assemble-sell.js app.jsx index.html \
  *     --clerk-key pk_test_xxx \
  *     --app-name wedding-photos \
@@ -31,12 +50,15 @@
  *     --admin-ids '["user_xxx"]'
  */
 
-import { readFileSync, writeFileSync, existsSync } from 'fs';
-import { dirname, join, resolve } from 'path';
-import { fileURLToPath } from 'url';
-import { stripForTemplate, stripImports } from './lib/strip-code.js';
+import { writeFileSync, existsSync } from 'fs';
+import { resolve, dirname } from 'path';
+import { assembleApp } from './lib/assemble-app.js';
+import { resolveSellSettings } from './lib/sell-config.js';
+import { createBackup, runBackupCommand } from './lib/backups.js';
+import { backupTarget } from './lib/assemble-command.js';
 
-const __dirname = dirname(fileURLToPath(import.meta.url));
+// Flags that take no value
+const BOOLEAN_FLAGS = ['precompile', 'addImports', 'listBackups'];
 
 // Parse command line arguments
 function parseArgs(argv) {
@@ -52,6 +74,11 @@ function parseArgs(argv) {
 
     if (arg.startsWith('--')) {
       const key = arg.slice(2).replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+      if (BOOLEAN_FLAGS.includes(key)) {
+        args.options[key] = true;
+        i++;
+        continue;
+      }
       const value = argv[i + 1];
       args.options[key] = value;
       i += 2;
@@ -71,6 +98,12 @@ function parseArgs(argv) {
 
 const { appJsxPath, outputPath, options } = parseArgs(process.argv);
 
+// Backup commands act on the output file instead of assembling
+if (options.listBackups || options.restore) {
+  const target = backupTarget([appJsxPath, outputPath].filter(Boolean));
+  process.exit(runBackupCommand(resolve(target), { list: options.listBackups, restore: options.restore }));
+}
+
 // Validate app.jsx path
 if (!appJsxPath) {
   console.error('Usage: node scripts/assemble-sell.js <app.jsx> [output.html] [options]');
@@ -88,117 +121,76 @@ if (!existsSync(resolvedAppPath)) {
 // Default output path
 const resolvedOutputPath = resolve(outputPath || 'index.html');
 
-// Backup existing index.html if it exists
-if (existsSync(resolvedOutputPath)) {
-  const backupPath = resolvedOutputPath.replace(/\.html$/, '.bak.html');
-  const existingContent = readFileSync(resolvedOutputPath, 'utf8');
-  writeFileSync(backupPath, existingContent);
-  console.log(`Backed up existing file to: ${backupPath}`);
+// Settings from sell.config.json/.yaml, overridden by flags
+const settings = resolveSellSettings({
+  flags: options,
+  configPath: options.config,
+  searchDirs: [dirname(resolvedAppPath), process.cwd()]
+});
+if (!settings.success) {
+  console.error(settings.error);
+  process.exit(1);
 }
-
-// Template paths
-const templatePath = join(__dirname, '../skills/sell/templates/unified.html');
-const adminComponentPath = join(__dirname, '../skills/sell/components/admin-exe.jsx');
-
-// Check templates exist
-const templates = [
-  { path: templatePath, name: 'unified.html' },
-  { path: adminComponentPath, name: 'components/admin-exe.jsx' }
-];
-
-for (const t of templates) {
-  if (!existsSync(t.path)) {
-    console.error(`Template not found: ${t.path}`);
+if (settings.path) {
+  console.log(`Using settings from: ${settings.path}`);
+}
+const values = settings.values;
+
+// Assemble from the sell template (CONFIG values, app code, admin component)
+const result = assembleApp(resolvedAppPath, {
+  template: 'sell',
+  values,
+  precompile: options.precompile,
+  addImports: options.addImports
+});
+
+for (const warning of result.warnings || []) {
+  console.warn(`Warning: ${warning}`);
+}
+if (!result.success) {
+  console.error(result.error);
+  if (result.error.startsWith('Template not found')) {
     console.error('Make sure the sell skill templates are installed.');
-    process.exit(1);
   }
+  process.exit(1);
 }
-
-// Read template
-let output = readFileSync(templatePath, 'utf8');
-
-// Configuration
-const domain = options.domain || 'example.exe.xyz';
-const appName = options.appName || 'my-app';
-
-// Configuration replacements
-const replacements = {
-  '__CLERK_PUBLISHABLE_KEY__': options.clerkKey || 'pk_test_YOUR_KEY_HERE',
-  '__APP_NAME__': appName,
-  '__APP_TITLE__': options.appTitle || appName,
-  '__APP_DOMAIN__': domain,
-  '__MONTHLY_PRICE__': options.monthlyPrice || '$9',
-  '__YEARLY_PRICE__': options.yearlyPrice || '$89',
-  '__APP_TAGLINE__': options.tagline || 'Your own private workspace. Get started in seconds.'
-};
-
-// Handle JSON values - features
-if (options.features) {
-  try {
-    const features = JSON.parse(options.features);
-    replacements['__FEATURES__'] = JSON.stringify(features);
-  } catch (e) {
-    console.warn('Warning: Could not parse --features as JSON, using default');
-    replacements['__FEATURES__'] = '["Unlimited usage", "Private workspace", "Custom subdomain"]';
-  }
-} else {
-  replacements['__FEATURES__'] = '["Unlimited usage", "Private workspace", "Custom subdomain"]';
+for (const entry of result.addedImports) {
+  console.log(`Added to import map: ${entry.source} -> ${entry.url}`);
 }
-
-// Handle JSON values - admin IDs
-if (options.adminIds) {
-  try {
-    const adminIds = JSON.parse(options.adminIds);
-    replacements['__ADMIN_USER_IDS__'] = JSON.stringify(adminIds);
-  } catch (e) {
-    console.warn('Warning: Could not parse --admin-ids as JSON, using empty array');
-    replacements['__ADMIN_USER_IDS__'] = '[]';
-  }
-} else {
-  replacements['__ADMIN_USER_IDS__'] = '[]';
+for (const note of result.notes) {
+  console.log(`Note: ${note}`);
 }
 
-// Apply replacements
-for (const [placeholder, value] of Object.entries(replacements)) {
-  output = output.split(placeholder).join(value);
+// Backup existing index.html if it exists
+const backup = createBackup(resolvedOutputPath);
+if (backup) {
+  console.log(`Backed up existing file to: ${backup.path}`);
 }
 
-// Read and process app code - strip imports, exports, and template-provided constants
-const templateConstants = ['CLERK_PUBLISHABLE_KEY', 'APP_NAME', 'APP_DOMAIN', 'MONTHLY_PRICE', 'YEARLY_PRICE', 'FEATURES', 'APP_TAGLINE', 'ADMIN_USER_IDS'];
-let appCode = stripForTemplate(readFileSync(resolvedAppPath, 'utf8'), templateConstants);
-
-// Check if app uses hardcoded database name
-const firepoolMatch = appCode.match(/useFireproof\s*\(\s*["']([^"']+)["']\s*\)/);
-if (firepoolMatch) {
-  const originalDbName = firepoolMatch[1];
-  console.log(`Note: Found hardcoded database name "${originalDbName}".`);
-  console.log('      The unified template uses dynamic database naming via useTenant().dbName');
-  console.log('      You may need to update your App component to use: const { dbName } = useTenant();');
-}
+// Configuration (for the deployment guide)
+const domain = values.domain || 'example.exe.xyz';
+const appName = values.appName || 'my-app';
+const tenantSetup = values.routing === 'path'
+  ? `STEP 3: PATH ROUTING (no wildcard DNS needed)
+──────────────────────────────────────────────
+
+  Tenants live at https://${domain}/t/alice/ and the admin dashboard
+  at https://${domain}/admin. deploy-exe.js sees path routing in the
+  HTML and adds nginx try_files rules that serve index.html for them.`
+  : `STEP 3: SET UP WILDCARD DNS (Optional - for subdomains)
+───────────────────────────────────────────────────────
 
-// Insert app code at placeholder
-const appPlaceholder = '__VIBES_APP_CODE__';
-if (output.includes(appPlaceholder)) {
-  output = output.replace(appPlaceholder, appCode);
-} else {
-  console.error(`Template missing placeholder: ${appPlaceholder}`);
-  process.exit(1);
-}
+  For tenant subdomains (e.g., alice.${domain}), you need:
 
-// Read and process admin component - strip imports (template already imports dependencies)
-let adminCode = stripImports(readFileSync(adminComponentPath, 'utf8').trim());
+  1. Custom domain pointing to your exe.dev VM
+  2. Wildcard DNS: *.${domain} → VM IP
+  3. Wildcard SSL certificate (via certbot DNS-01)
 
-// Insert admin code at placeholder
-const adminPlaceholder = '__ADMIN_CODE__';
-if (output.includes(adminPlaceholder)) {
-  output = output.replace(adminPlaceholder, adminCode);
-} else {
-  console.error(`Template missing placeholder: ${adminPlaceholder}`);
-  process.exit(1);
-}
+  See exe.dev docs for wildcard SSL setup.
+  No wildcard DNS? Re-assemble with --routing path.`;
 
 // Write main output
-writeFileSync(resolvedOutputPath, output);
+writeFileSync(resolvedOutputPath, result.html);
 console.log(`\n✓ Created: ${resolvedOutputPath}`);
 
 // Print deployment guide
@@ -232,16 +224,7 @@ STEP 2: SET UP CLERK
        --app-name ${appName} \\
        --domain ${domain}
 
-STEP 3: SET UP WILDCARD DNS (Optional - for subdomains)
-───────────────────────────────────────────────────────
-
-  For tenant subdomains (e.g., alice.${domain}), you need:
-
-  1. Custom domain pointing to your exe.dev VM
-  2. Wildcard DNS: *.${domain} → VM IP
-  3. Wildcard SSL certificate (via certbot DNS-01)
-
-  See exe.dev docs for wildcard SSL setup.
+${tenantSetup}
 
 STEP 4: CONFIGURE BILLING (Optional)
 ────────────────────────────────────
@@ -254,8 +237,9 @@ WHAT WORKS
   ✓ Landing page with subdomain claim
   ✓ Clerk authentication (passkeys)
   ✓ Tenant app with database isolation
-  ✓ Admin dashboard (config view only)
-  ✓ Subscription gating via Clerk Billing
+  ✓ Admin dashboard (analytics with deploy-exe.js --admin-api)
+  ✓ Subscription gating via Clerk Billing (enforced server-side with --admin-api)
+  ✓ Free trials, past-due grace period and read-only mode after cancellation
 
 ══════════════════════════════════════════════════════════════════
 `);
@@ -3,81 +3,64 @@
  * Vibes App Assembler
  *
  * Inserts JSX app code into the template to create a complete HTML file.
+ * The app code is parsed first; syntax errors, TypeScript-only syntax and a
+ * missing or misnamed default export abort assembly before anything is written.
+ *
+ * The input may also be a directory holding app.jsx plus sibling modules
+ * (components/*.jsx, lib/*.js); relative imports are bundled into the single
+ * inline script and bare imports are left to the import map.
  *
  * Usage:
- *   node scripts/assemble.js <app.jsx> [output.html]
+ *   node scripts/assemble.js <app.jsx|app-dir> [output.html] [options]
+ *
+ * Options:
+ *   --precompile   Transpile JSX at assembly time and drop Babel from the page
+ *   --add-imports  Add import map entries for packages the template doesn't map
+ *   --watch        Re-assemble on every change and serve with live reload
+ *   --port <n>     Dev server port for --watch (default: 3333)
+ *   --list-backups List backups of the output file
+ *   --restore <id> Restore the output file from a backup ('latest' for the newest)
+ *
+ * The previous output is backed up to .vibes/backups/ next to it before it is
+ * overwritten; the newest 10 are kept (vibes.config.json "backups": { "keep": N }).
  *
- * Example:
+ * Examples:
  *   node scripts/assemble.js app.jsx index.html
+ *   node scripts/assemble.js ./my-app my-app/index.html
+ *   node scripts/assemble.js app.jsx index.html --watch
+ *   node scripts/assemble.js index.html --restore latest
  */
 
-import { readFileSync, writeFileSync, existsSync, copyFileSync } from 'fs';
-import { dirname, join, resolve, basename } from 'path';
-import { fileURLToPath } from 'url';
-
-const __dirname = dirname(fileURLToPath(import.meta.url));
-const PLACEHOLDER = '// __VIBES_APP_CODE__';
-
-/**
- * Create a timestamped backup of an existing file
- * @param {string} filePath - Path to the file to backup
- * @returns {string|null} - Backup path if created, null otherwise
- */
-function createBackup(filePath) {
-  if (!existsSync(filePath)) {
-    return null;
-  }
-  const now = new Date();
-  const pad = (n) => n.toString().padStart(2, '0');
-  const timestamp = `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}-${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
-  const backupPath = filePath.replace(/\.html$/, `.${timestamp}.bak.html`);
-  copyFileSync(filePath, backupPath);
-  return backupPath;
-}
+import { runAssemble } from './lib/assemble-command.js';
 
 // Parse args
-const appPath = process.argv[2];
-const outputPath = process.argv[3] || 'index.html';
-
-if (!appPath) {
-  console.error('Usage: node scripts/assemble.js <app.jsx> [output.html]');
-  process.exit(1);
-}
-
-// Resolve paths
-const templatePath = join(__dirname, '../skills/vibes/templates/index.html');
-const resolvedAppPath = resolve(appPath);
-const resolvedOutputPath = resolve(outputPath);
-
-// Check files exist
-if (!existsSync(templatePath)) {
-  console.error(`Template not found: ${templatePath}`);
-  process.exit(1);
-}
-if (!existsSync(resolvedAppPath)) {
-  console.error(`App file not found: ${resolvedAppPath}`);
-  process.exit(1);
-}
-
-// Read files
-const template = readFileSync(templatePath, 'utf8');
-const appCode = readFileSync(resolvedAppPath, 'utf8').trim();
+const args = process.argv.slice(2);
+const valueOf = (flag) => {
+  const index = args.indexOf(flag);
+  return index !== -1 ? args[index + 1] : undefined;
+};
+const valueIndexes = ['--port', '--restore'].map(flag => args.indexOf(flag) + 1).filter(i => i > 0);
+const positional = args.filter((arg, i) => !arg.startsWith('--') && !valueIndexes.includes(i));
+const port = parseInt(valueOf('--port'), 10) || 3333;
+const listBackups = args.includes('--list-backups');
+const restore = valueOf('--restore');
 
-// Verify placeholder exists
-if (!template.includes(PLACEHOLDER)) {
-  console.error(`Template missing placeholder: ${PLACEHOLDER}`);
+if (positional.length === 0 && !listBackups && !restore) {
+  console.error('Usage: node scripts/assemble.js <app.jsx|app-dir> [output.html] [--precompile] [--add-imports] [--watch] [--port <n>]');
+  console.error('       node scripts/assemble.js [output.html] --list-backups | --restore <id>');
   process.exit(1);
 }
 
-// Assemble: insert app code at placeholder
-const output = template.replace(PLACEHOLDER, appCode);
-
-// Backup existing file if present
-const backupPath = createBackup(resolvedOutputPath);
-if (backupPath) {
-  console.log(`Backed up: ${backupPath}`);
+const exitCode = await runAssemble({
+  inputs: positional.slice(0, 2),
+  template: 'vibes',
+  precompile: args.includes('--precompile'),
+  addImports: args.includes('--add-imports'),
+  watch: args.includes('--watch'),
+  port,
+  listBackups,
+  restore
+});
+if (exitCode !== null) {
+  process.exit(exitCode);
 }
-
-// Write output
-writeFileSync(resolvedOutputPath, output);
-console.log(`Created: ${resolvedOutputPath}`);
@@ -11,9 +11,22 @@
  *   --name <vmname>    VM name (required)
  *   --domain <domain>  Custom domain for wildcard SSL setup
  *   --file <path>      HTML file to deploy (default: index.html)
- *   --ai-key <key>     OpenRouter API key for AI features
+ *   --routing <mode>   Sell tenant routing, subdomain or path (default: read from the HTML)
+ *   --ai-key <key>     API key of the AI provider (OpenRouter unless --ai-provider says otherwise)
+ *   --ai-provider <type> openrouter (default), anthropic, openai or openai-compatible
+ *   --ai-base-url <url> Provider API base URL (required for openai-compatible, e.g. http://127.0.0.1:11434/v1)
+ *   --ai-model <id>    Default model (required for openai-compatible)
  *   --multi-tenant     Enable multi-tenant mode (for sell apps)
  *   --tenant-limit <$> Credit limit per tenant in dollars (default: 5)
+ *   --tenant-tokens-per-month <n> Token quota per tenant for providers without sub-keys (default: 1000000)
+ *   --tenant-claim <paths> Session claims naming the tenant, e.g. o.slg,sub (default: tenant,subdomain,sub)
+ *   --user-rpm <n>, --user-tokens-per-day <n>, --user-concurrency <n>
+ *   --tenant-rpm <n>, --tenant-tokens-per-day <n>, --tenant-concurrency <n>
+ *                      AI proxy rate limits per user (or client IP) and per tenant; 0 for none
+ *   --ai-policy <file> AI proxy policy (JSON): allowed/default models, max tokens and messages, stripped params, per-tier rules
+ *   --admin-api        Deploy the sell admin API (tenant and revenue analytics)
+ *   --webhook-secret <whsec> Clerk webhook signing secret (required with --admin-api)
+ *   --ai-entitlement <name> Entitlement a plan needs for /api/ai/ (default: any plan; with --admin-api)
  *   --dry-run          Show what would be done without executing
  *   --skip-verify      Skip verification step
  *   --help             Show this help message
@@ -42,6 +55,25 @@ import {
   setPublic,
   testConnection
 } from './lib/exe-ssh.js';
+import { addServerConf, addLocationLines } from './lib/nginx-site.js';
+import { SELL_ROUTING_MODES, PATH_ROUTING_NGINX_MARKER, PATH_ROUTING_NGINX_CONF, detectSellRouting } from './lib/sell-routing.js';
+import {
+  ADMIN_API_PORT,
+  ADMIN_API_FILES,
+  ADMIN_API_NGINX_MARKER,
+  ADMIN_API_NGINX_CONF,
+  ENTITLEMENTS_NGINX_MARKER,
+  ENTITLEMENTS_NGINX_CONF,
+  AUTH_REQUEST_MARKER,
+  AUTH_REQUEST_LINES,
+  SELL_SETTINGS_PATH,
+  detectSellAdminSettings,
+  adminApiEnv
+} from './lib/sell-admin-api.js';
+import { AI_PROXY_MODULES, RATE_LIMIT_FLAGS, authorizedOrigins, aiProxyAuthEnv, aiProxyLimitsEnv, aiProviderEnv } from './lib/ai-proxy-settings.js';
+import { checkProviderSettings, unmappedModels, providerDefaultModel } from './lib/ai-providers.js';
+import { DEFAULT_TENANT_TOKENS_PER_MONTH } from './lib/ai-proxy-limits.js';
+import { AI_POLICY_PATH, loadAIPolicy, checkPolicyDefaults, policyModels } from './lib/ai-proxy-policy.js';
 
 import { generateHandoff, extractContextFromEnv } from './generate-handoff.js';
 
@@ -55,9 +87,20 @@ function parseArgs(argv) {
     name: null,
     domain: null,
     file: 'index.html',
+    routing: null,
     aiKey: null,
+    aiProvider: 'openrouter',
+    aiBaseUrl: null,
+    aiModel: null,
     multiTenant: false,
     tenantLimit: 5,
+    tenantTokensPerMonth: null,
+    tenantClaim: null,
+    rateLimits: {},
+    aiPolicy: null,
+    adminApi: false,
+    webhookSecret: null,
+    aiEntitlement: null,
     dryRun: false,
     skipVerify: false,
     help: false
@@ -71,12 +114,35 @@ function parseArgs(argv) {
       args.domain = argv[++i];
     } else if (arg === '--file' && argv[i + 1]) {
       args.file = argv[++i];
+    } else if (arg === '--routing' && argv[i + 1]) {
+      args.routing = argv[++i];
     } else if (arg === '--ai-key' && argv[i + 1]) {
       args.aiKey = argv[++i];
+    } else if (arg === '--ai-provider' && argv[i + 1]) {
+      args.aiProvider = argv[++i];
+    } else if (arg === '--ai-base-url' && argv[i + 1]) {
+      args.aiBaseUrl = argv[++i];
+    } else if (arg === '--ai-model' && argv[i + 1]) {
+      args.aiModel = argv[++i];
+    } else if (arg === '--tenant-tokens-per-month' && argv[i + 1]) {
+      args.tenantTokensPerMonth = parseInt(argv[++i], 10) || null;
     } else if (arg === '--multi-tenant') {
       args.multiTenant = true;
     } else if (arg === '--tenant-limit' && argv[i + 1]) {
       args.tenantLimit = parseFloat(argv[++i]) || 5;
+    } else if (arg === '--tenant-claim' && argv[i + 1]) {
+      args.tenantClaim = argv[++i];
+    } else if (arg === '--ai-policy' && argv[i + 1]) {
+      args.aiPolicy = argv[++i];
+    } else if (RATE_LIMIT_FLAGS[arg] && argv[i + 1]) {
+      const [scope, limit] = RATE_LIMIT_FLAGS[arg];
+      args.rateLimits[scope] = { ...args.rateLimits[scope], [limit]: Number(argv[++i]) };
+    } else if (arg === '--admin-api') {
+      args.adminApi = true;
+    } else if (arg === '--webhook-secret' && argv[i + 1]) {
+      args.webhookSecret = argv[++i];
+    } else if (arg === '--ai-entitlement' && argv[i + 1]) {
+      args.aiEntitlement = argv[++i];
     } else if (arg === '--dry-run') {
       args.dryRun = true;
     } else if (arg === '--skip-verify') {
@@ -103,6 +169,27 @@ Options:
   --name <vmname>    VM name (required)
   --domain <domain>  Custom domain for wildcard SSL setup
   --file <path>      HTML file to deploy (default: index.html)
+  --routing <mode>   Sell tenant routing, subdomain or path (default: read from the HTML)
+  --ai-provider <type>
+                     AI provider: openrouter (default), anthropic, openai or openai-compatible
+  --ai-base-url <url>
+                     Provider API base URL (required for openai-compatible, e.g. http://127.0.0.1:11434/v1)
+  --ai-model <id>    Default AI model (required for openai-compatible)
+  --tenant-tokens-per-month <n>
+                     Monthly token quota per tenant where the provider has no sub-keys (default: 1000000)
+  --tenant-claim <paths>
+                     Session claims naming the AI proxy tenant (default: tenant,subdomain,sub)
+  --user-rpm <n>, --user-tokens-per-day <n>, --user-concurrency <n>
+                     AI proxy limits per user or client IP (default: 20/min, 200000 tokens/day, 3 at once)
+  --tenant-rpm <n>, --tenant-tokens-per-day <n>, --tenant-concurrency <n>
+                     AI proxy limits per tenant in multi-tenant mode (default: none; 0 for none)
+  --ai-policy <file> AI proxy policy (JSON): allowed and default models, max tokens,
+                     max messages, stripped parameters and per-tier rules
+  --admin-api        Deploy the sell admin API (tenant and revenue analytics)
+  --webhook-secret <whsec>
+                     Clerk webhook signing secret (required with --admin-api)
+  --ai-entitlement <name>
+                     Entitlement a plan needs to use /api/ai/ (default: any plan)
   --dry-run          Show what would be done without executing
   --skip-verify      Skip verification step
   --help             Show this help message
@@ -120,6 +207,9 @@ Examples:
 
   # Deploy a different HTML file
   node scripts/deploy-exe.js --name myapp --file build/index.html
+
+  # Deploy a sell app with the admin API
+  node scripts/deploy-exe.js --name myapp --admin-api --webhook-secret whsec_xxx
 `);
 }
 
@@ -168,6 +258,95 @@ async function confirm(question) {
   return answer.toLowerCase() === 'y' || answer.toLowerCase() === 'yes';
 }
 
+// ============== nginx ==============
+
+const NGINX_SITE = '/etc/nginx/sites-available/default';
+
+/**
+ * Apply an edit (see lib/nginx-site.js) to the default site, writing it back only if it changed
+ */
+async function editNginxSite(client, edit) {
+  const { stdout } = await runCommand(client, `sudo cat ${NGINX_SITE}`);
+  const updated = edit(stdout);
+  if (updated !== stdout) {
+    const encoded = Buffer.from(updated).toString('base64');
+    await runCommand(client, `echo '${encoded}' | base64 -d | sudo tee ${NGINX_SITE} > /dev/null`);
+  }
+}
+
+/**
+ * Add a block inside the default site's server block, unless a line matching marker is there
+ */
+async function addNginxConf(client, marker, conf) {
+  await editNginxSite(client, site => addServerConf(site, marker, conf));
+}
+
+// ============== Bun Services ==============
+
+/**
+ * Install Bun unless it's already there, and create the service directories
+ */
+async function installBun(client) {
+  console.log('  Checking/installing Bun...');
+  const bunCheck = await runCommand(client, 'which bun || echo "NOT_FOUND"');
+  if (bunCheck.stdout.includes('NOT_FOUND')) {
+    console.log('  Installing Bun...');
+    await runCommand(client, 'curl -fsSL https://bun.sh/install | bash');
+    // Source the updated PATH
+    await runCommand(client, 'echo "export PATH=$HOME/.bun/bin:$PATH" >> ~/.bashrc');
+  }
+  console.log('  ✓ Bun installed');
+
+  // Create vibes directory
+  await runCommand(client, 'sudo mkdir -p /opt/vibes /var/lib/vibes');
+  await runCommand(client, 'sudo chown $USER:$USER /opt/vibes /var/lib/vibes');
+}
+
+/**
+ * Write a systemd unit running a script under Bun, then (re)start it
+ * @returns {Promise<boolean>} - Whether the service is active
+ */
+async function startBunService(client, service, description, script) {
+  const serviceFile = `[Unit]
+Description=${description}
+After=network.target
+
+[Service]
+Type=simple
+User=root
+WorkingDirectory=/opt/vibes
+ExecStart=/root/.bun/bin/bun run ${script}
+Restart=always
+RestartSec=5
+EnvironmentFile=/etc/environment
+
+[Install]
+WantedBy=multi-user.target`;
+
+  await runCommand(client, `echo '${serviceFile}' | sudo tee /etc/systemd/system/${service}.service`);
+  await runCommand(client, 'sudo systemctl daemon-reload');
+  await runCommand(client, `sudo systemctl enable ${service}`);
+  await runCommand(client, `sudo systemctl restart ${service}`);
+
+  const serviceStatus = await runCommand(client, `systemctl is-active ${service}`);
+  return serviceStatus.stdout.trim() === 'active';
+}
+
+/**
+ * Test the nginx config and reload it
+ * @returns {Promise<boolean>} - Whether the config was valid
+ */
+async function reloadNginx(client) {
+  const nginxTest = await runCommand(client, 'sudo nginx -t 2>&1');
+  if (nginxTest.code === 0) {
+    await runCommand(client, 'sudo systemctl reload nginx');
+    return true;
+  }
+  console.log('  ⚠ nginx config test failed. Manual configuration may be needed.');
+  console.log(`     Error: ${nginxTest.stderr || nginxTest.stdout}`);
+  return false;
+}
+
 // ============== Deployment Phases ==============
 
 async function phase1PreFlight(args) {
@@ -186,6 +365,99 @@ async function phase1PreFlight(args) {
   }
   console.log(`  ✓ HTML file found: ${args.file}`);
 
+  // Sell apps carry their routing mode; path routing needs nginx rules
+  if (args.routing && !SELL_ROUTING_MODES.includes(args.routing)) {
+    throw new Error(`--routing must be one of: ${SELL_ROUTING_MODES.join(', ')}`);
+  }
+  args.routing = args.routing || detectSellRouting(readFileSync(args.file, 'utf-8'));
+  if (args.routing === 'path') {
+    console.log('  ✓ Path routing: tenants at /t/<tenant>/, admin at /admin');
+  }
+
+  // The admin API takes the Clerk key and admin IDs from the sell page
+  if (args.adminApi) {
+    if (!args.webhookSecret?.startsWith('whsec_')) {
+      throw new Error('--admin-api needs --webhook-secret whsec_... (from the Clerk dashboard webhook endpoint)');
+    }
+    args.adminSettings = detectSellAdminSettings(readFileSync(args.file, 'utf-8'));
+    if (!args.adminSettings) {
+      throw new Error('--admin-api is for sell apps: no Clerk publishable key and admin IDs found in the HTML');
+    }
+    if (args.adminSettings.adminUserIds.length === 0) {
+      console.log('  ⚠ No admin IDs in the HTML: nobody will be able to read the analytics');
+    }
+    console.log(`  ✓ Admin API: ${args.adminSettings.adminUserIds.length} admin(s)`);
+    const slugs = args.adminSettings.tiers.map(tier => tier.slug);
+    if (args.aiEntitlement && slugs.length > 0 && !args.adminSettings.tiers.some(tier => tier.entitlements?.includes(args.aiEntitlement))) {
+      console.log(`  ⚠ No tier includes the "${args.aiEntitlement}" entitlement: only admins will be able to use AI`);
+    }
+    console.log(`  ✓ Entitlements: ${slugs.length > 0 ? `tiers ${slugs.join(', ')}` : 'any plan'}${args.aiEntitlement ? `, AI needs "${args.aiEntitlement}"` : ''}`);
+    const { trialDays, gracePeriodDays } = args.adminSettings.lifecycle;
+    console.log(`  ✓ Lifecycle: ${trialDays ? `${trialDays}-day trial` : 'no trial'}, ${gracePeriodDays}-day grace period for failed payments`);
+  } else if (args.aiKey && detectSellAdminSettings(readFileSync(args.file, 'utf-8'))) {
+    console.log('  ⚠ Without --admin-api the AI proxy serves any signed-in user, subscribed or not');
+  }
+
+  for (const [flag, [scope, limit]] of Object.entries(RATE_LIMIT_FLAGS)) {
+    const value = args.rateLimits[scope]?.[limit];
+    if (value !== undefined && !(Number.isInteger(value) && value >= 0)) {
+      throw new Error(`${flag} needs a whole number (0 for no limit)`);
+    }
+  }
+
+  // The proxy refuses to start without a usable provider: fail here instead
+  if (args.aiKey) {
+    const problem = checkProviderSettings({ type: args.aiProvider, apiKey: args.aiKey, baseUrl: args.aiBaseUrl, model: args.aiModel });
+    if (problem) {
+      throw new Error(problem);
+    }
+    console.log(`  ✓ AI provider: ${args.aiProvider}${args.aiBaseUrl ? ` at ${args.aiBaseUrl}` : ''}`);
+    if (args.multiTenant && args.aiProvider !== 'openrouter') {
+      console.log(`  ✓ No sub-keys with ${args.aiProvider}: tenants get ${args.tenantTokensPerMonth || DEFAULT_TENANT_TOKENS_PER_MONTH} tokens/month, counted by the proxy`);
+    }
+  }
+
+  // The policy is checked here so a typo fails the deploy, not the proxy
+  if (args.aiPolicy) {
+    const loaded = loadAIPolicy(args.aiPolicy);
+    if (!loaded.success) {
+      throw new Error(loaded.error);
+    }
+    args.aiPolicyContent = loaded.policy;
+    const tierSlugs = Object.keys(loaded.policy.tiers || {});
+    if (tierSlugs.length > 0 && !(args.multiTenant && args.adminApi)) {
+      console.log('  ⚠ Per-tier AI policies need --multi-tenant and --admin-api (to know callers\' tiers): the base policy applies to everyone');
+    }
+    const knownSlugs = args.adminSettings?.tiers.map(tier => tier.slug) || [];
+    const unknown = tierSlugs.filter(slug => knownSlugs.length > 0 && !knownSlugs.includes(slug));
+    if (unknown.length > 0) {
+      console.log(`  ⚠ AI policy names tiers the app doesn't have: ${unknown.join(', ')}`);
+    }
+    console.log(`  ✓ AI policy: ${args.aiPolicy}${tierSlugs.length > 0 ? ` (tiers: ${tierSlugs.join(', ')})` : ''}`);
+  }
+
+  // Models are named the OpenRouter way; the proxy won't start if its provider has no ID for one
+  if (args.aiKey) {
+    const unmapped = unmappedModels(args.aiProvider, [...(args.aiModel ? [args.aiModel] : []), ...policyModels(args.aiPolicyContent)]);
+    if (unmapped.length > 0) {
+      throw new Error(`The ${args.aiProvider} provider has no model for: ${unmapped.join(', ')}`);
+    }
+    // Requests without a model get the provider's default, which the allowlist must admit
+    const defaultsProblem = checkPolicyDefaults(args.aiPolicyContent, providerDefaultModel(args.aiProvider, args.aiModel));
+    if (defaultsProblem) {
+      throw new Error(`AI policy ${args.aiPolicy} ${defaultsProblem}`);
+    }
+  }
+
+  // Multi-tenant proxies bill the tenant of a verified Clerk session token
+  if (args.aiKey && args.multiTenant) {
+    args.proxySettings = detectSellAdminSettings(readFileSync(args.file, 'utf-8'));
+    if (!args.proxySettings) {
+      throw new Error('--multi-tenant is for sell apps: no Clerk publishable key found in the HTML to verify session tokens with');
+    }
+    console.log(`  ✓ AI proxy verifies Clerk session tokens (tenant from ${args.tenantClaim || 'tenant, subdomain or sub'})`);
+  }
+
   // Test exe.dev connection
   console.log('  Testing exe.dev connection...');
   if (args.dryRun) {
@@ -225,6 +497,9 @@ async function phase3ServerSetup(args) {
   if (args.dryRun) {
     console.log(`  [DRY RUN] Would connect to ${vmHost}`);
     console.log('  [DRY RUN] Would run: sudo systemctl enable --now nginx');
+    if (args.routing === 'path') {
+      console.log('  [DRY RUN] Would add nginx try_files rules for /t/<tenant>/ and /admin');
+    }
     return;
   }
 
@@ -253,6 +528,14 @@ async function phase3ServerSetup(args) {
       console.log('  ⚠ nginx may not be running properly');
     }
 
+    if (args.routing === 'path') {
+      console.log('  Configuring path routing...');
+      await addNginxConf(client, PATH_ROUTING_NGINX_MARKER, PATH_ROUTING_NGINX_CONF);
+      if (await reloadNginx(client)) {
+        console.log('  ✓ nginx serves index.html for /t/<tenant>/ and /admin');
+      }
+    }
+
     client.end();
   } catch (err) {
     throw new Error(`Server setup failed: ${err.message}`);
@@ -302,28 +585,17 @@ async function phase5AIProxy(args) {
 
   if (args.dryRun) {
     console.log('  [DRY RUN] Would install Bun and deploy AI proxy');
+    console.log(`  [DRY RUN] Provider: ${args.aiProvider}${args.aiBaseUrl ? ` at ${args.aiBaseUrl}` : ''}`);
     console.log(`  [DRY RUN] Multi-tenant: ${args.multiTenant}`);
     console.log(`  [DRY RUN] Tenant limit: $${args.tenantLimit}`);
+    console.log(`  [DRY RUN] Rate limits: ${aiProxyLimitsEnv(args.rateLimits).join(' ')}`);
+    console.log(`  [DRY RUN] AI policy: ${args.aiPolicy || 'none'}`);
     return;
   }
 
   try {
     const client = await connect(vmHost);
-
-    // Install Bun if needed
-    console.log('  Checking/installing Bun...');
-    const bunCheck = await runCommand(client, 'which bun || echo "NOT_FOUND"');
-    if (bunCheck.stdout.includes('NOT_FOUND')) {
-      console.log('  Installing Bun...');
-      await runCommand(client, 'curl -fsSL https://bun.sh/install | bash');
-      // Source the updated PATH
-      await runCommand(client, 'echo "export PATH=$HOME/.bun/bin:$PATH" >> ~/.bashrc');
-    }
-    console.log('  ✓ Bun installed');
-
-    // Create vibes directory
-    await runCommand(client, 'sudo mkdir -p /opt/vibes /var/lib/vibes');
-    await runCommand(client, 'sudo chown $USER:$USER /opt/vibes /var/lib/vibes');
+    await installBun(client);
 
     // Read and upload proxy script
     console.log('  Uploading AI proxy...');
@@ -332,11 +604,14 @@ async function phase5AIProxy(args) {
       throw new Error(`AI proxy script not found at ${proxyPath}`);
     }
     await uploadFile(proxyPath, vmHost, '/opt/vibes/proxy.js');
+    for (const file of AI_PROXY_MODULES) {
+      await uploadFile(join(__dirname, 'lib', file), vmHost, `/opt/vibes/${file}`);
+    }
 
     // Set environment variables
     console.log('  Configuring environment...');
     const envVars = [
-      `OPENROUTER_API_KEY=${args.aiKey}`,
+      ...(args.aiProvider === 'openrouter' ? [`OPENROUTER_API_KEY=${args.aiKey}`] : []),
       `VIBES_MULTI_TENANT=${args.multiTenant}`,
       `VIBES_TENANT_LIMIT=${args.tenantLimit}`
     ];
@@ -347,32 +622,44 @@ async function phase5AIProxy(args) {
       await runCommand(client, `grep -q "^${varName}=" /etc/environment || echo '${envVar}' | sudo tee -a /etc/environment`);
     }
 
-    // Create systemd service
-    console.log('  Creating systemd service...');
-    const serviceFile = `[Unit]
-Description=Vibes AI Proxy
-After=network.target
-
-[Service]
-Type=simple
-User=root
-WorkingDirectory=/opt/vibes
-ExecStart=/root/.bun/bin/bun run /opt/vibes/proxy.js
-Restart=always
-RestartSec=5
-EnvironmentFile=/etc/environment
+    // The policy follows the deploy command too: none without --ai-policy
+    if (args.aiPolicyContent) {
+      const policy = Buffer.from(JSON.stringify(args.aiPolicyContent, null, 2)).toString('base64');
+      await runCommand(client, `echo '${policy}' | base64 -d > ${AI_POLICY_PATH}`);
+    } else {
+      await runCommand(client, `rm -f ${AI_POLICY_PATH}`);
+    }
 
-[Install]
-WantedBy=multi-user.target`;
+    // Replace earlier values: the provider and limits follow the deploy command
+    const providerEnv = aiProviderEnv({
+      provider: args.aiProvider,
+      apiKey: args.aiKey,
+      baseUrl: args.aiBaseUrl,
+      model: args.aiModel,
+      tenantTokensPerMonth: args.tenantTokensPerMonth
+    });
+    for (const envVar of [...providerEnv, ...aiProxyLimitsEnv(args.rateLimits)]) {
+      const varName = envVar.split('=')[0];
+      await runCommand(client, `sudo sed -i '/^${varName}=/d' /etc/environment && echo '${envVar}' | sudo tee -a /etc/environment`);
+    }
 
-    await runCommand(client, `echo '${serviceFile}' | sudo tee /etc/systemd/system/vibes-proxy.service`);
-    await runCommand(client, 'sudo systemctl daemon-reload');
-    await runCommand(client, 'sudo systemctl enable vibes-proxy');
-    await runCommand(client, 'sudo systemctl restart vibes-proxy');
+    // Replace earlier values: the issuer and origins follow the deployed page
+    if (args.multiTenant) {
+      const authEnv = aiProxyAuthEnv({
+        clerkPublishableKey: args.proxySettings.clerkPublishableKey,
+        authorizedParties: authorizedOrigins({ name: args.name, domain: args.domain, routing: args.routing }),
+        tenantClaim: args.tenantClaim,
+        entitlementsUrl: args.adminApi ? `http://127.0.0.1:${ADMIN_API_PORT}/me/entitlements` : null
+      });
+      for (const envVar of authEnv) {
+        const varName = envVar.split('=')[0];
+        await runCommand(client, `sudo sed -i '/^${varName}=/d' /etc/environment && echo '${envVar}' | sudo tee -a /etc/environment`);
+      }
+    }
 
-    // Verify service is running
-    const serviceStatus = await runCommand(client, 'systemctl is-active vibes-proxy');
-    if (serviceStatus.stdout.trim() !== 'active') {
+    // Create systemd service
+    console.log('  Creating systemd service...');
+    if (!(await startBunService(client, 'vibes-proxy', 'Vibes AI Proxy', '/opt/vibes/proxy.js'))) {
       console.log('  ⚠ Service may not be running. Check logs with: journalctl -u vibes-proxy');
     } else {
       console.log('  ✓ AI proxy service running');
@@ -391,22 +678,12 @@ location /api/ai/ {
     proxy_set_header X-Forwarded-Proto $scheme;
 }`;
 
-    // Add to nginx default config (inside server block)
-    // First check if already configured
-    const nginxCheck = await runCommand(client, 'grep -q "location /api/ai/" /etc/nginx/sites-available/default && echo "EXISTS" || echo "NOT_FOUND"');
-    if (nginxCheck.stdout.includes('NOT_FOUND')) {
-      // Insert before the closing brace of server block
-      await runCommand(client, `sudo sed -i '/^}/i ${nginxConf.replace(/\n/g, '\\n').replace(/\$/g, '\\$')}' /etc/nginx/sites-available/default`);
-    }
+    // Add to nginx default config (inside server block) unless already configured
+    await addNginxConf(client, 'location /api/ai/', nginxConf);
 
     // Test and reload nginx
-    const nginxTest = await runCommand(client, 'sudo nginx -t 2>&1');
-    if (nginxTest.code === 0) {
-      await runCommand(client, 'sudo systemctl reload nginx');
+    if (await reloadNginx(client)) {
       console.log('  ✓ nginx configured for AI proxy');
-    } else {
-      console.log('  ⚠ nginx config test failed. Manual configuration may be needed.');
-      console.log(`     Error: ${nginxTest.stderr || nginxTest.stdout}`);
     }
 
     client.end();
@@ -417,6 +694,80 @@ location /api/ai/ {
   }
 }
 
+async function phase5bAdminAPI(args) {
+  if (!args.adminApi) {
+    console.log('\nPhase 5b: Admin API... SKIPPED (no --admin-api)');
+    return;
+  }
+
+  console.log('\nPhase 5b: Admin API Setup...');
+
+  const vmHost = `${args.name}.runvm.dev`;
+
+  if (args.dryRun) {
+    console.log('  [DRY RUN] Would install Bun and deploy the admin API');
+    console.log(`  [DRY RUN] Files: ${ADMIN_API_FILES.join(', ')}`);
+    console.log('  [DRY RUN] Would put /api/ai/ behind the entitlements check');
+    return;
+  }
+
+  try {
+    const client = await connect(vmHost);
+    await installBun(client);
+
+    // The server and the modules it imports, side by side in /opt/vibes
+    console.log('  Uploading admin API...');
+    for (const file of ADMIN_API_FILES) {
+      await uploadFile(join(__dirname, 'lib', file), vmHost, `/opt/vibes/${file}`);
+    }
+
+    // Replace earlier values: the admin list follows the deployed page
+    console.log('  Configuring environment...');
+    for (const envVar of adminApiEnv({
+      webhookSecret: args.webhookSecret,
+      authorizedParties: authorizedOrigins({ name: args.name, domain: args.domain, routing: args.routing }),
+      aiEntitlement: args.aiEntitlement,
+      ...args.adminSettings
+    })) {
+      const varName = envVar.split('=')[0];
+      await runCommand(client, `sudo sed -i '/^${varName}=/d' /etc/environment && echo '${envVar}' | sudo tee -a /etc/environment`);
+    }
+    const { tiers, lifecycle } = args.adminSettings;
+    const settings = Buffer.from(JSON.stringify({ tiers, lifecycle })).toString('base64');
+    await runCommand(client, `echo '${settings}' | base64 -d > ${SELL_SETTINGS_PATH}`);
+
+    console.log('  Creating systemd service...');
+    if (!(await startBunService(client, 'vibes-admin-api', 'Vibes Admin API', '/opt/vibes/admin-api.js'))) {
+      console.log('  ⚠ Service may not be running. Check logs with: journalctl -u vibes-admin-api');
+    } else {
+      console.log('  ✓ Admin API service running');
+    }
+
+    // An unsigned delivery must be refused: proves the receiver is up and verifying
+    const probe = await runCommand(client, `sleep 1; curl -s -o /dev/null -w '%{http_code}' -X POST http://127.0.0.1:${ADMIN_API_PORT}/webhooks/clerk`);
+    if (probe.stdout.trim() === '401') {
+      console.log('  ✓ Webhook endpoint verifies signatures');
+    } else {
+      console.log(`  ⚠ Webhook endpoint answered ${probe.stdout.trim() || 'nothing'} to an unsigned request (expected 401)`);
+    }
+
+    console.log('  Configuring nginx...');
+    await addNginxConf(client, ADMIN_API_NGINX_MARKER, ADMIN_API_NGINX_CONF);
+    await addNginxConf(client, ENTITLEMENTS_NGINX_MARKER, ENTITLEMENTS_NGINX_CONF);
+    // The AI proxy (this deploy's or an earlier one's) only serves entitled sessions
+    await editNginxSite(client, site => addLocationLines(site, 'location /api/ai/', AUTH_REQUEST_MARKER, AUTH_REQUEST_LINES));
+    if (await reloadNginx(client)) {
+      console.log('  ✓ nginx configured for admin API and entitlements');
+    }
+
+    client.end();
+    console.log('  ✓ Admin API setup complete');
+
+  } catch (err) {
+    throw new Error(`Admin API setup failed: ${err.message}`);
+  }
+}
+
 async function phase6Handoff(args) {
   console.log('\nPhase 6: Context Handoff...');
 
@@ -500,6 +851,9 @@ async function phase8CustomDomain(args) {
   }
 
   console.log('\nPhase 8: Custom Domain Setup...');
+  if (args.routing === 'path') {
+    console.log('  Path routing: only the apex and www records are needed (skip the wildcard DNS and certificate).');
+  }
   console.log(`
   To set up your custom domain (${args.domain}), follow these steps:
 
@@ -608,6 +962,7 @@ ${'━'.repeat(60)}
     console.log(`  Multi-tenant: ${args.multiTenant}`);
     if (args.multiTenant) console.log(`  Tenant Limit: $${args.tenantLimit}/month`);
   }
+  if (args.adminApi) console.log(`  Admin API: Enabled`);
   if (args.dryRun) console.log(`  Mode: DRY RUN`);
 
   try {
@@ -617,6 +972,7 @@ ${'━'.repeat(60)}
     await phase3ServerSetup(args);
     await phase4FileUpload(args);
     await phase5AIProxy(args);
+    await phase5bAdminAPI(args);
     await phase6Handoff(args);
     await phase7PublicAccess(args);
     await phase8CustomDomain(args);
@@ -633,8 +989,15 @@ ${'━'.repeat(60)}
     config.deployments[args.name] = {
       file: args.file,
       domain: args.domain,
+      routing: args.routing,
       aiEnabled: !!args.aiKey,
+      aiProvider: args.aiProvider,
       multiTenant: args.multiTenant,
+      tenantClaim: args.tenantClaim,
+      rateLimits: args.rateLimits,
+      aiPolicy: args.aiPolicy,
+      adminApi: args.adminApi,
+      aiEntitlement: args.aiEntitlement,
       deployedAt: new Date().toISOString()
     };
     saveConfig(config);
@@ -646,10 +1009,18 @@ ${'━'.repeat(60)}
 
   Your app is live at:
     https://${args.name}.exe.xyz
-${args.aiKey ? `
+${args.routing === 'path' ? `    Tenants: https://${args.name}.exe.xyz/t/<tenant>/  Admin: https://${args.name}.exe.xyz/admin
+` : ''}${args.aiKey ? `
   AI Proxy:
     Endpoint: https://${args.name}.exe.xyz/api/ai/chat
-    Mode: ${args.multiTenant ? `Multi-tenant ($${args.tenantLimit}/month per tenant)` : 'Single-user'}` : ''}
+    Provider: ${args.aiProvider}
+    Mode: ${args.multiTenant ? `Multi-tenant (${args.aiProvider === 'openrouter' ? `$${args.tenantLimit}` : `${args.tenantTokensPerMonth || DEFAULT_TENANT_TOKENS_PER_MONTH} tokens`}/month per tenant)` : 'Single-user'}` : ''}${args.adminApi ? `
+
+  Admin API:
+    Endpoint: https://${args.name}.exe.xyz/api/admin/
+    Clerk webhook URL: https://${args.name}.exe.xyz/api/admin/webhooks/clerk
+    (subscribe it to user.*, subscription.* and invoice.* events)
+    Entitlements: https://${args.name}.exe.xyz/api/me/entitlements` : ''}
 
   To continue development on the VM (Claude is pre-installed):
     ssh ${args.name}.runvm.dev -t "cd /var/www/html && claude"
@@ -657,7 +1028,7 @@ ${args.domain ? `
   Custom domain: https://${args.domain} (after DNS setup)` : ''}
 
   To redeploy after changes:
-    node scripts/deploy-exe.js --name ${args.name} --file ${args.file}${args.aiKey ? ` --ai-key <key>${args.multiTenant ? ' --multi-tenant' : ''}` : ''}
+    node scripts/deploy-exe.js --name ${args.name} --file ${args.file}${args.aiKey ? ` --ai-key <key>${args.aiProvider !== 'openrouter' ? ` --ai-provider ${args.aiProvider}${args.aiBaseUrl ? ` --ai-base-url ${args.aiBaseUrl}` : ''}${args.aiModel ? ` --ai-model ${args.aiModel}` : ''}` : ''}${args.multiTenant ? ` --multi-tenant${args.tenantClaim ? ` --tenant-claim ${args.tenantClaim}` : ''}` : ''}` : ''}${args.adminApi ? ` --admin-api --webhook-secret <whsec>${args.aiEntitlement ? ` --ai-entitlement ${args.aiEntitlement}` : ''}` : ''}
 `);
 
   } catch (err) {
@@ -0,0 +1,193 @@
+/**
+ * Admin API Server for Sell Apps
+ *
+ * This Bun server backs the sell AdminDashboard with real numbers:
+ * - Receives Clerk webhooks (users, subscriptions, invoices) into SQLite,
+ *   verified, deduplicated by svix-id and applied in event order
+ * - Serves tenant lists, MRR, churn and signups to admins
+ * - Decides what signed-in users are entitled to (sell-entitlements.js), for
+ *   the client gate and for nginx auth_request on protected endpoints
+ *
+ * Routes (nginx maps /api/admin/ here, /api/me/ to /me/):
+ * - POST /webhooks/clerk  Svix-signed Clerk webhook deliveries
+ * - GET  /overview        Counts, MRR, churn, signups     (admin session required)
+ * - GET  /tenants         Claimed subdomains and their plans (admin session required)
+ * - GET  /revenue         MRR by plan, monthly revenue      (admin session required)
+ * - GET  /me/entitlements Plan, tier, entitlements and trial/billing status of the session's user (?tenant=<subdomain>)
+ * - GET  /authorize       204 if the session may use a protected endpoint, else 401/403
+ *                         (nginx-internal; see ENTITLEMENTS_NGINX_CONF in sell-admin-api.js)
+ *
+ * Environment variables:
+ * - CLERK_WEBHOOK_SECRET: Signing secret of the Clerk webhook endpoint (whsec_...)
+ * - CLERK_PUBLISHABLE_KEY: The app's Clerk key, to find the session signing keys
+ * - VIBES_AUTHORIZED_PARTIES: Comma-separated origins session tokens may be issued to ("https://*.domain" for subdomains)
+ * - VIBES_ADMIN_USER_IDS: Comma-separated Clerk user IDs allowed to read analytics
+ * - VIBES_ADMIN_API_PORT: Port to listen on (default: 3002)
+ * - VIBES_AI_ENTITLEMENT: Entitlement /authorize requires (default: any plan)
+ *
+ * Pricing tiers and trial/grace settings are read from /opt/vibes/sell-settings.json
+ * (written on deploy).
+ *
+ * Deployed to: /opt/vibes/admin-api.js on exe.dev VMs (with the lib modules it imports)
+ */
+
+import { Database } from "bun:sqlite";
+import { existsSync, readFileSync } from "node:fs";
+import { createClerkVerifier, issuerFromPublishableKey, bearerToken } from "./clerk-jwt.js";
+import { createWebhookReceiver, svixHeaders } from "./clerk-webhooks.js";
+import { createSqliteWebhookStore, loadWebhookData, loadEntitlementData } from "./webhook-store.js";
+import { computeOverview, listTenants, computeRevenue } from "./sell-analytics.js";
+import { resolveEntitlements, hasEntitlement, activeOrganization, DEFAULT_GRACE_PERIOD_DAYS } from "./sell-entitlements.js";
+
+const WEBHOOK_SECRET = process.env.CLERK_WEBHOOK_SECRET;
+const ISSUER = issuerFromPublishableKey(process.env.CLERK_PUBLISHABLE_KEY);
+const AUTHORIZED_PARTIES = (process.env.VIBES_AUTHORIZED_PARTIES || "").split(",").map(p => p.trim()).filter(Boolean);
+const ADMIN_IDS = (process.env.VIBES_ADMIN_USER_IDS || "").split(",").map(id => id.trim()).filter(Boolean);
+const PORT = parseInt(process.env.VIBES_ADMIN_API_PORT) || 3002;
+const AI_ENTITLEMENT = process.env.VIBES_AI_ENTITLEMENT || null;
+const SETTINGS_PATH = "/opt/vibes/sell-settings.json";
+
+// Validate required config
+if (!WEBHOOK_SECRET) {
+  console.error("ERROR: CLERK_WEBHOOK_SECRET environment variable is required");
+  process.exit(1);
+}
+if (!ISSUER) {
+  console.error("ERROR: CLERK_PUBLISHABLE_KEY environment variable must be a Clerk publishable key");
+  process.exit(1);
+}
+if (AUTHORIZED_PARTIES.length === 0) {
+  console.error("ERROR: VIBES_AUTHORIZED_PARTIES environment variable is required");
+  process.exit(1);
+}
+
+let settings = {};
+if (existsSync(SETTINGS_PATH)) {
+  try {
+    settings = JSON.parse(readFileSync(SETTINGS_PATH, "utf-8"));
+  } catch (e) {
+    console.error(`ERROR: Could not parse ${SETTINGS_PATH}: ${e.message} (redeploy to rewrite it)`);
+    process.exit(1);
+  }
+}
+const { tiers: TIERS = [], lifecycle: LIFECYCLE = {} } = settings;
+
+const verifySession = createClerkVerifier({ issuer: ISSUER, authorizedParties: AUTHORIZED_PARTIES });
+
+// Webhook events and the state they build live in SQLite
+const store = createSqliteWebhookStore(new Database("/var/lib/vibes/admin.db"));
+const receiveWebhook = createWebhookReceiver({ secret: WEBHOOK_SECRET, store });
+
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store" }
+  });
+}
+
+/**
+ * Clerk webhook endpoint
+ */
+async function handleWebhook(req) {
+  const { status, body } = await receiveWebhook(await req.text(), svixHeaders(req));
+  if (status !== 200) {
+    console.warn(`Rejected webhook: ${body.error}`);
+  }
+  return json(body, status);
+}
+
+/**
+ * Entitlements of the request's session user, or null without a valid session
+ */
+async function sessionEntitlements(req, tenant) {
+  const session = await verifySession(bearerToken(req));
+  if (!session.valid) {
+    return null;
+  }
+  // Only the caller's rows and their team owners': /authorize runs on every AI request
+  const data = await loadEntitlementData(store, { userId: session.claims.sub, orgId: activeOrganization(session.claims)?.id });
+  return resolveEntitlements({ claims: session.claims, tiers: TIERS, adminIds: ADMIN_IDS, data, tenant, lifecycle: LIFECYCLE });
+}
+
+/**
+ * nginx auth_request target: only the status matters (2xx lets the request through)
+ */
+async function handleAuthorize(req) {
+  // CORS preflights carry no token; the proxied endpoint answers them
+  if (req.headers.get("X-Original-Method") === "OPTIONS") {
+    return new Response(null, { status: 204 });
+  }
+  const resolved = await sessionEntitlements(req, null);
+  if (!resolved) {
+    return new Response(null, { status: 401 });
+  }
+  return new Response(null, { status: hasEntitlement(resolved, AI_ENTITLEMENT) ? 204 : 403 });
+}
+
+/**
+ * Main request handler
+ */
+async function handleRequest(req) {
+  const { pathname, searchParams } = new URL(req.url);
+
+  try {
+    if (pathname === "/webhooks/clerk") {
+      return req.method === "POST" ? await handleWebhook(req) : json({ error: "Method not allowed" }, 405);
+    }
+
+    if (pathname === "/authorize") {
+      return await handleAuthorize(req);
+    }
+
+    if (pathname === "/me/entitlements") {
+      if (req.method !== "GET") {
+        return json({ error: "Method not allowed" }, 405);
+      }
+      const resolved = await sessionEntitlements(req, searchParams.get("tenant"));
+      return resolved ? json(resolved) : json({ error: "Unauthorized" }, 401);
+    }
+
+    const views = {
+      "/overview": computeOverview,
+      "/tenants": data => ({ tenants: listTenants(data) }),
+      "/revenue": computeRevenue
+    };
+    const view = views[pathname];
+    if (!view) {
+      return json({ error: "Not found" }, 404);
+    }
+    if (req.method !== "GET") {
+      return json({ error: "Method not allowed" }, 405);
+    }
+
+    const session = await verifySession(bearerToken(req));
+    if (!session.valid) {
+      return json({ error: "Unauthorized" }, 401);
+    }
+    if (!ADMIN_IDS.includes(session.claims.sub)) {
+      return json({ error: "Forbidden" }, 403);
+    }
+
+    return json(view(await loadWebhookData(store)));
+
+  } catch (err) {
+    console.error("Admin API error:", err);
+    return json({ error: err.message || "Internal server error" }, 500);
+  }
+}
+
+// Start server
+console.log(`Vibes Admin API starting on port ${PORT}`);
+console.log(`Clerk issuer: ${ISSUER}`);
+console.log(`Authorized parties: ${AUTHORIZED_PARTIES.join(", ")}`);
+console.log(`Admins: ${ADMIN_IDS.length}`);
+console.log(`Tiers: ${TIERS.map(t => t.slug).join(", ") || "none (any plan)"}`);
+console.log(`Trial: ${LIFECYCLE.trialDays ? `${LIFECYCLE.trialDays} days` : "none"}, grace period: ${LIFECYCLE.gracePeriodDays ?? DEFAULT_GRACE_PERIOD_DAYS} days`);
+console.log(`AI entitlement: ${AI_ENTITLEMENT || "any plan"}`);
+
+Bun.serve({
+  port: PORT,
+  fetch: handleRequest
+});
+
+console.log(`Vibes Admin API listening on http://localhost:${PORT}`);
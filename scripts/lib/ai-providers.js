@@ -0,0 +1,334 @@
+/**
+ * ai-providers.js - Upstream AI providers behind the proxy's /api/ai/chat
+ *
+ * useAI speaks the OpenAI chat completions shape (JSON, or server-sent
+ * events with `stream: true`). A provider takes such a request to its own
+ * API and answers in the same shape:
+ *
+ * - openrouter: the default; model IDs like "anthropic/claude-sonnet-4", and
+ *   per-tenant sub-keys with monthly limits for multi-tenant apps
+ * - openai: api.openai.com; a leading "openai/" is dropped from model IDs
+ * - openai-compatible: any /chat/completions server (llama.cpp, Ollama,
+ *   vLLM...) at a base URL such as http://127.0.0.1:11434/v1
+ * - anthropic: the Messages API; requests, responses and event streams are
+ *   translated (system prompts, text and image parts, stop sequences and
+ *   usage), and OpenRouter IDs of Claude models map to Anthropic's
+ *
+ * Policies and apps name models the OpenRouter way. A model the provider has
+ * no ID for is refused with 400; the proxy refuses to start when its default
+ * or policy models are among them.
+ *
+ * Only OpenRouter can provision sub-keys. For the others the proxy keeps each
+ * tenant's monthly quota itself, from the usage it records.
+ *
+ * Plain data in, plain data out, so it runs the same under Bun and in tests.
+ */
+
+/**
+ * Provider types
+ */
+export const AI_PROVIDERS = ['openrouter', 'openai', 'openai-compatible', 'anthropic'];
+
+const DEFAULTS = {
+  openrouter: { baseUrl: 'https://openrouter.ai/api/v1', defaultModel: 'anthropic/claude-sonnet-4' },
+  openai: { baseUrl: 'https://api.openai.com/v1', defaultModel: 'openai/gpt-4o-mini' },
+  'openai-compatible': { baseUrl: null, defaultModel: null },
+  anthropic: { baseUrl: 'https://api.anthropic.com/v1', defaultModel: 'anthropic/claude-sonnet-4' }
+};
+
+// OpenRouter IDs of Claude models (dotted versions) and Anthropic's aliases for them
+const ANTHROPIC_MODELS = {
+  'anthropic/claude-opus-4.1': 'claude-opus-4-1',
+  'anthropic/claude-opus-4': 'claude-opus-4-0',
+  'anthropic/claude-sonnet-4.5': 'claude-sonnet-4-5',
+  'anthropic/claude-sonnet-4': 'claude-sonnet-4-0',
+  'anthropic/claude-haiku-4.5': 'claude-haiku-4-5',
+  'anthropic/claude-3.7-sonnet': 'claude-3-7-sonnet-latest',
+  'anthropic/claude-3.5-haiku': 'claude-3-5-haiku-latest'
+};
+
+const ANTHROPIC_VERSION = '2023-06-01';
+// Anthropic requires max_tokens; OpenAI-style requests may leave it out
+const ANTHROPIC_MAX_TOKENS = 4096;
+const FINISH_REASONS = { end_turn: 'stop', stop_sequence: 'stop', max_tokens: 'length', tool_use: 'tool_calls' };
+
+const jsonResponse = (data, status) => new Response(JSON.stringify(data), { status, headers: { 'Content-Type': 'application/json' } });
+
+/**
+ * Check provider settings
+ * @param {object} settings - { type, apiKey, baseUrl, model }
+ * @returns {string|null} - Problem description, or null if they are fine
+ */
+export function checkProviderSettings({ type, apiKey, baseUrl, model }) {
+  if (!AI_PROVIDERS.includes(type)) return `AI provider must be one of: ${AI_PROVIDERS.join(', ')}`;
+  if (baseUrl && !/^https?:\/\/[^\s/]+/.test(baseUrl)) return 'AI base URL must be an http(s) URL';
+  if (type === 'openai-compatible') {
+    if (!baseUrl) return 'The openai-compatible provider needs a base URL, e.g. http://127.0.0.1:11434/v1';
+    if (!model) return 'The openai-compatible provider needs a default model';
+  } else if (!apiKey) {
+    return `The ${type} provider needs an API key`;
+  }
+  return null;
+}
+
+/**
+ * The provider's ID for a model
+ * IDs without a vendor prefix are taken as the provider's own; OpenRouter and
+ * OpenAI-compatible servers get every ID as it is
+ * @param {string} type - One of AI_PROVIDERS
+ * @param {string} model - Model ID, e.g. "anthropic/claude-sonnet-4"
+ * @returns {string|null} - Provider model ID, or null if it has none
+ */
+export function providerModel(type, model) {
+  if (typeof model !== 'string' || !model) return null;
+  if (type === 'openrouter' || type === 'openai-compatible' || !model.includes('/')) return model;
+  if (type === 'openai') return model.startsWith('openai/') ? model.slice('openai/'.length) : null;
+  return ANTHROPIC_MODELS[model] || null;
+}
+
+/**
+ * The model requests get when neither they nor the policy name one
+ * Named the OpenRouter way, like policy models, so allowlists apply to it
+ * @param {string} type - One of AI_PROVIDERS
+ * @param {string} [model] - Configured default (--ai-model, VIBES_AI_MODEL)
+ * @returns {string|null}
+ */
+export function providerDefaultModel(type, model) {
+  return model || DEFAULTS[type]?.defaultModel || null;
+}
+
+/**
+ * Models, or "vendor/*" wildcards, the provider has no ID for
+ * @param {string} type - One of AI_PROVIDERS
+ * @param {string[]} models
+ * @returns {string[]}
+ */
+export function unmappedModels(type, models) {
+  return [...new Set(models)].filter(model => {
+    if (!model.endsWith('/*')) return providerModel(type, model) === null;
+    const vendor = model.slice(0, -1);
+    if (type === 'openai') return vendor !== 'openai/';
+    if (type === 'anthropic') return !Object.keys(ANTHROPIC_MODELS).some(id => id.startsWith(vendor));
+    return false;
+  });
+}
+
+// ============== Anthropic translation ==============
+
+function anthropicContent(content) {
+  if (!Array.isArray(content)) return String(content ?? '');
+  return content.flatMap(part => {
+    if (part?.type === 'text') return [{ type: 'text', text: part.text }];
+    if (part?.type === 'image_url') {
+      const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+      const inline = /^data:(image\/[\w+.-]+);base64,(.*)$/.exec(url || '');
+      return [{ type: 'image', source: inline ? { type: 'base64', media_type: inline[1], data: inline[2] } : { type: 'url', url } }];
+    }
+    return [];
+  });
+}
+
+function plainText(content) {
+  return Array.isArray(content) ? content.filter(part => part?.type === 'text').map(part => part.text).join('\n') : String(content ?? '');
+}
+
+/**
+ * An OpenAI chat request as an Anthropic Messages request
+ * @param {object} body - With an Anthropic model ID (see providerModel)
+ * @returns {object}
+ */
+export function toAnthropicRequest(body) {
+  const messages = body.messages || [];
+  const system = messages.filter(message => message.role === 'system').map(message => plainText(message.content)).join('\n\n');
+  const stop = body.stop === undefined ? undefined : [].concat(body.stop);
+
+  return {
+    model: body.model,
+    max_tokens: body.max_tokens ?? body.max_completion_tokens ?? ANTHROPIC_MAX_TOKENS,
+    ...(system ? { system } : {}),
+    messages: messages
+      .filter(message => message.role !== 'system')
+      .map(message => ({ role: message.role === 'assistant' ? 'assistant' : 'user', content: anthropicContent(message.content) })),
+    ...(body.temperature !== undefined ? { temperature: body.temperature } : {}),
+    ...(body.top_p !== undefined ? { top_p: body.top_p } : {}),
+    ...(stop ? { stop_sequences: stop } : {}),
+    ...(body.stream ? { stream: true } : {})
+  };
+}
+
+function openAIUsage(inputTokens, outputTokens) {
+  return { prompt_tokens: inputTokens, completion_tokens: outputTokens, total_tokens: inputTokens + outputTokens };
+}
+
+/**
+ * An Anthropic Messages response as an OpenAI chat completion
+ * @param {object} data
+ * @returns {object}
+ */
+export function fromAnthropicResponse(data) {
+  const text = (data.content || []).filter(block => block.type === 'text').map(block => block.text).join('');
+  return {
+    id: data.id,
+    object: 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model: data.model,
+    choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: FINISH_REASONS[data.stop_reason] || 'stop' }],
+    usage: openAIUsage(data.usage?.input_tokens || 0, data.usage?.output_tokens || 0)
+  };
+}
+
+/**
+ * Anthropic's event stream as OpenAI chat completion chunks, ending with a usage chunk and [DONE]
+ * @param {ReadableStream} body - Anthropic server-sent events
+ * @returns {ReadableStream}
+ */
+export function fromAnthropicStream(body) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  const encoder = new TextEncoder();
+  const created = Math.floor(Date.now() / 1000);
+  let buffer = '';
+  let id = null;
+  let model = null;
+  let inputTokens = 0;
+  let outputTokens = 0;
+
+  const chunk = (choices, extra = {}) => `data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model, choices, ...extra })}\n\n`;
+
+  const translate = (line) => {
+    if (!line.startsWith('data:')) return '';
+    let event;
+    try {
+      event = JSON.parse(line.slice(5).trim());
+    } catch {
+      return '';
+    }
+    switch (event.type) {
+      case 'message_start':
+        id = event.message?.id || null;
+        model = event.message?.model || null;
+        inputTokens = event.message?.usage?.input_tokens || 0;
+        return chunk([{ index: 0, delta: { role: 'assistant', content: '' }, finish_reason: null }]);
+      case 'content_block_delta':
+        return event.delta?.type === 'text_delta' ? chunk([{ index: 0, delta: { content: event.delta.text }, finish_reason: null }]) : '';
+      case 'message_delta':
+        outputTokens = event.usage?.output_tokens ?? outputTokens;
+        return event.delta?.stop_reason ? chunk([{ index: 0, delta: {}, finish_reason: FINISH_REASONS[event.delta.stop_reason] || 'stop' }]) : '';
+      case 'message_stop':
+        return chunk([], { usage: openAIUsage(inputTokens, outputTokens) }) + 'data: [DONE]\n\n';
+      case 'error':
+        return `data: ${JSON.stringify({ error: { message: event.error?.message || 'Stream error', type: event.error?.type } })}\n\n`;
+      default:
+        return '';
+    }
+  };
+
+  return new ReadableStream({
+    async pull(controller) {
+      // Pings and block starts translate to nothing: read on until there is output
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) {
+          const rest = translate(buffer);
+          if (rest) controller.enqueue(encoder.encode(rest));
+          controller.close();
+          return;
+        }
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        const output = lines.map(translate).join('');
+        if (output) {
+          controller.enqueue(encoder.encode(output));
+          return;
+        }
+      }
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    }
+  });
+}
+
+// ============== Providers ==============
+
+/**
+ * Create a provider
+ * @param {object} settings
+ * @param {string} [settings.type='openrouter'] - One of AI_PROVIDERS
+ * @param {string} [settings.apiKey] - Operator key (the default key for every call)
+ * @param {string} [settings.baseUrl] - API base URL (required for openai-compatible)
+ * @param {string} [settings.model] - Default model, over the provider's own
+ * @param {Function} [settings.fetch] - fetch implementation, for tests
+ * @returns {object} - { type, defaultModel, provisionKey?, chat(body, { apiKey, signal }) }
+ *   chat resolves with a Response in the OpenAI shape; provisionKey(name, limit)
+ *   exists only where the provider can create sub-keys
+ */
+export function createProvider({ type = 'openrouter', apiKey, baseUrl, model, fetch = globalThis.fetch }) {
+  const base = (baseUrl || DEFAULTS[type].baseUrl).replace(/\/+$/, '');
+  const defaultModel = providerDefaultModel(type, model);
+  const bearer = (key) => (key ? { 'Authorization': `Bearer ${key}` } : {});
+  const unknownModel = (body) => jsonResponse({ error: { message: `Model ${body.model} is not available from the ${type} provider`, type: 'invalid_request_error' } }, 400);
+
+  if (type === 'anthropic') {
+    return {
+      type,
+      defaultModel,
+      async chat(body, { apiKey: key = apiKey, signal } = {}) {
+        const model = providerModel(type, body.model);
+        if (!model) return unknownModel(body);
+        const response = await fetch(`${base}/messages`, {
+          method: 'POST',
+          headers: { 'x-api-key': key, 'anthropic-version': ANTHROPIC_VERSION, 'Content-Type': 'application/json' },
+          body: JSON.stringify(toAnthropicRequest({ ...body, model })),
+          signal
+        });
+        if (!response.ok) {
+          const data = await response.json().catch(() => ({}));
+          // 529 is Anthropic's "overloaded"
+          return jsonResponse({ error: { message: data.error?.message || `Anthropic error ${response.status}`, type: data.error?.type } }, response.status === 529 ? 503 : response.status);
+        }
+        if (body.stream) {
+          return new Response(fromAnthropicStream(response.body), { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+        }
+        return jsonResponse(fromAnthropicResponse(await response.json()), 200);
+      }
+    };
+  }
+
+  const provider = {
+    type,
+    defaultModel,
+    async chat(body, { apiKey: key = apiKey, signal } = {}) {
+      const model = providerModel(type, body.model);
+      if (!model) return unknownModel(body);
+      const headers = { ...bearer(key), 'Content-Type': 'application/json' };
+      if (type === 'openrouter') {
+        headers['HTTP-Referer'] = 'https://vibes.diy';
+        headers['X-Title'] = 'Vibes App';
+      }
+      return fetch(`${base}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ ...body, model }),
+        signal
+      });
+    }
+  };
+
+  if (type === 'openrouter') {
+    provider.provisionKey = async (name, limit) => {
+      const response = await fetch(`${base}/keys`, {
+        method: 'POST',
+        headers: { ...bearer(apiKey), 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, limit, limit_reset: 'monthly' })
+      });
+      if (!response.ok) {
+        throw new Error(`Failed to provision OpenRouter key: ${await response.text()}`);
+      }
+      return (await response.json()).key;
+    };
+  }
+
+  return provider;
+}
@@ -0,0 +1,72 @@
+/**
+ * ai-proxy-auth.js - Which tenant an AI proxy request is billed to
+ *
+ * In multi-tenant mode the proxy spends a per-tenant OpenRouter key, so the
+ * tenant must come from a session token it has verified with clerk-jwt.js
+ * (signature against the Clerk instance's JWKS, iss, azp, exp and nbf) -
+ * never from a payload that was only decoded.
+ *
+ * Which claim names the tenant is configurable (VIBES_TENANT_CLAIM): a
+ * comma-separated list of claim paths, tried in order, e.g. "o.slg,sub" to
+ * bill the active organization (the sell team) and fall back to the user.
+ *
+ * Plain data in, plain data out, so it runs the same under Bun and in tests.
+ */
+
+/**
+ * Claims tried when none are configured (custom session claims, then the user)
+ */
+export const DEFAULT_TENANT_CLAIMS = ['tenant', 'subdomain', 'sub'];
+
+// Tenants name keys and database rows: keep them to plain identifiers
+const TENANT = /^[\w.-]{1,128}$/;
+
+/**
+ * Parse a claim mapping
+ * @param {string} [value] - Comma-separated claim paths, e.g. "o.slg,sub"
+ * @returns {string[]}
+ */
+export function parseTenantClaims(value) {
+  const paths = (value || '').split(',').map(path => path.trim()).filter(Boolean);
+  return paths.length > 0 ? paths : DEFAULT_TENANT_CLAIMS;
+}
+
+/**
+ * The tenant named by verified claims
+ * @param {object} claims - Verified session claims
+ * @param {string[]} [paths] - Claim paths to try, in order (dots for nested claims)
+ * @returns {string|null}
+ */
+export function tenantFromClaims(claims, paths = DEFAULT_TENANT_CLAIMS) {
+  for (const path of paths) {
+    const value = path.split('.').reduce((node, key) => (node && typeof node === 'object' ? node[key] : undefined), claims);
+    if (typeof value === 'string' && value) {
+      return TENANT.test(value) ? value : null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Create the proxy's tenant check
+ * @param {object} options
+ * @param {Function} options.verify - Token verifier (createClerkVerifier)
+ * @param {string[]} [options.tenantClaims] - Claim paths naming the tenant
+ * @returns {Function} - async (token) => { tenant, claims } or { error }
+ */
+export function createTenantAuthenticator({ verify, tenantClaims = DEFAULT_TENANT_CLAIMS }) {
+  return async function authenticate(token) {
+    if (!token) {
+      return { error: 'Missing bearer token' };
+    }
+    const session = await verify(token);
+    if (!session.valid) {
+      return { error: session.error };
+    }
+    const tenant = tenantFromClaims(session.claims, tenantClaims);
+    if (!tenant) {
+      return { error: `No tenant in claims ${tenantClaims.join(', ')}` };
+    }
+    return { tenant, claims: session.claims };
+  };
+}
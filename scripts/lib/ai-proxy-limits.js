@@ -0,0 +1,254 @@
+/**
+ * ai-proxy-limits.js - Rate limits and usage accounting for the AI proxy
+ *
+ * Every proxied request is checked against two scopes: the caller (the
+ * session's user in multi-tenant mode, the client IP otherwise) and, in
+ * multi-tenant mode, their tenant. Each scope has three limits, any of which
+ * can be switched off with 0:
+ *
+ * - requestsPerMinute: sliding one-minute window, kept in memory
+ * - tokensPerDay: total tokens since UTC midnight, read from the usage the
+ *   proxy stores in SQLite (so it survives restarts)
+ * - concurrency: requests in flight, streams included until they end
+ *
+ * A refused request gets the scope, the limit it hit and the seconds until
+ * it could pass (the proxy's 429 Retry-After). Tenants of providers without
+ * sub-keys also get a monthly token quota, read from the same usage.
+ *
+ * Plain data in, plain data out, so it runs the same under Bun and in tests.
+ */
+
+/**
+ * Limits per scope when none are configured
+ */
+export const DEFAULT_RATE_LIMITS = {
+  user: { requestsPerMinute: 20, tokensPerDay: 200000, concurrency: 3 },
+  tenant: { requestsPerMinute: 0, tokensPerDay: 0, concurrency: 0 }
+};
+
+/**
+ * Monthly token quota per tenant when the provider can't limit sub-keys
+ */
+export const DEFAULT_TENANT_TOKENS_PER_MONTH = 1000000;
+
+/**
+ * Environment variables holding each limit
+ */
+export const RATE_LIMIT_ENV = {
+  user: {
+    requestsPerMinute: 'VIBES_USER_REQUESTS_PER_MINUTE',
+    tokensPerDay: 'VIBES_USER_TOKENS_PER_DAY',
+    concurrency: 'VIBES_USER_CONCURRENCY'
+  },
+  tenant: {
+    requestsPerMinute: 'VIBES_TENANT_REQUESTS_PER_MINUTE',
+    tokensPerDay: 'VIBES_TENANT_TOKENS_PER_DAY',
+    concurrency: 'VIBES_TENANT_CONCURRENCY'
+  }
+};
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+/**
+ * Read the limits from the environment; missing or invalid values keep their default
+ * @param {object} env - e.g. process.env
+ * @returns {object} - { user, tenant }, each { requestsPerMinute, tokensPerDay, concurrency }
+ */
+export function rateLimitsFromEnv(env) {
+  const limits = {};
+  for (const [scope, names] of Object.entries(RATE_LIMIT_ENV)) {
+    limits[scope] = {};
+    for (const [limit, name] of Object.entries(names)) {
+      const value = parseInt(env[name], 10);
+      limits[scope][limit] = Number.isInteger(value) && value >= 0 ? value : DEFAULT_RATE_LIMITS[scope][limit];
+    }
+  }
+  return limits;
+}
+
+/**
+ * Start of the UTC day containing a time
+ * @param {number} now - Milliseconds
+ * @returns {number}
+ */
+export function dayStart(now) {
+  return now - (now % DAY_MS);
+}
+
+/**
+ * Start of the UTC month containing a time
+ * @param {number} now - Milliseconds
+ * @returns {number}
+ */
+export function monthStart(now) {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1);
+}
+
+/**
+ * Create the proxy's rate limiter
+ * @param {object} options
+ * @param {object} options.limits - See rateLimitsFromEnv
+ * @param {Function} options.tokensUsed - (scope, id, since) => tokens recorded for a user or tenant since a time
+ * @param {Function} [options.now] - Clock, for tests
+ * @returns {object} - { acquire({ user, tenant }), tracked() } (tracked: callers with state kept, for tests)
+ */
+export function createRateLimiter({ limits, tokensUsed, now = Date.now }) {
+  // key -> request times in the last minute, and key -> requests in flight
+  const recent = new Map();
+  const inFlight = new Map();
+  let prunedAt = 0;
+
+  // Request times still in the window (keys with none are dropped)
+  function inWindow(key, time) {
+    const times = (recent.get(key) || []).filter(at => at > time - MINUTE_MS);
+    if (times.length > 0) recent.set(key, times);
+    else recent.delete(key);
+    return times;
+  }
+
+  // Forget callers that have been quiet for a minute (in single-user mode every client IP is one)
+  function prune(time) {
+    if (time - prunedAt < MINUTE_MS) return;
+    prunedAt = time;
+    for (const key of recent.keys()) {
+      inWindow(key, time);
+    }
+  }
+
+  function check(scope, id, key, time) {
+    const { requestsPerMinute, tokensPerDay, concurrency } = limits[scope];
+    if (concurrency > 0 && (inFlight.get(key) || 0) >= concurrency) {
+      return { scope, limit: 'concurrency', retryAfter: 1 };
+    }
+    if (requestsPerMinute > 0) {
+      const times = inWindow(key, time);
+      if (times.length >= requestsPerMinute) {
+        return { scope, limit: 'requestsPerMinute', retryAfter: Math.max(1, Math.ceil((times[0] + MINUTE_MS - time) / 1000)) };
+      }
+    }
+    if (tokensPerDay > 0 && tokensUsed(scope, id, dayStart(time)) >= tokensPerDay) {
+      return { scope, limit: 'tokensPerDay', retryAfter: Math.ceil((dayStart(time) + DAY_MS - time) / 1000) };
+    }
+    return null;
+  }
+
+  /**
+   * Admit a request, or say which limit refuses it
+   * @param {object} caller
+   * @param {string} caller.user - User ID or client IP
+   * @param {string} [caller.tenant] - Tenant (multi-tenant mode)
+   * @returns {object} - { ok: true, release } or { ok: false, scope, limit, retryAfter }
+   */
+  function acquire({ user, tenant }) {
+    const time = now();
+    prune(time);
+    const scopes = [['user', user], ...(tenant ? [['tenant', tenant]] : [])].map(([scope, id]) => [scope, id, `${scope}:${id}`]);
+
+    for (const [scope, id, key] of scopes) {
+      const refused = check(scope, id, key, time);
+      if (refused) {
+        return { ok: false, ...refused };
+      }
+    }
+
+    for (const [scope, , key] of scopes) {
+      if (limits[scope].requestsPerMinute > 0) recent.set(key, [...(recent.get(key) || []), time]);
+      inFlight.set(key, (inFlight.get(key) || 0) + 1);
+    }
+
+    let released = false;
+    const release = () => {
+      if (released) return;
+      released = true;
+      for (const [, , key] of scopes) {
+        const count = (inFlight.get(key) || 1) - 1;
+        if (count > 0) inFlight.set(key, count);
+        else inFlight.delete(key);
+      }
+    };
+    return { ok: true, release };
+  }
+
+  return { acquire, tracked: () => new Set([...recent.keys(), ...inFlight.keys()]).size };
+}
+
+/**
+ * Token usage from an OpenAI-style response or stream event
+ * @param {object} data - Parsed response body or event
+ * @returns {object|null} - { promptTokens, completionTokens, totalTokens, cost }
+ */
+export function usageFromResponse(data) {
+  const usage = data?.usage;
+  if (!usage || typeof usage !== 'object') return null;
+  const promptTokens = Number(usage.prompt_tokens) || 0;
+  const completionTokens = Number(usage.completion_tokens) || 0;
+  return {
+    promptTokens,
+    completionTokens,
+    totalTokens: Number(usage.total_tokens) || promptTokens + completionTokens,
+    cost: typeof usage.cost === 'number' ? usage.cost : null
+  };
+}
+
+/**
+ * Pass an event stream through, reporting its usage once it ends
+ *
+ * onEnd runs exactly once - at the end of the stream, on an upstream error
+ * or when the client goes away - with the usage of the last event that had
+ * one (null if none did).
+ * @param {ReadableStream} body - Upstream server-sent events
+ * @param {Function} onEnd - (usage) => void
+ * @returns {ReadableStream}
+ */
+export function tapEventStream(body, onEnd) {
+  const reader = body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let usage = null;
+  let ended = false;
+
+  const end = () => {
+    if (ended) return;
+    ended = true;
+    onEnd(usage);
+  };
+
+  const scan = (line) => {
+    if (!line.startsWith('data:')) return;
+    const data = line.slice(5).trim();
+    if (data === '[DONE]') return;
+    try {
+      usage = usageFromResponse(JSON.parse(data)) || usage;
+    } catch {
+      // Not JSON: pass it on untouched
+    }
+  };
+
+  return new ReadableStream({
+    async pull(controller) {
+      try {
+        const { done, value } = await reader.read();
+        if (done) {
+          scan(buffer);
+          end();
+          controller.close();
+          return;
+        }
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines.forEach(scan);
+        controller.enqueue(value);
+      } catch (err) {
+        end();
+        controller.error(err);
+      }
+    },
+    cancel(reason) {
+      end();
+      return reader.cancel(reason);
+    }
+  });
+}
@@ -0,0 +1,225 @@
+/**
+ * ai-proxy-policy.js - Operator policy for requests through the AI proxy
+ *
+ * Without a policy the proxy forwards whatever body the browser sends. An
+ * operator policy file (deploy-exe.js --ai-policy, stored as
+ * /opt/vibes/ai-policy.json) bounds it:
+ *
+ *   {
+ *     "allowedModels": ["anthropic/claude-sonnet-4", "openai/*"],
+ *     "defaultModel": "anthropic/claude-sonnet-4",
+ *     "maxTokens": 2000,
+ *     "maxMessages": 40,
+ *     "stripParams": ["tools", "tool_choice", "plugins"],
+ *     "tiers": { "pro": { "allowedModels": ["anthropic/*"], "maxTokens": 8000 } }
+ *   }
+ *
+ * Every key is optional. Stripped parameters are dropped silently; a model
+ * (or an OpenRouter fallback in `models`) outside the allowlist, max_tokens
+ * over the cap or too many messages is a violation, answered with 400 and a
+ * POLICY_VIOLATION error. Sell apps may override any key per tier (the
+ * caller's tier comes from the admin API).
+ *
+ * Plain data in, plain data out, so it runs the same under Bun and in tests.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { resolve } from 'path';
+
+/**
+ * Where deploy-exe.js puts the policy on the VM
+ */
+export const AI_POLICY_PATH = '/opt/vibes/ai-policy.json';
+
+/**
+ * Model used when neither the request, the policy nor the provider names one
+ */
+export const DEFAULT_MODEL = 'anthropic/claude-sonnet-4';
+
+const POLICY_KEYS = ['allowedModels', 'defaultModel', 'maxTokens', 'maxMessages', 'stripParams'];
+// Without these there is no request left to police
+const REQUIRED_PARAMS = ['model', 'messages'];
+// OpenRouter model IDs, optionally ending in a wildcard ("openai/*")
+const MODEL = /^[\w.:-]+(\/[\w.:-]+)?$|^[\w.-]+\/\*$/;
+
+const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+
+function checkRules(label, rules, problems) {
+  for (const key of Object.keys(rules)) {
+    if (!POLICY_KEYS.includes(key)) problems.push(`${label} has unknown key ${key} (expected one of: ${POLICY_KEYS.join(', ')})`);
+  }
+  const { allowedModels, defaultModel, maxTokens, maxMessages, stripParams } = rules;
+  if (allowedModels !== undefined && !(Array.isArray(allowedModels) && allowedModels.length > 0 && allowedModels.every(model => typeof model === 'string' && MODEL.test(model)))) {
+    problems.push(`${label} allowedModels must be a list of model IDs like "anthropic/claude-sonnet-4" or "openai/*"`);
+  }
+  if (defaultModel !== undefined && !(typeof defaultModel === 'string' && MODEL.test(defaultModel) && !defaultModel.endsWith('/*'))) {
+    problems.push(`${label} defaultModel must be a model ID`);
+  }
+  for (const [key, value] of [['maxTokens', maxTokens], ['maxMessages', maxMessages]]) {
+    if (value !== undefined && !(Number.isInteger(value) && value > 0)) problems.push(`${label} ${key} must be a positive whole number`);
+  }
+  if (stripParams !== undefined) {
+    if (!(Array.isArray(stripParams) && stripParams.every(param => typeof param === 'string' && param))) {
+      problems.push(`${label} stripParams must be a list of parameter names`);
+    } else if (stripParams.some(param => REQUIRED_PARAMS.includes(param))) {
+      problems.push(`${label} stripParams cannot include ${REQUIRED_PARAMS.join(' or ')}`);
+    }
+  }
+}
+
+/**
+ * Whether a model matches an allowlist
+ * @param {string} model
+ * @param {string[]} [allowedModels] - Model IDs; "vendor/*" matches the vendor's models (no list: any)
+ * @returns {boolean}
+ */
+export function isModelAllowed(model, allowedModels) {
+  if (!allowedModels) return true;
+  return allowedModels.some(allowed => (allowed.endsWith('/*') ? model.startsWith(allowed.slice(0, -1)) : model === allowed));
+}
+
+/**
+ * Check a policy
+ * @param {*} policy
+ * @returns {string|null} - Problem description, or null if the policy is fine
+ */
+export function checkAIPolicy(policy) {
+  if (!isObject(policy)) return 'must be an object';
+
+  const problems = [];
+  const { tiers, ...rules } = policy;
+  checkRules('policy', rules, problems);
+  if (tiers !== undefined) {
+    if (!isObject(tiers)) {
+      problems.push('tiers must map tier slugs to policies');
+    } else {
+      for (const [slug, tierRules] of Object.entries(tiers)) {
+        if (!isObject(tierRules)) problems.push(`tier ${slug} must be an object`);
+        else checkRules(`tier ${slug}`, tierRules, problems);
+      }
+    }
+  }
+
+  // The default must pass the allowlist it is checked against, for every tier
+  for (const [label, effective] of [['policy', rules], ...Object.keys(isObject(tiers) ? tiers : {}).map(slug => [`tier ${slug}`, policyForTier(policy, slug)])]) {
+    if (effective.defaultModel && Array.isArray(effective.allowedModels) && !isModelAllowed(effective.defaultModel, effective.allowedModels)) {
+      problems.push(`${label} defaultModel ${effective.defaultModel} is not in its allowedModels`);
+    }
+  }
+
+  return problems.length > 0 ? `is invalid: ${problems.join('; ')}` : null;
+}
+
+/**
+ * Check that requests without a model get one the policy allows
+ * (checkAIPolicy covers explicit defaults; this covers the provider's)
+ * @param {object|null} policy
+ * @param {string|null} fallbackModel - The provider's default model
+ * @returns {string|null} - Problem description, or null if every tier has an allowed default
+ */
+export function checkPolicyDefaults(policy, fallbackModel) {
+  if (!policy || !fallbackModel) return null;
+  const problems = [['policy', null], ...Object.keys(policy.tiers || {}).map(slug => [`tier ${slug}`, slug])]
+    .filter(([, tier]) => {
+      const { defaultModel, allowedModels } = policyForTier(policy, tier);
+      return !defaultModel && !isModelAllowed(fallbackModel, allowedModels);
+    })
+    .map(([label]) => `${label} has no defaultModel and its allowedModels exclude the provider's default ${fallbackModel}`);
+  return problems.length > 0 ? `is invalid: ${problems.join('; ')}` : null;
+}
+
+/**
+ * The rules that apply to a tier: the policy with the tier's keys on top
+ * @param {object|null} policy
+ * @param {string|null} [tier] - Tier slug
+ * @returns {object} - { allowedModels, defaultModel, maxTokens, maxMessages, stripParams } (unset keys absent)
+ */
+export function policyForTier(policy, tier) {
+  if (!policy) return {};
+  const { tiers, ...rules } = policy;
+  return { ...rules, ...(tier && tiers?.[tier]) };
+}
+
+/**
+ * Every model a policy names, as default or allowed, in any tier
+ * @param {object|null} policy
+ * @returns {string[]}
+ */
+export function policyModels(policy) {
+  if (!policy) return [];
+  return [policy, ...Object.values(policy.tiers || {})]
+    .flatMap(rules => [...(rules.defaultModel ? [rules.defaultModel] : []), ...(rules.allowedModels || [])]);
+}
+
+/**
+ * Apply rules to a chat completion request
+ * @param {object} body - Request body from the browser
+ * @param {object} rules - See policyForTier
+ * @param {string} [fallbackModel] - Model when neither the request nor the rules name one (the provider's default)
+ * @returns {object} - { body } to forward, or { error } with code POLICY_VIOLATION, message, violation and allowed
+ */
+export function applyAIPolicy(body, rules, fallbackModel = DEFAULT_MODEL) {
+  const { allowedModels, defaultModel, maxTokens, maxMessages, stripParams = [] } = rules;
+  const violation = (kind, message, allowed) => ({ error: { code: 'POLICY_VIOLATION', violation: kind, message, allowed } });
+
+  const forwarded = { ...body };
+  for (const param of stripParams) {
+    delete forwarded[param];
+  }
+
+  forwarded.model = forwarded.model || defaultModel || fallbackModel;
+  if (typeof forwarded.model !== 'string' || !isModelAllowed(forwarded.model, allowedModels)) {
+    return violation('model', `Model ${forwarded.model} is not allowed`, allowedModels);
+  }
+  // OpenRouter falls back to the models list when the model fails
+  if (allowedModels && forwarded.models !== undefined) {
+    if (!Array.isArray(forwarded.models)) {
+      return violation('model', 'models must be a list of model IDs', allowedModels);
+    }
+    const fallback = forwarded.models.find(model => typeof model !== 'string' || !isModelAllowed(model, allowedModels));
+    if (fallback !== undefined) {
+      return violation('model', `Model ${fallback} is not allowed`, allowedModels);
+    }
+  }
+
+  if (maxTokens) {
+    for (const param of ['max_tokens', 'max_completion_tokens']) {
+      if (forwarded[param] !== undefined && !(Number(forwarded[param]) <= maxTokens)) {
+        return violation('max_tokens', `${param} is limited to ${maxTokens}`, maxTokens);
+      }
+    }
+    // Bound the answer even when the request doesn't
+    if (forwarded.max_tokens === undefined && forwarded.max_completion_tokens === undefined) {
+      forwarded.max_tokens = maxTokens;
+    }
+  }
+
+  if (maxMessages && Array.isArray(forwarded.messages) && forwarded.messages.length > maxMessages) {
+    return violation('messages', `Requests are limited to ${maxMessages} messages`, maxMessages);
+  }
+
+  return { body: forwarded };
+}
+
+/**
+ * Load and check a policy file
+ * @param {string} path - JSON file
+ * @returns {object} - { success, policy } or { success: false, error }
+ */
+export function loadAIPolicy(path) {
+  const resolvedPath = resolve(path);
+  if (!existsSync(resolvedPath)) {
+    return { success: false, error: `AI policy not found: ${resolvedPath}` };
+  }
+  let policy;
+  try {
+    policy = JSON.parse(readFileSync(resolvedPath, 'utf8'));
+  } catch (e) {
+    return { success: false, error: `Could not parse ${resolvedPath}: ${e.message}` };
+  }
+  const problem = checkAIPolicy(policy);
+  if (problem) {
+    return { success: false, error: `AI policy ${resolvedPath} ${problem}` };
+  }
+  return { success: true, policy };
+}
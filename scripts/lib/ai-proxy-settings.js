@@ -0,0 +1,96 @@
+/**
+ * ai-proxy-settings.js - Deployment settings of the AI proxy
+ *
+ * deploy-exe.js uploads the proxy (ai-proxy.js, run as /opt/vibes/proxy.js)
+ * with the lib modules it imports, and configures it through
+ * /etc/environment. In multi-tenant mode the proxy verifies Clerk session
+ * tokens, so it also gets the sell page's Clerk key and the origins the app
+ * is served from (the tokens' azp). Rate limits and the provider are set in
+ * both modes.
+ */
+
+import { DEFAULT_RATE_LIMITS, RATE_LIMIT_ENV, DEFAULT_TENANT_TOKENS_PER_MONTH } from './ai-proxy-limits.js';
+
+/**
+ * Modules uploaded next to /opt/vibes/proxy.js
+ */
+export const AI_PROXY_MODULES = ['clerk-jwt.js', 'ai-proxy-auth.js', 'ai-proxy-limits.js', 'ai-proxy-policy.js', 'ai-providers.js'];
+
+/**
+ * deploy-exe.js flags setting each rate limit: flag -> [scope, limit]
+ */
+export const RATE_LIMIT_FLAGS = {
+  '--user-rpm': ['user', 'requestsPerMinute'],
+  '--user-tokens-per-day': ['user', 'tokensPerDay'],
+  '--user-concurrency': ['user', 'concurrency'],
+  '--tenant-rpm': ['tenant', 'requestsPerMinute'],
+  '--tenant-tokens-per-day': ['tenant', 'tokensPerDay'],
+  '--tenant-concurrency': ['tenant', 'concurrency']
+};
+
+/**
+ * Origins a sell app's session tokens may be issued to
+ * @param {object} options
+ * @param {string} options.name - VM name (served at <name>.exe.xyz)
+ * @param {string} [options.domain] - Custom domain
+ * @param {string} [options.routing] - 'subdomain' (tenants on subdomains too) or 'path'
+ * @returns {string[]}
+ */
+export function authorizedOrigins({ name, domain, routing }) {
+  const hosts = [`${name}.exe.xyz`, ...(domain ? [domain] : [])];
+  return hosts.flatMap(host => (routing === 'path' ? [`https://${host}`] : [`https://${host}`, `https://*.${host}`]));
+}
+
+/**
+ * Environment lines for the proxy's token verification
+ * @param {object} settings
+ * @param {string} settings.clerkPublishableKey - The page's Clerk key (names the issuer)
+ * @param {string[]} settings.authorizedParties - See authorizedOrigins
+ * @param {string} [settings.tenantClaim] - Claim paths naming the tenant (default: tenant, subdomain, sub)
+ * @param {string} [settings.entitlementsUrl] - The admin API's entitlements endpoint (callers' tiers, for per-tier policies)
+ * @returns {string[]}
+ */
+export function aiProxyAuthEnv({ clerkPublishableKey, authorizedParties, tenantClaim, entitlementsUrl }) {
+  return [
+    `CLERK_PUBLISHABLE_KEY=${clerkPublishableKey}`,
+    `VIBES_AUTHORIZED_PARTIES=${authorizedParties.join(',')}`,
+    `VIBES_TENANT_CLAIM=${tenantClaim || ''}`,
+    `VIBES_ENTITLEMENTS_URL=${entitlementsUrl || ''}`
+  ];
+}
+
+/**
+ * Environment lines for the proxy's rate limits
+ *
+ * Every limit is written, so a redeploy without a flag restores its default.
+ * @param {object} [overrides] - { user, tenant }, each a subset of { requestsPerMinute, tokensPerDay, concurrency }
+ * @returns {string[]}
+ */
+export function aiProxyLimitsEnv(overrides = {}) {
+  return Object.entries(RATE_LIMIT_ENV).flatMap(([scope, names]) =>
+    Object.entries(names).map(([limit, name]) => `${name}=${overrides[scope]?.[limit] ?? DEFAULT_RATE_LIMITS[scope][limit]}`)
+  );
+}
+
+/**
+ * Environment lines for the proxy's provider
+ *
+ * OpenRouter keeps its key in OPENROUTER_API_KEY; other providers' keys go to
+ * VIBES_AI_API_KEY, which is emptied again when switching back.
+ * @param {object} settings
+ * @param {string} settings.provider - One of AI_PROVIDERS (ai-providers.js)
+ * @param {string} settings.apiKey - The operator's key for the provider
+ * @param {string} [settings.baseUrl] - API base URL
+ * @param {string} [settings.model] - Default model
+ * @param {number} [settings.tenantTokensPerMonth] - Tenant quota where the provider has no sub-keys
+ * @returns {string[]}
+ */
+export function aiProviderEnv({ provider, apiKey, baseUrl, model, tenantTokensPerMonth }) {
+  return [
+    `VIBES_AI_PROVIDER=${provider}`,
+    `VIBES_AI_API_KEY=${provider === 'openrouter' ? '' : apiKey}`,
+    `VIBES_AI_BASE_URL=${baseUrl || ''}`,
+    `VIBES_AI_MODEL=${model || ''}`,
+    `VIBES_TENANT_TOKENS_PER_MONTH=${tenantTokensPerMonth ?? DEFAULT_TENANT_TOKENS_PER_MONTH}`
+  ];
+}
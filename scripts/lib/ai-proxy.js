@@ -1,35 +1,112 @@
 /**
  * AI Proxy Server for Vibes Apps
  *
- * This Bun server proxies AI requests to OpenRouter, handling:
+ * This Bun server proxies AI requests to OpenRouter (or Anthropic, OpenAI or
+ * an OpenAI-compatible server, see ai-providers.js), handling:
  * - Single-user mode: Direct proxy with operator's key
- * - Multi-tenant mode: Per-tenant provisioned keys with limits
+ * - Multi-tenant mode: Per-tenant provisioned keys with limits, billed to the
+ *   tenant named by a verified Clerk session token (ai-proxy-auth.js); with
+ *   providers that have no sub-keys, a monthly token quota kept by the proxy
+ * - Streaming: `stream: true` responses pass through as server-sent events,
+ *   chunk by chunk, and stop upstream when the client goes away
+ * - Rate limits: requests per minute, tokens per day and concurrent requests
+ *   per user (or client IP) and per tenant, answered with 429 and Retry-After;
+ *   token usage is recorded in SQLite (ai-proxy-limits.js)
+ * - Policy: an operator policy file bounds models, max tokens and messages and
+ *   strips parameters, per sell tier if it says so (ai-proxy-policy.js)
  *
  * Environment variables:
  * - OPENROUTER_API_KEY: The operator's OpenRouter API key
+ * - VIBES_AI_PROVIDER: openrouter (default), anthropic, openai or openai-compatible
+ * - VIBES_AI_API_KEY: The operator's key for other providers (default: OPENROUTER_API_KEY)
+ * - VIBES_AI_BASE_URL: Provider API base URL (required for openai-compatible, e.g. http://127.0.0.1:11434/v1)
+ * - VIBES_AI_MODEL: Default model over the provider's own (required for openai-compatible)
  * - VIBES_MULTI_TENANT: "true" for sell apps, absent for vibes apps
- * - VIBES_TENANT_LIMIT: Credit limit per tenant in dollars (default: 5)
+ * - VIBES_TENANT_LIMIT: Credit limit per tenant in dollars (default: 5; OpenRouter sub-keys)
+ * - VIBES_TENANT_TOKENS_PER_MONTH: Token quota per tenant for providers without sub-keys (default: 1000000)
+ * - CLERK_PUBLISHABLE_KEY: The sell app's Clerk key, to find the session signing keys (multi-tenant)
+ * - VIBES_AUTHORIZED_PARTIES: Comma-separated origins tokens may be issued to ("https://*.domain" for subdomains)
+ * - VIBES_TENANT_CLAIM: Comma-separated claim paths naming the tenant (default: tenant,subdomain,sub)
+ * - VIBES_USER_REQUESTS_PER_MINUTE, VIBES_USER_TOKENS_PER_DAY, VIBES_USER_CONCURRENCY,
+ *   VIBES_TENANT_REQUESTS_PER_MINUTE, VIBES_TENANT_TOKENS_PER_DAY, VIBES_TENANT_CONCURRENCY:
+ *   Rate limits, 0 for none (defaults in ai-proxy-limits.js)
+ * - VIBES_AI_POLICY: Policy file (default: /opt/vibes/ai-policy.json; no file, no policy)
+ * - VIBES_ENTITLEMENTS_URL: The admin API's entitlements endpoint, for per-tier policies (sell apps)
  *
- * Deployed to: /opt/vibes/proxy.js on exe.dev VMs
+ * Deployed to: /opt/vibes/proxy.js on exe.dev VMs (with the lib modules it imports)
  */
 
 import { Database } from "bun:sqlite";
+import { existsSync } from "fs";
+import { createClerkVerifier, issuerFromPublishableKey, bearerToken } from "./clerk-jwt.js";
+import { createTenantAuthenticator, parseTenantClaims } from "./ai-proxy-auth.js";
+import { createRateLimiter, rateLimitsFromEnv, usageFromResponse, tapEventStream, monthStart, DEFAULT_TENANT_TOKENS_PER_MONTH } from "./ai-proxy-limits.js";
+import { AI_POLICY_PATH, loadAIPolicy, checkPolicyDefaults, policyForTier, applyAIPolicy, policyModels } from "./ai-proxy-policy.js";
+import { createProvider, checkProviderSettings, unmappedModels } from "./ai-providers.js";
 
-const OPENROUTER_KEY = process.env.OPENROUTER_API_KEY;
+const PROVIDER_SETTINGS = {
+  type: process.env.VIBES_AI_PROVIDER || "openrouter",
+  apiKey: process.env.VIBES_AI_API_KEY || process.env.OPENROUTER_API_KEY,
+  baseUrl: process.env.VIBES_AI_BASE_URL || null,
+  model: process.env.VIBES_AI_MODEL || null
+};
 const IS_MULTI_TENANT = process.env.VIBES_MULTI_TENANT === "true";
 const TENANT_LIMIT = parseFloat(process.env.VIBES_TENANT_LIMIT) || 5;
+const TENANT_TOKENS_PER_MONTH = parseInt(process.env.VIBES_TENANT_TOKENS_PER_MONTH) || DEFAULT_TENANT_TOKENS_PER_MONTH;
 const PORT = parseInt(process.env.VIBES_PROXY_PORT) || 3001;
+const ISSUER = issuerFromPublishableKey(process.env.CLERK_PUBLISHABLE_KEY);
+const AUTHORIZED_PARTIES = (process.env.VIBES_AUTHORIZED_PARTIES || "").split(",").map(p => p.trim()).filter(Boolean);
+const TENANT_CLAIMS = parseTenantClaims(process.env.VIBES_TENANT_CLAIM);
+const RATE_LIMITS = rateLimitsFromEnv(process.env);
+const POLICY_PATH = process.env.VIBES_AI_POLICY || AI_POLICY_PATH;
+const ENTITLEMENTS_URL = process.env.VIBES_ENTITLEMENTS_URL || null;
 
 // Validate required config
-if (!OPENROUTER_KEY) {
-  console.error("ERROR: OPENROUTER_API_KEY environment variable is required");
+const providerProblem = checkProviderSettings(PROVIDER_SETTINGS);
+if (providerProblem) {
+  console.error(`ERROR: ${providerProblem} (OPENROUTER_API_KEY or VIBES_AI_PROVIDER, VIBES_AI_API_KEY, VIBES_AI_BASE_URL, VIBES_AI_MODEL)`);
+  process.exit(1);
+}
+const provider = createProvider(PROVIDER_SETTINGS);
+if (IS_MULTI_TENANT && !ISSUER) {
+  console.error("ERROR: CLERK_PUBLISHABLE_KEY must be a Clerk publishable key in multi-tenant mode");
+  process.exit(1);
+}
+const loadedPolicy = existsSync(POLICY_PATH) ? loadAIPolicy(POLICY_PATH) : { success: true, policy: null };
+if (!loadedPolicy.success) {
+  console.error(`ERROR: ${loadedPolicy.error}`);
+  process.exit(1);
+}
+const POLICY = loadedPolicy.policy;
+const unmapped = unmappedModels(provider.type, [provider.defaultModel, ...policyModels(POLICY)]);
+if (unmapped.length > 0) {
+  console.error(`ERROR: The ${provider.type} provider has no model for ${unmapped.join(", ")} (VIBES_AI_MODEL or the AI policy)`);
+  process.exit(1);
+}
+const defaultsProblem = checkPolicyDefaults(POLICY, provider.defaultModel);
+if (defaultsProblem) {
+  console.error(`ERROR: AI policy ${POLICY_PATH} ${defaultsProblem}`);
   process.exit(1);
 }
 
-// Initialize SQLite for tenant key storage (multi-tenant only)
-let db = null;
+// Initialize SQLite for usage records and tenant key storage (multi-tenant only)
+const db = new Database("/var/lib/vibes/keys.db");
+db.run(`
+  CREATE TABLE IF NOT EXISTS ai_usage (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user TEXT NOT NULL,
+    tenant TEXT,
+    model TEXT,
+    prompt_tokens INTEGER NOT NULL,
+    completion_tokens INTEGER NOT NULL,
+    total_tokens INTEGER NOT NULL,
+    cost REAL,
+    created_at INTEGER NOT NULL
+  )
+`);
+db.run("CREATE INDEX IF NOT EXISTS ai_usage_user ON ai_usage (user, created_at)");
+db.run("CREATE INDEX IF NOT EXISTS ai_usage_tenant ON ai_usage (tenant, created_at)");
 if (IS_MULTI_TENANT) {
-  db = new Database("/var/lib/vibes/keys.db");
   db.run(`
     CREATE TABLE IF NOT EXISTS tenant_keys (
       tenant TEXT PRIMARY KEY,
@@ -39,35 +116,51 @@ if (IS_MULTI_TENANT) {
   `);
 }
 
+// Tenants come from verified session tokens only (multi-tenant)
+const authenticate = IS_MULTI_TENANT
+  ? createTenantAuthenticator({
+    verify: createClerkVerifier({ issuer: ISSUER, authorizedParties: AUTHORIZED_PARTIES }),
+    tenantClaims: TENANT_CLAIMS
+  })
+  : null;
+
 /**
- * Extract tenant ID from Clerk JWT
- * In sell apps, the JWT contains the subdomain as custom claim
+ * Record a response's token usage
  */
-async function extractTenant(req) {
-  const authHeader = req.headers.get("authorization");
-  if (!authHeader?.startsWith("Bearer ")) {
-    return null;
-  }
-
-  const token = authHeader.slice(7);
-
-  try {
-    // Decode JWT payload (base64url)
-    const parts = token.split(".");
-    if (parts.length !== 3) return null;
+function recordUsage(caller, model, usage) {
+  if (!usage) return;
+  db.run(
+    "INSERT INTO ai_usage (user, tenant, model, prompt_tokens, completion_tokens, total_tokens, cost, created_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+    [caller.user, caller.tenant || null, model || null, usage.promptTokens, usage.completionTokens, usage.totalTokens, usage.cost, Date.now()]
+  );
+}
 
-    const payload = JSON.parse(
-      Buffer.from(parts[1].replace(/-/g, "+").replace(/_/g, "/"), "base64").toString()
-    );
+/**
+ * Tokens recorded for a user or tenant since a time
+ */
+function tokensUsed(scope, id, since) {
+  return db
+    .query(`SELECT COALESCE(SUM(total_tokens), 0) AS tokens FROM ai_usage WHERE ${scope === "tenant" ? "tenant" : "user"} = ? AND created_at >= ?`)
+    .get(id, since).tokens;
+}
 
-    // Check expiration
-    if (payload.exp && payload.exp < Date.now() / 1000) {
-      return null;
-    }
+const limiter = createRateLimiter({ limits: RATE_LIMITS, tokensUsed });
 
-    // Extract tenant from custom claims or subdomain
-    return payload.tenant || payload.subdomain || payload.sub || null;
-  } catch {
+/**
+ * The caller's sell tier, from the admin API (only needed for per-tier policies)
+ */
+async function callerTier(req) {
+  if (!ENTITLEMENTS_URL || !POLICY?.tiers) {
+    return null;
+  }
+  try {
+    const response = await fetch(ENTITLEMENTS_URL, {
+      headers: { "Authorization": req.headers.get("authorization") },
+      signal: AbortSignal.timeout(3000)
+    });
+    return response.ok ? (await response.json()).tier : null;
+  } catch (err) {
+    console.warn(`Could not resolve tier, using the base policy: ${err.message}`);
     return null;
   }
 }
@@ -82,27 +175,8 @@ async function getOrCreateTenantKey(tenant) {
     return row.openrouter_key;
   }
 
-  // Provision new key via OpenRouter API
-  const response = await fetch("https://openrouter.ai/api/v1/keys", {
-    method: "POST",
-    headers: {
-      "Authorization": `Bearer ${OPENROUTER_KEY}`,
-      "Content-Type": "application/json"
-    },
-    body: JSON.stringify({
-      name: `vibes-tenant-${tenant}`,
-      limit: TENANT_LIMIT,
-      limit_reset: "monthly"
-    })
-  });
-
-  if (!response.ok) {
-    const error = await response.text();
-    throw new Error(`Failed to provision OpenRouter key: ${error}`);
-  }
-
-  const data = await response.json();
-  const newKey = data.key;
+  // Provision new key via the provider's key API
+  const newKey = await provider.provisionKey(`vibes-tenant-${tenant}`, TENANT_LIMIT);
 
   // Cache the key
   db.run(
@@ -113,28 +187,10 @@ async function getOrCreateTenantKey(tenant) {
   return newKey;
 }
 
-/**
- * Proxy request to OpenRouter
- */
-async function proxyToOpenRouter(body, apiKey) {
-  const response = await fetch("https://openrouter.ai/api/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      "Authorization": `Bearer ${apiKey}`,
-      "Content-Type": "application/json",
-      "HTTP-Referer": "https://vibes.diy",
-      "X-Title": "Vibes App"
-    },
-    body: JSON.stringify(body)
-  });
-
-  return response;
-}
-
 /**
  * Main request handler
  */
-async function handleRequest(req) {
+async function handleRequest(req, server) {
   // CORS headers
   const corsHeaders = {
     "Access-Control-Allow-Origin": "*",
@@ -155,30 +211,96 @@ async function handleRequest(req) {
     });
   }
 
+  // Released when the response is complete (for streams, when the stream ends)
+  let release = null;
+  let streaming = false;
+
   try {
-    let apiKey = OPENROUTER_KEY;
+    let apiKey = PROVIDER_SETTINGS.apiKey;
+    // Rate limits apply per user (client IP in single-user mode) and per tenant
+    let caller = { user: req.headers.get("x-real-ip") || server.requestIP(req)?.address || "unknown" };
 
     // Multi-tenant: extract tenant and get their provisioned key
     if (IS_MULTI_TENANT) {
-      const tenant = await extractTenant(req);
+      const { tenant, claims, error } = await authenticate(bearerToken(req));
       if (!tenant) {
+        console.warn(`Rejected token: ${error}`);
         return new Response(JSON.stringify({ error: "Unauthorized" }), {
           status: 401,
           headers: { ...corsHeaders, "Content-Type": "application/json" }
         });
       }
 
-      apiKey = await getOrCreateTenantKey(tenant);
+      caller = { user: claims.sub, tenant };
+    }
+
+    // Hold the request to the operator's policy before it counts against any limit
+    const rules = policyForTier(POLICY, IS_MULTI_TENANT ? await callerTier(req) : null);
+    const policed = applyAIPolicy(await req.json(), rules, provider.defaultModel);
+    if (policed.error) {
+      return new Response(JSON.stringify({ error: policed.error }), {
+        status: 400,
+        headers: { ...corsHeaders, "Content-Type": "application/json" }
+      });
+    }
+    const body = policed.body;
+
+    // Without sub-keys the proxy keeps the tenant's monthly quota itself
+    if (IS_MULTI_TENANT && !provider.provisionKey && tokensUsed("tenant", caller.tenant, monthStart(Date.now())) >= TENANT_TOKENS_PER_MONTH) {
+      return new Response(JSON.stringify({ error: { code: "LIMIT_EXCEEDED", message: "AI usage limit reached for this month." } }), {
+        status: 402,
+        headers: { ...corsHeaders, "Content-Type": "application/json" }
+      });
+    }
+
+    const admitted = limiter.acquire(caller);
+    if (!admitted.ok) {
+      const message = `Rate limit reached (${admitted.scope} ${admitted.limit}), retry in ${admitted.retryAfter}s`;
+      return new Response(JSON.stringify({ error: { code: "RATE_LIMITED", message, retryAfter: admitted.retryAfter } }), {
+        status: 429,
+        headers: { ...corsHeaders, "Content-Type": "application/json", "Retry-After": String(admitted.retryAfter) }
+      });
+    }
+    release = admitted.release;
+
+    if (IS_MULTI_TENANT && provider.provisionKey) {
+      apiKey = await getOrCreateTenantKey(caller.tenant);
+    }
+
+    // Proxy the request (a client disconnect aborts the upstream call)
+    if (body.stream === true) {
+      // The last event carries the usage totals to account for
+      body.stream_options = { ...body.stream_options, include_usage: true };
     }
+    const upstream = await provider.chat(body, { apiKey, signal: req.signal });
 
-    // Parse and proxy the request
-    const body = await req.json();
-    const openRouterResponse = await proxyToOpenRouter(body, apiKey);
+    // Stream events through unbuffered; X-Accel-Buffering stops nginx collecting them
+    if (body.stream === true && upstream.ok) {
+      streaming = true;
+      const events = tapEventStream(upstream.body, usage => {
+        release();
+        recordUsage(caller, body.model, usage);
+      });
+      return new Response(events, {
+        status: upstream.status,
+        headers: {
+          ...corsHeaders,
+          "Content-Type": "text/event-stream",
+          "Cache-Control": "no-cache",
+          "X-Accel-Buffering": "no"
+        }
+      });
+    }
 
-    // Pass through OpenRouter's response (including 402 for limit exceeded)
-    const responseBody = await openRouterResponse.text();
+    // Pass through the provider's response (including OpenRouter's 402 for limit exceeded)
+    const responseBody = await upstream.text();
+    try {
+      recordUsage(caller, body.model, usageFromResponse(JSON.parse(responseBody)));
+    } catch {
+      // Not JSON: nothing to account for
+    }
     return new Response(responseBody, {
-      status: openRouterResponse.status,
+      status: upstream.status,
       headers: {
         ...corsHeaders,
         "Content-Type": "application/json"
@@ -191,14 +313,24 @@ async function handleRequest(req) {
       status: 500,
       headers: { ...corsHeaders, "Content-Type": "application/json" }
     });
+  } finally {
+    if (!streaming) release?.();
   }
 }
 
 // Start server
 console.log(`Vibes AI Proxy starting on port ${PORT}`);
 console.log(`Mode: ${IS_MULTI_TENANT ? "multi-tenant" : "single-user"}`);
+console.log(`Provider: ${provider.type}${PROVIDER_SETTINGS.baseUrl ? ` at ${PROVIDER_SETTINGS.baseUrl}` : ""} (default model: ${provider.defaultModel})`);
 if (IS_MULTI_TENANT) {
-  console.log(`Tenant limit: $${TENANT_LIMIT}/month`);
+  console.log(provider.provisionKey ? `Tenant limit: $${TENANT_LIMIT}/month` : `Tenant quota: ${TENANT_TOKENS_PER_MONTH} tokens/month (kept by the proxy)`);
+  console.log(`Clerk issuer: ${ISSUER}`);
+  console.log(`Authorized parties: ${AUTHORIZED_PARTIES.join(", ") || "any"}`);
+  console.log(`Tenant claim: ${TENANT_CLAIMS.join(", ")}`);
+}
+console.log(`AI policy: ${POLICY ? `${POLICY_PATH}${POLICY.tiers ? ` (tiers: ${Object.keys(POLICY.tiers).join(", ")})` : ""}` : "none"}`);
+for (const [scope, { requestsPerMinute, tokensPerDay, concurrency }] of Object.entries(RATE_LIMITS)) {
+  console.log(`Rate limits per ${scope}: ${requestsPerMinute || "unlimited"}/min, ${tokensPerDay || "unlimited"} tokens/day, ${concurrency || "unlimited"} concurrent`);
 }
 
 Bun.serve({
@@ -0,0 +1,226 @@
+/**
+ * assemble-app.js - Build an app HTML string from app sources and a template
+ *
+ * Shared by the assemblers (assemble.js, assemble-all.js, assemble-sell.js,
+ * vibes.js) and the --watch dev server:
+ * - Reads app.jsx, or bundles an app directory
+ * - Validates the app code
+ * - Fills in the template's options, app code and inserts
+ * - Optionally precompiles the JSX
+ *
+ * What goes where is described by the template definition (templates/registry.js);
+ * templates that opt in also pick up the project's vibes.config.json.
+ * Nothing is written to disk here; callers decide what to do with the HTML.
+ */
+
+import { readFileSync, existsSync, statSync } from 'fs';
+import { join, resolve, dirname } from 'path';
+import { validateAppCode, formatDiagnostics } from './validate-jsx.js';
+import { precompileHtml } from './precompile.js';
+import { bundleApp, APP_ENTRY } from './bundle-app.js';
+import { applyStripRules, findImports } from './strip-code.js';
+import { checkImportMap, isBareSpecifier } from './import-check.js';
+import { loadProjectConfig, projectConfigFiles, applyProjectConfig } from './project-config.js';
+import { getTemplate } from '../templates/registry.js';
+
+/**
+ * Convert an option name to its CLI flag (appTitle -> --app-title)
+ * @param {string} name - Option name
+ * @returns {string} - Flag
+ */
+export function optionFlag(name) {
+  return '--' + name.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+}
+
+/**
+ * Resolve a template's option values, applying defaults and types
+ * @param {object} template - Template definition
+ * @param {object} [values] - Option values by name (strings from the CLI, or parsed values)
+ * @returns {object} - { replacements: { placeholder: value }, errors, warnings }
+ */
+export function resolveTemplateOptions(template, values = {}) {
+  const resolved = {};
+  const replacements = {};
+  const errors = [];
+  const warnings = [];
+
+  for (const option of template.options || []) {
+    const provided = values[option.name];
+    let value;
+
+    if (provided === undefined || provided === null || provided === '') {
+      if (option.required) {
+        errors.push(`Missing required option ${optionFlag(option.name)}${option.description ? ` (${option.description})` : ''}`);
+        continue;
+      }
+      value = option.default !== undefined ? option.default : resolved[option.defaultFrom];
+    } else if (option.type === 'json' && typeof provided === 'string') {
+      try {
+        value = JSON.parse(provided);
+      } catch (e) {
+        warnings.push(`Could not parse ${optionFlag(option.name)} as JSON, using default`);
+        value = option.default;
+      }
+    } else {
+      value = provided;
+    }
+
+    resolved[option.name] = value;
+    // "<" is escaped so text like "</script>" in a value can't end the page's script
+    replacements[option.placeholder] = option.type === 'json'
+      ? JSON.stringify(value === undefined ? null : value).replace(/</g, '\\u003c')
+      : String(value === undefined ? '' : value);
+  }
+
+  return { replacements, errors, warnings };
+}
+
+/**
+ * Warn about relative and URL imports removed by the 'imports' strip rule
+ * (bare imports are left to checkImportMap)
+ * @param {Array} removed - Removed imports from applyStripRules
+ * @param {boolean} lines - Mention line numbers
+ * @returns {string[]} - Warnings
+ */
+function removedImportWarnings(removed, lines) {
+  return removed
+    .filter((i, index) => !isBareSpecifier(i.source) && removed.findIndex(r => r.source === i.source) === index)
+    .map(i => `Import "${i.source}"${lines ? ` (line ${i.line})` : ''} is removed during assembly; inline it or assemble the app directory instead`);
+}
+
+/**
+ * Assemble an app into a template
+ * @param {string} appPath - Path to app.jsx or an app directory
+ * @param {object} [options]
+ * @param {string|object} [options.template='vibes'] - Template id, definition path, or definition
+ * @param {object} [options.values] - Template option values by name
+ * @param {boolean} [options.precompile=false] - Transpile JSX ahead of time
+ * @param {boolean} [options.addImports=false] - Add import map entries for bare imports the template doesn't map
+ * @param {string} [options.cwd] - Project directory for project templates
+ * @returns {object} - { success, html, files, bundled, warnings, notes, addedImports, template } or { success: false, error, files }
+ *   files lists the absolute source paths the result depends on (for watching)
+ */
+export function assembleApp(appPath, options = {}) {
+  const { template: templateRef = 'vibes', values = {}, precompile = false, addImports = false, cwd } = options;
+  const resolvedAppPath = resolve(appPath);
+  const isDirectory = existsSync(resolvedAppPath) && statSync(resolvedAppPath).isDirectory();
+  let appFiles = [isDirectory ? join(resolvedAppPath, APP_ENTRY) : resolvedAppPath];
+
+  const lookup = getTemplate(templateRef, { cwd });
+  if (!lookup.success) {
+    return { success: false, error: lookup.error, files: appFiles };
+  }
+  let definition = lookup.template;
+
+  // Project branding from the vibes.config.json nearest the app (may swap in a whole template)
+  let project = { config: null, path: null };
+  if (definition.projectConfig) {
+    project = loadProjectConfig(isDirectory ? resolvedAppPath : dirname(resolvedAppPath));
+    if (!project.success) {
+      return { success: false, error: project.error, files: appFiles };
+    }
+    if (project.config?.template) {
+      definition = { ...definition, template: project.config.template };
+    }
+  }
+
+  const templateFiles = [
+    definition.template,
+    ...(definition.inserts || []).map(i => i.file),
+    ...(project.config ? projectConfigFiles(project.config, project.path) : [])
+  ];
+  const withTemplateFiles = (files) => [...new Set([...files, ...templateFiles])];
+
+  if (!existsSync(definition.template)) {
+    return { success: false, error: `Template not found: ${definition.template}`, files: withTemplateFiles(appFiles) };
+  }
+  if (!existsSync(resolvedAppPath)) {
+    return { success: false, error: `App file not found: ${resolvedAppPath}`, files: withTemplateFiles(appFiles) };
+  }
+
+  let html = readFileSync(definition.template, 'utf8');
+  const placeholders = [definition.appPlaceholder, ...(definition.inserts || []).map(i => i.placeholder)];
+  const missing = placeholders.find(p => !html.includes(p));
+  if (missing) {
+    const source = project.config?.template ? ` (template from ${project.path})` : '';
+    return { success: false, error: `Template missing placeholder: ${missing}${source}`, files: withTemplateFiles(appFiles) };
+  }
+
+  if (project.config) {
+    const branded = applyProjectConfig(html, project.config);
+    if (!branded.success) {
+      return { success: false, error: `${branded.error} (${project.path})`, files: withTemplateFiles(appFiles) };
+    }
+    html = branded.html;
+  }
+
+  const { replacements, errors: optionErrors, warnings } = resolveTemplateOptions(definition, values);
+  if (optionErrors.length > 0) {
+    return { success: false, error: optionErrors.join('\n'), files: withTemplateFiles(appFiles) };
+  }
+
+  // Read app code (bundling a directory) and validate it
+  const component = definition.component === undefined ? 'App' : definition.component;
+  let appCode;
+  if (isDirectory) {
+    const bundle = bundleApp(resolvedAppPath);
+    if (!bundle.success) {
+      const errorFiles = bundle.errors.filter(e => e.file).map(e => join(resolvedAppPath, e.file));
+      return {
+        success: false,
+        error: `App code has ${bundle.errors.length} error(s):\n${formatDiagnostics(bundle.errors, appPath)}`,
+        files: withTemplateFiles([...appFiles, ...errorFiles])
+      };
+    }
+    appCode = bundle.code;
+    appFiles = bundle.files.map(f => join(resolvedAppPath, f));
+  } else {
+    appCode = readFileSync(resolvedAppPath, 'utf8').trim();
+    const validation = validateAppCode(appCode, { componentName: component });
+    if (!validation.valid) {
+      return {
+        success: false,
+        error: `App code has ${validation.errors.length} error(s):\n${formatDiagnostics(validation.errors, appPath)}`,
+        files: withTemplateFiles(appFiles)
+      };
+    }
+  }
+  const files = withTemplateFiles(appFiles);
+
+  // Bare imports must resolve through the import map, stripped or not
+  // (bundle line numbers don't match the sources, so leave them out)
+  const strip = definition.strip || [];
+  const stripped = applyStripRules(appCode, strip, definition.stripConstants || []);
+  const found = strip.includes('imports') ? stripped : findImports(appCode);
+  const importCheck = checkImportMap(found, html, { add: addImports, lines: !isDirectory });
+  html = importCheck.html;
+  warnings.push(...importCheck.warnings);
+  if (strip.includes('imports')) {
+    warnings.push(...removedImportWarnings(stripped.imports, !isDirectory));
+  }
+
+  appCode = stripped.code;
+  const notes = definition.check ? definition.check(appCode) : [];
+
+  // Option values first, so placeholder-like text in app code is left alone
+  for (const [placeholder, value] of Object.entries(replacements)) {
+    html = html.split(placeholder).join(value);
+  }
+
+  // Use function replacements so `$` sequences in inserted code stay literal
+  html = html.replace(definition.appPlaceholder, () => appCode);
+  for (const insert of definition.inserts || []) {
+    const { code } = applyStripRules(readFileSync(insert.file, 'utf8'), insert.strip || [], definition.stripConstants || []);
+    html = html.replace(insert.placeholder, () => code);
+  }
+
+  if (precompile) {
+    const result = precompileHtml(html);
+    if (!result.success) {
+      return { success: false, error: result.error, files };
+    }
+    html = result.html;
+  }
+
+  return { success: true, html, files, bundled: isDirectory, warnings, notes, addedImports: importCheck.added, template: definition };
+}
@@ -0,0 +1,241 @@
+/**
+ * assemble-command.js - The assemble command shared by the CLIs
+ *
+ * Runs assembleApp for one app (with optional --watch dev server) or, for
+ * batch templates, for every input directory, then writes and reports the
+ * results. Also lists and restores backups of the output.
+ * Used by vibes.js, assemble.js and assemble-all.js.
+ */
+
+import { writeFileSync } from 'fs';
+import { join, resolve } from 'path';
+import { assembleApp } from './assemble-app.js';
+import { startDevServer } from './dev-server.js';
+import { expandBatchInputs, isUpToDate, writeBuildState } from './batch.js';
+import { findProjectConfig } from './project-config.js';
+import { createBackup, runBackupCommand } from './backups.js';
+import { getTemplate } from '../templates/registry.js';
+
+/**
+ * Print assembly warnings, added imports and template notes
+ * @param {object} result - assembleApp result
+ */
+function reportMessages(result) {
+  for (const warning of result.warnings || []) {
+    console.warn(`Warning: ${warning}`);
+  }
+  for (const entry of result.addedImports || []) {
+    console.log(`Added to import map: ${entry.source} -> ${entry.url}`);
+  }
+  for (const note of result.notes || []) {
+    console.log(`Note: ${note}`);
+  }
+}
+
+/**
+ * Assemble each input directory to <dir>/index.html
+ * Directories whose inputs are unchanged since the last run are skipped.
+ * @param {object} template - Template definition
+ * @param {string[]} inputs - App directories, parent directories or globs
+ * @param {object} options - { values, precompile, addImports, cwd, label, force, json }
+ * @returns {Promise<number>} - Exit code
+ */
+async function runBatch(template, inputs, options) {
+  const { values, precompile, addImports, cwd, label = 'apps', force = false, json = false } = options;
+  const dirs = expandBatchInputs(inputs, { cwd });
+  if (dirs.length === 0) {
+    console.error(`No ${label} found in: ${inputs.join(' ')}`);
+    return 1;
+  }
+
+  // Everything besides file contents that changes the output (each app has its nearest vibes.config.json)
+  const settingsFor = (dirPath) => ({
+    template: template.id,
+    templatePath: template.template,
+    projectConfig: template.projectConfig ? findProjectConfig(dirPath) : null,
+    precompile,
+    addImports,
+    values
+  });
+
+  const results = await Promise.all(
+    dirs.map(async (dir) => {
+      const dirPath = resolve(cwd, dir);
+      const outputPath = join(dirPath, 'index.html');
+      const settings = settingsFor(dirPath);
+      try {
+        if (!force && isUpToDate(dirPath, outputPath, settings)) {
+          return { dir, status: 'unchanged', output: outputPath };
+        }
+        const result = assembleApp(join(dirPath, 'app.jsx'), { template, values, precompile, addImports, cwd });
+        if (!result.success) {
+          return { dir, status: 'failed', error: result.error };
+        }
+        writeFileSync(outputPath, result.html);
+        writeBuildState(dirPath, result.files, settings, result.html);
+        return { dir, status: 'assembled', output: outputPath, warnings: result.warnings, addedImports: result.addedImports };
+      } catch (e) {
+        return { dir, status: 'failed', error: e.message };
+      }
+    })
+  );
+
+  const count = (status) => results.filter(r => r.status === status).length;
+  const failed = count('failed');
+
+  if (json) {
+    console.log(JSON.stringify({
+      total: results.length,
+      assembled: count('assembled'),
+      unchanged: count('unchanged'),
+      failed,
+      results
+    }, null, 2));
+    return failed > 0 ? 1 : 0;
+  }
+
+  for (const r of results) {
+    if (r.status === 'assembled') {
+      console.log(`Assembled: ${r.dir}/index.html`);
+      for (const warning of r.warnings) {
+        console.warn(`  Warning: ${warning}`);
+      }
+      for (const entry of r.addedImports) {
+        console.log(`  Added to import map: ${entry.source} -> ${entry.url}`);
+      }
+    } else if (r.status === 'unchanged') {
+      console.log(`Unchanged: ${r.dir}/index.html`);
+    } else {
+      console.error(`Failed: ${r.dir} - ${r.error}`);
+    }
+  }
+
+  const unchanged = count('unchanged');
+  console.log(`\nAssembled ${results.length - failed}/${results.length} ${label}${unchanged > 0 ? ` (${unchanged} unchanged)` : ''}.`);
+  return failed > 0 ? 1 : 0;
+}
+
+/**
+ * Re-assemble on change and serve with live reload (runs until Ctrl+C)
+ * @param {string} appPath - App file or directory
+ * @param {string} outputPath - Resolved output path
+ * @param {object} options - { template, values, precompile, addImports, cwd, port }
+ */
+function runWatch(appPath, outputPath, options) {
+  const { template, values, precompile, addImports, cwd, port = 3333 } = options;
+
+  const dev = startDevServer({
+    port,
+    build: () => assembleApp(appPath, { template, values, precompile, addImports, cwd }),
+    onBuild: (result) => {
+      const time = new Date().toLocaleTimeString();
+      if (result.success) {
+        writeFileSync(outputPath, result.html);
+        console.log(`[${time}] Assembled: ${outputPath}`);
+      } else {
+        console.error(`[${time}] Build failed:\n${result.error}`);
+      }
+    }
+  });
+
+  dev.server.on('listening', () => {
+    console.log(`\nServing on http://localhost:${port} (live reload)`);
+    console.log('Watching app sources and template. Press Ctrl+C to stop.');
+  });
+  dev.server.on('error', (err) => {
+    if (err.code === 'EADDRINUSE') {
+      console.error(`Port ${port} is already in use. Try: --port ${port + 1}`);
+    } else {
+      console.error('Server error:', err);
+    }
+    process.exit(1);
+  });
+  process.on('SIGINT', () => {
+    dev.close();
+    process.exit(0);
+  });
+}
+
+/**
+ * File that --list-backups / --restore act on: the last .html argument, else index.html
+ * @param {string[]} inputs - Positional arguments
+ * @returns {string}
+ */
+export function backupTarget(inputs) {
+  return [...inputs].reverse().find(arg => arg.endsWith('.html')) || 'index.html';
+}
+
+/**
+ * Run the assemble command
+ * @param {object} options
+ * @param {string[]} options.inputs - App file/directory (and output path), or batch directories
+ * @param {string|object} [options.template='vibes'] - Template id, definition path, or definition
+ * @param {object} [options.values] - Template option values by name
+ * @param {boolean} [options.precompile=false] - Transpile JSX ahead of time
+ * @param {boolean} [options.addImports=false] - Add import map entries for unmapped bare imports
+ * @param {boolean} [options.watch=false] - Serve with live reload instead of exiting
+ * @param {number} [options.port=3333] - Dev server port for watch mode
+ * @param {string} [options.cwd=process.cwd()] - Project directory
+ * @param {string} [options.label] - What batch results are called in the summary
+ * @param {boolean} [options.force=false] - Batch: rebuild unchanged directories too
+ * @param {boolean} [options.json=false] - Batch: print a JSON summary instead of text
+ * @param {boolean} [options.listBackups=false] - List the output's backups instead of assembling
+ * @param {string} [options.restore] - Restore the output from this backup id instead of assembling
+ * @returns {Promise<number|null>} - Exit code, or null while watching
+ */
+export async function runAssemble(options) {
+  const { inputs, values = {}, precompile = false, addImports = false, watch = false, port, cwd = process.cwd(), label, force, json, listBackups, restore } = options;
+
+  if (listBackups || restore) {
+    return runBackupCommand(resolve(backupTarget(inputs)), { list: listBackups, restore });
+  }
+
+  const lookup = getTemplate(options.template || 'vibes', { cwd });
+  if (!lookup.success) {
+    console.error(lookup.error);
+    return 1;
+  }
+  const template = lookup.template;
+
+  if (template.batch) {
+    if (watch) {
+      console.error(`--watch is not supported for batch template "${template.id}"`);
+      return 1;
+    }
+    return runBatch(template, inputs, { values, precompile, addImports, cwd, label, force, json });
+  }
+
+  const [appPath, outputPath = 'index.html'] = inputs;
+  const resolvedOutputPath = resolve(outputPath);
+
+  const backupOutput = () => {
+    const backup = createBackup(resolvedOutputPath);
+    if (backup) {
+      console.log(`Backed up: ${backup.path}`);
+    }
+  };
+
+  if (watch) {
+    // Back up once, then write each good build
+    backupOutput();
+    runWatch(appPath, resolvedOutputPath, { template, values, precompile, addImports, cwd, port });
+    return null;
+  }
+
+  const result = assembleApp(appPath, { template, values, precompile, addImports, cwd });
+  if (!result.success) {
+    console.error(result.error);
+    return 1;
+  }
+  reportMessages(result);
+  if (result.bundled) {
+    console.log(`Bundled ${result.files.filter(f => f.startsWith(resolve(appPath))).length} file(s) from ${appPath}`);
+  }
+
+  backupOutput();
+
+  // Write output
+  writeFileSync(resolvedOutputPath, result.html);
+  console.log(`Created: ${resolvedOutputPath}`);
+  return 0;
+}
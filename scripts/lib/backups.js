@@ -0,0 +1,231 @@
+/**
+ * backups.js - Backups of generated HTML before it is overwritten
+ *
+ * Shared by the assemblers and update.js. Backups of <dir>/<name>.html live
+ * in <dir>/.vibes/backups/<name>.<YYYYMMDD-HHMMSS>.html, and only the newest
+ * N per file are kept (vibes.config.json "backups": { "keep": N }, default 10).
+ *
+ * A backup's id is its file name without the extension (index.20260101-120000).
+ * Backups from older versions, written next to the file as
+ * <name>.<timestamp>.bak.html or <name>.bak.html, are still listed and restorable.
+ */
+
+import { readFileSync, writeFileSync, existsSync, readdirSync, statSync, mkdirSync, copyFileSync, unlinkSync } from 'fs';
+import { dirname, basename, extname, join } from 'path';
+import { loadProjectConfig } from './project-config.js';
+
+/**
+ * Backup directory, relative to the backed-up file
+ */
+export const BACKUP_DIR = '.vibes/backups';
+
+/**
+ * Backups kept per file when the project doesn't say otherwise
+ */
+export const DEFAULT_KEEP = 10;
+
+const TIMESTAMP = '\\d{8}-\\d{6}(?:-\\d+)?';
+
+/**
+ * Escape a string for use in a regex
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Format a date as YYYYMMDD-HHMMSS (local time)
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatTimestamp(date) {
+  const pad = (n) => n.toString().padStart(2, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+/**
+ * Parse a YYYYMMDD-HHMMSS timestamp (local time)
+ * @param {string} timestamp
+ * @returns {Date}
+ */
+function parseTimestamp(timestamp) {
+  const [, y, mo, d, h, mi, s] = timestamp.match(/^(\d{4})(\d{2})(\d{2})-(\d{2})(\d{2})(\d{2})/);
+  return new Date(Number(y), Number(mo) - 1, Number(d), Number(h), Number(mi), Number(s));
+}
+
+/**
+ * Backup retention for a file's project
+ * @param {string} filePath - File being backed up
+ * @returns {number} - Backups to keep
+ */
+function retentionFor(filePath) {
+  const project = loadProjectConfig(dirname(filePath));
+  return (project.success && project.config?.backups?.keep) || DEFAULT_KEEP;
+}
+
+/**
+ * List a file's backups, newest first
+ * @param {string} filePath - Backed-up file
+ * @returns {Array} - { id, path, createdAt, size, legacy }
+ */
+export function listBackups(filePath) {
+  const dir = dirname(filePath);
+  const ext = extname(filePath);
+  const name = basename(filePath, ext);
+  const backupDir = join(dir, BACKUP_DIR);
+  const backups = [];
+
+  if (existsSync(backupDir)) {
+    const pattern = new RegExp(`^${escapeRegex(name)}\\.(${TIMESTAMP})${escapeRegex(ext)}$`);
+    for (const entry of readdirSync(backupDir)) {
+      const match = entry.match(pattern);
+      if (!match) continue;
+      const path = join(backupDir, entry);
+      backups.push({ id: basename(entry, ext), path, createdAt: parseTimestamp(match[1]), size: statSync(path).size, legacy: false });
+    }
+  }
+
+  // Older backups written next to the file
+  if (existsSync(dir)) {
+    const timestamped = new RegExp(`^${escapeRegex(name)}\\.(${TIMESTAMP})\\.bak${escapeRegex(ext)}$`);
+    for (const entry of readdirSync(dir)) {
+      const match = entry.match(timestamped);
+      const isSingle = entry === `${name}.bak${ext}`;
+      if (!match && !isSingle) continue;
+      const path = join(dir, entry);
+      const stat = statSync(path);
+      backups.push({
+        id: basename(entry, ext),
+        path,
+        createdAt: match ? parseTimestamp(match[1]) : stat.mtime,
+        size: stat.size,
+        legacy: true
+      });
+    }
+  }
+
+  return backups.sort((a, b) => b.createdAt - a.createdAt || b.id.localeCompare(a.id, undefined, { numeric: true }));
+}
+
+/**
+ * Delete all but the newest backups of a file (legacy backups are left alone)
+ * @param {string} filePath - Backed-up file
+ * @param {number} keep - Backups to keep
+ * @returns {string[]} - Deleted backup paths
+ */
+export function pruneBackups(filePath, keep) {
+  const removed = [];
+  const backups = listBackups(filePath).filter(b => !b.legacy);
+  for (const backup of backups.slice(keep)) {
+    unlinkSync(backup.path);
+    removed.push(backup.path);
+  }
+  return removed;
+}
+
+/**
+ * Back up a file before it is overwritten, then apply retention
+ * @param {string} filePath - File to back up
+ * @param {object} [options]
+ * @param {number} [options.keep] - Backups to keep (default: project setting or DEFAULT_KEEP)
+ * @returns {object|null} - { id, path, pruned } if a backup was made, null if the file doesn't exist
+ */
+export function createBackup(filePath, options = {}) {
+  if (!existsSync(filePath)) {
+    return null;
+  }
+
+  const ext = extname(filePath);
+  const name = basename(filePath, ext);
+  const backupDir = join(dirname(filePath), BACKUP_DIR);
+  mkdirSync(backupDir, { recursive: true });
+
+  // Several backups in the same second get a -2, -3, ... suffix
+  const timestamp = formatTimestamp(new Date());
+  let id = `${name}.${timestamp}`;
+  for (let n = 2; existsSync(join(backupDir, `${id}${ext}`)); n++) {
+    id = `${name}.${timestamp}-${n}`;
+  }
+
+  const path = join(backupDir, `${id}${ext}`);
+  copyFileSync(filePath, path);
+  const pruned = pruneBackups(filePath, options.keep || retentionFor(filePath));
+
+  return { id, path, pruned };
+}
+
+/**
+ * Restore a file from a backup
+ * The current file is backed up first, so a restore can itself be undone.
+ * @param {string} filePath - File to restore
+ * @param {string} [id='latest'] - Backup id, its timestamp, or 'latest'
+ * @returns {object} - { success, id, backupPath, previous } or { success: false, error }
+ */
+export function restoreBackup(filePath, id = 'latest') {
+  const backups = listBackups(filePath);
+  if (backups.length === 0) {
+    return { success: false, error: `No backups found for: ${filePath}` };
+  }
+
+  const backup = id === 'latest'
+    ? backups[0]
+    : backups.find(b => b.id === id || b.id === `${basename(filePath, extname(filePath))}.${id}`);
+  if (!backup) {
+    return {
+      success: false,
+      error: `Backup "${id}" not found for ${filePath}. Available: ${backups.map(b => b.id).join(', ')}`
+    };
+  }
+
+  // Read before backing up the current file, in case retention prunes the backup
+  const content = readFileSync(backup.path);
+  const previous = createBackup(filePath);
+  writeFileSync(filePath, content);
+
+  return { success: true, id: backup.id, backupPath: backup.path, previous: previous?.id || null };
+}
+
+/**
+ * Format a backup list for the terminal
+ * @param {string} filePath - Backed-up file
+ * @param {Array} backups - From listBackups
+ * @returns {string}
+ */
+export function formatBackupList(filePath, backups) {
+  if (backups.length === 0) {
+    return `No backups found for: ${filePath}`;
+  }
+  const lines = [`Backups of ${filePath} (newest first):`];
+  for (const b of backups) {
+    const kb = (b.size / 1024).toFixed(1);
+    lines.push(`  ${b.id.padEnd(32)} ${b.createdAt.toLocaleString()}  ${kb} KB${b.legacy ? '  (legacy)' : ''}`);
+  }
+  lines.push('', 'Restore with: --restore <id>');
+  return lines.join('\n');
+}
+
+/**
+ * Handle --list-backups / --restore <id> for a CLI
+ * @param {string} filePath - File the command is about
+ * @param {object} options - { list, restore }
+ * @returns {number} - Exit code
+ */
+export function runBackupCommand(filePath, options) {
+  if (options.list) {
+    console.log(formatBackupList(filePath, listBackups(filePath)));
+    return 0;
+  }
+
+  const result = restoreBackup(filePath, options.restore);
+  if (!result.success) {
+    console.error(result.error);
+    return 1;
+  }
+  console.log(`Restored ${filePath} from ${result.id}`);
+  if (result.previous) {
+    console.log(`Previous version saved as ${result.previous}`);
+  }
+  return 0;
+}
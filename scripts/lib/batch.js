@@ -0,0 +1,183 @@
+/**
+ * batch.js - Inputs and incremental state for batch assembly
+ *
+ * Batch templates (riff) assemble many app directories at once. This module:
+ * - Expands the inputs: directories, parent directories and globs (riff-*)
+ * - Hashes everything a build depended on, stored in <dir>/.vibes-build.json,
+ *   so unchanged directories can be skipped on the next run
+ */
+
+import { createHash } from 'crypto';
+import { readFileSync, writeFileSync, existsSync, readdirSync, statSync } from 'fs';
+import { dirname, basename, join, resolve } from 'path';
+
+/**
+ * Build state file written next to each assembled index.html
+ */
+export const BUILD_STATE_FILE = '.vibes-build.json';
+
+/**
+ * Bump when the hash inputs change so old state files are ignored
+ */
+const BUILD_STATE_VERSION = 1;
+
+/**
+ * Sort paths so riff-2 comes before riff-10
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function naturalCompare(a, b) {
+  return a.localeCompare(b, undefined, { numeric: true });
+}
+
+/**
+ * Convert a file name glob (*, ?) to a regex
+ * @param {string} pattern - Glob for a single path segment
+ * @returns {RegExp}
+ */
+function globToRegex(pattern) {
+  const source = pattern
+    .replace(/[.+^${}()|\\]/g, '\\$&')
+    .replace(/\*/g, '[^/]*')
+    .replace(/\?/g, '[^/]');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check whether a path is a directory
+ * @param {string} path
+ * @returns {boolean}
+ */
+function isDirectory(path) {
+  return existsSync(path) && statSync(path).isDirectory();
+}
+
+/**
+ * Expand batch inputs into app directories
+ * - A directory with app.jsx is used as is
+ * - A directory without app.jsx stands for its subdirectories that have one
+ * - A glob in the last path segment (riff-*, apps/riff-?) matches directories
+ * Anything else is passed through so assembly reports it as missing.
+ * @param {string[]} inputs - Paths and globs from the command line
+ * @param {object} [options]
+ * @param {string} [options.cwd=process.cwd()] - Directory relative inputs resolve against
+ * @param {string} [options.entry='app.jsx'] - File that marks an app directory
+ * @returns {string[]} - App directories, as given or relative to cwd
+ */
+export function expandBatchInputs(inputs, options = {}) {
+  const { cwd = process.cwd(), entry = 'app.jsx' } = options;
+  const dirs = [];
+
+  for (const input of inputs) {
+    const name = basename(input);
+
+    if (/[*?]/.test(name)) {
+      const parent = dirname(input);
+      const parentPath = resolve(cwd, parent);
+      if (!isDirectory(parentPath)) continue;
+      const regex = globToRegex(name);
+      const matches = readdirSync(parentPath)
+        .filter(entryName => regex.test(entryName) && isDirectory(join(parentPath, entryName)))
+        .sort(naturalCompare)
+        .map(entryName => (parent === '.' ? entryName : join(parent, entryName)));
+      dirs.push(...matches);
+      continue;
+    }
+
+    const path = resolve(cwd, input);
+    if (isDirectory(path) && !existsSync(join(path, entry))) {
+      const children = readdirSync(path)
+        .filter(entryName => existsSync(join(path, entryName, entry)))
+        .sort(naturalCompare)
+        .map(entryName => join(input, entryName));
+      if (children.length > 0) {
+        dirs.push(...children);
+        continue;
+      }
+    }
+
+    dirs.push(input);
+  }
+
+  return [...new Set(dirs)];
+}
+
+/**
+ * Hash build inputs: settings plus the contents of every file the build read
+ * @param {string[]} files - Absolute paths the build depended on
+ * @param {object} settings - Anything else that affects the output (template, flags, options)
+ * @returns {string|null} - Hex digest, or null if a file is missing
+ */
+export function computeBuildHash(files, settings) {
+  const hash = createHash('sha256');
+  hash.update(JSON.stringify({ version: BUILD_STATE_VERSION, settings }));
+  for (const file of [...files].sort()) {
+    if (!existsSync(file)) return null;
+    hash.update(`\0${file}\0`);
+    hash.update(readFileSync(file));
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Hash file contents
+ * @param {string} content
+ * @returns {string} - Hex digest
+ */
+function hashContent(content) {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Read a directory's build state
+ * @param {string} dir - App directory
+ * @returns {object|null} - { version, hash, files, output } or null
+ */
+export function readBuildState(dir) {
+  const path = join(dir, BUILD_STATE_FILE);
+  if (!existsSync(path)) return null;
+  try {
+    const state = JSON.parse(readFileSync(path, 'utf8'));
+    return state.version === BUILD_STATE_VERSION ? state : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Record a successful build
+ * @param {string} dir - App directory
+ * @param {string[]} files - Absolute paths the build depended on
+ * @param {object} settings - Settings passed to computeBuildHash
+ * @param {string} html - Written output
+ */
+export function writeBuildState(dir, files, settings, html) {
+  const state = {
+    version: BUILD_STATE_VERSION,
+    hash: computeBuildHash(files, settings),
+    files,
+    output: hashContent(html)
+  };
+  writeFileSync(join(dir, BUILD_STATE_FILE), JSON.stringify(state, null, 2) + '\n');
+}
+
+/**
+ * Check whether a directory's output is current
+ * The output must still match what was written (no hand edits), and the
+ * recorded inputs must hash to the same value with the current settings.
+ * @param {string} dir - App directory
+ * @param {string} outputPath - Assembled HTML path
+ * @param {object} settings - Settings passed to computeBuildHash
+ * @returns {boolean}
+ */
+export function isUpToDate(dir, outputPath, settings) {
+  const state = readBuildState(dir);
+  if (!state || !Array.isArray(state.files) || !existsSync(outputPath)) {
+    return false;
+  }
+  if (hashContent(readFileSync(outputPath)) !== state.output) {
+    return false;
+  }
+  return computeBuildHash(state.files, settings) === state.hash;
+}
@@ -0,0 +1,160 @@
+/**
+ * bundle-app.js - Bundle multi-file app sources into a single module
+ *
+ * An app directory holds app.jsx plus sibling modules (components/*.jsx,
+ * lib/*.js, ...) that it pulls in with relative imports. esbuild follows the
+ * relative imports and inlines them; bare specifiers and URLs stay as imports
+ * so the template's import map still resolves them in the browser.
+ *
+ * JSX is preserved so the bundle goes through the same Babel (or
+ * --precompile) path as a single app.jsx.
+ */
+
+import * as esbuild from 'esbuild';
+import { readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { validateAppCode, findDefaultExportName } from './validate-jsx.js';
+
+/**
+ * Entry file inside an app directory
+ */
+export const APP_ENTRY = 'app.jsx';
+
+/**
+ * Source extensions that are validated once esbuild has resolved the module graph
+ */
+const SOURCE_EXTENSIONS = /\.(jsx?|mjs)$/;
+
+/**
+ * Component name the templates render
+ */
+const COMPONENT_NAME = 'App';
+
+/**
+ * Convert esbuild messages to diagnostics
+ * @param {Array} messages - esbuild error messages
+ * @returns {Array} - Diagnostics with file, line, column, message
+ */
+function toDiagnostics(messages) {
+  return messages.map(m => ({
+    kind: 'bundle',
+    file: m.location?.file,
+    line: m.location?.line || 1,
+    column: (m.location?.column || 0) + 1,
+    message: m.text
+  }));
+}
+
+/**
+ * Re-check files that failed to parse so TypeScript syntax is reported as such
+ * (esbuild's JSX loader only says "Expected ..." for a type annotation)
+ * @param {string} appDir - App directory
+ * @param {Array} diagnostics - Diagnostics from the failed build
+ * @returns {Array} - Diagnostics with parse failures replaced by validation results
+ */
+function explainBundleErrors(appDir, diagnostics) {
+  const explained = new Map();
+  for (const file of new Set(diagnostics.map(d => d.file).filter(Boolean))) {
+    const filePath = join(appDir, file);
+    if (!SOURCE_EXTENSIONS.test(file) || !existsSync(filePath)) continue;
+    const validation = validateAppCode(readFileSync(filePath, 'utf8'), { componentName: null });
+    if (!validation.valid) {
+      explained.set(file, validation.errors.map(e => ({ ...e, file })));
+    }
+  }
+
+  return [
+    ...diagnostics.filter(d => !explained.has(d.file)),
+    ...[...explained.values()].flat()
+  ];
+}
+
+/**
+ * Check that the entry's component kept its name in the bundle
+ * esbuild hoists every module to the top level and renames clashing
+ * bindings, so an `App` declared or imported in another module turns the
+ * entry's into `App2` - and the template's <App /> would render the other one
+ * @param {string} appDir - App directory
+ * @param {string} code - Bundle output
+ * @param {string[]} files - Bundled files
+ * @returns {Array} - Diagnostics (empty when the default export is still App)
+ */
+function checkComponentName(appDir, code, files) {
+  const local = findDefaultExportName(code);
+  if (!local || local === COMPONENT_NAME) return [];
+
+  const binding = new RegExp(`\\b(function\\*?|class|const|let|var|import)\\s+(\\{[^}]*\\b)?${COMPONENT_NAME}\\b`);
+  const clashing = files.filter(f => f !== APP_ENTRY && SOURCE_EXTENSIONS.test(f) && binding.test(readFileSync(join(appDir, f), 'utf8')));
+  return [{
+    kind: 'bundle',
+    file: clashing[0] || APP_ENTRY,
+    line: 1,
+    column: 1,
+    message: `${clashing.length > 0 ? clashing.join(', ') : 'Another module'} also declares ${COMPONENT_NAME} at the top level, ` +
+      `so the bundle renames the component in ${APP_ENTRY} to ${local}. Rename the other ${COMPONENT_NAME}.`
+  }];
+}
+
+/**
+ * Bundle an app directory into a single ES module
+ * @param {string} appDir - Directory containing app.jsx
+ * @returns {object} - { success, code, files } or { success: false, errors }
+ */
+export function bundleApp(appDir) {
+  const entryPath = join(appDir, APP_ENTRY);
+  if (!existsSync(entryPath)) {
+    return {
+      success: false,
+      errors: [{ kind: 'bundle', line: 1, column: 1, message: `App entry not found: ${entryPath}` }]
+    };
+  }
+
+  let result;
+  try {
+    result = esbuild.buildSync({
+      entryPoints: [APP_ENTRY],
+      absWorkingDir: appDir,
+      bundle: true,
+      write: false,
+      metafile: true,
+      format: 'esm',
+      jsx: 'preserve',
+      // Bare specifiers and URLs resolve through the import map at runtime
+      packages: 'external',
+      external: ['http://*', 'https://*'],
+      loader: { '.js': 'jsx' },
+      charset: 'utf8',
+      logLevel: 'silent'
+    });
+  } catch (e) {
+    if (!e.errors) throw e;
+    return { success: false, errors: explainBundleErrors(appDir, toDiagnostics(e.errors)) };
+  }
+
+  // Validate every source file that made it into the bundle
+  const files = Object.keys(result.metafile.inputs);
+  const errors = [];
+  for (const file of files.filter(f => SOURCE_EXTENSIONS.test(f))) {
+    const code = readFileSync(join(appDir, file), 'utf8');
+    const validation = validateAppCode(code, { componentName: file === APP_ENTRY ? COMPONENT_NAME : null });
+    errors.push(...validation.errors.map(e => ({ ...e, file })));
+  }
+
+  if (errors.length > 0) {
+    return { success: false, errors };
+  }
+
+  const output = result.outputFiles.find(f => f.path.endsWith('.js')) || result.outputFiles[0];
+  const code = output.text.trim();
+
+  const nameErrors = checkComponentName(appDir, code, files);
+  if (nameErrors.length > 0) {
+    return { success: false, errors: nameErrors };
+  }
+
+  return {
+    success: true,
+    code,
+    files
+  };
+}
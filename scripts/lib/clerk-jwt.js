@@ -0,0 +1,191 @@
+/**
+ * clerk-jwt.js - Verify Clerk session tokens against the instance's JWKS
+ *
+ * Clerk signs session JWTs with RS256. The signing keys are published at
+ * <issuer>/.well-known/jwks.json, and the issuer (the Frontend API URL) is
+ * encoded in the publishable key, so a server only needs the pk_ key the
+ * page already carries.
+ *
+ * Uses WebCrypto only, so it runs unchanged under Bun (deployed servers)
+ * and Node (tests).
+ */
+
+/**
+ * How long fetched signing keys are reused
+ */
+const JWKS_CACHE_MS = 60 * 60 * 1000;
+
+/**
+ * Minimum time between refetches when a token names an unknown key id
+ */
+const JWKS_REFETCH_MS = 60 * 1000;
+
+/**
+ * Derive the Clerk issuer (Frontend API URL) from a publishable key
+ * @param {string} publishableKey - pk_test_... or pk_live_...
+ * @returns {string|null} - e.g. https://example.clerk.accounts.dev, or null for other keys
+ */
+export function issuerFromPublishableKey(publishableKey) {
+  const match = /^pk_(?:test|live)_([A-Za-z0-9+/=_-]+)$/.exec(publishableKey || '');
+  if (!match) return null;
+  try {
+    const host = atob(match[1].replace(/-/g, '+').replace(/_/g, '/')).replace(/\$$/, '');
+    return /^[a-z0-9.-]+$/i.test(host) ? `https://${host}` : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decode one base64url JWT segment
+ * @param {string} segment
+ * @returns {Uint8Array}
+ */
+function base64UrlBytes(segment) {
+  const base64 = segment.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
+/**
+ * Decode a base64url JSON segment
+ * @param {string} segment
+ * @returns {object}
+ */
+function base64UrlJson(segment) {
+  return JSON.parse(new TextDecoder().decode(base64UrlBytes(segment)));
+}
+
+/**
+ * Whether an azp origin is one of the authorized parties
+ * @param {string} azp - Origin the token was issued to, e.g. https://alice.myapp.com
+ * @param {string[]} parties - Origins; "https://*.myapp.com" matches one subdomain level
+ * @returns {boolean}
+ */
+export function isAuthorizedParty(azp, parties) {
+  return parties.some(party => {
+    if (!party.includes('://*.')) return party === azp;
+    const [scheme, host] = party.split('://*.');
+    const prefix = `${scheme}://`;
+    if (!azp.startsWith(prefix) || !azp.endsWith(`.${host}`)) return false;
+    const label = azp.slice(prefix.length, -(host.length + 1));
+    return /^[a-z0-9](?:[a-z0-9-]*[a-z0-9])?$/i.test(label);
+  });
+}
+
+/**
+ * Create a verifier for one Clerk instance
+ * @param {object} options
+ * @param {string} options.issuer - Expected iss claim (see issuerFromPublishableKey)
+ * @param {string} [options.jwksUrl] - Signing keys (default: <issuer>/.well-known/jwks.json)
+ * @param {string[]} [options.authorizedParties] - Allowed azp origins, "https://*.domain" for subdomains (empty: any; when set, tokens without azp are refused)
+ * @param {number} [options.clockSkewSeconds=5] - Leeway for exp and nbf
+ * @param {Function} [options.fetch] - fetch implementation (for tests)
+ * @returns {Function} - async (token) => { valid: true, claims } or { valid: false, error }
+ */
+export function createClerkVerifier(options) {
+  const {
+    issuer,
+    jwksUrl = `${issuer}/.well-known/jwks.json`,
+    authorizedParties = [],
+    clockSkewSeconds = 5,
+    fetch: fetchImpl = fetch
+  } = options;
+
+  let keys = new Map();
+  let fetchedAt = 0;
+
+  async function loadKeys() {
+    const response = await fetchImpl(jwksUrl);
+    if (!response.ok) {
+      throw new Error(`JWKS request failed with ${response.status}`);
+    }
+    const { keys: jwks = [] } = await response.json();
+    const imported = new Map();
+    for (const jwk of jwks) {
+      if (jwk.kty !== 'RSA' || !jwk.kid) continue;
+      imported.set(jwk.kid, await crypto.subtle.importKey(
+        'jwk', jwk, { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' }, false, ['verify']
+      ));
+    }
+    keys = imported;
+    fetchedAt = Date.now();
+  }
+
+  async function signingKey(kid) {
+    const age = Date.now() - fetchedAt;
+    if (age > JWKS_CACHE_MS || (!keys.has(kid) && age > JWKS_REFETCH_MS)) {
+      await loadKeys();
+    }
+    return keys.get(kid) || null;
+  }
+
+  return async function verify(token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) {
+      return { valid: false, error: 'Malformed token' };
+    }
+
+    let header;
+    let claims;
+    try {
+      header = base64UrlJson(parts[0]);
+      claims = base64UrlJson(parts[1]);
+    } catch {
+      return { valid: false, error: 'Malformed token' };
+    }
+
+    if (header.alg !== 'RS256') {
+      return { valid: false, error: `Unsupported algorithm ${header.alg}` };
+    }
+
+    let key;
+    try {
+      key = await signingKey(header.kid);
+    } catch (err) {
+      return { valid: false, error: `Could not load signing keys: ${err.message}` };
+    }
+    if (!key) {
+      return { valid: false, error: 'Unknown signing key' };
+    }
+
+    let signature;
+    try {
+      signature = base64UrlBytes(parts[2]);
+    } catch {
+      return { valid: false, error: 'Malformed token' };
+    }
+    const signed = new TextEncoder().encode(`${parts[0]}.${parts[1]}`);
+    if (!(await crypto.subtle.verify('RSASSA-PKCS1-v1_5', key, signature, signed))) {
+      return { valid: false, error: 'Invalid signature' };
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof claims.exp !== 'number' || claims.exp + clockSkewSeconds < now) {
+      return { valid: false, error: 'Token expired' };
+    }
+    if (typeof claims.nbf === 'number' && claims.nbf - clockSkewSeconds > now) {
+      return { valid: false, error: 'Token not yet valid' };
+    }
+    if (claims.iss !== issuer) {
+      return { valid: false, error: 'Wrong issuer' };
+    }
+    if (authorizedParties.length > 0 && (!claims.azp || !isAuthorizedParty(claims.azp, authorizedParties))) {
+      return { valid: false, error: 'Unauthorized party' };
+    }
+    if (!claims.sub) {
+      return { valid: false, error: 'Token has no subject' };
+    }
+
+    return { valid: true, claims };
+  };
+}
+
+/**
+ * Read the bearer token from a request
+ * @param {Request} req
+ * @returns {string|null}
+ */
+export function bearerToken(req) {
+  const header = req.headers.get('authorization');
+  return header?.startsWith('Bearer ') ? header.slice(7) : null;
+}
@@ -0,0 +1,192 @@
+/**
+ * clerk-webhooks.js - Verify and receive Clerk webhook deliveries
+ *
+ * Clerk delivers webhooks through Svix. Each request carries svix-id,
+ * svix-timestamp and svix-signature headers; the signature is
+ * HMAC-SHA256(secret, `${svix_id}.${svix_timestamp}.${body}`), base64, and
+ * the header may list several space-separated `v1,<signature>` entries
+ * (during secret rotation).
+ *
+ * createWebhookReceiver() turns verified deliveries into stored state:
+ * duplicates (Svix retries reuse the svix-id) are acknowledged without
+ * effect, every event is kept, and rows reflect their events in event-time
+ * order, so redelivered or out-of-order events can't roll a subscription back.
+ *
+ * See: https://clerk.com/docs/webhooks/sync-data#verify-the-webhook-signature
+ */
+
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import { normalizeClerkEvent } from './sell-analytics.js';
+
+/**
+ * Verify Clerk webhook signature
+ *
+ * @param {string} payload - Raw request body
+ * @param {object} headers - Request headers (svix-id, svix-timestamp, svix-signature)
+ * @param {string} secret - Clerk webhook signing secret (starts with whsec_)
+ * @param {number} [toleranceSeconds=300] - Max age of timestamp in seconds
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function verifyClerkSignature(payload, headers, secret, toleranceSeconds = 300) {
+  const svixId = headers['svix-id'];
+  const svixTimestamp = headers['svix-timestamp'];
+  const svixSignature = headers['svix-signature'];
+
+  if (!svixId || !svixTimestamp || !svixSignature) {
+    return { valid: false, error: 'Missing required Svix headers' };
+  }
+
+  const timestamp = parseInt(svixTimestamp, 10);
+  if (isNaN(timestamp)) {
+    return { valid: false, error: 'Invalid timestamp' };
+  }
+
+  // Old deliveries are rejected so captured requests can't be replayed later
+  const now = Math.floor(Date.now() / 1000);
+  if (Math.abs(now - timestamp) > toleranceSeconds) {
+    return { valid: false, error: 'Timestamp outside tolerance window' };
+  }
+
+  const secretBytes = Buffer.from(secret.startsWith('whsec_') ? secret.slice(6) : secret, 'base64');
+  const expectedSignature = Buffer.from(createHmac('sha256', secretBytes)
+    .update(`${svixId}.${svixTimestamp}.${payload}`)
+    .digest('base64'));
+
+  // Entries are "v1,<signature>" (or a bare signature)
+  const signatures = svixSignature.split(' ').map(sig => {
+    const parts = sig.split(',');
+    return parts.length === 2 ? parts[1] : parts[0];
+  });
+
+  const matches = (sig) => {
+    const candidate = Buffer.from(sig);
+    return candidate.length === expectedSignature.length && timingSafeEqual(candidate, expectedSignature);
+  };
+  if (!signatures.some(matches)) {
+    return { valid: false, error: 'Signature mismatch' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Pick the Svix headers off a Request, for verifyClerkSignature
+ * @param {Request} req
+ * @returns {object}
+ */
+export function svixHeaders(req) {
+  return {
+    'svix-id': req.headers.get('svix-id'),
+    'svix-timestamp': req.headers.get('svix-timestamp'),
+    'svix-signature': req.headers.get('svix-signature')
+  };
+}
+
+/**
+ * Table each kind of normalized event writes to
+ */
+const EVENT_TABLES = { user: 'users', userDeleted: 'users', subscription: 'subscriptions', invoice: 'invoices', membership: 'memberships' };
+
+/**
+ * Row after one more event (events must come in event-time order)
+ * @param {object|null} existing - Current row
+ * @param {object} change - normalizeClerkEvent() result
+ * @param {number} eventAt - When the event happened (ms)
+ * @returns {object}
+ */
+function mergeChange(existing, { kind, row }, eventAt) {
+  if (kind === 'userDeleted') {
+    // Without a user row this is a tombstone, so an older user.created can't resurrect it
+    return { id: row.id, email: null, tenants: [], createdAt: eventAt, ...existing, deletedAt: row.deletedAt, eventAt };
+  }
+
+  // Fields an event doesn't carry (e.g. the plan on a cancel) keep their stored values
+  const defined = Object.fromEntries(Object.entries(row).filter(([, value]) => value !== null && value !== undefined));
+  const createdAt = [existing?.createdAt, defined.createdAt].filter(t => t != null);
+  return { ...existing, ...defined, createdAt: createdAt.length ? Math.min(...createdAt) : null, eventAt };
+}
+
+function sameRow(a, b) {
+  const keys = new Set([...Object.keys(a || {}), ...Object.keys(b || {})]);
+  return [...keys].every(key => JSON.stringify(a?.[key]) === JSON.stringify(b?.[key]));
+}
+
+/**
+ * Apply one normalized event to its row. An event older than the row's
+ * latest is merged by replaying the object's stored events in event order,
+ * so the result doesn't depend on delivery order.
+ * @param {object} store - See webhook-store.js
+ * @param {object} change - normalizeClerkEvent() result
+ * @param {number} eventAt - When the event happened (ms)
+ * @returns {Promise<boolean>} - Whether the row changed
+ */
+export async function applyWebhookChange(store, change, eventAt) {
+  const table = EVENT_TABLES[change.kind];
+  const existing = await store.getRow(table, change.row.id);
+
+  let next;
+  if (existing?.eventAt > eventAt) {
+    const history = (await store.eventsFor(change.row.id))
+      .map(event => [normalizeClerkEvent(event.payload, event.eventAt), event.eventAt])
+      .filter(([stored]) => stored);
+    next = [...history, [change, eventAt]]
+      .sort((a, b) => a[1] - b[1])
+      .reduce((row, [stored, at]) => mergeChange(row, stored, at), null);
+  } else {
+    next = mergeChange(existing, change, eventAt);
+  }
+
+  if (sameRow(next, existing)) {
+    return false;
+  }
+  await store.putRow(table, next);
+  return true;
+}
+
+/**
+ * Create the handler behind a Clerk webhook endpoint
+ * @param {object} options
+ * @param {string} options.secret - Webhook signing secret (whsec_...)
+ * @param {object} options.store - See webhook-store.js
+ * @param {number} [options.toleranceSeconds=300] - Max age of a delivery
+ * @returns {Function} - async (payload, headers) => { status, body }
+ */
+export function createWebhookReceiver({ secret, store, toleranceSeconds = 300 }) {
+  return async function receive(payload, headers) {
+    const verification = verifyClerkSignature(payload, headers, secret, toleranceSeconds);
+    if (!verification.valid) {
+      return { status: 401, body: { error: verification.error } };
+    }
+
+    let event;
+    try {
+      event = JSON.parse(payload);
+    } catch {
+      return { status: 400, body: { error: 'Invalid JSON' } };
+    }
+
+    const id = headers['svix-id'];
+    if (await store.getEvent(id)) {
+      return { status: 200, body: { received: true, duplicate: true } };
+    }
+
+    // Clerk events carry their time; the delivery time is the fallback
+    const eventAt = typeof event.timestamp === 'number' ? event.timestamp : parseInt(headers['svix-timestamp'], 10) * 1000;
+    const change = normalizeClerkEvent(event, eventAt);
+    const applied = change ? await applyWebhookChange(store, change, eventAt) : false;
+
+    // Saved after applying: if the process dies in between, the redelivery applies again (harmlessly)
+    await store.saveEvent({
+      id,
+      type: event.type,
+      objectId: change?.row.id ?? null,
+      eventAt,
+      receivedAt: Date.now(),
+      applied,
+      payload: event
+    });
+
+    // Unknown event types are acknowledged too, so Svix doesn't retry them
+    return { status: 200, body: { received: true, applied } };
+  };
+}
@@ -0,0 +1,196 @@
+/**
+ * dev-server.js - Watch mode with live reload for assembled vibes
+ *
+ * Rebuilds whenever a watched source (app files, template) changes and
+ * serves the latest HTML from memory. Open tabs hold an EventSource
+ * connection and reload after every build. A failed build keeps serving the
+ * last good page with an error overlay on top (or an overlay-only page if
+ * nothing has built yet) instead of a blank screen.
+ */
+
+import { createServer } from 'http';
+import { watch } from 'fs';
+import { dirname, basename, join } from 'path';
+
+/**
+ * Server-sent events endpoint used by the injected client
+ */
+const EVENTS_PATH = '/__vibes/events';
+
+/**
+ * Editors often write a file in several steps; coalesce them into one rebuild
+ */
+const DEBOUNCE_MS = 100;
+
+/**
+ * Escape text for safe inclusion in HTML
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render the build error overlay
+ * @param {string} error - Build error text
+ * @returns {string} - Overlay HTML
+ */
+function renderOverlay(error) {
+  return `<div id="vibes-dev-overlay" style="position:fixed;inset:0;z-index:2147483647;overflow:auto;padding:32px;background:rgba(15,23,42,0.94);color:#f8fafc;font:14px/1.6 ui-monospace,SFMono-Regular,Menlo,monospace">
+  <div style="max-width:960px;margin:0 auto">
+    <p style="margin:0 0 16px;font-size:18px;font-weight:bold;color:#fca5a5">Build failed</p>
+    <pre style="margin:0;white-space:pre-wrap">${escapeHtml(error)}</pre>
+    <p style="margin:24px 0 0;color:#94a3b8">Fix the error and save — this page reloads automatically.</p>
+  </div>
+</div>`;
+}
+
+/**
+ * Live reload client: reload on every build event
+ */
+const DEV_CLIENT = `<script>
+  (function () {
+    var source = new EventSource("${EVENTS_PATH}");
+    source.addEventListener("reload", function () { location.reload(); });
+  })();
+</script>`;
+
+/**
+ * Inject the live reload client (and overlay, if any) before </body>
+ * @param {string} html - Page HTML
+ * @param {string|null} error - Build error to overlay
+ * @returns {string} - HTML with dev additions
+ */
+function injectDevClient(html, error) {
+  const snippet = `${error ? renderOverlay(error) : ''}\n${DEV_CLIENT}\n`;
+  const index = html.lastIndexOf('</body>');
+  if (index === -1) {
+    return html + snippet;
+  }
+  return html.slice(0, index) + snippet + html.slice(index);
+}
+
+/**
+ * Start a watching dev server
+ * @param {object} options
+ * @param {Function} options.build - Returns { success, html, files } or { success: false, error, files }
+ * @param {string[]} [options.watchPaths] - Extra files to watch (e.g. the template)
+ * @param {number} [options.port=3333] - Port to listen on
+ * @param {string} [options.host='localhost'] - Host to bind
+ * @param {Function} [options.onBuild] - Called with each build result
+ * @returns {object} - { server, rebuild, close }
+ */
+export function startDevServer(options) {
+  const { build, watchPaths = [], port = 3333, host = 'localhost', onBuild } = options;
+
+  const clients = new Set();
+  const watchers = new Map();
+  let watchedFiles = new Set();
+  let lastGoodHtml = null;
+  let lastError = null;
+  let timer = null;
+
+  function broadcast(event) {
+    for (const res of clients) {
+      res.write(`event: ${event}\ndata: {}\n\n`);
+    }
+  }
+
+  function updateWatchers(files) {
+    watchedFiles = new Set([...files, ...watchPaths]);
+    const dirs = new Set([...watchedFiles].map(f => dirname(f)));
+
+    // Watch directories rather than files so atomic saves (write + rename) are seen
+    for (const [dir, watcher] of watchers) {
+      if (!dirs.has(dir)) {
+        watcher.close();
+        watchers.delete(dir);
+      }
+    }
+    for (const dir of dirs) {
+      if (watchers.has(dir)) continue;
+      try {
+        const watcher = watch(dir, (eventType, filename) => {
+          if (!filename || watchedFiles.has(join(dir, basename(filename)))) {
+            scheduleRebuild();
+          }
+        });
+        watchers.set(dir, watcher);
+      } catch (e) {
+        console.warn(`Warning: Could not watch ${dir}: ${e.message}`);
+      }
+    }
+  }
+
+  function rebuild() {
+    let result;
+    try {
+      result = build();
+    } catch (e) {
+      // A thrown error must not end --watch: overlay it and keep watching the last files
+      result = { success: false, error: e.stack || String(e), files: [...watchedFiles] };
+    }
+    if (result.success) {
+      lastGoodHtml = result.html;
+      lastError = null;
+    } else {
+      lastError = result.error;
+    }
+    updateWatchers(result.files || []);
+    if (onBuild) onBuild(result);
+    broadcast('reload');
+    return result;
+  }
+
+  function scheduleRebuild() {
+    clearTimeout(timer);
+    timer = setTimeout(rebuild, DEBOUNCE_MS);
+  }
+
+  const server = createServer((req, res) => {
+    const { pathname } = new URL(req.url, `http://${req.headers.host || host}`);
+
+    if (pathname === EVENTS_PATH) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+      });
+      res.write('retry: 1000\n\n');
+      clients.add(res);
+      req.on('close', () => clients.delete(res));
+      return;
+    }
+
+    if (req.method === 'GET' && (pathname === '/' || pathname === '/index.html')) {
+      const page = lastGoodHtml || '<!doctype html>\n<html>\n  <body>\n  </body>\n</html>';
+      res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+      res.end(injectDevClient(page, lastError));
+      return;
+    }
+
+    res.writeHead(404, { 'Content-Type': 'text/plain' });
+    res.end('Not found');
+  });
+
+  rebuild();
+  server.listen(port, host);
+
+  function close() {
+    clearTimeout(timer);
+    for (const watcher of watchers.values()) watcher.close();
+    watchers.clear();
+    for (const res of clients) res.end();
+    clients.clear();
+    server.close();
+  }
+
+  return { server, rebuild, close };
+}
+
+export { injectDevClient, EVENTS_PATH };
@@ -0,0 +1,90 @@
+/**
+ * import-check.js - Cross-check an app's bare imports against the import map
+ *
+ * Bare specifiers (`date-fns`, `zustand/middleware`) only load if the page's
+ * <script type="importmap"> maps them. Each one the app imports is looked up in:
+ *   1. the template's import map
+ *   2. the plugin cache import map (cache/import-map.json, or the copy shipped
+ *      in skills/vibes/cache/)
+ * Anything else gets an esm.sh URL with ?external=react,react-dom.
+ *
+ * Unresolved imports are reported as warnings, or added to the page's import
+ * map when asked to (--add-imports).
+ */
+
+import { extractImportMap } from './analyze.js';
+import { findPluginRoot, loadCachedImportMap } from './compare.js';
+import { addImportMapEntries, esmShUrl } from './transforms/import-map.js';
+
+/**
+ * Whether an import specifier is bare (resolved through the import map)
+ * @param {string} specifier - Import source
+ * @returns {boolean} - False for relative, absolute and URL imports
+ */
+export function isBareSpecifier(specifier) {
+  return !/^(\.{1,2}\/|\/|[a-z][a-z0-9+.-]*:)/i.test(specifier);
+}
+
+/**
+ * Whether an import map resolves a specifier (exact key, or a key ending in / as a prefix)
+ * @param {string} specifier - Bare import specifier
+ * @param {object} imports - Import map "imports" object
+ * @returns {boolean}
+ */
+export function isMapped(specifier, imports) {
+  return Object.keys(imports || {}).some(key => key === specifier || (key.endsWith('/') && specifier.startsWith(key)));
+}
+
+/**
+ * Check an app's imports against the page's import map
+ * @param {object} found - { imports, dynamicImports } from findImports/applyStripRules
+ * @param {string} html - Page HTML (with its import map)
+ * @param {object} [options]
+ * @param {boolean} [options.add=false] - Add entries for unresolved imports to the import map
+ * @param {object} [options.cachedImports] - Plugin cache imports (default: loaded from the plugin cache)
+ * @param {boolean} [options.lines=true] - Mention line numbers in warnings
+ * @returns {object} - { html, missing, added, warnings }
+ *   missing lists unresolved imports ({ source, line, url, from: 'cache'|'esm.sh' })
+ */
+export function checkImportMap(found, html, options = {}) {
+  const { add = false, lines = true } = options;
+
+  // Templates without an import map load their libraries some other way
+  const importMap = extractImportMap(html);
+  if (!importMap) {
+    return { html, missing: [], added: [], warnings: [] };
+  }
+
+  const cachedImports = options.cachedImports !== undefined
+    ? options.cachedImports
+    : loadCachedImportMap(findPluginRoot())?.imports || {};
+
+  const missing = [];
+  const seen = new Set();
+  for (const { source, line } of [...found.imports, ...found.dynamicImports]) {
+    if (source === null || seen.has(source) || !isBareSpecifier(source)) continue;
+    seen.add(source);
+    if (isMapped(source, importMap.imports)) continue;
+
+    const cached = cachedImports[source];
+    missing.push({ source, line, url: cached || esmShUrl(source), from: cached ? 'cache' : 'esm.sh' });
+  }
+
+  if (missing.length === 0) {
+    return { html, missing, added: [], warnings: [] };
+  }
+
+  const where = (m) => (lines ? ` (line ${m.line})` : '');
+  if (!add) {
+    const warnings = missing.map(m =>
+      `Import "${m.source}"${where(m)} is not in the template's import map and will fail to load; add it with --add-imports (${m.url})`
+    );
+    return { html, missing, added: [], warnings };
+  }
+
+  const result = addImportMapEntries(html, Object.fromEntries(missing.map(m => [m.source, m.url])));
+  if (!result.success) {
+    return { html, missing, added: [], warnings: [`Could not add imports to the import map: ${result.error}`] };
+  }
+  return { html: result.html, missing, added: missing, warnings: [] };
+}
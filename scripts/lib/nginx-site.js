@@ -0,0 +1,80 @@
+/**
+ * nginx-site.js - Edit the default nginx site deploy-exe.js configures
+ *
+ * deploy-exe.js adds location blocks (AI proxy, admin API, path routing) to
+ * /etc/nginx/sites-available/default. The edits are made here on the file's
+ * text so they can find the server block by its braces - blocks added by
+ * earlier deploys end in a `}` at the start of a line too - and be tested.
+ */
+
+/**
+ * Offset of the `}` closing the first top-level block (the server block)
+ * @param {string} site - nginx config text
+ * @returns {number} - Index, or -1 without a complete block
+ */
+function serverBlockEnd(site) {
+  let depth = 0;
+  let quote = null;
+  for (let i = 0; i < site.length; i++) {
+    const c = site[i];
+    if (quote) {
+      if (c === '\\') i++;
+      else if (c === quote) quote = null;
+    } else if (c === '#') {
+      const eol = site.indexOf('\n', i);
+      if (eol === -1) break;
+      i = eol;
+    } else if (c === '"' || c === "'") {
+      quote = c;
+    } else if (c === '{') {
+      depth++;
+    } else if (c === '}') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Indent every non-empty line
+ */
+function indent(text, prefix) {
+  return text.split('\n').map(line => (line ? prefix + line : line)).join('\n');
+}
+
+/**
+ * Add a block at the end of the server block, unless a line contains marker
+ * @param {string} site - nginx config text
+ * @param {string} marker - Text that shows the block is already there
+ * @param {string} conf - Block(s) to add, unindented
+ * @returns {string} - Updated config text (unchanged if the marker is present)
+ */
+export function addServerConf(site, marker, conf) {
+  if (site.includes(marker)) return site;
+  const end = serverBlockEnd(site);
+  if (end === -1) {
+    throw new Error('No server block found in the nginx site');
+  }
+  const lineStart = site.lastIndexOf('\n', end - 1) + 1;
+  // A `}` sharing its line with other text moves to its own line
+  const before = site.slice(lineStart, end).trim() ? `${site.slice(0, end)}\n` : site.slice(0, lineStart);
+  return `${before}${indent(conf.replace(/^\n+/, ''), '    ')}\n${site.slice(end)}`;
+}
+
+/**
+ * Add lines at the top of a location block, unless a line contains marker
+ * @param {string} site - nginx config text
+ * @param {string} location - Location line without the brace, e.g. "location /api/ai/"
+ * @param {string} marker - Text that shows the lines are already there
+ * @param {string[]} lines - Directives to add
+ * @returns {string} - Updated config text (unchanged if the marker is present or the location is missing)
+ */
+export function addLocationLines(site, location, marker, lines) {
+  if (site.includes(marker)) return site;
+  const escaped = location.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  const match = new RegExp(`^([ \\t]*)${escaped}\\s*\\{[^\\n]*\\n`, 'm').exec(site);
+  if (!match) return site;
+  const at = match.index + match[0].length;
+  return site.slice(0, at) + lines.map(line => `${match[1]}    ${line}\n`).join('') + site.slice(at);
+}
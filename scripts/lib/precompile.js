@@ -0,0 +1,106 @@
+/**
+ * precompile.js - Ahead-of-time JSX compilation for assembled HTML
+ *
+ * Templates ship a `<script type="text/babel">` block that @babel/standalone
+ * transpiles at page load. Precompiling runs esbuild over that block during
+ * assembly and emits a plain `<script type="module">` instead, so the page
+ * no longer downloads or runs Babel. The import map is left untouched.
+ */
+
+import * as esbuild from 'esbuild';
+
+/**
+ * Regex to match the Babel-transpiled script block
+ */
+const BABEL_SCRIPT_REGEX = /<script\s+type=["']text\/babel["'][^>]*>([\s\S]*?)<\/script>/i;
+
+/**
+ * Regex to match the @babel/standalone loader tag (with its preceding whitespace)
+ */
+const BABEL_STANDALONE_REGEX = /\n?[ \t]*<script\s+src=["'][^"']*@babel\/standalone[^"']*["']\s*><\/script>/i;
+
+/**
+ * Attribute marking a precompiled script block
+ */
+const PRECOMPILED_ATTR = 'data-vibes-precompiled';
+
+/**
+ * Transpile JSX source to plain ES module code
+ * Uses classic React.createElement output to match Babel standalone's preset
+ * @param {string} source - JSX source
+ * @returns {object} - { success, code } or { success: false, error }
+ */
+function transpileJsx(source) {
+  try {
+    const result = esbuild.transformSync(source, {
+      loader: 'jsx',
+      jsx: 'transform',
+      format: 'esm',
+      target: 'es2020',
+      logLevel: 'silent'
+    });
+    return { success: true, code: result.code };
+  } catch (e) {
+    const first = e.errors?.[0];
+    const where = first?.location ? ` (script line ${first.location.line}, column ${first.location.column + 1})` : '';
+    return {
+      success: false,
+      error: `${first?.text || e.message}${where}`
+    };
+  }
+}
+
+/**
+ * Replace the Babel script block with a precompiled module script
+ * and remove the @babel/standalone loader
+ * @param {string} html - Assembled HTML (app code already inserted)
+ * @returns {object} - { success, html } or { success: false, error }
+ */
+function precompileHtml(html) {
+  const match = html.match(BABEL_SCRIPT_REGEX);
+
+  if (!match) {
+    return {
+      success: false,
+      error: 'No <script type="text/babel"> block found in template'
+    };
+  }
+
+  const result = transpileJsx(match[1]);
+  if (!result.success) {
+    return {
+      success: false,
+      error: `Precompile failed: ${result.error}`
+    };
+  }
+
+  // Not re-indented: that would change the contents of multi-line template literals
+  const replacement = `<script type="module" ${PRECOMPILED_ATTR}>\n${result.code.trim()}\n    </script>`;
+
+  // Use a function replacement so `$` sequences in compiled code stay literal
+  const output = html
+    .replace(BABEL_SCRIPT_REGEX, () => replacement)
+    .replace(BABEL_STANDALONE_REGEX, '');
+
+  return {
+    success: true,
+    html: output
+  };
+}
+
+/**
+ * Check whether HTML was produced by precompiled assembly
+ * @param {string} html - The HTML content
+ * @returns {boolean}
+ */
+function isPrecompiled(html) {
+  return html.includes(PRECOMPILED_ATTR);
+}
+
+export {
+  transpileJsx,
+  precompileHtml,
+  isPrecompiled,
+  BABEL_SCRIPT_REGEX,
+  PRECOMPILED_ATTR
+};
@@ -0,0 +1,221 @@
+/**
+ * project-config.js - Project-local settings (vibes.config.json)
+ *
+ * A vibes.config.json next to an app (or in any parent directory) customizes
+ * every vibes and riff assembly of the apps below it:
+ *
+ *   {
+ *     "template": "./brand/index.html",      full replacement template
+ *     "title": "Acme Apps",                  <title> text
+ *     "head": "./brand/head.html",           HTML fragment added at the end of <head>
+ *     "fonts": ["https://fonts.googleapis.com/css2?family=Inter&display=swap"],
+ *     "fontFamily": "Inter, sans-serif",     body font
+ *     "cssVariables": { "--vibes-cream": "#fdf6e3" },
+ *     "backups": { "keep": 5 }              backup retention (see backups.js)
+ *   }
+ *
+ * Paths resolve relative to the config file. Templates opt in to the
+ * branding keys with `projectConfig: true` in their registry definition.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { dirname, join, resolve, isAbsolute } from 'path';
+
+/**
+ * Config file name, looked up from the app's directory upwards
+ */
+export const PROJECT_CONFIG_FILE = 'vibes.config.json';
+
+/**
+ * Expected type of each config key
+ */
+const CONFIG_SCHEMA = {
+  template: 'string',
+  title: 'string',
+  head: 'string',
+  fonts: 'array',
+  fontFamily: 'string',
+  cssVariables: 'object',
+  backups: 'object'
+};
+
+/**
+ * Find the nearest vibes.config.json
+ * @param {string} startDir - Directory to start from
+ * @returns {string|null} - Config path, or null if there is none
+ */
+export function findProjectConfig(startDir) {
+  let dir = resolve(startDir);
+  while (true) {
+    const candidate = join(dir, PROJECT_CONFIG_FILE);
+    if (existsSync(candidate)) {
+      return candidate;
+    }
+    const parent = dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Check a parsed config against the schema
+ * @param {object} config - Parsed config
+ * @param {string} baseDir - Directory paths resolve against
+ * @returns {string[]} - Problems found (empty if valid)
+ */
+function validateProjectConfig(config, baseDir) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['Config must be a JSON object'];
+  }
+
+  const errors = [];
+  for (const [key, value] of Object.entries(config)) {
+    const expected = CONFIG_SCHEMA[key];
+    if (!expected) {
+      errors.push(`Unknown key "${key}" (expected one of: ${Object.keys(CONFIG_SCHEMA).join(', ')})`);
+      continue;
+    }
+    const actual = Array.isArray(value) ? 'array' : typeof value;
+    if (actual !== expected || value === null) {
+      errors.push(`"${key}" must be ${expected === 'array' ? 'an array' : `a ${expected}`}`);
+    }
+  }
+
+  for (const key of ['template', 'head']) {
+    if (typeof config[key] === 'string' && !existsSync(resolve(baseDir, config[key]))) {
+      errors.push(`"${key}" file not found: ${resolve(baseDir, config[key])}`);
+    }
+  }
+  if (Array.isArray(config.fonts) && config.fonts.some(f => typeof f !== 'string')) {
+    errors.push('"fonts" must be an array of stylesheet URLs');
+  }
+  if (config.cssVariables && typeof config.cssVariables === 'object') {
+    for (const name of Object.keys(config.cssVariables)) {
+      if (!/^--[\w-]+$/.test(name)) {
+        errors.push(`CSS variable "${name}" must start with --`);
+      }
+    }
+  }
+
+  if (config.backups && typeof config.backups === 'object') {
+    const { keep } = config.backups;
+    if (keep !== undefined && (!Number.isInteger(keep) || keep < 1)) {
+      errors.push('"backups.keep" must be a positive integer');
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Load the project config for a directory
+ * @param {string} [cwd=process.cwd()] - Directory to search from
+ * @returns {object} - { success, config, path } (config null when there is no file) or { success: false, error }
+ */
+export function loadProjectConfig(cwd = process.cwd()) {
+  const path = findProjectConfig(cwd);
+  if (!path) {
+    return { success: true, config: null, path: null };
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(path, 'utf8'));
+  } catch (e) {
+    return { success: false, error: `Could not parse ${path}: ${e.message}` };
+  }
+
+  const baseDir = dirname(path);
+  const errors = validateProjectConfig(raw, baseDir);
+  if (errors.length > 0) {
+    return { success: false, error: `Invalid ${path}:\n  ${errors.join('\n  ')}` };
+  }
+
+  const toPath = (p) => (isAbsolute(p) ? p : resolve(baseDir, p));
+  return {
+    success: true,
+    path,
+    config: {
+      ...raw,
+      template: raw.template ? toPath(raw.template) : undefined,
+      head: raw.head ? toPath(raw.head) : undefined
+    }
+  };
+}
+
+/**
+ * Files a config pulls in (for watching)
+ * @param {object} config - Loaded config
+ * @param {string} path - Config path
+ * @returns {string[]} - Absolute paths
+ */
+export function projectConfigFiles(config, path) {
+  return [path, config.template, config.head].filter(Boolean);
+}
+
+/**
+ * Escape text for an HTML text node or attribute
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Apply the config's head overrides (title, fonts, CSS variables, head fragment)
+ * Everything goes at the end of <head> so it wins over the template's own styles.
+ * @param {string} html - Template HTML
+ * @param {object} config - Loaded config
+ * @returns {object} - { success, html } or { success: false, error }
+ */
+export function applyProjectConfig(html, config) {
+  const headEnd = html.search(/<\/head>/i);
+  if (headEnd === -1) {
+    return { success: false, error: 'Template has no </head> to apply vibes.config.json overrides to' };
+  }
+
+  const additions = [];
+  for (const href of config.fonts || []) {
+    additions.push(`<link rel="stylesheet" href="${escapeHtml(href)}" />`);
+  }
+
+  const rules = [];
+  const variables = Object.entries(config.cssVariables || {});
+  if (variables.length > 0) {
+    rules.push(`:root {\n${variables.map(([name, value]) => `        ${name}: ${value};`).join('\n')}\n      }`);
+  }
+  if (config.fontFamily) {
+    rules.push(`body {\n        font-family: ${config.fontFamily};\n      }`);
+  }
+  if (rules.length > 0) {
+    additions.push(`<style data-vibes-config>\n      ${rules.join('\n      ')}\n    </style>`);
+  }
+
+  if (config.head) {
+    additions.push(readFileSync(config.head, 'utf8').trim());
+  }
+
+  let result = html;
+  if (additions.length > 0) {
+    // Insert on the lines above </head> when it sits on its own line
+    const lineStart = html.lastIndexOf('\n', headEnd) + 1;
+    const insertAt = html.slice(lineStart, headEnd).trim() === '' ? lineStart : headEnd;
+    const snippet = insertAt === lineStart
+      ? additions.map(a => `    ${a}\n`).join('')
+      : additions.join('\n');
+    result = html.slice(0, insertAt) + snippet + html.slice(insertAt);
+  }
+
+  if (config.title !== undefined) {
+    result = result.replace(/<title>[\s\S]*?<\/title>/i, () => `<title>${escapeHtml(config.title)}</title>`);
+  }
+
+  return { success: true, html: result };
+}
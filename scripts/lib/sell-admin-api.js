@@ -0,0 +1,164 @@
+/**
+ * sell-admin-api.js - Deployment settings of the sell admin API
+ *
+ * The admin API (admin-api.js) runs next to the AI proxy on exe.dev VMs and
+ * is reached through nginx at /api/admin/. It needs the app's Clerk key,
+ * admin user IDs, pricing tiers and trial/grace settings, which deploy-exe.js
+ * reads from the assembled page so they can't drift from what the page uses.
+ *
+ * It also answers /api/me/entitlements and, through nginx auth_request,
+ * decides whether a request may reach the AI proxy.
+ */
+
+import { DEFAULT_GRACE_PERIOD_DAYS } from './sell-entitlements.js';
+
+/**
+ * Port the admin API listens on (the AI proxy has 3001)
+ */
+export const ADMIN_API_PORT = 3002;
+
+/**
+ * Modules uploaded to /opt/vibes: the server and the lib files it imports
+ */
+export const ADMIN_API_FILES = [
+  'admin-api.js', 'clerk-jwt.js', 'clerk-webhooks.js', 'webhook-store.js', 'sell-analytics.js', 'sell-entitlements.js'
+];
+
+/**
+ * Where the page's tiers and lifecycle settings are written for the admin API
+ */
+export const SELL_SETTINGS_PATH = '/opt/vibes/sell-settings.json';
+
+/**
+ * Marker line of the admin API nginx block (to detect an existing one)
+ */
+export const ADMIN_API_NGINX_MARKER = 'location /api/admin/';
+
+/**
+ * nginx location block forwarding /api/admin/ to the admin API
+ */
+export const ADMIN_API_NGINX_CONF = `
+# Admin API configuration
+${ADMIN_API_NGINX_MARKER} {
+    proxy_pass http://127.0.0.1:${ADMIN_API_PORT}/;
+    proxy_http_version 1.1;
+    proxy_set_header Host $host;
+    proxy_set_header X-Real-IP $remote_addr;
+    proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
+    proxy_set_header X-Forwarded-Proto $scheme;
+}`;
+
+/**
+ * Marker line of the entitlements nginx blocks
+ */
+export const ENTITLEMENTS_NGINX_MARKER = 'location /api/me/';
+
+/**
+ * nginx blocks for /api/me/ and the internal auth_request target. The named
+ * locations turn a refused auth_request into the JSON errors useAI reads.
+ */
+export const ENTITLEMENTS_NGINX_CONF = `
+# Entitlements configuration
+${ENTITLEMENTS_NGINX_MARKER} {
+    proxy_pass http://127.0.0.1:${ADMIN_API_PORT}/me/;
+    proxy_http_version 1.1;
+    proxy_set_header Host $host;
+    proxy_set_header X-Forwarded-For $proxy_add_x_forwarded_for;
+}
+location = /_vibes_authorize {
+    internal;
+    proxy_pass http://127.0.0.1:${ADMIN_API_PORT}/authorize;
+    proxy_pass_request_body off;
+    proxy_set_header Content-Length "";
+    proxy_set_header X-Original-Method $request_method;
+}
+location @vibes_unauthorized {
+    default_type application/json;
+    return 401 '{"error":{"code":"UNAUTHORIZED","message":"Sign in to use this feature"}}';
+}
+location @vibes_not_entitled {
+    default_type application/json;
+    return 403 '{"error":{"code":"NOT_ENTITLED","message":"Your plan does not include this feature"}}';
+}`;
+
+/**
+ * Marker of the auth_request lines in a protected location
+ */
+export const AUTH_REQUEST_MARKER = 'auth_request /_vibes_authorize';
+
+/**
+ * Lines that put a location (e.g. /api/ai/) behind the entitlements check
+ */
+export const AUTH_REQUEST_LINES = [
+  `${AUTH_REQUEST_MARKER};`,
+  'error_page 401 = @vibes_unauthorized;',
+  'error_page 403 = @vibes_not_entitled;'
+];
+
+/**
+ * Read the Clerk key, admin IDs, tiers and lifecycle settings an assembled sell page was built with
+ * @param {string} html - Assembled HTML
+ * @returns {object|null} - { clerkPublishableKey, adminUserIds, tiers, lifecycle }, or null for pages that aren't sell apps
+ */
+export function detectSellAdminSettings(html) {
+  const key = html.match(/^\s*clerkPublishableKey:\s*"(pk_(?:test|live)_[^"]+)",?\s*$/m);
+  const admins = html.match(/^\s*adminUserIds:\s*(\[.*\]),?\s*$/m);
+  if (!key || !admins) return null;
+
+  let adminUserIds;
+  try {
+    adminUserIds = JSON.parse(admins[1]);
+  } catch {
+    return null;
+  }
+  if (!Array.isArray(adminUserIds)) return null;
+
+  // Pages assembled before tiers existed have no tiers line
+  let tiers = [];
+  const tiersLine = html.match(/^\s*tiers:\s*(\[.*\]),?\s*$/m);
+  if (tiersLine) {
+    try {
+      tiers = JSON.parse(tiersLine[1]);
+    } catch {
+      return null;
+    }
+  }
+  if (!Array.isArray(tiers)) return null;
+
+  // Pages assembled before trials existed have no trial and the default grace period
+  const trialDays = html.match(/^\s*trialDays:\s*(\d+),?\s*$/m);
+  const trialTier = html.match(/^\s*trialTier:\s*"([\w-]*)",?\s*$/m);
+  const gracePeriodDays = html.match(/^\s*gracePeriodDays:\s*(\d+),?\s*$/m);
+
+  return {
+    clerkPublishableKey: key[1],
+    adminUserIds: adminUserIds.filter(id => typeof id === 'string'),
+    tiers: tiers.filter(tier => typeof tier?.slug === 'string'),
+    lifecycle: {
+      trialDays: trialDays ? Number(trialDays[1]) : 0,
+      trialTier: trialTier?.[1] || null,
+      gracePeriodDays: gracePeriodDays ? Number(gracePeriodDays[1]) : DEFAULT_GRACE_PERIOD_DAYS
+    }
+  };
+}
+
+/**
+ * Environment lines for /etc/environment
+ * @param {object} settings
+ * @param {string} settings.webhookSecret - Clerk webhook signing secret (whsec_...)
+ * @param {string} settings.clerkPublishableKey
+ * @param {string[]} settings.adminUserIds
+ * @param {string[]} settings.authorizedParties - Origins session tokens may be issued to (authorizedOrigins in ai-proxy-settings.js)
+ * @param {string} [settings.aiEntitlement] - Entitlement the AI proxy requires (default: any plan)
+ * @returns {string[]}
+ */
+export function adminApiEnv({ webhookSecret, clerkPublishableKey, adminUserIds, authorizedParties, aiEntitlement }) {
+  return [
+    `CLERK_WEBHOOK_SECRET=${webhookSecret}`,
+    `CLERK_PUBLISHABLE_KEY=${clerkPublishableKey}`,
+    `VIBES_AUTHORIZED_PARTIES=${authorizedParties.join(',')}`,
+    `VIBES_ADMIN_USER_IDS=${adminUserIds.join(',')}`,
+    `VIBES_ADMIN_API_PORT=${ADMIN_API_PORT}`,
+    `VIBES_AI_ENTITLEMENT=${aiEntitlement || ''}`
+  ];
+}
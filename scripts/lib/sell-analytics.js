@@ -0,0 +1,247 @@
+/**
+ * sell-analytics.js - Tenant and revenue analytics for sell apps
+ *
+ * The admin API (admin-api.js) stores Clerk webhook events as rows of three
+ * kinds - users, subscriptions and invoices - and computes the dashboard
+ * numbers from them here. Everything in this module is plain data in, plain
+ * data out, so it runs the same under Bun and in tests.
+ *
+ * Amounts are integer cents, times are epoch milliseconds (as Clerk sends them).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Subscription statuses that count as paying (towards MRR and subscriber counts)
+ */
+export const PAYING_STATUSES = ['active', 'past_due'];
+
+/**
+ * Clerk webhook event types the analytics (and team ownership) use
+ */
+export const ANALYTICS_EVENT_TYPES = [
+  'user.created', 'user.updated', 'user.deleted',
+  'subscription.created', 'subscription.updated', 'subscription.canceled',
+  'invoice.paid', 'invoice.payment_failed',
+  'organizationMembership.created', 'organizationMembership.updated', 'organizationMembership.deleted'
+];
+
+/**
+ * Subdomains a user has claimed, from their Clerk unsafe_metadata
+ * (the sell template keeps `tenants` plus the legacy single `subdomain`)
+ * @param {object} metadata
+ * @returns {string[]}
+ */
+function claimedTenants(metadata = {}) {
+  const tenants = Array.isArray(metadata.tenants) ? metadata.tenants : [];
+  return [...new Set([...tenants, metadata.subdomain].filter(t => typeof t === 'string' && t))];
+}
+
+/**
+ * Turn a Clerk webhook event into the row it affects
+ * @param {object} event - Parsed webhook body ({ type, data })
+ * @param {number} [at=Date.now()] - When the event happened (for times the payload lacks)
+ * @returns {object|null} - { kind: 'user'|'userDeleted'|'subscription'|'invoice'|'membership', row }, or null for other events
+ */
+export function normalizeClerkEvent(event, at = Date.now()) {
+  const { type, data } = event || {};
+  if (!data?.id || !ANALYTICS_EVENT_TYPES.includes(type)) return null;
+
+  if (type === 'user.deleted') {
+    return { kind: 'userDeleted', row: { id: data.id, deletedAt: at } };
+  }
+
+  if (type.startsWith('user.')) {
+    return {
+      kind: 'user',
+      row: {
+        id: data.id,
+        email: data.email_addresses?.[0]?.email_address || null,
+        tenants: claimedTenants(data.unsafe_metadata),
+        createdAt: data.created_at || at
+      }
+    };
+  }
+
+  // Who administers an organization: unlike unsafe_metadata, users can't write this
+  if (type.startsWith('organizationMembership.')) {
+    return {
+      kind: 'membership',
+      row: {
+        id: data.id,
+        orgId: data.organization?.id ?? null,
+        userId: data.public_user_data?.user_id ?? null,
+        role: data.role ?? null,
+        createdAt: data.created_at ?? null,
+        deletedAt: type === 'organizationMembership.deleted' ? at : null
+      }
+    };
+  }
+
+  if (type.startsWith('subscription.')) {
+    // Cancel events only carry the status; missing fields keep their stored values
+    return {
+      kind: 'subscription',
+      row: {
+        id: data.id,
+        userId: data.user_id || data.subscriber_id,
+        plan: data.plan_id ?? null,
+        status: data.status || (type === 'subscription.canceled' ? 'canceled' : 'active'),
+        billingPeriod: data.billing_period ?? null,
+        amount: data.amount ?? null,
+        createdAt: data.created_at ?? null,
+        currentPeriodEnd: data.current_period_end ?? null,
+        canceledAt: data.canceled_at ?? null
+      }
+    };
+  }
+
+  const paid = type === 'invoice.paid';
+  return {
+    kind: 'invoice',
+    row: {
+      id: data.id,
+      userId: data.user_id || data.subscriber_id,
+      amount: (paid ? data.amount_paid ?? data.total : data.amount_due ?? data.total) || 0,
+      currency: data.currency || 'usd',
+      status: paid ? 'paid' : 'failed',
+      at: (paid ? data.paid_at : data.failed_at) || at
+    }
+  };
+}
+
+/**
+ * Monthly recurring amount of a subscription (yearly plans spread over 12 months)
+ * @param {object} subscription - Row with amount and billingPeriod
+ * @returns {number} - Cents per month
+ */
+export function monthlyAmount(subscription) {
+  const amount = subscription.amount || 0;
+  return /^(annual|annually|yearly|year)$/.test(subscription.billingPeriod || '')
+    ? Math.round(amount / 12)
+    : amount;
+}
+
+/**
+ * UTC day (YYYY-MM-DD) or month (YYYY-MM) of a timestamp
+ */
+function utcDay(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function utcMonth(ms) {
+  return new Date(ms).toISOString().slice(0, 7);
+}
+
+/**
+ * Dashboard overview: headline counts, MRR, churn and signups
+ * @param {object} data - { users, subscriptions, invoices } rows
+ * @param {number} [now=Date.now()]
+ * @returns {object}
+ */
+export function computeOverview({ users = [], subscriptions = [] }, now = Date.now()) {
+  const live = users.filter(u => !u.deletedAt);
+  const paying = subscriptions.filter(s => PAYING_STATUSES.includes(s.status));
+  const since30 = now - 30 * DAY_MS;
+
+  // Churn: share of the last 30 days' paying subscribers who canceled in them
+  const canceled30 = subscriptions.filter(s => s.status === 'canceled' && s.canceledAt >= since30).length;
+  const churnBase = paying.length + canceled30;
+
+  const daily = [];
+  for (let i = 29; i >= 0; i--) {
+    const day = utcDay(now - i * DAY_MS);
+    daily.push({ date: day, count: live.filter(u => utcDay(u.createdAt) === day).length });
+  }
+
+  return {
+    tenantCount: new Set(live.flatMap(u => u.tenants)).size,
+    userCount: live.length,
+    subscriberCount: new Set(paying.map(s => s.userId)).size,
+    mrrCents: paying.reduce((sum, s) => sum + monthlyAmount(s), 0),
+    churnRate: churnBase === 0 ? 0 : canceled30 / churnBase,
+    canceledLast30Days: canceled30,
+    signups: {
+      last7Days: live.filter(u => u.createdAt >= now - 7 * DAY_MS).length,
+      last30Days: live.filter(u => u.createdAt >= since30).length,
+      daily
+    }
+  };
+}
+
+/**
+ * Tenant list: one entry per claimed subdomain with its owner's subscription
+ * @param {object} data - { users, subscriptions } rows
+ * @returns {object[]} - { subdomain, userId, email, plan, status, mrrCents, createdAt }, newest first
+ */
+export function listTenants({ users = [], subscriptions = [] }) {
+  // A user's current subscription: a paying one if any, else the latest
+  const current = new Map();
+  for (const s of subscriptions) {
+    const prev = current.get(s.userId);
+    const better = !prev
+      || (PAYING_STATUSES.includes(s.status) && !PAYING_STATUSES.includes(prev.status))
+      || (PAYING_STATUSES.includes(s.status) === PAYING_STATUSES.includes(prev.status) && (s.createdAt || 0) > (prev.createdAt || 0));
+    if (better) current.set(s.userId, s);
+  }
+
+  return users
+    .filter(u => !u.deletedAt)
+    .flatMap(u => u.tenants.map(subdomain => {
+      const sub = current.get(u.id);
+      return {
+        subdomain,
+        userId: u.id,
+        email: u.email,
+        plan: sub?.plan || null,
+        status: sub?.status || 'free',
+        mrrCents: sub && PAYING_STATUSES.includes(sub.status) ? monthlyAmount(sub) : 0,
+        createdAt: u.createdAt
+      };
+    }))
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Revenue: MRR by plan, collected revenue per month and failed payments
+ * @param {object} data - { subscriptions, invoices } rows
+ * @param {number} [now=Date.now()]
+ * @param {number} [months=12] - Months of history
+ * @returns {object}
+ */
+export function computeRevenue({ subscriptions = [], invoices = [] }, now = Date.now(), months = 12) {
+  const paying = subscriptions.filter(s => PAYING_STATUSES.includes(s.status));
+  const mrrCents = paying.reduce((sum, s) => sum + monthlyAmount(s), 0);
+
+  const plans = new Map();
+  for (const s of paying) {
+    const plan = plans.get(s.plan || 'unknown') || { plan: s.plan || 'unknown', subscribers: 0, mrrCents: 0 };
+    plan.subscribers++;
+    plan.mrrCents += monthlyAmount(s);
+    plans.set(plan.plan, plan);
+  }
+
+  const monthly = [];
+  const current = new Date(now);
+  for (let i = months - 1; i >= 0; i--) {
+    const month = utcMonth(Date.UTC(current.getUTCFullYear(), current.getUTCMonth() - i, 1));
+    const inMonth = invoices.filter(inv => utcMonth(inv.at) === month);
+    monthly.push({
+      month,
+      paidCents: inMonth.filter(inv => inv.status === 'paid').reduce((sum, inv) => sum + inv.amount, 0),
+      failedCount: inMonth.filter(inv => inv.status === 'failed').length
+    });
+  }
+
+  const since30 = now - 30 * DAY_MS;
+  const recent = invoices.filter(inv => inv.at >= since30);
+
+  return {
+    mrrCents,
+    arrCents: mrrCents * 12,
+    byPlan: [...plans.values()].sort((a, b) => b.mrrCents - a.mrrCents),
+    revenueLast30DaysCents: recent.filter(inv => inv.status === 'paid').reduce((sum, inv) => sum + inv.amount, 0),
+    failedPaymentsLast30Days: recent.filter(inv => inv.status === 'failed').length,
+    monthly
+  };
+}
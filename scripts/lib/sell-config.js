@@ -0,0 +1,335 @@
+/**
+ * sell-config.js - Sell app settings from sell.config.json / sell.config.yaml
+ *
+ * Instead of a dozen assemble-sell.js flags (with JSON inside shell strings),
+ * the settings can live next to the app:
+ *
+ *   # sell.config.yaml
+ *   clerkKey: pk_live_xxx
+ *   appName: wedding-photos          # subdomain-safe, used for database naming
+ *   appTitle: Wedding Photos
+ *   domain: myapp.exe.xyz
+ *   routing: path                    # tenants at domain/t/<tenant>/ (default: subdomain)
+ *   monthlyPrice: "$9"
+ *   yearlyPrice: "$89"
+ *   tagline: Share your wedding photos with guests
+ *   features: [Photo sharing, Guest uploads]
+ *   adminIds: [user_xxx]
+ *   tiers:                           # optional, lowest first; slugs match Clerk Billing plans
+ *     - { slug: free, price: "$0", features: [1 album], entitlements: [albums] }
+ *     - { slug: pro, name: Pro, price: "$9", interval: month, entitlements: ["*"], seats: 5 }
+ *   reservedSubdomains: [shop, news]  # on top of the built-in reserved list
+ *   subdomainRegistry: https://api.example.com/subdomains  # optional uniqueness check
+ *   landing: landing.yaml            # landing page spec, inline or a file (see sell-landing.js)
+ *   trialDays: 14                    # free trial from sign-up (default: none)
+ *   trialTier: pro                   # tier during the trial (default: the highest)
+ *   gracePeriodDays: 7               # full access after a failed payment (default: 7)
+ *   billing:                         # billing links (default: the landing page's pricing)
+ *     portal: https://billing.stripe.com/p/login/xxx   # update card, cancel, resubscribe
+ *     plans: /#pricing
+ *
+ * Keys are the sell template's option names. CLI flags override config
+ * values, and the merged settings are validated before anything is written.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { join, resolve, extname, dirname } from 'path';
+import { parse as parseYaml } from 'yaml';
+import { optionFlag } from './assemble-app.js';
+import { SELL_ROUTING_MODES } from './sell-routing.js';
+import { checkLandingSpec, loadLandingSpec } from './sell-landing.js';
+import { checkDnsLabel } from '../../skills/sell/components/subdomain.js';
+
+/**
+ * Config file names, in lookup order
+ */
+export const SELL_CONFIG_FILES = ['sell.config.json', 'sell.config.yaml', 'sell.config.yml'];
+
+const DOMAIN = /^(?=.{1,253}$)(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/i;
+const PRICE = /^[$€£¥]\d+(?:\.\d{2})?$/;
+const LINK = /^(https:\/\/|\/)[^\s"<>]*$/;
+
+/**
+ * Check that a value is an array of non-empty strings
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isStringList = (value) => Array.isArray(value) && value.every(v => typeof v === 'string' && v.trim() !== '');
+
+/**
+ * Keys and billing intervals a pricing tier may have
+ */
+const TIER_KEYS = ['slug', 'name', 'price', 'interval', 'features', 'entitlements', 'seats'];
+const TIER_INTERVALS = ['month', 'year'];
+
+/**
+ * Check a list of pricing tiers
+ * @param {*} tiers
+ * @returns {string|null} - Problem description, or null if the tiers are fine
+ */
+function checkTiers(tiers) {
+  if (!Array.isArray(tiers)) return 'must be a list of tiers';
+
+  const problems = [];
+  const slugs = new Set();
+  tiers.forEach((tier, i) => {
+    const label = `tier ${i + 1}${tier && typeof tier.slug === 'string' ? ` (${tier.slug})` : ''}`;
+    if (!tier || typeof tier !== 'object' || Array.isArray(tier)) {
+      problems.push(`${label} must be an object`);
+      return;
+    }
+    const unknown = Object.keys(tier).filter(key => !TIER_KEYS.includes(key));
+    if (unknown.length > 0) problems.push(`${label} has unknown key(s) ${unknown.join(', ')}`);
+    if (typeof tier.slug !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/.test(tier.slug)) {
+      problems.push(`${label} needs a slug of lowercase letters, digits, - and _`);
+    } else if (slugs.has(tier.slug)) {
+      problems.push(`${label} repeats slug "${tier.slug}"`);
+    } else {
+      slugs.add(tier.slug);
+    }
+    if (tier.name !== undefined && typeof tier.name !== 'string') problems.push(`${label} name must be a string`);
+    if (typeof tier.price !== 'string' || !PRICE.test(tier.price)) problems.push(`${label} price must be a price like "$9" or "$0"`);
+    if (tier.interval !== undefined && !TIER_INTERVALS.includes(tier.interval)) {
+      problems.push(`${label} interval must be one of: ${TIER_INTERVALS.join(', ')}`);
+    }
+    for (const key of ['features', 'entitlements']) {
+      if (tier[key] !== undefined && !isStringList(tier[key])) problems.push(`${label} ${key} must be a list of strings`);
+    }
+    if (tier.seats !== undefined && !(Number.isInteger(tier.seats) && tier.seats > 0)) {
+      problems.push(`${label} seats must be a positive whole number`);
+    }
+  });
+
+  return problems.length > 0 ? `are invalid: ${problems.join('; ')}` : null;
+}
+
+/**
+ * Check a number of days (trial length, grace period)
+ */
+const checkDays = (value) => (Number.isInteger(value) && value >= 0 && value <= 365
+  ? null
+  : 'must be a whole number of days from 0 to 365');
+
+/**
+ * Billing links: the billing portal (payment method, cancel, resubscribe) and the plans page
+ */
+const BILLING_LINKS = ['portal', 'plans'];
+
+/**
+ * Check the billing links
+ * @param {*} billing
+ * @returns {string|null} - Problem description, or null if the links are fine
+ */
+function checkBilling(billing) {
+  if (!billing || typeof billing !== 'object' || Array.isArray(billing)) return 'must be an object with portal and plans links';
+  const problems = [];
+  for (const [key, value] of Object.entries(billing)) {
+    if (!BILLING_LINKS.includes(key)) {
+      problems.push(`has unknown key ${key} (expected one of: ${BILLING_LINKS.join(', ')})`);
+    } else if (typeof value !== 'string' || !LINK.test(value)) {
+      problems.push(`${key} must be an https:// URL or a path starting with /`);
+    }
+  }
+  return problems.length > 0 ? `is invalid: ${problems.join('; ')}` : null;
+}
+
+/**
+ * Validation per setting: returns a problem description, or null if the value is fine
+ */
+const SELL_CONFIG_SCHEMA = {
+  clerkKey: (value) => {
+    if (typeof value !== 'string') return 'must be a string';
+    if (value.startsWith('sk_')) return 'is a Clerk secret key; use the publishable key (pk_test_... or pk_live_...) and keep the secret key off the page';
+    return /^pk_(test|live)_[\w+/=-]+$/.test(value) ? null : 'must be a Clerk publishable key starting with pk_test_ or pk_live_';
+  },
+  appName: (value) => {
+    const problem = checkDnsLabel(value);
+    return problem ? `must be subdomain-safe: ${problem[0].toLowerCase()}${problem.slice(1)}` : null;
+  },
+  appTitle: (value) => (typeof value === 'string' ? null : 'must be a string'),
+  domain: (value) => (typeof value === 'string' && DOMAIN.test(value)
+    ? null
+    : 'must be a bare domain name like myapp.exe.xyz (no protocol or path)'),
+  routing: (value) => (SELL_ROUTING_MODES.includes(value) ? null : `must be one of: ${SELL_ROUTING_MODES.join(', ')}`),
+  monthlyPrice: (value) => (typeof value === 'string' && PRICE.test(value) ? null : 'must be a price like "$9" or "$9.99"'),
+  yearlyPrice: (value) => (typeof value === 'string' && PRICE.test(value) ? null : 'must be a price like "$89" or "$89.00"'),
+  tagline: (value) => (typeof value === 'string' ? null : 'must be a string'),
+  features: (value) => (isStringList(value) ? null : 'must be a list of feature strings'),
+  adminIds: (value) => {
+    if (!isStringList(value)) return 'must be a list of Clerk user IDs';
+    const invalid = value.filter(id => !/^user_\w+$/.test(id));
+    return invalid.length === 0 ? null : `must be Clerk user IDs starting with user_ (got ${invalid.map(id => JSON.stringify(id)).join(', ')})`;
+  },
+  tiers: checkTiers,
+  reservedSubdomains: (value) => {
+    if (!isStringList(value)) return 'must be a list of subdomains';
+    const invalid = value.filter(name => checkDnsLabel(name));
+    return invalid.length === 0 ? null : `must be valid DNS labels (got ${invalid.map(name => JSON.stringify(name)).join(', ')})`;
+  },
+  subdomainRegistry: (value) => (typeof value === 'string' && /^https:\/\/[^\s/]+/.test(value)
+    ? null
+    : 'must be an https:// URL answering GET ?subdomain=<name> with { "available": true|false }'),
+  landing: checkLandingSpec,
+  trialDays: checkDays,
+  trialTier: (value) => (typeof value === 'string' && /^[a-z0-9][a-z0-9_-]*$/.test(value) ? null : 'must be a tier slug'),
+  gracePeriodDays: checkDays,
+  billing: checkBilling
+};
+
+/**
+ * Settings given as JSON strings on the command line
+ */
+const LIST_SETTINGS = ['features', 'adminIds', 'tiers', 'reservedSubdomains', 'billing'];
+
+/**
+ * Settings given as numbers
+ */
+const NUMBER_SETTINGS = ['trialDays', 'gracePeriodDays'];
+
+/**
+ * Find a sell config file in the first directory that has one
+ * @param {string[]} dirs - Directories to look in, in order
+ * @returns {string|null} - Config path, or null if there is none
+ */
+export function findSellConfig(dirs) {
+  for (const dir of dirs) {
+    for (const name of SELL_CONFIG_FILES) {
+      const candidate = join(dir, name);
+      if (existsSync(candidate)) {
+        return candidate;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Load a sell config file (JSON or YAML by extension)
+ * Prices given as numbers are read as dollars (9 -> "$9").
+ * @param {string} path - Config path
+ * @returns {object} - { success, config } or { success: false, error }
+ */
+export function loadSellConfig(path) {
+  if (!existsSync(path)) {
+    return { success: false, error: `Sell config not found: ${path}` };
+  }
+
+  let raw;
+  try {
+    const text = readFileSync(path, 'utf8');
+    raw = extname(path) === '.json' ? JSON.parse(text) : parseYaml(text);
+  } catch (e) {
+    return { success: false, error: `Could not parse ${path}: ${e.message}` };
+  }
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { success: false, error: `Invalid ${path}:\n  Config must be an object of settings` };
+  }
+
+  const unknown = Object.keys(raw).filter(key => !SELL_CONFIG_SCHEMA[key]);
+  if (unknown.length > 0) {
+    return {
+      success: false,
+      error: `Invalid ${path}:\n  ${unknown.map(key => `Unknown key "${key}" (expected one of: ${Object.keys(SELL_CONFIG_SCHEMA).join(', ')})`).join('\n  ')}`
+    };
+  }
+
+  const config = { ...raw };
+  for (const key of ['monthlyPrice', 'yearlyPrice']) {
+    if (typeof config[key] === 'number') {
+      config[key] = `$${config[key]}`;
+    }
+  }
+  if (Array.isArray(config.tiers)) {
+    config.tiers = config.tiers.map(tier => (typeof tier?.price === 'number' ? { ...tier, price: `$${tier.price}` } : tier));
+  }
+  // A landing spec may live in its own file, next to the config
+  if (typeof config.landing === 'string') {
+    const landing = loadLandingSpec(resolve(dirname(path), config.landing));
+    if (!landing.success) {
+      return landing;
+    }
+    config.landing = landing.spec;
+  }
+  return { success: true, config };
+}
+
+/**
+ * Check sell settings against the schema
+ * @param {object} values - Settings by name
+ * @param {object} [sources] - Where each setting came from, for messages
+ * @returns {string[]} - Problems found (empty if valid)
+ */
+export function validateSellConfig(values, sources = {}) {
+  const errors = [];
+  for (const [key, check] of Object.entries(SELL_CONFIG_SCHEMA)) {
+    if (values[key] === undefined) continue;
+    const problem = check(values[key]);
+    if (problem) {
+      errors.push(`${key} ${problem}${sources[key] ? ` (from ${sources[key]})` : ''}`);
+    }
+  }
+  // The trial tier must be one of the tiers
+  if (typeof values.trialTier === 'string' && !(values.tiers || []).some(tier => tier?.slug === values.trialTier)) {
+    errors.push(`trialTier "${values.trialTier}" is not one of the tiers${sources.trialTier ? ` (from ${sources.trialTier})` : ''}`);
+  }
+  return errors;
+}
+
+/**
+ * Merge sell config and CLI flags into validated template option values
+ * @param {object} options
+ * @param {object} options.flags - Parsed CLI flags (camelCase; list settings as JSON strings)
+ * @param {string} [options.configPath] - Explicit config path (--config)
+ * @param {string[]} [options.searchDirs] - Directories to look for a config in when no path is given
+ * @returns {object} - { success, values, path } (path null without a config) or { success: false, error }
+ */
+export function resolveSellSettings(options) {
+  const { flags, configPath, searchDirs = [] } = options;
+  const path = configPath ? resolve(configPath) : findSellConfig(searchDirs);
+
+  const values = {};
+  const sources = {};
+  if (path) {
+    const loaded = loadSellConfig(path);
+    if (!loaded.success) {
+      return loaded;
+    }
+    for (const [key, value] of Object.entries(loaded.config)) {
+      values[key] = value;
+      sources[key] = path;
+    }
+  }
+
+  const errors = [];
+  for (const key of Object.keys(SELL_CONFIG_SCHEMA)) {
+    const flag = flags[key];
+    if (flag === undefined) continue;
+    sources[key] = optionFlag(key);
+    if (key === 'landing' && typeof flag === 'string') {
+      const landing = loadLandingSpec(flag);
+      if (landing.success) {
+        values[key] = landing.spec;
+      } else {
+        errors.push(`${landing.error} (from ${optionFlag(key)})`);
+      }
+    } else if (LIST_SETTINGS.includes(key) && typeof flag === 'string') {
+      try {
+        values[key] = JSON.parse(flag);
+      } catch (e) {
+        const expected = key === 'billing' ? `a JSON object, e.g. '{"portal":"https://..."}'` : `a JSON array, e.g. '["a","b"]'`;
+        errors.push(`${key} must be ${expected} (from ${optionFlag(key)}: ${e.message})`);
+      }
+    } else if (NUMBER_SETTINGS.includes(key) && typeof flag === 'string') {
+      values[key] = /^\d+$/.test(flag) ? Number(flag) : flag;
+    } else {
+      values[key] = flag;
+    }
+  }
+
+  errors.push(...validateSellConfig(values, sources));
+  if (errors.length > 0) {
+    return { success: false, error: `Invalid sell configuration:\n  ${errors.join('\n  ')}` };
+  }
+  return { success: true, values, path };
+}
@@ -0,0 +1,215 @@
+/**
+ * sell-entitlements.js - What a signed-in user of a sell app may use
+ *
+ * The sell template's SubscriptionGate and useEntitlement() decide in the
+ * browser; this is the same decision made on the server from things the
+ * user can't edit: the claims of a verified Clerk session token and the
+ * subscriptions received through Clerk webhooks. unsafeMetadata.plan, which
+ * the client still accepts, is ignored here.
+ *
+ * Clerk session claims used (session token v2, with v1 fallbacks):
+ *   sub  user ID
+ *   pla  active plan, "u:<slug>" (user) or "o:<slug>" (organization)
+ *   fea  enabled features, "u:ai,o:export"
+ *   o    active organization { id, slg, rol } (v1: org_id, org_slug, org_role)
+ *
+ * It also places the user (or the team's owner) in the subscription
+ * lifecycle: a free trial from account creation, a grace period while a
+ * payment is past due, and read-only access once the subscription or trial
+ * has ended, so tenant data stays viewable.
+ *
+ * Plain data in, plain data out, so it runs the same under Bun and in tests.
+ */
+
+import { PAYING_STATUSES } from './sell-analytics.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Plan slugs accepted when no tiers are configured (as in the template)
+ */
+export const LEGACY_PLANS = ['free', 'pro', 'basic', 'monthly', 'yearly', 'starter'];
+
+/**
+ * Lifecycle statuses (the admin dashboard's SubscriptionBadge shows the first four)
+ */
+export const LIFECYCLE_STATUSES = ['active', 'trial', 'past_due', 'canceled', 'trial_ended', 'none'];
+
+/**
+ * Default days of full access after a payment fails
+ */
+export const DEFAULT_GRACE_PERIOD_DAYS = 7;
+
+/**
+ * Team roles by Clerk organization role (the template's _SELL_ROLES, reversed)
+ */
+const ORG_ROLES = { 'org:admin': 'owner', 'org:member': 'editor', 'org:viewer': 'viewer' };
+
+/**
+ * Split a scoped claim ("u:pro" or "u:ai,o:export") into { scope, slug } entries
+ * @param {string} value
+ * @returns {object[]}
+ */
+function scopedValues(value) {
+  if (typeof value !== 'string') return [];
+  return value.split(',').map(entry => {
+    const [scope, ...rest] = entry.trim().split(':');
+    return rest.length ? { scope, slug: rest.join(':') } : { scope: 'u', slug: scope };
+  }).filter(entry => entry.slug);
+}
+
+/**
+ * Active organization of a session: { id, slug, role }, or null
+ * @param {object} claims - Verified session claims
+ * @returns {object|null}
+ */
+export function activeOrganization(claims) {
+  const slug = claims.o?.slg ?? claims.org_slug;
+  if (!slug) return null;
+  // v2 drops the "org:" prefix of the role key
+  const key = claims.o ? `org:${claims.o.rol}` : claims.org_role;
+  return { id: claims.o?.id ?? claims.org_id ?? null, slug, role: ORG_ROLES[key] || 'viewer' };
+}
+
+/**
+ * Where an account is in the subscription lifecycle
+ * @param {object} input
+ * @param {object[]} input.subscriptions - The account's webhook subscriptions on configured plans
+ * @param {boolean} input.planClaimed - Whether the session token names a configured plan
+ * @param {number|null} input.createdAt - When the account was created (starts the trial)
+ * @param {number} [input.trialDays=0] - Free trial length (0 = no trial)
+ * @param {number} [input.gracePeriodDays] - Days of full access after a payment fails
+ * @param {number} [input.now=Date.now()]
+ * @returns {object} - { status, readOnly, trialEndsAt, graceEndsAt, endsAt } (times in epoch ms, or null)
+ */
+export function subscriptionLifecycle({
+  subscriptions, planClaimed, createdAt, trialDays = 0, gracePeriodDays = DEFAULT_GRACE_PERIOD_DAYS, now = Date.now()
+}) {
+  const lifecycle = { status: 'none', readOnly: false, trialEndsAt: null, graceEndsAt: null, endsAt: null };
+
+  // A canceled subscription stays active until the end of its period
+  const active = subscriptions.find(s => s.status === 'active');
+  if (active) {
+    return { ...lifecycle, status: 'active', endsAt: active.canceledAt && active.currentPeriodEnd ? active.currentPeriodEnd : null };
+  }
+
+  // The payment was due at the end of the period; full access until the grace period is over
+  const pastDue = subscriptions.find(s => s.status === 'past_due');
+  if (pastDue) {
+    const graceEndsAt = (pastDue.currentPeriodEnd ?? pastDue.eventAt ?? now) + gracePeriodDays * DAY_MS;
+    return { ...lifecycle, status: 'past_due', readOnly: now >= graceEndsAt, graceEndsAt };
+  }
+
+  // The token can name a plan before its webhook arrives
+  if (planClaimed) return { ...lifecycle, status: 'active' };
+  if (subscriptions.length > 0) return { ...lifecycle, status: 'canceled', readOnly: true };
+
+  if (trialDays > 0 && createdAt != null) {
+    const trialEndsAt = createdAt + trialDays * DAY_MS;
+    return now < trialEndsAt
+      ? { ...lifecycle, status: 'trial', trialEndsAt }
+      : { ...lifecycle, status: 'trial_ended', readOnly: true, trialEndsAt };
+  }
+  return lifecycle;
+}
+
+/**
+ * Resolve a user's plan, tier and entitlements
+ * @param {object} input
+ * @param {object} input.claims - Verified Clerk session claims
+ * @param {object[]} [input.tiers] - The app's pricing tiers, lowest first (CONFIG.tiers)
+ * @param {string[]} [input.adminIds] - Admin user IDs (CONFIG.adminUserIds)
+ * @param {object} [input.data] - Webhook rows { users, subscriptions, memberships } (see webhook-store.js)
+ * @param {string} [input.tenant] - Subdomain being used; the active organization must match it
+ * @param {object} [input.lifecycle] - { trialDays, trialTier, gracePeriodDays } (CONFIG's lifecycle settings)
+ * @param {number} [input.now=Date.now()]
+ * @returns {object} - { userId, plan, tier, role, isAdmin, isMember, hasAccess, entitlements,
+ *   status, readOnly, trialEndsAt, graceEndsAt, endsAt }
+ */
+export function resolveEntitlements({ claims, tiers = [], adminIds = [], data = {}, tenant = null, lifecycle = {}, now = Date.now() }) {
+  const { users = [], subscriptions = [], memberships = [] } = data;
+  const userId = claims.sub;
+  const slugs = tiers.length > 0 ? tiers.map(t => t.slug) : LEGACY_PLANS;
+
+  const org = activeOrganization(claims);
+  const team = org && (!tenant || org.slug === tenant) ? org : null;
+  const inScope = ({ scope }) => scope === 'u' || (scope === 'o' && team);
+
+  const onPlan = userIds => subscriptions.filter(s => userIds.includes(s.userId) && slugs.includes(s.plan));
+  const paying = userIds => onPlan(userIds).filter(s => PAYING_STATUSES.includes(s.status)).map(s => s.plan);
+
+  // The token names the plan of the active user or organization; the owner's
+  // own subscription (from webhooks) still counts while their team is active
+  const claimed = scopedValues(claims.pla).filter(inScope).map(p => p.slug);
+  const plans = [...claimed, ...paying([userId])];
+  const plan = [...slugs].reverse().find(slug => plans.includes(slug)) || null;
+
+  // Editors and viewers use the team's plan: the organization's, or the owner's.
+  // Owners are the organization's admins as Clerk reports them by webhook, by
+  // organization ID: slugs can be reused and user metadata can be edited by its user
+  const isMember = team?.role === 'editor' || team?.role === 'viewer';
+  const deleted = new Set(users.filter(u => u.deletedAt).map(u => u.id));
+  const owners = isMember && team.id
+    ? memberships.filter(m => m.orgId === team.id && m.role === 'org:admin' && !m.deletedAt && !deleted.has(m.userId)).map(m => m.userId)
+    : [];
+  const isAdmin = adminIds.includes(userId);
+
+  // Members follow the owner's lifecycle (and trial) unless the organization has a plan
+  const account = isMember && plan === null ? owners : [userId];
+  const created = users.filter(u => account.includes(u.id) && u.createdAt != null).map(u => u.createdAt);
+  // Admins are always active
+  const state = isAdmin
+    ? subscriptionLifecycle({ subscriptions: [], planClaimed: true, createdAt: null })
+    : subscriptionLifecycle({
+      subscriptions: onPlan(account),
+      planClaimed: claimed.some(slug => slugs.includes(slug)),
+      createdAt: created.length > 0 ? Math.min(...created) : null,
+      trialDays: lifecycle.trialDays,
+      gracePeriodDays: lifecycle.gracePeriodDays,
+      now
+    });
+  const hasAccess = isAdmin || (state.status !== 'none' && !state.readOnly);
+
+  let tier = tiers.find(t => t.slug === plan) || null;
+  if (state.status === 'trial') {
+    tier = tiers.find(t => t.slug === lifecycle.trialTier) || tiers[tiers.length - 1] || null;
+  } else if (!tier && isMember && plan === null && state.status !== 'none') {
+    // The highest tier any of the team's owners pays for
+    const ownerPlans = paying(owners);
+    tier = [...tiers].reverse().find(t => ownerPlans.includes(t.slug)) || null;
+  }
+
+  let entitlements;
+  if (isAdmin || (tiers.length === 0 && hasAccess)) {
+    entitlements = ['*'];
+  } else if (!hasAccess) {
+    entitlements = [];
+  } else {
+    const features = scopedValues(claims.fea).filter(inScope).map(f => f.slug);
+    entitlements = [...new Set([...(tier?.entitlements || []), ...features])];
+  }
+
+  return {
+    userId,
+    plan,
+    tier: tier?.slug || null,
+    role: team?.role || null,
+    isAdmin,
+    isMember,
+    hasAccess,
+    entitlements,
+    ...state
+  };
+}
+
+/**
+ * Whether resolved entitlements allow a feature
+ * @param {object} resolved - resolveEntitlements() result
+ * @param {string} [feature] - Entitlement to require; without one, any access will do
+ * @returns {boolean}
+ */
+export function hasEntitlement(resolved, feature) {
+  if (!resolved.hasAccess) return false;
+  if (!feature) return true;
+  return resolved.entitlements.includes('*') || resolved.entitlements.includes(feature);
+}
@@ -0,0 +1,229 @@
+/**
+ * sell-landing.js - Landing page specs for the sell template
+ *
+ * A landing spec describes the marketing page in sell.config (or a file
+ * passed with --landing) instead of hand-editing the assembled HTML:
+ *
+ *   landing:
+ *     theme: { accent: "#7c3aed", accentHover: "#6d28d9", background: "#faf5ff", font: "Inter, sans-serif" }
+ *     sections:                      # in page order; exactly one hero (it holds the signup form)
+ *       - { type: hero, title: Share every moment, subtitle: Your own photo space, image: /hero.png }
+ *       - { type: features, title: Everything you need, items: [Guest uploads, { title: Albums, description: Sort by event }] }
+ *       - { type: gallery, images: [{ src: /shot-1.png, alt: Album view, caption: Albums }] }
+ *       - { type: testimonials, items: [{ quote: Loved it, author: Sam, role: Bride }] }
+ *       - { type: pricing, title: Plans }     # the configured tiers (or the monthly/yearly prices)
+ *       - { type: faq, items: [{ question: Can guests upload?, answer: Yes }] }
+ *     footer:
+ *       text: © 2026 Wedding Photos
+ *       links: [{ label: Privacy, href: /privacy.html }, { label: FAQ, href: "#faq" }]
+ *
+ * The template renders the spec (CONFIG.landing) and applies the theme as
+ * --landing-* CSS variables. Without a spec the page keeps its default hero,
+ * features and pricing sections.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { extname, resolve } from 'path';
+import { parse as parseYaml } from 'yaml';
+
+/**
+ * Section types and the keys each may have
+ */
+export const LANDING_SECTIONS = {
+  hero: ['title', 'subtitle', 'image', 'cta'],
+  features: ['title', 'subtitle', 'items'],
+  testimonials: ['title', 'items'],
+  faq: ['title', 'items'],
+  pricing: ['title', 'subtitle'],
+  gallery: ['title', 'images']
+};
+
+/**
+ * Theme keys and the CSS variables they set
+ */
+export const LANDING_THEME_VARIABLES = {
+  accent: '--landing-accent',
+  accentHover: '--landing-accent-hover',
+  background: '--landing-bg',
+  surface: '--landing-surface',
+  text: '--landing-text',
+  muted: '--landing-muted',
+  border: '--landing-border',
+  font: '--landing-font'
+};
+
+const SPEC_KEYS = ['theme', 'sections', 'footer'];
+const FOOTER_KEYS = ['text', 'links'];
+const ITEM_KEYS = {
+  features: { keys: ['title', 'description'], required: ['title'] },
+  testimonials: { keys: ['quote', 'author', 'role', 'avatar'], required: ['quote', 'author'] },
+  faq: { keys: ['question', 'answer'], required: ['question', 'answer'] }
+};
+
+// CSS values end up in style properties: no ; { } or url() smuggling
+const COLOR = /^(#[0-9a-f]{3,8}|(?:rgb|rgba|hsl|hsla|oklch|oklab)\([\d\s.,%/-]+\)|[a-z]+)$/i;
+const FONT = /^[\w\s,"'-]+$/;
+// Links and images: web URLs, site paths and anchors; never javascript:
+const HREF = /^(https?:\/\/|mailto:|\/|#|\.{0,2}\/)[^\s"<>]*$/i;
+const IMAGE = /^(https?:\/\/|\/|\.{0,2}\/)[^\s"<>]*$|^[\w-]+(\/[\w.-]+)*\.(png|jpe?g|gif|webp|svg|avif)$/i;
+
+const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+const isText = (value) => typeof value === 'string' && value.trim() !== '';
+
+/**
+ * Problems with an object's keys: unknown ones, missing required ones and non-text values
+ */
+function checkFields(label, value, keys, required = [], problems) {
+  const unknown = Object.keys(value).filter(key => !keys.includes(key));
+  if (unknown.length > 0) problems.push(`${label} has unknown key(s) ${unknown.join(', ')}`);
+  for (const key of required) {
+    if (value[key] === undefined) problems.push(`${label} needs ${key}`);
+  }
+  for (const key of keys) {
+    if (value[key] !== undefined && !isText(value[key])) problems.push(`${label} ${key} must be text`);
+  }
+}
+
+function checkSection(section, i, problems) {
+  const label = `section ${i + 1}${isObject(section) && typeof section.type === 'string' ? ` (${section.type})` : ''}`;
+  if (!isObject(section)) {
+    problems.push(`${label} must be an object`);
+    return;
+  }
+  const keys = LANDING_SECTIONS[section.type];
+  if (!keys) {
+    problems.push(`${label} needs a type, one of: ${Object.keys(LANDING_SECTIONS).join(', ')}`);
+    return;
+  }
+
+  const { type, id, items, images, ...fields } = section;
+  checkFields(label, fields, keys.filter(key => key !== 'items' && key !== 'images'), [], problems);
+  if (id !== undefined && !(typeof id === 'string' && /^[a-z][\w-]*$/i.test(id))) {
+    problems.push(`${label} id must be a word usable as a #link`);
+  }
+  if (section.image !== undefined && isText(section.image) && !IMAGE.test(section.image)) {
+    problems.push(`${label} image must be an http(s) URL or a path`);
+  }
+
+  if (ITEM_KEYS[type]) {
+    const { keys: itemKeys, required } = ITEM_KEYS[type];
+    if (items === undefined && type !== 'features') {
+      problems.push(`${label} needs items`);
+    } else if (items !== undefined && !Array.isArray(items)) {
+      problems.push(`${label} items must be a list`);
+    } else {
+      (items || []).forEach((item, j) => {
+        const itemLabel = `${label} item ${j + 1}`;
+        // Feature items may be plain strings, like the features setting
+        if (type === 'features' && isText(item)) return;
+        if (!isObject(item)) {
+          problems.push(`${itemLabel} must be an object`);
+          return;
+        }
+        checkFields(itemLabel, item, itemKeys, required, problems);
+        if (item.avatar !== undefined && isText(item.avatar) && !IMAGE.test(item.avatar)) {
+          problems.push(`${itemLabel} avatar must be an http(s) URL or a path`);
+        }
+      });
+    }
+  } else if (items !== undefined) {
+    problems.push(`${label} has unknown key(s) items`);
+  }
+
+  if (type === 'gallery') {
+    if (!Array.isArray(images) || images.length === 0) {
+      problems.push(`${label} needs a list of images`);
+    } else {
+      images.forEach((image, j) => {
+        const imageLabel = `${label} image ${j + 1}`;
+        if (!isObject(image)) {
+          problems.push(`${imageLabel} must be an object`);
+          return;
+        }
+        checkFields(imageLabel, image, ['src', 'alt', 'caption'], ['src', 'alt'], problems);
+        if (isText(image.src) && !IMAGE.test(image.src)) problems.push(`${imageLabel} src must be an http(s) URL or a path`);
+      });
+    }
+  } else if (images !== undefined) {
+    problems.push(`${label} has unknown key(s) images`);
+  }
+}
+
+/**
+ * Check a landing spec
+ * @param {*} spec
+ * @returns {string|null} - Problem description, or null if the spec is fine
+ */
+export function checkLandingSpec(spec) {
+  if (!isObject(spec)) return 'must be an object with theme, sections and footer';
+
+  const problems = [];
+  const unknown = Object.keys(spec).filter(key => !SPEC_KEYS.includes(key));
+  if (unknown.length > 0) problems.push(`unknown key(s) ${unknown.join(', ')}`);
+
+  if (spec.theme !== undefined) {
+    if (!isObject(spec.theme)) {
+      problems.push('theme must be an object');
+    } else {
+      for (const [key, value] of Object.entries(spec.theme)) {
+        if (!LANDING_THEME_VARIABLES[key]) {
+          problems.push(`theme has unknown key ${key} (expected one of: ${Object.keys(LANDING_THEME_VARIABLES).join(', ')})`);
+        } else if (typeof value !== 'string' || !(key === 'font' ? FONT : COLOR).test(value.trim())) {
+          problems.push(`theme ${key} must be ${key === 'font' ? 'a font-family list' : 'a CSS color like "#7c3aed"'}`);
+        }
+      }
+    }
+  }
+
+  if (spec.sections !== undefined) {
+    if (!Array.isArray(spec.sections)) {
+      problems.push('sections must be a list');
+    } else {
+      spec.sections.forEach((section, i) => checkSection(section, i, problems));
+      const heroes = spec.sections.filter(section => section?.type === 'hero').length;
+      if (heroes !== 1) problems.push(`sections need exactly one hero (it holds the signup form), found ${heroes}`);
+    }
+  }
+
+  if (spec.footer !== undefined) {
+    if (!isObject(spec.footer)) {
+      problems.push('footer must be an object');
+    } else {
+      const { links, ...fields } = spec.footer;
+      checkFields('footer', fields, FOOTER_KEYS.filter(key => key !== 'links'), [], problems);
+      if (links !== undefined && !Array.isArray(links)) {
+        problems.push('footer links must be a list');
+      } else {
+        (links || []).forEach((link, i) => {
+          const label = `footer link ${i + 1}`;
+          if (!isObject(link)) {
+            problems.push(`${label} must be an object`);
+            return;
+          }
+          checkFields(label, link, ['label', 'href'], ['label', 'href'], problems);
+          if (isText(link.href) && !HREF.test(link.href)) problems.push(`${label} href must be an http(s), mailto: or relative link`);
+        });
+      }
+    }
+  }
+
+  return problems.length > 0 ? `is invalid: ${problems.join('; ')}` : null;
+}
+
+/**
+ * Load a landing spec from a JSON or YAML file
+ * @param {string} path
+ * @returns {object} - { success, spec } or { success: false, error }
+ */
+export function loadLandingSpec(path) {
+  const resolvedPath = resolve(path);
+  if (!existsSync(resolvedPath)) {
+    return { success: false, error: `Landing spec not found: ${resolvedPath}` };
+  }
+  try {
+    const text = readFileSync(resolvedPath, 'utf8');
+    return { success: true, spec: extname(resolvedPath) === '.json' ? JSON.parse(text) : parseYaml(text) };
+  } catch (e) {
+    return { success: false, error: `Could not parse ${resolvedPath}: ${e.message}` };
+  }
+}
@@ -0,0 +1,41 @@
+/**
+ * sell-routing.js - Tenant routing modes of the sell template
+ *
+ *   subdomain  tenants at <tenant>.<domain>, admin at admin.<domain>
+ *              (needs wildcard DNS and a wildcard certificate)
+ *   path       tenants at <domain>/t/<tenant>/, admin at <domain>/admin
+ *
+ * The mode is chosen at assembly time (--routing / sell.config routing) and
+ * baked into the page's CONFIG. Path routing needs the web server to answer
+ * those paths with index.html; deploy-exe.js adds the nginx rules for it.
+ */
+
+/**
+ * Routing modes, default first
+ */
+export const SELL_ROUTING_MODES = ['subdomain', 'path'];
+
+/**
+ * Marker line of the path routing nginx block (to detect an existing one)
+ */
+export const PATH_ROUTING_NGINX_MARKER = '# Sell path routing';
+
+/**
+ * nginx location block serving index.html for tenant and admin paths
+ * (goes inside the server block, next to the default `location /`)
+ */
+export const PATH_ROUTING_NGINX_CONF = `
+${PATH_ROUTING_NGINX_MARKER}: /t/<tenant>/ and /admin are pages of the app
+location ~ ^/(t/[^/]+|admin)(/|$) {
+    try_files $uri /index.html;
+}`;
+
+/**
+ * Read the routing mode an assembled sell page was built with
+ * @param {string} html - Assembled HTML
+ * @returns {string|null} - 'subdomain' or 'path', or null for pages that aren't sell apps
+ */
+export function detectSellRouting(html) {
+  const match = html.match(/^\s*routing:\s*"([a-z]+)",?\s*$/m);
+  return match && SELL_ROUTING_MODES.includes(match[1]) ? match[1] : null;
+}
@@ -1,30 +1,332 @@
 /**
  * Utility functions for stripping import/export statements from JSX code
  * before injecting into templates.
+ *
+ * Code is parsed with acorn (plus acorn-jsx) and statements are cut out by
+ * their source ranges, so every import form, export default form and CONFIG
+ * layout is handled and the remaining code keeps its formatting. If the code
+ * does not parse, the line-based regexes below are used instead.
  */
 
+import * as acorn from 'acorn';
+import jsx from 'acorn-jsx';
+
+const JsxParser = acorn.Parser.extend(jsx());
+
+/**
+ * Component name given to anonymous or aliased default exports
+ */
+const DEFAULT_EXPORT_NAME = 'App';
+
+/**
+ * Parse module code
+ * @param {string} code - Source code
+ * @returns {object|null} - acorn Program node, or null if the code doesn't parse
+ */
+function parseModule(code) {
+  try {
+    return JsxParser.parse(code, {
+      ecmaVersion: 'latest',
+      sourceType: 'module',
+      locations: true,
+      allowHashBang: true,
+      allowAwaitOutsideFunction: true
+    });
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Visit every node below a node
+ * @param {object} node - AST node
+ * @param {Function} visit - Called with each node
+ */
+function walk(node, visit) {
+  visit(node);
+  for (const value of Object.values(node)) {
+    if (Array.isArray(value)) {
+      for (const child of value) {
+        if (child && typeof child.type === 'string') walk(child, visit);
+      }
+    } else if (value && typeof value.type === 'string' && value !== node) {
+      walk(value, visit);
+    }
+  }
+}
+
+/**
+ * Widen a range to whole lines when nothing else is on them
+ * @param {string} code - Source code
+ * @param {number} start - Range start
+ * @param {number} end - Range end
+ * @returns {number[]} - [start, end]
+ */
+function lineRange(code, start, end) {
+  let s = start;
+  while (s > 0 && (code[s - 1] === ' ' || code[s - 1] === '\t')) s--;
+  let e = end;
+  while (e < code.length && (code[e] === ' ' || code[e] === '\t')) e++;
+
+  const atLineStart = s === 0 || code[s - 1] === '\n';
+  const atLineEnd = e === code.length || code[e] === '\n' || code[e] === '\r';
+  if (!atLineStart || !atLineEnd) {
+    return [start, end];
+  }
+  if (code[e] === '\r') e++;
+  if (code[e] === '\n') e++;
+  return [s, e];
+}
+
+/**
+ * Apply range edits (non-overlapping) to code
+ * @param {string} code - Source code
+ * @param {Array} edits - { start, end, text }
+ * @returns {string}
+ */
+function applyEdits(code, edits) {
+  let result = code;
+  for (const edit of [...edits].sort((a, b) => b.start - a.start)) {
+    result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+  }
+  return result;
+}
+
+/**
+ * Describe an import declaration for the manifest
+ * @param {object} node - ImportDeclaration
+ * @param {string} code - Source code
+ * @returns {object} - { source, specifiers, line, statement }
+ */
+function describeImport(node, code) {
+  return {
+    source: node.source.value,
+    specifiers: node.specifiers.map(s => {
+      if (s.type === 'ImportDefaultSpecifier') return { kind: 'default', imported: 'default', local: s.local.name };
+      if (s.type === 'ImportNamespaceSpecifier') return { kind: 'namespace', imported: '*', local: s.local.name };
+      return { kind: 'named', imported: s.imported.name ?? s.imported.value, local: s.local.name };
+    }),
+    line: node.loc.start.line,
+    statement: code.slice(node.start, node.end)
+  };
+}
+
+/**
+ * Edits that remove top-level declarations of the given names
+ * @param {object} statement - Top-level statement
+ * @param {string} code - Source code
+ * @param {Set<string>} names - Names to remove
+ * @returns {Array} - Edits
+ */
+function declarationEdits(statement, code, names) {
+  const isExported = statement.type === 'ExportNamedDeclaration';
+  const declaration = isExported ? statement.declaration : statement;
+  if (!declaration || declaration.type !== 'VariableDeclaration') return [];
+
+  const removed = declaration.declarations.filter(d => d.id.type === 'Identifier' && names.has(d.id.name));
+  if (removed.length === 0) return [];
+
+  const [start, end] = lineRange(code, statement.start, statement.end);
+  const kept = declaration.declarations.filter(d => !removed.includes(d));
+  if (kept.length === 0) {
+    return [{ start, end, text: '' }];
+  }
+  const prefix = isExported ? 'export ' : '';
+  const text = `${prefix}${declaration.kind} ${kept.map(d => code.slice(d.start, d.end)).join(', ')};`;
+  return [{ start: statement.start, end: statement.end, text }];
+}
+
+/**
+ * Edits that turn the default export into a plain declaration
+ * @param {object} statement - Top-level statement
+ * @param {string} code - Source code
+ * @param {string} name - Name for anonymous or aliased default exports
+ * @returns {Array} - Edits
+ */
+function exportDefaultEdits(statement, code, name) {
+  if (statement.type === 'ExportDefaultDeclaration') {
+    const declaration = statement.declaration;
+
+    // export default App; -> App is already declared
+    if (declaration.type === 'Identifier') {
+      const [start, end] = lineRange(code, statement.start, statement.end);
+      return declaration.name === name
+        ? [{ start, end, text: '' }]
+        : [{ start: statement.start, end: statement.end, text: `const ${name} = ${declaration.name};` }];
+    }
+
+    // export default function App() {} -> function App() {}
+    const isNamedDeclaration = (declaration.type === 'FunctionDeclaration' || declaration.type === 'ClassDeclaration') && declaration.id;
+    return [{ start: statement.start, end: declaration.start, text: isNamedDeclaration ? '' : `const ${name} = ` }];
+  }
+
+  // export { App as default }
+  if (statement.type === 'ExportNamedDeclaration' && !statement.source && !statement.declaration) {
+    const defaultSpecifier = statement.specifiers.find(s => (s.exported.name ?? s.exported.value) === 'default');
+    if (!defaultSpecifier) return [];
+
+    const others = statement.specifiers.filter(s => s !== defaultSpecifier);
+    const alias = defaultSpecifier.local.name === name ? '' : `const ${name} = ${defaultSpecifier.local.name};`;
+    if (others.length === 0 && !alias) {
+      const [start, end] = lineRange(code, statement.start, statement.end);
+      return [{ start, end, text: '' }];
+    }
+    const rest = others.length > 0 ? `export { ${others.map(s => code.slice(s.start, s.end)).join(', ')} };` : '';
+    return [{ start: statement.start, end: statement.end, text: [rest, alias].filter(Boolean).join('\n') }];
+  }
+
+  return [];
+}
+
+/**
+ * Edits that turn named exports into plain declarations
+ * (`export function f` -> `function f`; export lists and re-exports are removed)
+ * @param {object} statement - Top-level statement
+ * @param {string} code - Source code
+ * @returns {Array} - Edits
+ */
+function namedExportEdits(statement, code) {
+  if (statement.type === 'ExportNamedDeclaration' && statement.declaration) {
+    return [{ start: statement.start, end: statement.declaration.start, text: '' }];
+  }
+  if (statement.type === 'ExportNamedDeclaration' || statement.type === 'ExportAllDeclaration') {
+    const [start, end] = lineRange(code, statement.start, statement.end);
+    return [{ start, end, text: '' }];
+  }
+  return [];
+}
+
+/**
+ * Strip imports, exports, CONFIG and constants from module code
+ * @param {string} code - Source code
+ * @param {object} [options]
+ * @param {boolean} [options.imports=false] - Remove static import declarations
+ * @param {boolean} [options.exportDefault=false] - Turn the default export into a plain declaration
+ * @param {boolean} [options.exports=false] - Turn named exports into plain declarations
+ * @param {boolean} [options.config=false] - Remove the top-level CONFIG declaration
+ * @param {string[]} [options.constants=[]] - Remove top-level declarations of these names
+ * @param {string} [options.defaultName='App'] - Name for anonymous or aliased default exports
+ * @returns {object} - { code, imports, dynamicImports, parsed }
+ *   imports lists removed import declarations ({ source, specifiers, line, statement });
+ *   dynamicImports lists import() calls, which are left in place ({ source, line })
+ */
+export function stripCode(code, options = {}) {
+  const { imports = false, exportDefault = false, exports = false, config = false, constants = [], defaultName = DEFAULT_EXPORT_NAME } = options;
+
+  const ast = parseModule(code);
+  if (!ast) {
+    return { code: regexStrip(code, options), imports: [], dynamicImports: [], parsed: false };
+  }
+
+  const names = new Set([...(config ? ['CONFIG'] : []), ...constants]);
+  const removedImports = [];
+  const edits = [];
+
+  for (const statement of ast.body) {
+    if (statement.type === 'ImportDeclaration') {
+      if (imports) {
+        removedImports.push(describeImport(statement, code));
+        const [start, end] = lineRange(code, statement.start, statement.end);
+        edits.push({ start, end, text: '' });
+      }
+      continue;
+    }
+    if (exportDefault) {
+      const exportEdits = exportDefaultEdits(statement, code, defaultName);
+      if (exportEdits.length > 0) {
+        edits.push(...exportEdits);
+        continue;
+      }
+    }
+    if (exports) {
+      const exportEdits = namedExportEdits(statement, code);
+      if (exportEdits.length > 0) {
+        // Removed constants replace the whole statement, minus the export keyword
+        const removals = names.size > 0 ? declarationEdits(statement, code, names) : [];
+        edits.push(...(removals.length > 0
+          ? removals.map(e => ({ ...e, text: e.text.replace(/^export /, '') }))
+          : exportEdits));
+        continue;
+      }
+    }
+    if (names.size > 0) {
+      edits.push(...declarationEdits(statement, code, names));
+    }
+  }
+
+  const dynamicImports = [];
+  walk(ast, (node) => {
+    if (node.type === 'ImportExpression') {
+      const source = node.source.type === 'Literal' && typeof node.source.value === 'string' ? node.source.value : null;
+      dynamicImports.push({ source, line: node.loc.start.line });
+    }
+  });
+
+  return { code: applyEdits(code, edits), imports: removedImports, dynamicImports, parsed: true };
+}
+
+/**
+ * List a module's imports without changing it
+ * @param {string} code - Source code
+ * @returns {object} - { imports, dynamicImports, parsed } as from stripCode
+ */
+export function findImports(code) {
+  const { imports, dynamicImports, parsed } = stripCode(code, { imports: true });
+  return { imports, dynamicImports, parsed };
+}
+
+/**
+ * Line-based fallback for code the parser rejects
+ * @param {string} code - Source code
+ * @param {object} options - Same as stripCode
+ * @returns {string}
+ */
+function regexStrip(code, options) {
+  const { imports = false, exportDefault = false, exports = false, config = false, constants = [] } = options;
+  let result = code;
+  if (imports) {
+    result = result
+      // Multi-line imports: import { ... } from "..."
+      .replace(/^import\s+\{[\s\S]*?\}\s+from\s+["'].*?["'];?\s*$/gm, '')
+      // Single-line named/default imports: import X from "..."
+      .replace(/^import\s+.*?from\s+["'].*?["'];?\s*$/gm, '')
+      // Side-effect imports: import "..."
+      .replace(/^import\s+["'].*?["'];?\s*$/gm, '');
+  }
+  if (exportDefault) {
+    result = result.replace(/^export\s+default\s+/m, '');
+  }
+  if (exports) {
+    result = result
+      .replace(/^export\s+(?=(?:async\s+)?function|class|const|let|var)/gm, '')
+      .replace(/^export\s+(?:\{[\s\S]*?\}|\*)(?:\s+from\s+["'].*?["'])?;?\s*$/gm, '');
+  }
+  if (config) {
+    result = result.replace(/^const\s+CONFIG\s*=\s*\{[\s\S]*?\n\};?\s*$/gm, '');
+  }
+  for (const constant of constants) {
+    result = result.replace(new RegExp(`^const\\s+${constant}\\s*=.*$`, 'gm'), '');
+  }
+  return result;
+}
+
 /**
  * Remove all import statements from code
  * @param {string} code - Source code
  * @returns {string} Code with imports removed
  */
 export function stripImports(code) {
-  return code
-    // Multi-line imports: import { ... } from "..."
-    .replace(/^import\s+\{[\s\S]*?\}\s+from\s+["'].*?["'];?\s*$/gm, '')
-    // Single-line named/default imports: import X from "..."
-    .replace(/^import\s+.*?from\s+["'].*?["'];?\s*$/gm, '')
-    // Side-effect imports: import "..."
-    .replace(/^import\s+["'].*?["'];?\s*$/gm, '');
+  return stripCode(code, { imports: true }).code;
 }
 
 /**
  * Remove "export default" from function/class declarations
+ * (`export default App;` is removed, anonymous exports become `const App = ...`)
  * @param {string} code - Source code
  * @returns {string} Code with export default removed
  */
 export function stripExportDefault(code) {
-  return code.replace(/^export\s+default\s+/m, '');
+  return stripCode(code, { exportDefault: true }).code;
 }
 
 /**
@@ -33,7 +335,7 @@ export function stripExportDefault(code) {
  * @returns {string} Code with CONFIG removed
  */
 export function stripConfig(code) {
-  return code.replace(/^const\s+CONFIG\s*=\s*\{[\s\S]*?\n\};?\s*$/gm, '');
+  return stripCode(code, { config: true }).code;
 }
 
 /**
@@ -43,11 +345,7 @@ export function stripConfig(code) {
  * @returns {string} Code with constants removed
  */
 export function stripConstants(code, constants) {
-  let result = code;
-  for (const constant of constants) {
-    result = result.replace(new RegExp(`^const\\s+${constant}\\s*=.*$`, 'gm'), '');
-  }
-  return result;
+  return stripCode(code, { constants }).code;
 }
 
 /**
@@ -57,13 +355,28 @@ export function stripConstants(code, constants) {
  * @returns {string} Cleaned code ready for template injection
  */
 export function stripForTemplate(code, templateConstants = []) {
-  let result = code.trim();
-  result = stripImports(result);
-  result = stripExportDefault(result);
-  result = stripConfig(result);
-  if (templateConstants.length > 0) {
-    result = stripConstants(result, templateConstants);
-  }
-  return result;
+  return stripCode(code.trim(), {
+    imports: true,
+    exportDefault: true,
+    config: true,
+    constants: templateConstants
+  }).code.trim();
 }
 
+/**
+ * Apply a template's strip rules (imports, exportDefault, exports, config, constants)
+ * @param {string} code - Source code
+ * @param {string[]} rules - Rule names from the template definition
+ * @param {string[]} [constants] - Constants removed by the 'constants' rule
+ * @returns {object} - { code, imports, dynamicImports, parsed } as from stripCode, with code trimmed
+ */
+export function applyStripRules(code, rules, constants = []) {
+  const result = stripCode(code.trim(), {
+    imports: rules.includes('imports'),
+    exportDefault: rules.includes('exportDefault'),
+    exports: rules.includes('exports'),
+    config: rules.includes('config'),
+    constants: rules.includes('constants') ? constants : []
+  });
+  return { ...result, code: result.code.trim() };
+}
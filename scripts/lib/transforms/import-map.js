@@ -14,6 +14,11 @@ import { findPluginRoot, loadCachedImportMap } from '../compare.js';
  */
 const IMPORT_MAP_REGEX = /<script\s+type=["']importmap["']>([\s\S]*?)<\/script>/i;
 
+/**
+ * Query parameter that leaves React to the import map (one React instance per page)
+ */
+const EXTERNAL_PARAM = 'external=react,react-dom';
+
 /**
  * Replace import map in HTML content
  * @param {string} html - The HTML content
@@ -194,10 +199,10 @@ function addExternalParams(html) {
     importMapContent = importMapContent.replace(regex, (match, url, rest) => {
       if (rest === '"') {
         // No query params, add ?external=
-        return `${url}?external=react,react-dom"`;
+        return `${url}?${EXTERNAL_PARAM}"`;
       } else if (rest.startsWith('?') && !rest.includes('external=')) {
         // Has query params but not external, add external
-        return `${url}${rest.replace('?', '?external=react,react-dom&').replace('"', '"')}`;
+        return `${url}${rest.replace('?', `?${EXTERNAL_PARAM}&`).replace('"', '"')}`;
       }
       return match;
     });
@@ -223,10 +228,67 @@ function addExternalParams(html) {
   };
 }
 
+/**
+ * esm.sh URL for a package that isn't in any import map
+ * e.g., "date-fns" -> "https://esm.sh/date-fns?external=react,react-dom"
+ * @param {string} specifier - Bare import specifier
+ * @returns {string} - esm.sh URL
+ */
+function esmShUrl(specifier) {
+  return `https://esm.sh/${specifier}?${EXTERNAL_PARAM}`;
+}
+
+/**
+ * Add entries to the import map, keeping existing entries and the map's indentation
+ * @param {string} html - The HTML content
+ * @param {object} entries - Specifier -> URL entries to add
+ * @returns {object} - Transform result
+ */
+function addImportMapEntries(html, entries) {
+  const match = html.match(IMPORT_MAP_REGEX);
+
+  if (!match) {
+    return {
+      success: false,
+      error: 'No import map found in HTML'
+    };
+  }
+
+  let importMap;
+  try {
+    importMap = JSON.parse(match[1]);
+  } catch (e) {
+    return {
+      success: false,
+      error: 'Could not parse existing import map'
+    };
+  }
+
+  importMap.imports = { ...importMap.imports, ...entries };
+
+  // Re-indent to where the map's opening brace was
+  const leading = match[1].match(/^\s*/)[0];
+  const trailing = match[1].match(/\s*$/)[0];
+  const indent = leading.slice(leading.lastIndexOf('\n') + 1);
+  const importMapJson = JSON.stringify(importMap, null, 2).replace(/\n/g, `\n${indent}`);
+  const replacement = `<script type="importmap">${leading}${importMapJson}${trailing}</script>`;
+
+  return {
+    success: true,
+    html: html.replace(IMPORT_MAP_REGEX, () => replacement),
+    diff: {
+      before: match[1].trim(),
+      after: importMapJson
+    }
+  };
+}
+
 export {
   replaceImportMap,
   applyImportMapUpdate,
   migrateDepsToExternal,
   addExternalParams,
+  addImportMapEntries,
+  esmShUrl,
   IMPORT_MAP_REGEX
 };
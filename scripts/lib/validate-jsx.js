@@ -0,0 +1,173 @@
+/**
+ * validate-jsx.js - Parse-time validation of app code before assembly
+ *
+ * Uses esbuild to catch problems that would otherwise only surface when
+ * Babel standalone throws in the browser:
+ * - Syntax errors
+ * - TypeScript-only syntax (annotations, interfaces, generics, `as`)
+ * - Missing or misnamed default export (templates render <App />)
+ */
+
+import * as esbuild from 'esbuild';
+
+/**
+ * Options shared by the JSX and TSX parses so their output is comparable.
+ * verbatimModuleSyntax stops the TSX parse from dropping unused imports.
+ */
+const TRANSFORM_OPTIONS = {
+  jsx: 'preserve',
+  format: 'esm',
+  logLevel: 'silent',
+  tsconfigRaw: { compilerOptions: { verbatimModuleSyntax: true } }
+};
+
+/**
+ * Generic call like useState<string>("") - valid JS (two comparisons),
+ * so it only shows up as a difference between the JSX and TSX output
+ */
+const GENERIC_CALL_REGEX = /\b[A-Za-z_$][\w$]*\s*<\s*[A-Za-z_$][\w$.]*(?:\[\])*(?:\s*[|,]\s*[A-Za-z_$][\w$.]*(?:\[\])*)*\s*>\s*\(/g;
+
+/**
+ * Parse code with esbuild
+ * @param {string} code - Source code
+ * @param {string} loader - 'jsx' or 'tsx'
+ * @returns {object} - { code } on success, { errors } on failure
+ */
+function parse(code, loader) {
+  try {
+    const result = esbuild.transformSync(code, { ...TRANSFORM_OPTIONS, loader });
+    return { code: result.code };
+  } catch (e) {
+    if (!e.errors) throw e;
+    return { errors: e.errors };
+  }
+}
+
+/**
+ * Convert an esbuild message to a diagnostic (1-based line and column)
+ * @param {object} message - esbuild message
+ * @param {string} kind - Diagnostic kind
+ * @param {string} [prefix] - Text to prepend to the message
+ * @returns {object} - { kind, line, column, message }
+ */
+function toDiagnostic(message, kind, prefix = '') {
+  const location = message.location || { line: 1, column: 0 };
+  return {
+    kind,
+    line: location.line,
+    column: location.column + 1,
+    message: prefix + message.text
+  };
+}
+
+/**
+ * Find the 1-based line/column of a character offset
+ * @param {string} code - Source code
+ * @param {number} index - Character offset
+ * @returns {object} - { line, column }
+ */
+function locate(code, index) {
+  const before = code.slice(0, index);
+  const lines = before.split('\n');
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+/**
+ * Find the name bound to the default export in esbuild's normalized output
+ * esbuild rewrites every form of default export to `export { X as default }`,
+ * aliasing expressions through `var <file>_default = ...`
+ * @param {string} output - esbuild output
+ * @returns {string|null|undefined} - Local name, null if anonymous, undefined if no default export
+ */
+export function findDefaultExportName(output) {
+  const exportMatch = output.match(/export\s*\{[^}]*?([A-Za-z_$][\w$]*)\s+as\s+default\b/);
+  if (!exportMatch) return undefined;
+
+  const local = exportMatch[1];
+  if (!/_default$/.test(local)) return local;
+
+  // export default App; -> var stdin_default = App;
+  const aliasMatch = output.match(new RegExp(`var\\s+${local}\\s*=\\s*([A-Za-z_$][\\w$]*);`));
+  return aliasMatch ? aliasMatch[1] : null;
+}
+
+/**
+ * Validate app code before it is inserted into a template
+ * @param {string} code - App source code (JSX)
+ * @param {object} [options]
+ * @param {string|null} [options.componentName='App'] - Name the template renders (null skips the export check)
+ * @returns {object} - { valid: boolean, errors: Array<{ kind, line, column, message }> }
+ */
+export function validateAppCode(code, options = {}) {
+  const { componentName = 'App' } = options;
+  const errors = [];
+
+  const jsx = parse(code, 'jsx');
+
+  if (jsx.errors) {
+    // If the TSX parse succeeds, the failure is TypeScript-only syntax
+    const tsx = parse(code, 'tsx');
+    if (!tsx.errors) {
+      errors.push(toDiagnostic(jsx.errors[0], 'typescript', 'TypeScript syntax is not supported (use plain JavaScript): '));
+    } else {
+      errors.push(...jsx.errors.map(e => toDiagnostic(e, 'syntax')));
+    }
+    return { valid: false, errors };
+  }
+
+  // Generics parse as comparisons in JSX, so compare against the TSX output
+  const tsx = parse(code, 'tsx');
+  if (!tsx.errors && tsx.code !== jsx.code) {
+    const match = GENERIC_CALL_REGEX.exec(code);
+    GENERIC_CALL_REGEX.lastIndex = 0;
+    const location = match ? locate(code, match.index) : { line: 1, column: 1 };
+    errors.push({
+      kind: 'typescript',
+      ...location,
+      message: match
+        ? `TypeScript generics are not supported (use plain JavaScript): ${match[0].replace(/\s*\($/, '')}`
+        : 'TypeScript syntax is not supported (use plain JavaScript)'
+    });
+  }
+
+  if (componentName === null) {
+    return { valid: errors.length === 0, errors };
+  }
+
+  const exportName = findDefaultExportName(jsx.code);
+  const exportMatch = code.match(/^\s*export\s+default\b/m);
+  const exportLocation = exportMatch
+    ? locate(code, exportMatch.index + exportMatch[0].indexOf('export'))
+    : { line: 1, column: 1 };
+
+  if (exportName === undefined) {
+    errors.push({
+      kind: 'export',
+      line: 1,
+      column: 1,
+      message: `Missing default export (expected: export default function ${componentName}() { ... })`
+    });
+  } else if (exportName !== componentName) {
+    errors.push({
+      kind: 'export',
+      ...exportLocation,
+      message: exportName
+        ? `Default export is named "${exportName}", expected "${componentName}"`
+        : `Default export is anonymous, expected a component named "${componentName}"`
+    });
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Format diagnostics as file:line:column lines
+ * @param {Array} errors - Diagnostics from validateAppCode
+ * @param {string} filePath - File name to report (diagnostics with their own file win)
+ * @returns {string} - Formatted diagnostics
+ */
+export function formatDiagnostics(errors, filePath) {
+  return errors
+    .map(e => `${e.file || filePath}:${e.line}:${e.column}: ${e.message}`)
+    .join('\n');
+}
@@ -0,0 +1,260 @@
+/**
+ * webhook-store.js - Storage for received Clerk webhooks and the state they build
+ *
+ * Holds the received events (for deduplication by svix-id and as an audit
+ * log) and the users, subscriptions and invoices rows sell-analytics.js
+ * works on, plus the organization memberships sell-entitlements.js takes
+ * team owners from. The receiver in clerk-webhooks.js decides what to write; stores
+ * only read and write whole rows:
+ *
+ *   getEvent(id) / saveEvent(record) / eventsFor(objectId)
+ *   getRow(table, id) / putRow(table, row) / rows(table)
+ *   rowsWhere(table, field, values)
+ *
+ * Two implementations: SQLite (bun:sqlite, on the VM) and in-memory (tests
+ * and the local e2e server). Methods may return values or promises.
+ */
+
+/**
+ * Tables and their columns (row field -> SQL column); JSON columns hold arrays
+ */
+const TABLES = {
+  users: {
+    columns: { id: 'id', email: 'email', tenants: 'tenants', createdAt: 'created_at', deletedAt: 'deleted_at', eventAt: 'event_at' },
+    json: ['tenants'],
+    schema: `
+      id TEXT PRIMARY KEY,
+      email TEXT,
+      tenants TEXT NOT NULL DEFAULT '[]',
+      created_at INTEGER NOT NULL,
+      deleted_at INTEGER,
+      event_at INTEGER`
+  },
+  subscriptions: {
+    columns: {
+      id: 'id', userId: 'user_id', plan: 'plan', status: 'status', billingPeriod: 'billing_period', amount: 'amount',
+      createdAt: 'created_at', currentPeriodEnd: 'current_period_end', canceledAt: 'canceled_at', eventAt: 'event_at'
+    },
+    json: [],
+    schema: `
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      plan TEXT,
+      status TEXT NOT NULL,
+      billing_period TEXT,
+      amount INTEGER,
+      created_at INTEGER,
+      current_period_end INTEGER,
+      canceled_at INTEGER,
+      event_at INTEGER`
+  },
+  invoices: {
+    columns: { id: 'id', userId: 'user_id', amount: 'amount', currency: 'currency', status: 'status', at: 'at', eventAt: 'event_at' },
+    json: [],
+    schema: `
+      id TEXT PRIMARY KEY,
+      user_id TEXT NOT NULL,
+      amount INTEGER NOT NULL,
+      currency TEXT NOT NULL,
+      status TEXT NOT NULL,
+      at INTEGER NOT NULL,
+      event_at INTEGER`
+  },
+  memberships: {
+    columns: { id: 'id', orgId: 'org_id', userId: 'user_id', role: 'role', createdAt: 'created_at', deletedAt: 'deleted_at', eventAt: 'event_at' },
+    json: [],
+    schema: `
+      id TEXT PRIMARY KEY,
+      org_id TEXT,
+      user_id TEXT,
+      role TEXT,
+      created_at INTEGER,
+      deleted_at INTEGER,
+      event_at INTEGER`
+  }
+};
+
+/**
+ * Table names the stores accept
+ */
+export const WEBHOOK_TABLES = Object.keys(TABLES);
+
+function checkTable(table) {
+  if (!TABLES[table]) {
+    throw new Error(`Unknown table: ${table}`);
+  }
+  return TABLES[table];
+}
+
+function checkField(table, field) {
+  const { columns, json } = checkTable(table);
+  if (!columns[field] || json.includes(field)) {
+    throw new Error(`Unknown field: ${table}.${field}`);
+  }
+  return columns[field];
+}
+
+/**
+ * Store backed by SQLite
+ * @param {object} db - bun:sqlite Database
+ * @returns {object} - Store
+ */
+export function createSqliteWebhookStore(db) {
+  db.run(`
+    CREATE TABLE IF NOT EXISTS webhook_events (
+      id TEXT PRIMARY KEY,
+      type TEXT,
+      object_id TEXT,
+      event_at INTEGER NOT NULL,
+      received_at INTEGER NOT NULL,
+      applied INTEGER NOT NULL,
+      payload TEXT NOT NULL
+    )
+  `);
+  db.run('CREATE INDEX IF NOT EXISTS webhook_events_object ON webhook_events (object_id, event_at)');
+  for (const [table, { schema }] of Object.entries(TABLES)) {
+    db.run(`CREATE TABLE IF NOT EXISTS ${table} (${schema}\n    )`);
+    // Tables created before event ordering lack event_at
+    const columns = db.query(`PRAGMA table_info(${table})`).all().map(c => c.name);
+    if (!columns.includes('event_at')) {
+      db.run(`ALTER TABLE ${table} ADD COLUMN event_at INTEGER`);
+    }
+  }
+  // Entitlement checks look subscriptions up by user on every AI request
+  db.run('CREATE INDEX IF NOT EXISTS subscriptions_user ON subscriptions (user_id)');
+  db.run('CREATE INDEX IF NOT EXISTS memberships_org ON memberships (org_id)');
+
+  const fromRow = (table, record) => {
+    const { columns, json } = TABLES[table];
+    const row = {};
+    for (const [field, column] of Object.entries(columns)) {
+      row[field] = json.includes(field) ? JSON.parse(record[column]) : record[column];
+    }
+    return row;
+  };
+
+  const fromEvent = (record) => ({
+    id: record.id,
+    type: record.type,
+    objectId: record.object_id,
+    eventAt: record.event_at,
+    receivedAt: record.received_at,
+    applied: !!record.applied,
+    payload: JSON.parse(record.payload)
+  });
+
+  return {
+    getEvent(id) {
+      const record = db.query('SELECT * FROM webhook_events WHERE id = ?').get(id);
+      return record ? fromEvent(record) : null;
+    },
+
+    saveEvent({ id, type, objectId, eventAt, receivedAt, applied, payload }) {
+      db.run(
+        `INSERT OR IGNORE INTO webhook_events (id, type, object_id, event_at, received_at, applied, payload)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [id, type ?? null, objectId ?? null, eventAt, receivedAt, applied ? 1 : 0, JSON.stringify(payload)]
+      );
+    },
+
+    eventsFor(objectId) {
+      return db.query('SELECT * FROM webhook_events WHERE object_id = ? ORDER BY event_at').all(objectId).map(fromEvent);
+    },
+
+    getRow(table, id) {
+      checkTable(table);
+      const record = db.query(`SELECT * FROM ${table} WHERE id = ?`).get(id);
+      return record ? fromRow(table, record) : null;
+    },
+
+    putRow(table, row) {
+      const { columns, json } = checkTable(table);
+      const fields = Object.keys(columns);
+      db.run(
+        `INSERT OR REPLACE INTO ${table} (${fields.map(f => columns[f]).join(', ')}) VALUES (${fields.map(() => '?').join(', ')})`,
+        fields.map(f => (json.includes(f) ? JSON.stringify(row[f] ?? []) : row[f] ?? null))
+      );
+    },
+
+    rows(table) {
+      checkTable(table);
+      return db.query(`SELECT * FROM ${table}`).all().map(record => fromRow(table, record));
+    },
+
+    rowsWhere(table, field, values) {
+      const column = checkField(table, field);
+      if (values.length === 0) return [];
+      return db.query(`SELECT * FROM ${table} WHERE ${column} IN (${values.map(() => '?').join(', ')})`)
+        .all(...values)
+        .map(record => fromRow(table, record));
+    }
+  };
+}
+
+/**
+ * Store kept in memory (lost on restart)
+ * @returns {object} - Store
+ */
+export function createMemoryWebhookStore() {
+  const events = new Map();
+  const tables = Object.fromEntries(WEBHOOK_TABLES.map(table => [table, new Map()]));
+  const copy = value => (value ? structuredClone(value) : null);
+
+  return {
+    getEvent: id => copy(events.get(id)),
+    saveEvent(record) {
+      if (!events.has(record.id)) events.set(record.id, copy(record));
+    },
+    eventsFor(objectId) {
+      return [...events.values()]
+        .filter(record => record.objectId === objectId)
+        .sort((a, b) => a.eventAt - b.eventAt)
+        .map(copy);
+    },
+    getRow(table, id) {
+      checkTable(table);
+      return copy(tables[table].get(id));
+    },
+    putRow(table, row) {
+      checkTable(table);
+      tables[table].set(row.id, copy(row));
+    },
+    rows(table) {
+      checkTable(table);
+      return [...tables[table].values()].map(copy);
+    },
+    rowsWhere(table, field, values) {
+      checkField(table, field);
+      return [...tables[table].values()].filter(row => values.includes(row[field])).map(copy);
+    }
+  };
+}
+
+/**
+ * All state rows, in the shape sell-analytics.js expects
+ * @param {object} store
+ * @returns {Promise<object>} - { users, subscriptions, invoices, memberships }
+ */
+export async function loadWebhookData(store) {
+  const [users, subscriptions, invoices, memberships] = await Promise.all(WEBHOOK_TABLES.map(table => store.rows(table)));
+  return { users, subscriptions, invoices, memberships };
+}
+
+/**
+ * The rows sell-entitlements.js needs for one user: theirs, and those of the
+ * admins of the organization they are active in
+ * @param {object} store
+ * @param {object} who
+ * @param {string} who.userId
+ * @param {string|null} [who.orgId] - ID of the user's active organization
+ * @returns {Promise<object>} - { users, subscriptions, memberships }
+ */
+export async function loadEntitlementData(store, { userId, orgId = null }) {
+  const memberships = orgId ? await store.rowsWhere('memberships', 'orgId', [orgId]) : [];
+  const userIds = [...new Set([userId, ...memberships.map(membership => membership.userId).filter(Boolean)])];
+  const [users, subscriptions] = await Promise.all([
+    store.rowsWhere('users', 'id', userIds),
+    store.rowsWhere('subscriptions', 'userId', userIds)
+  ]);
+  return { users, subscriptions, memberships };
+}
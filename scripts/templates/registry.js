@@ -0,0 +1,312 @@
+/**
+ * registry.js - Template definitions for assembly
+ *
+ * Central registry of the templates app code can be assembled into:
+ * - Built-in templates (vibes, riff, sell)
+ * - Project templates from .vibes/templates/<id>.json
+ * - Ad-hoc template definitions passed as a .json path
+ *
+ * A definition declares everything the assembler needs to know, so a team
+ * can add a house template without touching the scripts.
+ */
+
+import { readFileSync, existsSync, readdirSync } from 'fs';
+import { dirname, join, resolve, isAbsolute } from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = dirname(fileURLToPath(import.meta.url));
+const SKILLS_DIR = join(__dirname, '../../skills');
+
+/**
+ * Where project templates live, relative to the working directory
+ */
+const PROJECT_TEMPLATES_DIR = '.vibes/templates';
+
+/**
+ * Strip rules a template can apply to app code before insertion
+ * (see lib/strip-code.js)
+ */
+const STRIP_RULES = ['imports', 'exportDefault', 'exports', 'config', 'constants'];
+
+/**
+ * Option value types
+ */
+const OPTION_TYPES = ['string', 'json'];
+
+const SELL_DEFAULT_FEATURES = ['Unlimited usage', 'Private workspace', 'Custom subdomain'];
+
+/**
+ * Template registry - defines the built-in templates
+ *
+ * Each template has:
+ * - id: Unique identifier, used with --template
+ * - name: Human-readable name
+ * - description: What the template is for
+ * - template: Absolute path to the HTML template
+ * - appPlaceholder: Marker replaced with the app code
+ * - component: Component name the template renders (checked in the default export)
+ * - strip: Strip rules applied to app code before insertion
+ * - stripConstants: Constant names removed by the 'constants' rule
+ * - options: Values substituted into the template
+ *     { name, placeholder, description, default, defaultFrom, required, type: 'string' | 'json' }
+ *     defaultFrom names another option whose value is the default
+ * - inserts: Files inserted at their own placeholders, after the app code
+ *     { placeholder, file, strip }
+ * - batch: Inputs are app directories, each assembled to <dir>/index.html
+ * - projectConfig: Apply vibes.config.json branding (see lib/project-config.js)
+ * - check: Optional function (built-ins only) returning notes about the app code
+ */
+const TEMPLATE_REGISTRY = [
+  {
+    id: 'vibes',
+    name: 'Vibes app',
+    description: 'Single-page Fireproof app with the Vibes menu',
+    template: join(SKILLS_DIR, 'vibes/templates/index.html'),
+    appPlaceholder: '// __VIBES_APP_CODE__',
+    component: 'App',
+    strip: [],
+    options: [],
+    inserts: [],
+    projectConfig: true
+  },
+
+  {
+    id: 'riff',
+    name: 'Riff batch',
+    description: 'Vibes template for riff directories (riff-1/app.jsx -> riff-1/index.html)',
+    template: join(SKILLS_DIR, 'riff/templates/index.html'),
+    appPlaceholder: '// __VIBES_APP_CODE__',
+    component: 'App',
+    strip: [],
+    options: [],
+    inserts: [],
+    batch: true,
+    projectConfig: true
+  },
+
+  {
+    id: 'sell',
+    name: 'Sell (SaaS)',
+    description: 'Unified landing, tenant and admin app with Clerk auth and billing',
+    template: join(SKILLS_DIR, 'sell/templates/unified.html'),
+    appPlaceholder: '// __VIBES_APP_CODE__',
+    component: 'App',
+    strip: ['imports', 'exportDefault', 'config', 'constants'],
+    stripConstants: ['CLERK_PUBLISHABLE_KEY', 'APP_NAME', 'APP_DOMAIN', 'MONTHLY_PRICE', 'YEARLY_PRICE', 'FEATURES', 'APP_TAGLINE', 'ADMIN_USER_IDS'],
+    options: [
+      { name: 'clerkKey', placeholder: '__CLERK_PUBLISHABLE_KEY__', description: 'Clerk publishable key', default: 'pk_test_YOUR_KEY_HERE' },
+      { name: 'appName', placeholder: '__APP_NAME__', description: 'App name for database naming', default: 'my-app' },
+      { name: 'appTitle', placeholder: '__APP_TITLE__', description: 'Display title', defaultFrom: 'appName' },
+      { name: 'domain', placeholder: '__APP_DOMAIN__', description: 'Root domain', default: 'example.exe.xyz' },
+      { name: 'routing', placeholder: '__ROUTING__', description: 'Tenant URLs: subdomain (alice.domain) or path (domain/t/alice/)', default: 'subdomain' },
+      { name: 'monthlyPrice', placeholder: '__MONTHLY_PRICE__', description: 'Monthly price', default: '$9' },
+      { name: 'yearlyPrice', placeholder: '__YEARLY_PRICE__', description: 'Yearly price', default: '$89' },
+      { name: 'tiers', placeholder: '__TIERS__', description: 'JSON array of pricing tiers ({ slug, name, price, interval, features, entitlements, seats })', type: 'json', default: [] },
+      { name: 'features', placeholder: '__FEATURES__', description: 'JSON array of feature strings', type: 'json', default: SELL_DEFAULT_FEATURES },
+      { name: 'tagline', placeholder: '__APP_TAGLINE__', description: 'App tagline for the landing page', default: 'Your own private workspace. Get started in seconds.' },
+      { name: 'adminIds', placeholder: '__ADMIN_USER_IDS__', description: 'JSON array of Clerk user IDs with admin access', type: 'json', default: [] },
+      { name: 'reservedSubdomains', placeholder: '__RESERVED_SUBDOMAINS__', description: 'JSON array of subdomains tenants may not claim (on top of admin, api, www, ...)', type: 'json', default: [] },
+      { name: 'subdomainRegistry', placeholder: '__SUBDOMAIN_REGISTRY__', description: 'URL that answers GET ?subdomain=<name> with { available } for uniqueness checks', default: '' },
+      { name: 'landing', placeholder: '__LANDING__', description: 'Landing page spec ({ theme, sections, footer }; see scripts/lib/sell-landing.js)', type: 'json', default: {} },
+      { name: 'trialDays', placeholder: '__TRIAL_DAYS__', description: 'Free trial length in days from sign-up (0 = no trial)', type: 'json', default: 0 },
+      { name: 'trialTier', placeholder: '__TRIAL_TIER__', description: 'Tier slug during the trial (default: the highest tier)', default: '' },
+      { name: 'gracePeriodDays', placeholder: '__GRACE_PERIOD_DAYS__', description: 'Days of full access after a failed payment, before read-only mode', type: 'json', default: 7 },
+      { name: 'billing', placeholder: '__BILLING__', description: 'Billing links { portal, plans } (default: the landing page\'s pricing)', type: 'json', default: {} }
+    ],
+    inserts: [
+      { placeholder: '__SUBDOMAIN_VALIDATOR__', file: join(SKILLS_DIR, 'sell/components/subdomain.js'), strip: ['exports'] },
+      { placeholder: '__ADMIN_CODE__', file: join(SKILLS_DIR, 'sell/components/admin-exe.jsx'), strip: ['imports'] }
+    ],
+    check: (appCode) => {
+      const match = appCode.match(/useFireproof\s*\(\s*["']([^"']+)["']\s*\)/);
+      if (!match) return [];
+      return [
+        `Found hardcoded database name "${match[1]}".\n` +
+        '      The unified template uses dynamic database naming via useTenant().dbName\n' +
+        '      You may need to update your App component to use: const { dbName } = useTenant();'
+      ];
+    }
+  }
+];
+
+/**
+ * Resolve a path from a template definition file
+ * @param {string} path - Path as written in the definition
+ * @param {string} baseDir - Directory of the definition file
+ * @returns {string} - Absolute path
+ */
+function resolveDefinitionPath(path, baseDir) {
+  return isAbsolute(path) ? path : resolve(baseDir, path);
+}
+
+/**
+ * Check a template definition for missing or malformed fields
+ * @param {object} definition - Template definition
+ * @returns {string[]} - Problems found (empty if valid)
+ */
+function validateTemplateDefinition(definition) {
+  const errors = [];
+  if (!definition || typeof definition !== 'object') {
+    return ['Template definition must be an object'];
+  }
+
+  if (!definition.id || typeof definition.id !== 'string') {
+    errors.push('Missing "id"');
+  }
+  if (!definition.template || typeof definition.template !== 'string') {
+    errors.push('Missing "template" (path to the HTML template)');
+  } else if (!existsSync(definition.template)) {
+    errors.push(`Template not found: ${definition.template}`);
+  }
+  if (!definition.appPlaceholder || typeof definition.appPlaceholder !== 'string') {
+    errors.push('Missing "appPlaceholder"');
+  }
+
+  for (const rule of definition.strip || []) {
+    if (!STRIP_RULES.includes(rule)) {
+      errors.push(`Unknown strip rule "${rule}" (expected one of: ${STRIP_RULES.join(', ')})`);
+    }
+  }
+
+  for (const option of definition.options || []) {
+    if (!option.name || !option.placeholder) {
+      errors.push(`Option ${JSON.stringify(option)} needs "name" and "placeholder"`);
+    } else if (option.type && !OPTION_TYPES.includes(option.type)) {
+      errors.push(`Option "${option.name}" has unknown type "${option.type}"`);
+    }
+  }
+
+  for (const insert of definition.inserts || []) {
+    if (!insert.placeholder || !insert.file) {
+      errors.push(`Insert ${JSON.stringify(insert)} needs "placeholder" and "file"`);
+    } else if (!existsSync(insert.file)) {
+      errors.push(`Insert file not found: ${insert.file}`);
+    }
+    for (const rule of insert.strip || []) {
+      if (!STRIP_RULES.includes(rule)) {
+        errors.push(`Unknown strip rule "${rule}" in insert ${insert.placeholder}`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Load a template definition from a JSON file
+ * Relative paths in the file resolve against the file's directory.
+ * @param {string} filePath - Path to the definition
+ * @returns {object} - { success, template } or { success: false, error }
+ */
+function loadTemplateDefinition(filePath) {
+  const resolvedPath = resolve(filePath);
+  if (!existsSync(resolvedPath)) {
+    return { success: false, error: `Template definition not found: ${resolvedPath}` };
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(resolvedPath, 'utf8'));
+  } catch (e) {
+    return { success: false, error: `Could not parse ${resolvedPath}: ${e.message}` };
+  }
+
+  const baseDir = dirname(resolvedPath);
+  const template = {
+    strip: [],
+    options: [],
+    inserts: [],
+    component: 'App',
+    ...raw,
+    // Functions cannot come from JSON
+    check: undefined,
+    source: resolvedPath
+  };
+  if (typeof raw.template === 'string') {
+    template.template = resolveDefinitionPath(raw.template, baseDir);
+  }
+  if (Array.isArray(raw.inserts)) {
+    template.inserts = raw.inserts.map(insert => ({
+      ...insert,
+      file: typeof insert.file === 'string' ? resolveDefinitionPath(insert.file, baseDir) : insert.file
+    }));
+  }
+
+  const errors = validateTemplateDefinition(template);
+  if (errors.length > 0) {
+    return { success: false, error: `Invalid template definition ${resolvedPath}:\n  ${errors.join('\n  ')}` };
+  }
+
+  return { success: true, template };
+}
+
+/**
+ * Look up a template by id or definition path
+ * Resolution order: built-in id, path to a .json definition,
+ * then <cwd>/.vibes/templates/<id>.json
+ * @param {string|object} ref - Template id, definition path, or a definition object
+ * @param {object} [options]
+ * @param {string} [options.cwd=process.cwd()] - Project directory
+ * @returns {object} - { success, template } or { success: false, error }
+ */
+function getTemplate(ref, options = {}) {
+  const { cwd = process.cwd() } = options;
+
+  if (ref && typeof ref === 'object') {
+    const errors = validateTemplateDefinition(ref);
+    return errors.length > 0
+      ? { success: false, error: `Invalid template definition:\n  ${errors.join('\n  ')}` }
+      : { success: true, template: ref };
+  }
+
+  const builtIn = TEMPLATE_REGISTRY.find(t => t.id === ref);
+  if (builtIn) {
+    return { success: true, template: builtIn };
+  }
+
+  if (typeof ref === 'string' && ref.endsWith('.json')) {
+    return loadTemplateDefinition(resolve(cwd, ref));
+  }
+
+  const projectPath = join(cwd, PROJECT_TEMPLATES_DIR, `${ref}.json`);
+  if (existsSync(projectPath)) {
+    return loadTemplateDefinition(projectPath);
+  }
+
+  const known = listTemplates({ cwd }).map(t => t.id).join(', ');
+  return { success: false, error: `Unknown template "${ref}" (available: ${known})` };
+}
+
+/**
+ * List built-in and project templates
+ * Project templates that fail to load are skipped.
+ * @param {object} [options]
+ * @param {string} [options.cwd=process.cwd()] - Project directory
+ * @returns {Array} - Template definitions
+ */
+function listTemplates(options = {}) {
+  const { cwd = process.cwd() } = options;
+  const templates = [...TEMPLATE_REGISTRY];
+  const projectDir = join(cwd, PROJECT_TEMPLATES_DIR);
+
+  if (existsSync(projectDir)) {
+    for (const file of readdirSync(projectDir).filter(f => f.endsWith('.json')).sort()) {
+      const result = loadTemplateDefinition(join(projectDir, file));
+      if (result.success && !templates.some(t => t.id === result.template.id)) {
+        templates.push(result.template);
+      }
+    }
+  }
+
+  return templates;
+}
+
+export {
+  TEMPLATE_REGISTRY,
+  PROJECT_TEMPLATES_DIR,
+  STRIP_RULES,
+  validateTemplateDefinition,
+  loadTemplateDefinition,
+  getTemplate,
+  listTemplates
+};
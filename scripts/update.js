@@ -9,16 +9,21 @@
  *   node update.js path/to/app.html --apply=1,2  # Apply specific updates
  *   node update.js ./apps/                   # Batch analyze directory
  *   node update.js --rollback path/to/app.html  # Restore from backup
+ *   node update.js --list-backups path/to/app.html  # List backups
+ *   node update.js --restore <id> path/to/app.html  # Restore a specific backup
  *   node update.js path/to/app.html --verbose   # Show diffs
  */
 
-import { readFileSync, writeFileSync, existsSync, readdirSync, statSync, renameSync, copyFileSync } from 'fs';
-import { resolve, join, basename, dirname, extname } from 'path';
+import { readFileSync, writeFileSync, existsSync, readdirSync, statSync, renameSync } from 'fs';
+import { resolve, join, basename, extname } from 'path';
 import { fileURLToPath } from 'url';
 import { analyze, analyzeMultiple } from './lib/analyze.js';
 import { compare } from './lib/compare.js';
 import { generatePlan, formatPlanOutput, formatBatchSummary, filterUpdates, colors } from './lib/plan.js';
 import { getApplicableUpdates, executeUpdate, getUpdateById } from './updates/registry.js';
+import { isPrecompiled } from './lib/precompile.js';
+import { findDefaultExportName } from './lib/validate-jsx.js';
+import { createBackup as createFileBackup, restoreBackup, runBackupCommand } from './lib/backups.js';
 
 /**
  * Parse command line arguments
@@ -29,6 +34,8 @@ function parseArgs(args) {
     apply: false,
     applySelection: null,
     rollback: false,
+    listBackups: false,
+    restore: null,
     verbose: false,
     force: false,
     json: false,
@@ -48,6 +55,11 @@ function parseArgs(args) {
       result.applySelection = arg.slice(8);
     } else if (arg === '--rollback') {
       result.rollback = true;
+    } else if (arg === '--list-backups') {
+      result.listBackups = true;
+    } else if (arg === '--restore') {
+      result.restore = args[i + 1] || 'latest';
+      i++;
     } else if (arg === '--verbose' || arg === '-v') {
       result.verbose = true;
     } else if (arg === '--force' || arg === '-f') {
@@ -78,7 +90,9 @@ ${colors.bold}Arguments:${colors.reset}
 ${colors.bold}Options:${colors.reset}
   --apply          Apply all recommended updates
   --apply=1,2      Apply specific updates by number
-  --rollback       Restore from .bak backup file
+  --rollback       Restore from the most recent backup
+  --list-backups   List backups of a file
+  --restore <id>   Restore a specific backup
   --verbose, -v    Show detailed diffs
   --force, -f      Skip confirmation prompts
   --json           Output as JSON
@@ -89,10 +103,12 @@ ${colors.bold}Examples:${colors.reset}
   node update.js app.html --apply   # Apply all updates
   node update.js ./apps/            # Batch analyze directory
   node update.js --rollback app.html  # Restore from backup
+  node update.js --list-backups app.html
+  node update.js --restore app.20251231-120000 app.html
 
 ${colors.bold}Notes:${colors.reset}
   - By default, runs in dry-run mode (no changes made)
-  - Creates .bak backup before applying updates
+  - Backs up to .vibes/backups/ before applying updates
   - Use --rollback to restore from backup
 `);
 }
@@ -123,73 +139,24 @@ function findHtmlFiles(dirPath) {
 }
 
 /**
- * Generate timestamp string for backup filenames
- * Format: YYYYMMDD-HHMMSS
- */
-function getBackupTimestamp() {
-  const now = new Date();
-  const pad = (n) => n.toString().padStart(2, '0');
-  return `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}-${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`;
-}
-
-/**
- * Create backup of file with timestamp
- * Creates: app.20251231-120000.bak.html
+ * Create backup of file in .vibes/backups/ (see lib/backups.js)
+ * @returns {string} - Backup path
  */
 function createBackup(filePath) {
-  const timestamp = getBackupTimestamp();
-  const backupPath = filePath.replace(/\.html$/, `.${timestamp}.bak.html`);
-  copyFileSync(filePath, backupPath);
-  return backupPath;
-}
-
-/**
- * Find the most recent backup for a file
- */
-function findLatestBackup(filePath) {
-  const dir = dirname(filePath);
-  const baseName = basename(filePath, '.html');
-  const pattern = new RegExp(`^${baseName}\\.\\d{8}-\\d{6}\\.bak\\.html$`);
-
-  try {
-    const entries = readdirSync(dir);
-    const backups = entries
-      .filter(e => pattern.test(e))
-      .sort()
-      .reverse(); // Most recent first
-
-    if (backups.length === 0) {
-      // Fall back to legacy .bak.html format
-      const legacyBackup = `${baseName}.bak.html`;
-      if (entries.includes(legacyBackup)) {
-        return join(dir, legacyBackup);
-      }
-      return null;
-    }
-
-    return join(dir, backups[0]);
-  } catch (e) {
-    return null;
-  }
+  return createFileBackup(filePath).path;
 }
 
 /**
  * Restore file from backup (uses most recent backup)
  */
 function restoreFromBackup(filePath) {
-  const backupPath = findLatestBackup(filePath);
-
-  if (!backupPath) {
-    return {
-      success: false,
-      error: `No backup file found for: ${filePath}`
-    };
+  const result = restoreBackup(filePath, 'latest');
+  if (!result.success) {
+    return result;
   }
-
-  copyFileSync(backupPath, filePath);
   return {
     success: true,
-    backupPath
+    backupPath: result.backupPath
   };
 }
 
@@ -206,13 +173,13 @@ function validateOutput(html) {
     errors.push('Missing import map (<script type="importmap">)');
   }
 
-  // Check for Babel script
-  if (!/<script\s+type=["']text\/babel["']/i.test(html)) {
+  // Precompiled apps have no Babel block
+  if (!isPrecompiled(html) && !/<script\s+type=["']text\/babel["']/i.test(html)) {
     errors.push('Missing Babel script (<script type="text/babel">)');
   }
 
-  // Check for App component
-  if (!/export\s+default\s+function\s+App/i.test(html)) {
+  // Bundled and precompiled apps carry esbuild's `export { App as default }`
+  if (!/export\s+default\s+function\s+App\b/.test(html) && findDefaultExportName(html) !== 'App') {
     errors.push('Missing App component (export default function App)');
   }
 
@@ -497,6 +464,15 @@ function main() {
     process.exit(args.help ? 0 : 1);
   }
 
+  // Handle backup listing / restore
+  if (args.listBackups || args.restore) {
+    let exitCode = 0;
+    for (const target of args.targets) {
+      exitCode = runBackupCommand(resolve(target), { list: args.listBackups, restore: args.restore }) || exitCode;
+    }
+    process.exit(exitCode);
+  }
+
   // Handle rollback
   if (args.rollback) {
     for (const target of args.targets) {
@@ -543,5 +519,6 @@ export {
   processBatch,
   createBackup,
   restoreFromBackup,
+  validateOutput,
   parseArgs
 };
@@ -0,0 +1,198 @@
+#!/usr/bin/env node
+/**
+ * vibes.js - Unified entry point for assembling apps into any template
+ *
+ * Templates come from the registry (templates/registry.js): the built-in
+ * vibes, riff and sell templates, project templates in
+ * .vibes/templates/<id>.json, or a definition file passed by path.
+ *
+ * Run `node scripts/vibes.js help` for commands and options.
+ */
+
+import { existsSync, statSync } from 'fs';
+import { resolve, dirname } from 'path';
+import { getTemplate, listTemplates } from './templates/registry.js';
+import { optionFlag } from './lib/assemble-app.js';
+import { runAssemble } from './lib/assemble-command.js';
+import { resolveSellSettings } from './lib/sell-config.js';
+
+// Flags that take no value
+const BOOLEAN_FLAGS = ['precompile', 'addImports', 'watch', 'force', 'json', 'listBackups', 'help'];
+
+// Flags handled by the CLI rather than the template
+const CLI_FLAGS = ['template', 'port', 'restore', 'config', ...BOOLEAN_FLAGS];
+
+const USAGE = `
+Usage:
+  node scripts/vibes.js assemble <app.jsx|app-dir> [output.html] [options]
+  node scripts/vibes.js assemble --template riff riff-1 riff-2 ...
+  node scripts/vibes.js templates
+
+Options:
+  --template <id|file.json>  Template to assemble into (default: vibes)
+  --config <file>            Sell template: sell.config.json/.yaml (default: next to the app, then the working directory)
+  --precompile               Transpile JSX at assembly time and drop Babel from the page
+  --add-imports              Add import map entries for packages the template doesn't map
+  --watch                    Re-assemble on every change and serve with live reload
+  --port <n>                 Dev server port for --watch (default: 3333)
+  --force                    Batch: re-assemble unchanged directories too
+  --json                     Batch: print a JSON summary
+  --list-backups             List backups of the output file
+  --restore <id>             Restore the output file from a backup ('latest' for the newest)
+  --<option> <value>         Template options (run \`templates\` to list them)
+
+Examples:
+  node scripts/vibes.js assemble app.jsx index.html
+  node scripts/vibes.js assemble app.jsx index.html --template sell --app-name wedding-photos
+  node scripts/vibes.js assemble --template ./house/template.json app.jsx
+`;
+
+/**
+ * Parse command line arguments
+ * @param {string[]} args - Arguments after the command name
+ * @returns {object} - { positional, flags } with flag names in camelCase
+ */
+function parseArgs(args) {
+  const positional = [];
+  const flags = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '-h') {
+      flags.help = true;
+    } else if (arg.startsWith('--')) {
+      const key = arg.slice(2).replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+      if (BOOLEAN_FLAGS.includes(key)) {
+        flags[key] = true;
+      } else {
+        flags[key] = args[i + 1];
+        i++;
+      }
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  return { positional, flags };
+}
+
+function printUsage() {
+  console.log(USAGE);
+}
+
+/**
+ * List available templates with their options
+ */
+function templatesCommand() {
+  for (const template of listTemplates()) {
+    const source = template.source ? ` (${template.source})` : '';
+    console.log(`${template.id} - ${template.name || template.id}${source}`);
+    if (template.description) {
+      console.log(`  ${template.description}`);
+    }
+    if (template.batch) {
+      console.log('  Batch: each input directory is assembled to <dir>/index.html');
+    }
+    for (const option of template.options || []) {
+      const detail = option.required
+        ? 'required'
+        : option.default !== undefined ? `default: ${JSON.stringify(option.default)}` : option.defaultFrom ? `default: ${optionFlag(option.defaultFrom)}` : '';
+      console.log(`  ${optionFlag(option.name).padEnd(18)} ${option.description || ''}${detail ? ` (${detail})` : ''}`);
+    }
+    console.log('');
+  }
+  return 0;
+}
+
+/**
+ * Assemble apps into a template
+ * @param {string[]} args - Arguments after `assemble`
+ * @returns {Promise<number|null>} - Exit code, or null while watching
+ */
+async function assembleCommand(args) {
+  const { positional, flags } = parseArgs(args);
+
+  if (flags.help || (positional.length === 0 && !flags.listBackups && !flags.restore)) {
+    printUsage();
+    return flags.help ? 0 : 1;
+  }
+
+  const lookup = getTemplate(flags.template || 'vibes');
+  if (!lookup.success) {
+    console.error(lookup.error);
+    return 1;
+  }
+  const template = lookup.template;
+
+  // Everything that isn't a CLI flag must be one of the template's options
+  const values = {};
+  const optionNames = (template.options || []).map(o => o.name);
+  for (const [key, value] of Object.entries(flags)) {
+    if (CLI_FLAGS.includes(key)) continue;
+    if (!optionNames.includes(key)) {
+      console.error(`Unknown option ${optionFlag(key)} for template "${template.id}"`);
+      console.error(`Options: ${optionNames.map(optionFlag).join(', ') || '(none)'}`);
+      return 1;
+    }
+    values[key] = value;
+  }
+
+  // Sell settings come from sell.config too, and are validated like assemble-sell.js does
+  let settings = { values };
+  if (template.id === 'sell' && positional.length > 0 && !flags.listBackups && !flags.restore) {
+    const appPath = resolve(positional[0]);
+    const appDir = existsSync(appPath) && statSync(appPath).isDirectory() ? appPath : dirname(appPath);
+    settings = resolveSellSettings({ flags: values, configPath: flags.config, searchDirs: [appDir, process.cwd()] });
+    if (!settings.success) {
+      console.error(settings.error);
+      return 1;
+    }
+    if (settings.path) {
+      console.log(`Using settings from: ${settings.path}`);
+    }
+  } else if (flags.config) {
+    console.error('--config is only supported by the sell template');
+    return 1;
+  }
+
+  return runAssemble({
+    inputs: template.batch ? positional : positional.slice(0, 2),
+    template,
+    values: settings.values,
+    precompile: Boolean(flags.precompile),
+    addImports: Boolean(flags.addImports),
+    watch: Boolean(flags.watch),
+    force: Boolean(flags.force),
+    json: Boolean(flags.json),
+    listBackups: Boolean(flags.listBackups),
+    restore: flags.restore,
+    port: flags.port ? parseInt(flags.port, 10) || 3333 : 3333
+  });
+}
+
+const [command, ...rest] = process.argv.slice(2);
+
+let exitCode;
+switch (command) {
+  case 'assemble':
+    exitCode = await assembleCommand(rest);
+    break;
+  case 'templates':
+    exitCode = templatesCommand();
+    break;
+  case undefined:
+  case 'help':
+  case '--help':
+  case '-h':
+    printUsage();
+    exitCode = command === undefined ? 1 : 0;
+    break;
+  default:
+    console.error(`Unknown command: ${command}`);
+    printUsage();
+    exitCode = 1;
+}
+
+if (exitCode !== null) {
+  process.exit(exitCode);
+}
@@ -1,7 +1,8 @@
-// Admin Dashboard Components (exe.dev - Client-Side Only)
+// Admin Dashboard Components (exe.dev)
 // Injected into unified-exe.html by assemble-sell-exe.js
 // Uses CONFIG object and CSS variables for theming
-// NOTE: No backend API calls - uses Clerk metadata as source of truth
+// Analytics come from the optional admin API (deploy-exe.js --admin-api) at
+// /api/admin/; without it the dashboard falls back to Clerk metadata and links
 
 // === Subscription Badge Component ===
 function SubscriptionBadge({ status }) {
@@ -20,14 +21,326 @@ function SubscriptionBadge({ status }) {
   );
 }
 
-// === Admin Dashboard (Client-Side Only) ===
+// === Admin API ===
+// Loads one admin API view with the signed-in admin's session token.
+// status: 'loading' | 'ready' | 'unavailable' (API not deployed) | 'error'
+function _useAdminApi(view) {
+  const { getToken } = useAuth();
+  const [state, setState] = useState({ status: 'loading', data: null, error: null });
+
+  useEffect(() => {
+    let cancelled = false;
+    (async () => {
+      try {
+        const token = await getToken();
+        const response = await fetch(`/api/admin/${view}`, { headers: { Authorization: `Bearer ${token}` } });
+        // Without the API, nginx answers 404 (or the page itself)
+        const isJson = (response.headers.get('content-type') || '').includes('application/json');
+        if (response.status === 404 || !isJson) {
+          if (!cancelled) setState({ status: 'unavailable', data: null, error: null });
+          return;
+        }
+        const body = await response.json();
+        if (cancelled) return;
+        setState(response.ok
+          ? { status: 'ready', data: body, error: null }
+          : { status: 'error', data: null, error: body.error || `HTTP ${response.status}` });
+      } catch (err) {
+        if (!cancelled) setState({ status: 'unavailable', data: null, error: err.message });
+      }
+    })();
+    return () => { cancelled = true; };
+  }, [view]);
+
+  return state;
+}
+
+function _adminMoney(cents) {
+  return `$${((cents || 0) / 100).toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
+}
+
+function _adminDate(ms) {
+  return ms ? new Date(ms).toLocaleDateString() : '—';
+}
+
+// Loading / not deployed / error states shared by the analytics tabs
+function AdminApiStatus({ state }) {
+  if (state.status === 'loading') {
+    return <p className="text-[var(--admin-text-muted)]">Loading analytics...</p>;
+  }
+  if (state.status === 'error') {
+    return (
+      <div className="p-4 bg-red-100 border-4 border-red-500 text-red-700">
+        <p className="font-bold mb-1">Couldn't load analytics</p>
+        <p className="text-sm">{state.error}</p>
+      </div>
+    );
+  }
+  return (
+    <div className="p-4 bg-blue-100 border-4 border-blue-500 text-blue-700">
+      <p className="font-bold mb-1">Admin API not deployed</p>
+      <p className="text-sm">
+        Tenant and revenue analytics need the admin API. Redeploy with
+        <code className="mx-1">deploy-exe.js --admin-api --webhook-secret whsec_...</code>
+        and point a Clerk webhook at /api/admin/webhooks/clerk. Until then, use Clerk's dashboard.
+      </p>
+    </div>
+  );
+}
+
+function AdminStat({ label, value, note, shadow = 'var(--admin-shadow)' }) {
+  return (
+    <div className="p-6 bg-[var(--admin-card-bg)] border-4 border-[var(--admin-border)]" style={{ boxShadow: `6px 6px 0px ${shadow}` }}>
+      <h3 className="text-sm font-bold text-[var(--admin-text-muted)] mb-2">{label}</h3>
+      <p className="text-2xl font-bold text-[var(--admin-text)] break-all">{value}</p>
+      {note && <p className="text-sm text-[var(--admin-text-muted)] mt-1">{note}</p>}
+    </div>
+  );
+}
+
+// Bar chart from [{ label, value }]
+function AdminBars({ items, format = (v) => v }) {
+  const max = Math.max(1, ...items.map(i => i.value));
+  return (
+    <div className="flex items-end gap-1 h-32">
+      {items.map((item) => (
+        <div key={item.label} className="flex-1 h-full flex items-end" title={`${item.label}: ${format(item.value)}`}>
+          <div className="w-full bg-[var(--admin-border)]" style={{ height: `${(item.value / max) * 100}%`, minHeight: item.value ? 2 : 0 }} />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// === Overview Analytics ===
+function AdminOverviewStats() {
+  const state = _useAdminApi('overview');
+  if (state.status !== 'ready') {
+    return <div className="mb-8"><AdminApiStatus state={state} /></div>;
+  }
+
+  const stats = state.data;
+  return (
+    <>
+      <div className="grid md:grid-cols-3 gap-6 mb-6">
+        <AdminStat label="TENANTS" value={stats.tenantCount} note={`${stats.userCount} users`} />
+        <AdminStat label="MRR" value={_adminMoney(stats.mrrCents)} note={`${stats.subscriberCount} paying subscribers`} shadow="var(--admin-accent)" />
+        <AdminStat
+          label="CHURN (30 DAYS)"
+          value={`${(stats.churnRate * 100).toFixed(1)}%`}
+          note={`${stats.canceledLast30Days} canceled`}
+          shadow="#3b82f6"
+        />
+      </div>
+      <div className="mb-8 bg-[var(--admin-card-bg)] border-4 border-[var(--admin-border)] shadow-[6px_6px_0px_var(--admin-shadow)] p-6">
+        <div className="flex justify-between items-baseline mb-4">
+          <h3 className="font-bold text-[var(--admin-text)]">Signups</h3>
+          <p className="text-sm text-[var(--admin-text-muted)]">
+            {stats.signups.last7Days} in 7 days · {stats.signups.last30Days} in 30 days
+          </p>
+        </div>
+        <AdminBars items={stats.signups.daily.map(d => ({ label: d.date, value: d.count }))} />
+      </div>
+    </>
+  );
+}
+
+// === Tenants Tab ===
+function AdminTenants() {
+  const state = _useAdminApi('tenants');
+  const [filter, setFilter] = useState('');
+  if (state.status !== 'ready') {
+    return <AdminApiStatus state={state} />;
+  }
+
+  const tenants = state.data.tenants.filter(t =>
+    !filter || t.subdomain.includes(filter) || (t.email || '').includes(filter)
+  );
+
+  return (
+    <div className="bg-[var(--admin-card-bg)] border-4 border-[var(--admin-border)] shadow-[6px_6px_0px_var(--admin-shadow)] p-6">
+      <div className="flex justify-between items-center gap-4 mb-4">
+        <h3 className="font-bold text-[var(--admin-text)]">Tenants ({state.data.tenants.length})</h3>
+        <input
+          type="search"
+          value={filter}
+          onChange={(e) => setFilter(e.target.value.toLowerCase())}
+          placeholder="Filter by subdomain or email"
+          className="px-3 py-2 border-4 border-[var(--admin-border)] bg-[var(--admin-card-bg)] text-[var(--admin-text)]"
+        />
+      </div>
+      {tenants.length === 0 ? (
+        <p className="text-sm text-[var(--admin-text-muted)]">No tenants yet.</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm text-left text-[var(--admin-text)]">
+            <thead>
+              <tr className="border-b-4 border-[var(--admin-border)]">
+                <th className="py-2 pr-4">Tenant</th>
+                <th className="py-2 pr-4">Owner</th>
+                <th className="py-2 pr-4">Plan</th>
+                <th className="py-2 pr-4">Status</th>
+                <th className="py-2 pr-4">MRR</th>
+                <th className="py-2">Since</th>
+              </tr>
+            </thead>
+            <tbody>
+              {tenants.map((t) => (
+                <tr key={t.subdomain} className="border-b border-[var(--admin-border)]">
+                  <td className="py-2 pr-4 font-mono">
+                    <a href={_sellTenantUrl(t.subdomain)} target="_blank" rel="noopener noreferrer" className="underline">{t.subdomain}</a>
+                  </td>
+                  <td className="py-2 pr-4">{t.email || <span className="font-mono text-xs">{t.userId}</span>}</td>
+                  <td className="py-2 pr-4">{t.plan || '—'}</td>
+                  <td className="py-2 pr-4"><SubscriptionBadge status={t.status} /></td>
+                  <td className="py-2 pr-4">{_adminMoney(t.mrrCents)}</td>
+                  <td className="py-2">{_adminDate(t.createdAt)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// === Revenue Tab ===
+function AdminRevenue() {
+  const state = _useAdminApi('revenue');
+  if (state.status !== 'ready') {
+    return <AdminApiStatus state={state} />;
+  }
+
+  const revenue = state.data;
+  return (
+    <>
+      <div className="grid md:grid-cols-4 gap-6 mb-6">
+        <AdminStat label="MRR" value={_adminMoney(revenue.mrrCents)} shadow="var(--admin-accent)" />
+        <AdminStat label="ARR" value={_adminMoney(revenue.arrCents)} />
+        <AdminStat label="COLLECTED (30 DAYS)" value={_adminMoney(revenue.revenueLast30DaysCents)} shadow="#3b82f6" />
+        <AdminStat label="FAILED PAYMENTS (30 DAYS)" value={revenue.failedPaymentsLast30Days} shadow={revenue.failedPaymentsLast30Days ? '#ef4444' : 'var(--admin-shadow)'} />
+      </div>
+      <div className="grid md:grid-cols-3 gap-6">
+        <div className="md:col-span-2 bg-[var(--admin-card-bg)] border-4 border-[var(--admin-border)] shadow-[6px_6px_0px_var(--admin-shadow)] p-6">
+          <h3 className="font-bold mb-4 text-[var(--admin-text)]">Collected per Month</h3>
+          <AdminBars items={revenue.monthly.map(m => ({ label: m.month, value: m.paidCents }))} format={_adminMoney} />
+          <div className="flex justify-between text-xs text-[var(--admin-text-muted)] mt-2">
+            <span>{revenue.monthly[0]?.month}</span>
+            <span>{revenue.monthly[revenue.monthly.length - 1]?.month}</span>
+          </div>
+        </div>
+        <div className="bg-[var(--admin-card-bg)] border-4 border-[var(--admin-border)] shadow-[6px_6px_0px_var(--admin-shadow)] p-6">
+          <h3 className="font-bold mb-4 text-[var(--admin-text)]">MRR by Plan</h3>
+          {revenue.byPlan.length === 0 ? (
+            <p className="text-sm text-[var(--admin-text-muted)]">No paying subscribers yet.</p>
+          ) : (
+            <ul className="space-y-2 text-sm text-[var(--admin-text)]">
+              {revenue.byPlan.map((p) => (
+                <li key={p.plan} className="flex justify-between">
+                  <span><span className="font-bold">{p.plan}</span> ({p.subscribers})</span>
+                  <span>{_adminMoney(p.mrrCents)}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </>
+  );
+}
+
+// === Team Members Tab ===
+// Clerk's frontend API only lists organizations the signed-in user belongs to,
+// so this shows the admin's own tenant teams; all teams are in the Clerk dashboard.
+function AdminMembers() {
+  const { userMemberships } = useOrganizationList({ userMemberships: { infinite: true } });
+  const [selected, setSelected] = useState(null);
+
+  const teams = userMemberships?.data || [];
+  const current = teams.find(m => m.organization.id === selected) || teams[0] || null;
+
+  return (
+    <div className="grid md:grid-cols-3 gap-6">
+      <div className="md:col-span-2 bg-[var(--admin-card-bg)] border-4 border-[var(--admin-border)] shadow-[6px_6px_0px_var(--admin-shadow)] p-6">
+        <h3 className="font-bold mb-4 text-[var(--admin-text)]">Tenant Teams</h3>
+        {teams.length === 0 ? (
+          <p className="text-sm text-[var(--admin-text-muted)]">
+            You aren't on any tenant team. Tenant owners create their team from the Team button in their app.
+          </p>
+        ) : (
+          <>
+            <select
+              value={current.organization.id}
+              onChange={(e) => setSelected(e.target.value)}
+              className="mb-4 w-full px-3 py-2 border-4 border-[var(--admin-border)] bg-[var(--admin-card-bg)] text-[var(--admin-text)] font-bold"
+            >
+              {teams.map(m => (
+                <option key={m.organization.id} value={m.organization.id}>
+                  {m.organization.slug} ({m.organization.membersCount} members)
+                </option>
+              ))}
+            </select>
+            <_SellTeamMembers
+              key={current.organization.id}
+              organization={current.organization}
+              canManage={_sellRoleFromKey(current.role) === 'owner'}
+            />
+          </>
+        )}
+      </div>
+
+      <div className="space-y-6">
+        <div className="bg-[var(--admin-card-bg)] border-4 border-[var(--admin-border)] shadow-[6px_6px_0px_var(--admin-shadow)] p-6">
+          <h3 className="font-bold mb-4 text-[var(--admin-text)]">Roles</h3>
+          <ul className="space-y-2 text-sm text-[var(--admin-text-muted)]">
+            <li><span className="font-bold text-[var(--admin-text)]">owner</span> ({_SELL_ROLES.owner}): manages the team and billing</li>
+            <li><span className="font-bold text-[var(--admin-text)]">editor</span> ({_SELL_ROLES.editor}): can edit tenant data</li>
+            <li><span className="font-bold text-[var(--admin-text)]">viewer</span> ({_SELL_ROLES.viewer}): read-only; create this custom role in Clerk</li>
+          </ul>
+          {CONFIG.tiers.some(t => t.seats) && (
+            <p className="mt-4 text-sm text-[var(--admin-text-muted)]">
+              Seats: {CONFIG.tiers.map(t => `${t.name || t.slug} ${t.seats || 'unlimited'}`).join(', ')}
+            </p>
+          )}
+        </div>
+        <div className="bg-[var(--admin-card-bg)] border-4 border-[var(--admin-border)] shadow-[6px_6px_0px_var(--admin-shadow)] p-6">
+          <h3 className="font-bold mb-4 text-[var(--admin-text)]">All Teams</h3>
+          <p className="text-sm text-[var(--admin-text-muted)] mb-4">
+            Every tenant team is a Clerk organization named after its subdomain.
+          </p>
+          <a
+            href="https://dashboard.clerk.com/last-active?path=organizations"
+            target="_blank"
+            rel="noopener noreferrer"
+            className="inline-block px-4 py-2 bg-[var(--admin-border)] text-[var(--admin-card-bg)] font-bold border-4 border-[var(--admin-border)] hover:opacity-90 transition-opacity"
+          >
+            Open Organizations →
+          </a>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// === Admin Dashboard ===
 function AdminDashboard() {
   const [activeTab, setActiveTab] = useState('overview');
   const { user } = useUser();
+  const server = _useSellServerEntitlements(null);
 
   // SECURITY: Do NOT add fallbacks like "|| CONFIG.adminUserIds.length === 0"
-  // Empty admin list means NO admin access, not everyone is admin
-  const isAdmin = CONFIG.adminUserIds.includes(user?.id);
+  // Empty admin list means NO admin access, not everyone is admin.
+  // The admin API's answer wins when it's deployed (its analytics check the same list)
+  const isAdmin = server.status === 'ready' ? server.data.isAdmin : CONFIG.adminUserIds.includes(user?.id);
+
+  if (server.status === 'loading') {
+    return (
+      <div className="min-h-screen flex items-center justify-center bg-[var(--admin-bg)]">
+        <div className="animate-pulse text-lg font-medium text-[var(--admin-text-muted)]">Loading...</div>
+      </div>
+    );
+  }
 
   if (!isAdmin) {
     return (
@@ -49,18 +362,9 @@ function AdminDashboard() {
           <UserButton />
         </header>
 
-        {/* Client-Side Only Notice */}
-        <div className="mb-6 p-4 bg-blue-100 border-4 border-blue-500 text-blue-700">
-          <p className="font-bold mb-1">Client-Side Admin Dashboard</p>
-          <p className="text-sm">
-            This admin dashboard runs without a backend server. Tenant data is stored in Clerk user metadata.
-            For full analytics, use Clerk's dashboard.
-          </p>
-        </div>
-
         {/* Tab Navigation */}
         <div className="flex gap-2 mb-6">
-          {['overview', 'config'].map((tab) => (
+          {['overview', 'tenants', 'revenue', 'members', 'config'].map((tab) => (
             <button
               key={tab}
               onClick={() => setActiveTab(tab)}
@@ -78,11 +382,13 @@ function AdminDashboard() {
         {/* Overview Tab */}
         {activeTab === 'overview' && (
           <>
+            <AdminOverviewStats />
+
             <div className="grid md:grid-cols-3 gap-6 mb-8">
               <div className="p-6 bg-[var(--admin-card-bg)] border-4 border-[var(--admin-border)] shadow-[6px_6px_0px_var(--admin-shadow)]">
                 <h3 className="text-sm font-bold text-[var(--admin-text-muted)] mb-2">DEPLOYMENT</h3>
                 <p className="text-2xl font-bold text-[var(--admin-text)]">exe.dev</p>
-                <p className="text-sm text-[var(--admin-text-muted)] mt-1">Client-side only</p>
+                <p className="text-sm text-[var(--admin-text-muted)] mt-1">Static app, optional admin API</p>
               </div>
               <div className="p-6 bg-[var(--admin-card-bg)] border-4 border-[var(--admin-border)] shadow-[6px_6px_0px_#3b82f6]">
                 <h3 className="text-sm font-bold text-[var(--admin-text-muted)] mb-2">DOMAIN</h3>
@@ -144,6 +450,15 @@ function AdminDashboard() {
           </>
         )}
 
+        {/* Tenants Tab */}
+        {activeTab === 'tenants' && <AdminTenants />}
+
+        {/* Revenue Tab */}
+        {activeTab === 'revenue' && <AdminRevenue />}
+
+        {/* Members Tab */}
+        {activeTab === 'members' && <AdminMembers />}
+
         {/* Config Tab */}
         {activeTab === 'config' && (
           <>
@@ -162,6 +477,7 @@ function AdminDashboard() {
                 <div className="p-4 bg-[var(--admin-bg)] border-2 border-[var(--admin-border)]">
                   <p className="text-sm font-bold text-[var(--admin-text-muted)]">Domain</p>
                   <p className="font-mono text-[var(--admin-text)]">{CONFIG.domain}</p>
+                  <p className="text-sm text-[var(--admin-text-muted)] mt-1">Tenants at {_sellTenantAddress('<tenant>')} ({CONFIG.routing} routing)</p>
                 </div>
                 <div className="p-4 bg-[var(--admin-bg)] border-2 border-[var(--admin-border)]">
                   <p className="text-sm font-bold text-[var(--admin-text-muted)]">Tagline</p>
@@ -173,18 +489,32 @@ function AdminDashboard() {
             {/* Pricing Configuration */}
             <div className="bg-[var(--admin-card-bg)] border-4 border-[var(--admin-border)] shadow-[6px_6px_0px_var(--admin-shadow)] p-6 mb-6">
               <h3 className="font-bold mb-4 text-[var(--admin-text)]">Pricing Configuration</h3>
-              <div className="grid md:grid-cols-2 gap-4">
-                <div className="p-4 bg-[var(--admin-bg)] border-2 border-[var(--admin-border)]">
-                  <p className="font-bold text-[var(--admin-text)]">Monthly Plan</p>
-                  <p className="text-2xl font-bold text-[var(--admin-text)]">{CONFIG.pricing.monthly}<span className="text-sm font-normal text-[var(--admin-text-muted)]">/month</span></p>
+              {CONFIG.tiers.length > 0 ? (
+                <div className="grid md:grid-cols-3 gap-4">
+                  {CONFIG.tiers.map((tier) => (
+                    <div key={tier.slug} className="p-4 bg-[var(--admin-bg)] border-2 border-[var(--admin-border)]">
+                      <p className="font-bold text-[var(--admin-text)]">{tier.name || tier.slug} <span className="font-mono text-sm font-normal text-[var(--admin-text-muted)]">{tier.slug}</span></p>
+                      <p className="text-2xl font-bold text-[var(--admin-text)]">{tier.price}{tier.interval && <span className="text-sm font-normal text-[var(--admin-text-muted)]">/{tier.interval}</span>}</p>
+                      <p className="text-sm text-[var(--admin-text-muted)] mt-2">
+                        Entitlements: {(tier.entitlements || []).length > 0 ? tier.entitlements.join(', ') : 'none'}
+                      </p>
+                    </div>
+                  ))}
                 </div>
-                <div className="p-4 bg-[var(--admin-bg)] border-2 border-[var(--admin-border)]">
-                  <p className="font-bold text-[var(--admin-text)]">Yearly Plan</p>
-                  <p className="text-2xl font-bold text-[var(--admin-text)]">{CONFIG.pricing.yearly}<span className="text-sm font-normal text-[var(--admin-text-muted)]">/year</span></p>
+              ) : (
+                <div className="grid md:grid-cols-2 gap-4">
+                  <div className="p-4 bg-[var(--admin-bg)] border-2 border-[var(--admin-border)]">
+                    <p className="font-bold text-[var(--admin-text)]">Monthly Plan</p>
+                    <p className="text-2xl font-bold text-[var(--admin-text)]">{CONFIG.pricing.monthly}<span className="text-sm font-normal text-[var(--admin-text-muted)]">/month</span></p>
+                  </div>
+                  <div className="p-4 bg-[var(--admin-bg)] border-2 border-[var(--admin-border)]">
+                    <p className="font-bold text-[var(--admin-text)]">Yearly Plan</p>
+                    <p className="text-2xl font-bold text-[var(--admin-text)]">{CONFIG.pricing.yearly}<span className="text-sm font-normal text-[var(--admin-text-muted)]">/year</span></p>
+                  </div>
                 </div>
-              </div>
+              )}
               <p className="text-sm text-[var(--admin-text-muted)] mt-4">
-                To change pricing, update the CONFIG values in the template and redeploy, or configure plans in Clerk Billing.
+                To change pricing, update the tiers in sell.config.yaml and re-assemble, or configure plans in Clerk Billing. Tier slugs must match the Clerk Billing plan slugs.
               </p>
             </div>
 
@@ -229,7 +559,7 @@ function AdminDashboard() {
 // === Admin App Wrapper ===
 function AdminApp() {
   return (
-    <ClerkProvider publishableKey={CONFIG.clerkPublishableKey} afterSignOutUrl={`https://${CONFIG.domain}`}>
+    <ClerkProvider publishableKey={CONFIG.clerkPublishableKey} afterSignOutUrl={_sellLandingUrl()}>
       <SignedIn>
         <AdminDashboard />
       </SignedIn>
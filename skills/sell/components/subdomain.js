@@ -0,0 +1,108 @@
+// Subdomain Claim Validation
+// Shared by the sell template (inserted with its exports stripped) and
+// scripts/lib/sell-config.js, so onboarding and assemble-sell.js agree on
+// which tenant subdomains can be claimed. Plain JS with no imports.
+
+// Subdomains the app itself uses or that look official; sell.config adds more
+export const RESERVED_SUBDOMAINS = [
+  'admin', 'api', 'app', 'www', 'mail', 'email', 'smtp', 'imap', 'pop', 'ftp', 'ns1', 'ns2',
+  'auth', 'login', 'signin', 'signup', 'account', 'accounts', 'billing', 'dashboard',
+  'static', 'assets', 'cdn', 'media', 'img', 'status', 'docs', 'blog', 'help', 'support',
+  'dev', 'staging', 'test', 'demo', 'internal', 'root', 'system', 'webhooks', 'clerk'
+];
+
+// Names blocked as an exact match or hyphen-separated part (profanity, impersonation)
+export const BLOCKED_SUBDOMAIN_TERMS = [
+  'fuck', 'shit', 'cunt', 'bitch', 'nigger', 'faggot', 'porn', 'xxx',
+  'official', 'security', 'verify', 'verification', 'password', 'paypal', 'stripe',
+  'google', 'apple', 'microsoft', 'amazon', 'facebook', 'instagram', 'exedev'
+];
+
+/**
+ * Check the DNS label rules: 1-63 lowercase letters, digits and hyphens,
+ * not starting or ending with a hyphen, and no "xn--"-style reserved prefix
+ * @param {string} name - Candidate subdomain
+ * @returns {string|null} - Problem description, or null if the label is fine
+ */
+export function checkDnsLabel(name) {
+  if (typeof name !== 'string' || name === '') return 'Enter a subdomain';
+  if (name.length > 63) return 'Use at most 63 characters';
+  if (!/^[a-z0-9-]+$/.test(name)) return 'Use only lowercase letters, digits and hyphens';
+  if (name.startsWith('-') || name.endsWith('-')) return "Can't start or end with a hyphen";
+  if (name.slice(2, 4) === '--') return "Can't have hyphens in the third and fourth positions";
+  return null;
+}
+
+/**
+ * Validate a subdomain claim without the registry lookup
+ * @param {string} name - Candidate subdomain
+ * @param {object} [options]
+ * @param {string[]} [options.reserved] - Extra reserved names (added to RESERVED_SUBDOMAINS)
+ * @param {string[]} [options.blocked] - Extra blocked terms (added to BLOCKED_SUBDOMAIN_TERMS)
+ * @returns {object} - { valid: true } or { valid: false, reason: 'format'|'reserved'|'blocked', error }
+ */
+export function validateSubdomain(name, options = {}) {
+  const formatError = checkDnsLabel(name);
+  if (formatError) {
+    return { valid: false, reason: 'format', error: formatError };
+  }
+
+  const reserved = [...RESERVED_SUBDOMAINS, ...(options.reserved || [])];
+  if (reserved.includes(name)) {
+    return { valid: false, reason: 'reserved', error: `"${name}" is reserved` };
+  }
+
+  // "pay-pal" and "paypal-help" are as misleading as "paypal"
+  const blocked = [...BLOCKED_SUBDOMAIN_TERMS, ...(options.blocked || [])];
+  const parts = [name, name.replace(/-/g, ''), ...name.split('-')];
+  if (parts.some(part => blocked.includes(part))) {
+    return { valid: false, reason: 'blocked', error: `"${name}" isn't allowed` };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Registry backed by an HTTP endpoint: GET <url>?subdomain=<name> answers { available: boolean }
+ * @param {string} url - Endpoint URL
+ * @returns {object} - Registry ({ isAvailable(name): Promise<boolean> })
+ */
+export function createHttpSubdomainRegistry(url) {
+  return {
+    async isAvailable(name) {
+      const separator = url.includes('?') ? '&' : '?';
+      const response = await fetch(`${url}${separator}subdomain=${encodeURIComponent(name)}`);
+      if (!response.ok) {
+        throw new Error(`Subdomain registry returned ${response.status}`);
+      }
+      const body = await response.json();
+      return body.available === true;
+    }
+  };
+}
+
+/**
+ * Validate a subdomain claim and check it against a registry of taken names
+ * @param {string} name - Candidate subdomain
+ * @param {object} [options] - validateSubdomain options, plus:
+ * @param {object} [options.registry] - { isAvailable(name): Promise<boolean> }; without one, uniqueness isn't checked
+ * @returns {Promise<object>} - { available: true, checked } (checked: false without a registry)
+ *   or { available: false, reason: 'format'|'reserved'|'blocked'|'taken'|'error', error }
+ */
+export async function checkSubdomainAvailability(name, options = {}) {
+  const validation = validateSubdomain(name, options);
+  if (!validation.valid) {
+    return { available: false, reason: validation.reason, error: validation.error };
+  }
+  if (!options.registry) {
+    return { available: true, checked: false };
+  }
+
+  try {
+    return (await options.registry.isAvailable(name))
+      ? { available: true, checked: true }
+      : { available: false, reason: 'taken', error: `"${name}" is already taken` };
+  } catch (err) {
+    return { available: false, reason: 'error', error: `Couldn't check availability: ${err.message}` };
+  }
+}
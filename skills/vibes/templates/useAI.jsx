@@ -4,7 +4,11 @@
  * Replaces call-ai with a proxied solution that:
  * - Routes through /api/ai/chat on the same origin
  * - Handles authentication (Clerk JWT for sell, simple auth for vibes)
- * - Returns structured errors including LIMIT_EXCEEDED
+ * - Returns structured errors including LIMIT_EXCEEDED, RATE_LIMITED (with
+ *   retryAfter in seconds), POLICY_VIOLATION (with the violation and what the
+ *   operator's policy allows), and UNAUTHORIZED /
+ *   NOT_ENTITLED when a sell app's entitlements check refuses the request
+ * - Streams responses as server-sent events with `stream: true`
  *
  * Usage:
  *   const { callAI, loading, error } = useAI();
@@ -12,67 +16,159 @@
  *     model: "anthropic/claude-sonnet",
  *     messages: [{ role: "user", content: "Hello!" }]
  *   });
+ *
+ * Streaming:
+ *   const { streamAI, text, streaming, usage, abort } = useAIStream();
+ *   const { text, usage, aborted } = await streamAI({ messages });
+ *   // `text` re-renders as tokens arrive; abort() stops the stream
  */
 
 const AIContext = React.createContext(null);
 
-function AIProvider({ children }) {
-  const [loading, setLoading] = React.useState(false);
-  const [error, setError] = React.useState(null);
+// Error codes the sell entitlements check (nginx auth_request) answers with
+const AI_GATE_CODES = ['UNAUTHORIZED', 'NOT_ENTITLED'];
 
-  const callAI = React.useCallback(async (options) => {
-    setLoading(true);
-    setError(null);
+/**
+ * POST to the proxy; resolves with the OK response, throws structured errors
+ */
+async function _aiFetch(options, signal) {
+  // Get auth token if Clerk is available (sell apps)
+  let authHeader = {};
+  if (typeof window !== 'undefined' && window.Clerk?.session) {
+    const token = await window.Clerk.session.getToken();
+    if (token) {
+      authHeader = { 'Authorization': `Bearer ${token}` };
+    }
+  }
 
-    try {
-      // Get auth token if Clerk is available (sell apps)
-      let authHeader = {};
-      if (typeof window !== 'undefined' && window.Clerk?.session) {
-        const token = await window.Clerk.session.getToken();
-        if (token) {
-          authHeader = { 'Authorization': `Bearer ${token}` };
-        }
-      }
+  // onToken and signal are for the hook, not the API
+  const { onToken, signal: _signal, ...body } = options;
+  const response = await fetch('/api/ai/chat', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...authHeader
+    },
+    // Without a model the proxy uses the operator's default
+    body: JSON.stringify({
+      messages: options.messages,
+      // Ask for the usage totals in the last event
+      ...(options.stream ? { stream_options: { include_usage: true } } : {}),
+      ...body
+    }),
+    signal
+  });
 
-      const response = await fetch('/api/ai/chat', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          ...authHeader
-        },
-        body: JSON.stringify({
-          model: options.model || 'anthropic/claude-sonnet-4',
-          messages: options.messages,
-          ...options
-        })
-      });
+  // Handle limit exceeded (402 from OpenRouter)
+  if (response.status === 402) {
+    throw { code: 'LIMIT_EXCEEDED', message: 'AI usage limit reached for this month.' };
+  }
 
-      // Handle limit exceeded (402 from OpenRouter)
-      if (response.status === 402) {
-        const err = { code: 'LIMIT_EXCEEDED', message: 'AI usage limit reached for this month.' };
-        setError(err);
-        throw err;
-      }
+  // Handle rate limits (429 from the proxy or OpenRouter), with the wait in seconds
+  if (response.status === 429) {
+    const errorData = await response.json().catch(() => ({}));
+    throw {
+      code: 'RATE_LIMITED',
+      message: errorData.error?.message || 'Too many AI requests, try again shortly.',
+      retryAfter: parseInt(response.headers.get('Retry-After'), 10) || null
+    };
+  }
 
-      // Handle other errors
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        const err = {
-          code: 'API_ERROR',
-          message: errorData.error?.message || `API error: ${response.status}`,
-          status: response.status
-        };
-        setError(err);
-        throw err;
+  // Handle other errors
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    // Policy violations (400 from the proxy) say which rule and what it allows
+    if (errorData.error?.code === 'POLICY_VIOLATION') {
+      const { code, message, violation, allowed } = errorData.error;
+      throw { code, message, violation, allowed, status: response.status };
+    }
+    throw {
+      code: AI_GATE_CODES.includes(errorData.error?.code) ? errorData.error.code : 'API_ERROR',
+      message: errorData.error?.message || `API error: ${response.status}`,
+      status: response.status
+    };
+  }
+
+  return response;
+}
+
+/**
+ * Read an OpenAI-style event stream, calling onToken(delta, textSoFar) per content delta
+ * @returns {Promise<object>} - { text, usage, finishReason }
+ */
+async function _readAIStream(response, onToken) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let text = '';
+  let usage = null;
+  let finishReason = null;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      // Skip comments (OpenRouter's ": OPENROUTER PROCESSING" keep-alives) and blank lines
+      if (!line.startsWith('data:')) continue;
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') continue;
+
+      let chunk;
+      try {
+        chunk = JSON.parse(data);
+      } catch {
+        continue;
       }
+      // Errors after the stream started arrive as an event
+      if (chunk.error) {
+        throw { code: 'API_ERROR', message: chunk.error.message || 'Stream error' };
+      }
+      const choice = chunk.choices?.[0];
+      if (choice?.delta?.content) {
+        text += choice.delta.content;
+        onToken(choice.delta.content, text);
+      }
+      if (choice?.finish_reason) finishReason = choice.finish_reason;
+      if (chunk.usage) usage = chunk.usage;
+    }
+  }
 
-      const data = await response.json();
-      return data;
+  return { text, usage, finishReason };
+}
 
+/**
+ * One call: the JSON response, or with stream: true the streamed text in the same shape
+ */
+async function _callAI(options) {
+  const response = await _aiFetch(options, options.signal);
+  if (!options.stream) {
+    return await response.json();
+  }
+  const { text, usage, finishReason } = await _readAIStream(response, options.onToken || (() => {}));
+  return { choices: [{ message: { role: 'assistant', content: text }, finish_reason: finishReason }], usage };
+}
+
+/**
+ * callAI with loading and error state
+ */
+function _useCallAI() {
+  const [loading, setLoading] = React.useState(false);
+  const [error, setError] = React.useState(null);
+
+  const callAI = React.useCallback(async (options) => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      return await _callAI(options);
     } catch (err) {
-      // Don't double-set if already set above
-      if (!error) {
-        setError({ code: 'NETWORK_ERROR', message: err.message || 'Network error' });
+      // Aborts are the caller's doing, not an error to show
+      if (err.name !== 'AbortError') {
+        setError(err.code ? err : { code: 'NETWORK_ERROR', message: err.message || 'Network error' });
       }
       throw err;
     } finally {
@@ -80,6 +176,12 @@ function AIProvider({ children }) {
     }
   }, []);
 
+  return { callAI, loading, error, setError };
+}
+
+function AIProvider({ children }) {
+  const { callAI, loading, error, setError } = _useCallAI();
+
   const value = React.useMemo(() => ({ callAI, loading, error, setError }), [callAI, loading, error]);
 
   return React.createElement(AIContext.Provider, { value }, children);
@@ -89,71 +191,70 @@ function useAI() {
   const context = React.useContext(AIContext);
 
   // If used outside AIProvider, return a standalone version
+  const standalone = _useCallAI();
   if (!context) {
-    const [loading, setLoading] = React.useState(false);
-    const [error, setError] = React.useState(null);
+    return { callAI: standalone.callAI, loading: standalone.loading, error: standalone.error, clearError: () => standalone.setError(null) };
+  }
+
+  return { ...context, clearError: () => context.setError(null) };
+}
 
-    const callAI = React.useCallback(async (options) => {
-      setLoading(true);
-      setError(null);
+/**
+ * Streamed AI calls: partial text as it arrives, abort(), and the final usage
+ */
+function useAIStream() {
+  const [text, setText] = React.useState('');
+  const [usage, setUsage] = React.useState(null);
+  const [streaming, setStreaming] = React.useState(false);
+  const [error, setError] = React.useState(null);
+  const controllerRef = React.useRef(null);
 
-      try {
-        let authHeader = {};
-        if (typeof window !== 'undefined' && window.Clerk?.session) {
-          const token = await window.Clerk.session.getToken();
-          if (token) {
-            authHeader = { 'Authorization': `Bearer ${token}` };
-          }
-        }
-
-        const response = await fetch('/api/ai/chat', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            ...authHeader
-          },
-          body: JSON.stringify({
-            model: options.model || 'anthropic/claude-sonnet-4',
-            messages: options.messages,
-            ...options
-          })
-        });
-
-        if (response.status === 402) {
-          const err = { code: 'LIMIT_EXCEEDED', message: 'AI usage limit reached for this month.' };
-          setError(err);
-          throw err;
-        }
-
-        if (!response.ok) {
-          const errorData = await response.json().catch(() => ({}));
-          const err = {
-            code: 'API_ERROR',
-            message: errorData.error?.message || `API error: ${response.status}`,
-            status: response.status
-          };
-          setError(err);
-          throw err;
-        }
-
-        return await response.json();
-
-      } catch (err) {
-        if (!error) {
-          setError({ code: 'NETWORK_ERROR', message: err.message || 'Network error' });
-        }
-        throw err;
-      } finally {
-        setLoading(false);
+  const abort = React.useCallback(() => {
+    controllerRef.current?.abort();
+  }, []);
+
+  const streamAI = React.useCallback(async (options) => {
+    // A new stream replaces the one in flight
+    controllerRef.current?.abort();
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    setText('');
+    setUsage(null);
+    setError(null);
+    setStreaming(true);
+
+    let partial = '';
+    try {
+      const response = await _aiFetch({ ...options, stream: true }, controller.signal);
+      const result = await _readAIStream(response, (token, soFar) => {
+        partial = soFar;
+        setText(soFar);
+        options.onToken?.(token, soFar);
+      });
+      setUsage(result.usage);
+      return { ...result, aborted: false };
+    } catch (err) {
+      if (err.name === 'AbortError') {
+        return { text: partial, usage: null, finishReason: null, aborted: true };
+      }
+      const structured = err.code ? err : { code: 'NETWORK_ERROR', message: err.message || 'Network error' };
+      setError(structured);
+      throw structured;
+    } finally {
+      if (controllerRef.current === controller) {
+        controllerRef.current = null;
+        setStreaming(false);
       }
-    }, []);
+    }
+  }, []);
 
-    return { callAI, loading, error, clearError: () => setError(null) };
-  }
+  // Stop streaming into an unmounted component
+  React.useEffect(() => () => controllerRef.current?.abort(), []);
 
-  return { ...context, clearError: () => context.setError(null) };
+  return { streamAI, text, streaming, usage, error, abort, clearError: () => setError(null) };
 }
 
 // Make available globally for template injection
 window.AIProvider = AIProvider;
 window.useAI = useAI;
+window.useAIStream = useAIStream;